@@ -5,6 +5,7 @@ import Upload from './pages/Upload';
 import LogStream from './pages/LogStream';
 import Analysis from './pages/Analysis';
 import MitreAttack from './pages/MitreAttack';
+import DetectionRules from './pages/DetectionRules';
 
 function App() {
     return (
@@ -17,6 +18,7 @@ function App() {
                     <Route path="analysis" element={<Analysis />} />
                     <Route path="analysis/:sessionId" element={<Analysis />} />
                     <Route path="mitre" element={<MitreAttack />} />
+                    <Route path="rules" element={<DetectionRules />} />
                 </Route>
             </Routes>
         </BrowserRouter>
@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Columns3, Save, Loader2, RotateCcw } from 'lucide-react';
+import api from '../utils/api';
+
+// Start of the file sent for the preview; matches the server's sniffing window
+const SAMPLE_BYTES = 64 * 1024;
+// Rows of the preview shown under the header
+const PREVIEW_ROWS = 5;
+
+const DELIMITER_LABELS = {
+    ',': 'Comma',
+    ';': 'Semicolon',
+    '\t': 'Tab',
+    '|': 'Pipe',
+};
+
+const FIELD_LABELS = {
+    timestamp: 'Timestamp',
+    sourceIP: 'Source IP',
+    method: 'HTTP method',
+    path: 'Path / URL',
+    statusCode: 'Status code',
+    userAgent: 'User agent',
+    bytes: 'Bytes',
+    responseTime: 'Response time (ms)',
+    message: 'Message',
+    severity: 'Severity',
+};
+
+/**
+ * Column mapping step for CSV / TSV uploads: shows the detected delimiter and
+ * header, lets each entry field be assigned a column, and saves the mapping
+ * as a reusable format. `value` is { columns, delimiter }; `onChange` is a
+ * state setter, so a mapping chosen before the preview reloads is kept.
+ */
+export default function ColumnMapper({ file, formats, value, onChange, disabled, onSaved }) {
+    const [preview, setPreview] = useState(null);
+    const [delimiter, setDelimiter] = useState('');
+    const [name, setName] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const saved = formats.filter(f => f.type === 'csv' && !f.builtIn);
+
+    useEffect(() => {
+        let cancelled = false;
+        setError('');
+        file.slice(0, SAMPLE_BYTES).text()
+            .then(sample => api.post('/parsers/columns/preview', { sample, filename: file.name, delimiter: delimiter || undefined }))
+            .then(res => {
+                if (cancelled) return;
+                setPreview(res.data);
+                // Start from the suggestion whenever the delimiter (and so the header) changed
+                onChange(prev => (prev && prev.delimiter === res.data.delimiter
+                    ? prev
+                    : { columns: res.data.columns, delimiter: res.data.delimiter }));
+            })
+            .catch(e => { if (!cancelled) setError(e.response?.data?.error || 'Could not read the file header.'); });
+        return () => { cancelled = true; };
+    }, [file, delimiter]);
+
+    if (!preview || !value) {
+        return error ? <p className="text-xs text-neon-red">{error}</p> : null;
+    }
+
+    const { columns } = value;
+    const suggested = JSON.stringify(columns) === JSON.stringify(preview.columns);
+
+    function assign(field, column) {
+        const next = { ...columns };
+        if (column) next[field] = column;
+        else delete next[field];
+        onChange({ columns: next, delimiter: preview.delimiter });
+    }
+
+    function applySaved(formatName) {
+        const format = saved.find(f => f.name === formatName);
+        if (!format) return;
+        // Switching delimiter reloads the preview; the mapping is kept because its delimiter matches
+        if (format.delimiter) setDelimiter(format.delimiter);
+        onChange({ columns: format.fields, delimiter: format.delimiter || preview.delimiter });
+    }
+
+    async function handleSave() {
+        setSaving(true);
+        setError('');
+        try {
+            const res = await api.post('/parsers', { name, columns, delimiter: preview.delimiter });
+            onSaved(res.data.format);
+            setName('');
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to save mapping.');
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    const fieldOf = Object.fromEntries(Object.entries(columns).map(([field, column]) => [column, field]));
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            className="glass-card p-5 space-y-4 overflow-hidden"
+        >
+            <div className="flex flex-wrap items-center gap-3">
+                <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2 mr-auto">
+                    <Columns3 size={14} className="text-neon-cyan" />
+                    Column Mapping
+                </h3>
+                <select
+                    value={delimiter}
+                    onChange={(e) => setDelimiter(e.target.value)}
+                    disabled={disabled}
+                    title="Delimiter"
+                    className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-1.5 text-xs text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                >
+                    <option value="">Detected: {DELIMITER_LABELS[preview.delimiter]}</option>
+                    {Object.entries(DELIMITER_LABELS).map(([char, label]) => (
+                        <option key={label} value={char}>{label}</option>
+                    ))}
+                </select>
+                {saved.length > 0 && (
+                    <select
+                        value=""
+                        onChange={(e) => applySaved(e.target.value)}
+                        disabled={disabled}
+                        title="Apply a saved mapping"
+                        className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-1.5 text-xs text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                    >
+                        <option value="">Apply saved mapping…</option>
+                        {saved.map(f => <option key={f.name} value={f.name}>{f.label}</option>)}
+                    </select>
+                )}
+                {!suggested && (
+                    <button
+                        onClick={() => onChange({ columns: preview.columns, delimiter: preview.delimiter })}
+                        disabled={disabled}
+                        className="flex items-center gap-1.5 text-xs text-gray-500 hover:text-neon-cyan transition-colors"
+                    >
+                        <RotateCcw size={12} />
+                        Use suggested
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+                {preview.fields.map(field => (
+                    <label key={field} className="flex items-center gap-3 text-xs">
+                        <span className="w-32 text-gray-400">{FIELD_LABELS[field] || field}</span>
+                        <select
+                            value={columns[field] || ''}
+                            onChange={(e) => assign(field, e.target.value)}
+                            disabled={disabled}
+                            className="flex-1 bg-black/30 border border-cyber-border rounded px-2 py-1 font-mono text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                        >
+                            <option value="">— not mapped —</option>
+                            {preview.headers.map(header => (
+                                <option key={header} value={header}>{header}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+            <p className="text-xs text-gray-600">
+                Columns left unmapped are kept as extra fields and stay searchable as field.&lt;name&gt;.
+            </p>
+
+            <div className="overflow-x-auto rounded-lg bg-black/30">
+                <table className="w-full text-[11px] font-mono">
+                    <thead>
+                        <tr className="text-left">
+                            {preview.headers.map(header => (
+                                <th key={header} className="px-3 py-2 font-normal whitespace-nowrap">
+                                    <span className="text-gray-300">{header}</span>
+                                    <span className={`block ${fieldOf[header] ? 'text-neon-cyan/70' : 'text-gray-600'}`}>
+                                        {fieldOf[header] ? `→ ${fieldOf[header]}` : 'extra field'}
+                                    </span>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {preview.rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                            <tr key={i} className="border-t border-cyber-border/50 text-gray-500">
+                                {row.map((cell, j) => (
+                                    <td key={j} className="px-3 py-1.5 max-w-xs truncate">{cell}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex flex-wrap gap-3 items-center">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    disabled={disabled}
+                    placeholder="mapping-name"
+                    className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                />
+                <button
+                    onClick={handleSave}
+                    disabled={disabled || saving || !name}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/5 text-gray-400 border border-cyber-border hover:text-gray-200 hover:bg-white/10 transition-all text-sm disabled:opacity-50"
+                >
+                    {saving ? <Loader2 size={14} className="animate-spin" /> : <Save size={14} />}
+                    Save Mapping
+                </button>
+            </div>
+
+            {error && <p className="text-xs text-neon-red">{error}</p>}
+        </motion.div>
+    );
+}
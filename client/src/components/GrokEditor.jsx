@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { FlaskConical, Save, Loader2, CheckCircle2, XCircle } from 'lucide-react';
+import api from '../utils/api';
+
+// Lines from the file preview used to test an expression
+const TEST_LINES = 10;
+
+// Expression syntaxes, keyed by the API field that carries them
+const SYNTAXES = {
+    grok: {
+        title: 'Grok Expression',
+        placeholder: '%{COMBINEDAPACHELOG}',
+        help: 'Standard patterns such as IPORHOST, HTTPDATE, SYSLOGBASE and COMBINEDAPACHELOG are available. '
+            + 'Fields named clientip, verb, request, response, agent, timestamp and loglevel are normalized automatically.',
+    },
+    nginx: {
+        title: 'nginx log_format',
+        placeholder: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent" $request_time',
+        help: 'Paste the format string or the whole log_format directive from nginx.conf. '
+            + 'Every variable is kept; $request_time and $upstream_response_time become the response time, $body_bytes_sent the response size.',
+    },
+    apache: {
+        title: 'Apache LogFormat',
+        placeholder: '%h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i" %D',
+        help: 'Paste the format string or the whole LogFormat directive from httpd.conf. '
+            + 'Fields are named as in nginx (%h → remote_addr, %{Host}i → http_host); %D and %T become the response time.',
+    },
+};
+
+/**
+ * Editor for a one-off grok, nginx log_format or Apache LogFormat expression,
+ * with a test against the file preview and the option to save it as a reusable format
+ */
+export default function GrokEditor({ syntax = 'grok', value, onChange, preview, disabled, onSaved }) {
+    const { title, placeholder, help } = SYNTAXES[syntax];
+    const [test, setTest] = useState(null);
+    const [testing, setTesting] = useState(false);
+    const [name, setName] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    async function handleTest() {
+        setTesting(true);
+        setError('');
+        try {
+            const lines = preview.split('\n').filter(l => l.trim()).slice(0, TEST_LINES);
+            const res = await api.post('/parsers/test', { [syntax]: value, lines });
+            setTest(res.data);
+        } catch (e) {
+            setTest(null);
+            setError(e.response?.data?.error || 'Failed to test expression.');
+        } finally {
+            setTesting(false);
+        }
+    }
+
+    async function handleSave() {
+        setSaving(true);
+        setError('');
+        try {
+            const res = await api.post('/parsers', { name, [syntax]: value });
+            onSaved(res.data.format);
+            setName('');
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to save format.');
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    const matched = test ? test.results.filter(r => r.entry) : [];
+    const sample = matched[0]?.entry;
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            className="glass-card p-5 space-y-3 overflow-hidden"
+        >
+            <h3 className="text-sm font-semibold text-gray-300">{title}</h3>
+            <input
+                type="text"
+                value={value}
+                onChange={(e) => { onChange(e.target.value); setTest(null); }}
+                disabled={disabled}
+                placeholder={placeholder}
+                spellCheck={false}
+                className="w-full bg-black/30 border border-cyber-border rounded-lg px-3 py-2 text-sm font-mono text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+            />
+            <p className="text-xs text-gray-600">{help}</p>
+
+            <div className="flex flex-wrap gap-3 items-center">
+                <button
+                    onClick={handleTest}
+                    disabled={disabled || testing || !value || !preview}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-cyan/10 text-neon-cyan border border-neon-cyan/20 hover:bg-neon-cyan/20 transition-all text-sm disabled:opacity-50"
+                >
+                    {testing ? <Loader2 size={14} className="animate-spin" /> : <FlaskConical size={14} />}
+                    Test on Preview
+                </button>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    disabled={disabled}
+                    placeholder="format-name"
+                    className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                />
+                <button
+                    onClick={handleSave}
+                    disabled={disabled || saving || !value || !name}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/5 text-gray-400 border border-cyber-border hover:text-gray-200 hover:bg-white/10 transition-all text-sm disabled:opacity-50"
+                >
+                    {saving ? <Loader2 size={14} className="animate-spin" /> : <Save size={14} />}
+                    Save as Format
+                </button>
+            </div>
+
+            {error && <p className="text-xs text-neon-red">{error}</p>}
+
+            {test && (
+                <div className="space-y-2">
+                    <p className={`text-xs flex items-center gap-1.5 ${matched.length ? 'text-neon-green' : 'text-neon-orange'}`}>
+                        {matched.length ? <CheckCircle2 size={14} /> : <XCircle size={14} />}
+                        Matched {matched.length} of {test.results.length} preview lines
+                    </p>
+                    {sample && (
+                        <div className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-xs font-mono p-3 rounded-lg bg-black/30">
+                            {['timestamp', 'sourceIP', 'method', 'path', 'statusCode', 'userAgent', 'bytes', 'responseTime', 'severity', 'message'].map(key => (
+                                <FieldRow key={key} name={key} value={sample[key]} />
+                            ))}
+                            {Object.entries(sample.fields || {}).map(([key, val]) => (
+                                <FieldRow key={`fields.${key}`} name={key} value={val} extra />
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </motion.div>
+    );
+}
+
+function FieldRow({ name, value, extra }) {
+    if (value === null || value === undefined || value === '') return null;
+    return (
+        <>
+            <span className={extra ? 'text-gray-500' : 'text-neon-cyan/70'}>{name}</span>
+            <span className="text-gray-300 truncate">{String(value)}</span>
+        </>
+    );
+}
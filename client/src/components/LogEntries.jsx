@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { List, ChevronLeft, ChevronRight, ChevronDown, Filter, X, Loader2 } from 'lucide-react';
+import api from '../utils/api';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Paged browser over a session's stored entries, with each entry's extra
+ * parser fields and filters on them (field.<name>=<value>)
+ */
+export default function LogEntries({ sessionId, source }) {
+    const [entries, setEntries] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [page, setPage] = useState(1);
+    const [filters, setFilters] = useState([]);
+    const [fieldNames, setFieldNames] = useState([]);
+    const [draftName, setDraftName] = useState('');
+    const [draftValue, setDraftValue] = useState('');
+    const [expanded, setExpanded] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setFilters([]);
+        setPage(1);
+        api.get('/logs/fields', { params: { sessionId } })
+            .then(res => setFieldNames(res.data.fields || []))
+            .catch(() => setFieldNames([]));
+    }, [sessionId]);
+
+    useEffect(() => {
+        setPage(1);
+    }, [source]);
+
+    useEffect(() => {
+        fetchEntries();
+    }, [sessionId, source, page, filters]);
+
+    async function fetchEntries() {
+        setLoading(true);
+        setError('');
+        try {
+            const params = { sessionId, page, limit: PAGE_SIZE };
+            if (source) params.source = source;
+            for (const { name, value } of filters) params[`field.${name}`] = value;
+            const res = await api.get('/logs', { params });
+            setEntries(res.data.entries || []);
+            setPagination(res.data.pagination);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to load entries.');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    // One value per field name; a second filter on the same field replaces the first
+    function addFilter(name, value) {
+        if (!name || value === '' || value === null || value === undefined) return;
+        setFilters(prev => [...prev.filter(f => f.name !== name), { name, value: String(value) }]);
+        setPage(1);
+    }
+
+    function removeFilter(name) {
+        setFilters(prev => prev.filter(f => f.name !== name));
+        setPage(1);
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.55 }}
+            className="glass-card p-5 space-y-4"
+        >
+            <div className="flex flex-wrap items-center gap-3">
+                <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2 mr-auto">
+                    <List size={14} className="text-neon-cyan" />
+                    Log Entries{pagination ? ` (${pagination.total})` : ''}
+                </h3>
+                {fieldNames.length > 0 && (
+                    <form
+                        onSubmit={(e) => { e.preventDefault(); addFilter(draftName, draftValue); setDraftValue(''); }}
+                        className="flex items-center gap-2"
+                    >
+                        <select
+                            value={draftName}
+                            onChange={(e) => setDraftName(e.target.value)}
+                            title="Extra field"
+                            className="bg-cyber-card border border-cyber-border rounded-lg px-2 py-1.5 text-xs text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                        >
+                            <option value="">Field…</option>
+                            {fieldNames.map(f => (
+                                <option key={f.name} value={f.name}>{f.name} ({f.count})</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={draftValue}
+                            onChange={(e) => setDraftValue(e.target.value)}
+                            placeholder="value"
+                            className="w-32 bg-cyber-card border border-cyber-border rounded-lg px-2 py-1.5 text-xs text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!draftName || !draftValue}
+                            className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-neon-cyan/10 text-neon-cyan border border-neon-cyan/20 text-xs disabled:opacity-50"
+                        >
+                            <Filter size={12} /> Filter
+                        </button>
+                    </form>
+                )}
+            </div>
+
+            {filters.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {filters.map(({ name, value }) => (
+                        <span key={name} className="flex items-center gap-1.5 px-2 py-1 rounded bg-neon-cyan/10 border border-neon-cyan/20 text-xs font-mono text-neon-cyan">
+                            {name} = {value}
+                            <button onClick={() => removeFilter(name)} title="Remove filter" className="hover:text-white">
+                                <X size={12} />
+                            </button>
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {error && <p className="text-xs text-neon-red">{error}</p>}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-gray-500 text-xs uppercase tracking-wider border-b border-cyber-border">
+                            <th className="w-6" />
+                            <th className="text-left py-2 px-3">Time</th>
+                            <th className="text-left py-2 px-3">Source IP</th>
+                            <th className="text-left py-2 px-3 hidden sm:table-cell">Severity</th>
+                            <th className="text-left py-2 px-3">Message</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(entry => (
+                            <EntryRow
+                                key={entry.id}
+                                entry={entry}
+                                open={expanded === entry.id}
+                                onToggle={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                                onFilter={addFilter}
+                            />
+                        ))}
+                    </tbody>
+                </table>
+                {loading && (
+                    <div className="flex justify-center py-4">
+                        <Loader2 size={18} className="animate-spin text-neon-cyan" />
+                    </div>
+                )}
+                {!loading && entries.length === 0 && (
+                    <p className="text-xs text-gray-600 text-center py-4">No entries match</p>
+                )}
+            </div>
+
+            {pagination && pagination.totalPages > 1 && (
+                <div className="flex items-center justify-end gap-3 text-xs text-gray-500">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={page <= 1 || loading}
+                        className="p-1 rounded hover:bg-white/5 disabled:opacity-30"
+                    >
+                        <ChevronLeft size={14} />
+                    </button>
+                    Page {pagination.page} of {pagination.totalPages}
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={page >= pagination.totalPages || loading}
+                        className="p-1 rounded hover:bg-white/5 disabled:opacity-30"
+                    >
+                        <ChevronRight size={14} />
+                    </button>
+                </div>
+            )}
+        </motion.div>
+    );
+}
+
+function EntryRow({ entry, open, onToggle, onFilter }) {
+    const fields = entry.fields || {};
+    // Normalized columns that only some formats fill
+    const details = {
+        method: entry.method,
+        path: entry.path,
+        status: entry.status_code,
+        bytes: entry.bytes,
+        responseTime: entry.response_time !== null && entry.response_time !== undefined ? `${entry.response_time} ms` : null,
+        userAgent: entry.user_agent,
+        host: entry.host,
+        source: entry.source,
+    };
+
+    return (
+        <>
+            <tr onClick={onToggle} className="border-b border-cyber-border/50 hover:bg-white/[0.02] cursor-pointer">
+                <td className="pl-2 text-gray-600">
+                    <ChevronDown size={12} className={`transition-transform ${open ? '' : '-rotate-90'}`} />
+                </td>
+                <td className="py-2 px-3 font-mono text-xs text-gray-500 whitespace-nowrap">{entry.timestamp}</td>
+                <td className="py-2 px-3 font-mono text-xs text-gray-300">{entry.source_ip || '—'}</td>
+                <td className={`py-2 px-3 text-xs uppercase font-mono hidden sm:table-cell severity-${entry.severity}`}>{entry.severity}</td>
+                <td className="py-2 px-3 text-xs text-gray-400 truncate max-w-md">{entry.message}</td>
+            </tr>
+            {open && (
+                <tr className="border-b border-cyber-border/50 bg-black/20">
+                    <td />
+                    <td colSpan={4} className="py-3 px-3">
+                        <div className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-xs font-mono">
+                            {Object.entries(details).map(([name, value]) => (
+                                value === null || value === undefined || value === '' ? null : (
+                                    <FieldRow key={name} name={name} value={value} />
+                                )
+                            ))}
+                            {Object.entries(fields).map(([name, value]) => (
+                                <FieldRow key={`fields.${name}`} name={name} value={value} extra onFilter={onFilter} />
+                            ))}
+                        </div>
+                        <pre className="mt-3 p-2 rounded bg-black/30 text-[11px] text-gray-500 whitespace-pre-wrap break-all">{entry.raw_line}</pre>
+                    </td>
+                </tr>
+            )}
+        </>
+    );
+}
+
+function FieldRow({ name, value, extra, onFilter }) {
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const filterable = extra && typeof value !== 'object';
+    return (
+        <>
+            <span className={extra ? 'text-gray-500' : 'text-neon-cyan/70'}>{name}</span>
+            {filterable ? (
+                <button
+                    onClick={() => onFilter(name, value)}
+                    title={`Show entries where ${name} = ${text}`}
+                    className="text-left text-gray-300 truncate hover:text-neon-cyan"
+                >
+                    {text}
+                </button>
+            ) : (
+                <span className="text-gray-300 truncate">{text}</span>
+            )}
+        </>
+    );
+}
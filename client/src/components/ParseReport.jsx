@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ClipboardCheck, ChevronDown, AlertTriangle } from 'lucide-react';
+import api from '../utils/api';
+
+// Coverage fields in the order shown, with their labels
+const COVERAGE_LABELS = {
+    timestamp: 'Timestamp',
+    sourceIP: 'Source IP',
+    statusCode: 'Status code',
+    url: 'URL',
+    user: 'User',
+    host: 'Host',
+};
+
+/**
+ * Parse diagnostics of a session: formats detected, field coverage and
+ * samples of lines that were skipped or only kept as plain text
+ */
+export default function ParseReport({ sessionId }) {
+    const [report, setReport] = useState(null);
+    const [showSamples, setShowSamples] = useState(false);
+
+    useEffect(() => {
+        setReport(null);
+        setShowSamples(false);
+        api.get(`/logs/parse-report/${sessionId}`)
+            .then(res => setReport(res.data.report))
+            .catch(() => setReport(null));
+    }, [sessionId]);
+
+    if (!report) return null;
+
+    const issues = report.degraded + report.unparsed;
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.45 }}
+            className="glass-card p-5 space-y-4"
+        >
+            <div className="flex flex-wrap items-center gap-3">
+                <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2 mr-auto">
+                    <ClipboardCheck size={14} className="text-neon-green" />
+                    Parse Report
+                </h3>
+                <span className="text-xs text-gray-500">
+                    Dominant format <span className="font-mono text-neon-cyan">{report.dominantFormat || '—'}</span>
+                    {' · '}{report.entries} of {report.lines} lines parsed
+                </span>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div>
+                    <p className="text-[10px] text-gray-500 uppercase tracking-wider mb-2">Formats</p>
+                    <div className="space-y-2">
+                        {report.formats.map(f => (
+                            <Meter key={f.format} label={f.format} detail={`${f.count}`} percent={f.percent} color={f.format === 'generic' ? '#F59E0B' : '#00F0FF'} />
+                        ))}
+                    </div>
+                    {report.sources.length > 1 && (
+                        <div className="mt-3 space-y-1 text-xs text-gray-500">
+                            {report.sources.map(s => (
+                                <p key={s.source} className="truncate">
+                                    <span className="text-gray-400">{s.source}</span> — {s.entries} entries, mostly <span className="font-mono">{s.dominantFormat}</span>
+                                </p>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <div>
+                    <p className="text-[10px] text-gray-500 uppercase tracking-wider mb-2">Field coverage</p>
+                    <div className="space-y-2">
+                        {Object.entries(COVERAGE_LABELS).map(([field, label]) => {
+                            const coverage = report.coverage[field] || { count: 0, percent: 0 };
+                            return <Meter key={field} label={label} detail={`${coverage.percent}%`} percent={coverage.percent} color="#A855F7" />;
+                        })}
+                    </div>
+                </div>
+            </div>
+
+            {issues > 0 && (
+                <div className="border-t border-cyber-border pt-4">
+                    <button
+                        onClick={() => setShowSamples(!showSamples)}
+                        className="w-full flex items-center gap-2 text-left text-xs text-gray-400 hover:text-gray-300"
+                    >
+                        <AlertTriangle size={12} className="text-neon-orange shrink-0" />
+                        {report.unparsed > 0 && `${report.unparsed} line(s) skipped`}
+                        {report.unparsed > 0 && report.degraded > 0 && ', '}
+                        {report.degraded > 0 && `${report.degraded} entries parsed only partially`}
+                        <ChevronDown size={14} className={`ml-auto transition-transform ${showSamples ? 'rotate-180' : ''}`} />
+                    </button>
+
+                    {showSamples && (
+                        <div className="mt-3 space-y-3">
+                            <ul className="space-y-1 text-xs">
+                                {report.reasons.map(r => (
+                                    <li key={r.reason} className="flex gap-2 text-gray-400">
+                                        <span className="font-mono text-neon-orange w-12 text-right shrink-0">{r.count}</span>
+                                        {r.reason}
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="space-y-2">
+                                {report.samples.map((sample, i) => (
+                                    <div key={i} className="p-2 rounded bg-black/30 text-[11px]">
+                                        <p className="text-gray-500 mb-1">
+                                            <span className={sample.kind === 'unparsed' ? 'text-neon-red' : 'text-neon-orange'}>{sample.kind}</span>
+                                            {' — '}{sample.reason}{sample.detail ? ` (${sample.detail})` : ''}
+                                            {sample.source && report.sources.length > 1 ? ` · ${sample.source}` : ''}
+                                        </p>
+                                        <pre className="font-mono text-gray-400 whitespace-pre-wrap break-all">{sample.line}</pre>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </motion.div>
+    );
+}
+
+function Meter({ label, detail, percent, color }) {
+    return (
+        <div className="flex items-center gap-3 text-xs">
+            <span className="w-28 truncate font-mono text-gray-400">{label}</span>
+            <div className="flex-1 h-1.5 bg-cyber-border rounded-full overflow-hidden">
+                <div className="h-full rounded-full transition-all duration-500" style={{ width: `${percent}%`, background: color }} />
+            </div>
+            <span className="w-14 text-right font-mono text-gray-500">{detail}</span>
+        </div>
+    );
+}
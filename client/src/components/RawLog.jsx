@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FileText, ChevronDown, ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
+import api from '../utils/api';
+
+/**
+ * Collapsible viewer of a session's raw log lines, one page at a time
+ * @param {Object} props
+ * @param {string} props.sessionId
+ * @param {string} [props.source] - Only this source file's lines
+ * @param {string} props.title - File name shown in the header
+ */
+export default function RawLog({ sessionId, source, title }) {
+    const [open, setOpen] = useState(false);
+    const [lines, setLines] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [page, setPage] = useState(1);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setPage(1);
+    }, [sessionId, source]);
+
+    useEffect(() => {
+        if (open) fetchLines();
+    }, [open, sessionId, source, page]);
+
+    async function fetchLines() {
+        setLoading(true);
+        setError('');
+        try {
+            const res = await api.get(`/logs/raw/${sessionId}`, { params: source ? { source, page } : { page } });
+            setLines(res.data.lines || []);
+            setPagination(res.data.pagination);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to load the log file.');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const firstLine = pagination ? (pagination.page - 1) * pagination.limit : 0;
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.6 }}
+            className="glass-card overflow-hidden"
+        >
+            <button
+                onClick={() => setOpen(!open)}
+                className="w-full flex items-center justify-between p-5 text-left hover:bg-white/[0.02] transition-colors"
+            >
+                <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2">
+                    <FileText size={14} className="text-neon-green" />
+                    View Uploaded Log File ({title})
+                </h3>
+                <ChevronDown
+                    size={16}
+                    className={`text-gray-500 transition-transform duration-300 ${open ? 'rotate-180' : ''}`}
+                />
+            </button>
+
+            {open && (
+                <motion.div
+                    initial={{ opacity: 0, height: 0 }}
+                    animate={{ opacity: 1, height: 'auto' }}
+                    className="border-t border-cyber-border"
+                >
+                    <div className="flex items-center gap-2 px-5 py-2 bg-black/30 border-b border-cyber-border">
+                        <div className="flex gap-1.5">
+                            <div className="w-2.5 h-2.5 rounded-full bg-red-500/70" />
+                            <div className="w-2.5 h-2.5 rounded-full bg-yellow-500/70" />
+                            <div className="w-2.5 h-2.5 rounded-full bg-green-500/70" />
+                        </div>
+                        <span className="text-xs text-gray-500 font-mono ml-2">{title}</span>
+                        <span className="text-xs text-gray-600 ml-auto font-mono">
+                            {pagination?.total || 0} lines
+                        </span>
+                        {pagination && pagination.totalPages > 1 && (
+                            <span className="flex items-center gap-2 text-xs text-gray-500 ml-3">
+                                <button
+                                    onClick={() => setPage(page - 1)}
+                                    disabled={page <= 1 || loading}
+                                    className="p-1 rounded hover:bg-white/5 disabled:opacity-30"
+                                >
+                                    <ChevronLeft size={14} />
+                                </button>
+                                Page {pagination.page} of {pagination.totalPages}
+                                <button
+                                    onClick={() => setPage(page + 1)}
+                                    disabled={page >= pagination.totalPages || loading}
+                                    className="p-1 rounded hover:bg-white/5 disabled:opacity-30"
+                                >
+                                    <ChevronRight size={14} />
+                                </button>
+                            </span>
+                        )}
+                    </div>
+                    <pre className="p-4 overflow-x-auto max-h-[500px] overflow-y-auto font-mono text-xs leading-relaxed bg-[#080c18]">
+                        {error && <span className="text-neon-red">{error}</span>}
+                        {loading && <Loader2 size={16} className="animate-spin text-neon-cyan" />}
+                        {!loading && !error && lines.length === 0 && <span className="text-gray-600">No log content available</span>}
+                        {!loading && lines.map((line, i) => (
+                            <div key={firstLine + i} className="hover:bg-white/[0.02] flex">
+                                <span className="text-gray-700 w-14 flex-shrink-0 text-right pr-3 select-none">{firstLine + i + 1}</span>
+                                <span className="text-gray-400">{line}</span>
+                            </div>
+                        ))}
+                    </pre>
+                </motion.div>
+            )}
+        </motion.div>
+    );
+}
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { History, Loader2, Play, CheckCircle2, Ban } from 'lucide-react';
+import api from '../utils/api';
+import useWebSocket from '../hooks/useWebSocket';
+
+const CHANGE_STYLES = {
+    added: { label: 'New', className: 'text-neon-red' },
+    changed: { label: 'Changed', className: 'text-neon-orange' },
+    removed: { label: 'Gone', className: 'text-gray-500 line-through' },
+};
+
+/**
+ * Re-run the current detection rules over stored sessions: preview what would
+ * change in their threats, then apply it
+ * @param {Object} props
+ * @param {string} [props.sessionId] - One session; every session when omitted
+ * @param {Function} [props.onApplied] - Called once the threats were updated
+ */
+export default function RetroHunt({ sessionId, onApplied }) {
+    const [preview, setPreview] = useState(null);
+    const [starting, setStarting] = useState('');
+    const [job, setJob] = useState(null);
+    const [error, setError] = useState('');
+    const [applied, setApplied] = useState(false);
+
+    const scope = sessionId ? { sessionIds: [sessionId] } : { all: true };
+    const busy = starting || (job ? (job.dryRun ? 'preview' : 'apply') : '');
+
+    const { isConnected } = useWebSocket((data) => {
+        if (data.type === 'job_progress' && job && data.jobId === job.jobId) {
+            applyProgress(data);
+        }
+    });
+
+    // Catch up on progress sent before the job was tracked, and keep
+    // polling while live progress over WebSocket is unavailable
+    useEffect(() => {
+        if (!job) return;
+
+        async function poll() {
+            try {
+                const res = await api.get(`/logs/jobs/${job.jobId}`);
+                applyProgress(res.data);
+            } catch (e) {
+                if (e.response?.status === 404) {
+                    setJob(null);
+                    setError('The retro-hunt ended before its results could be read.');
+                }
+            }
+        }
+
+        poll();
+        if (isConnected) return;
+        const timer = setInterval(poll, 2000);
+        return () => clearInterval(timer);
+    }, [job?.jobId, isConnected]);
+
+    async function hunt(dryRun) {
+        setStarting(dryRun ? 'preview' : 'apply');
+        setError('');
+        try {
+            const res = await api.post('/logs/retro-hunt', { ...scope, dryRun });
+            setJob(res.data);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Retro-hunt failed.');
+        } finally {
+            setStarting('');
+        }
+    }
+
+    function applyProgress(progress) {
+        if (progress.status === 'completed') {
+            setJob(null);
+            setPreview(progress);
+            setApplied(!progress.dryRun);
+            if (!progress.dryRun && onApplied) onApplied(progress);
+        } else if (progress.status === 'failed') {
+            setJob(null);
+            setError(progress.error || 'Retro-hunt failed.');
+        } else if (progress.status === 'cancelled') {
+            setJob(null);
+            setError(progress.dryRun
+                ? 'Retro-hunt cancelled.'
+                : 'Retro-hunt cancelled. Sessions it had already hunted keep their updated threats.');
+            if (!progress.dryRun && onApplied) onApplied(progress);
+        } else {
+            setJob(prev => ({ ...prev, ...progress }));
+        }
+    }
+
+    async function handleCancel() {
+        if (!job) return;
+        try {
+            await api.post(`/logs/jobs/${job.jobId}/cancel`);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to cancel the retro-hunt.');
+        }
+    }
+
+    const sessions = preview?.sessions || [];
+    const changes = sessions.reduce((sum, s) => sum + s.added.length + s.changed.length + s.removed.length, 0);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="glass-card p-5 space-y-3"
+        >
+            <div className="flex flex-wrap items-center gap-3">
+                <div className="mr-auto">
+                    <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2">
+                        <History size={14} className="text-neon-purple" />
+                        Retro-hunt
+                    </h3>
+                    <p className="text-xs text-gray-500 mt-1">
+                        Re-run the current detection rules over {sessionId ? 'this session' : 'every stored session'}
+                    </p>
+                </div>
+                <button
+                    onClick={() => hunt(true)}
+                    disabled={Boolean(busy)}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-purple/10 text-neon-purple border border-neon-purple/20 hover:bg-neon-purple/20 transition-all text-sm disabled:opacity-50"
+                >
+                    {busy === 'preview' ? <Loader2 size={14} className="animate-spin" /> : <Play size={14} />}
+                    Preview
+                </button>
+                {preview?.dryRun && changes > 0 && (
+                    <button
+                        onClick={() => hunt(false)}
+                        disabled={Boolean(busy)}
+                        className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-cyan/10 text-neon-cyan border border-neon-cyan/20 hover:bg-neon-cyan/20 transition-all text-sm disabled:opacity-50"
+                    >
+                        {busy === 'apply' ? <Loader2 size={14} className="animate-spin" /> : <CheckCircle2 size={14} />}
+                        Apply {changes} change{changes === 1 ? '' : 's'}
+                    </button>
+                )}
+            </div>
+
+            {job && (
+                <div className="space-y-2">
+                    <div className="flex items-center justify-between text-xs">
+                        <span className="flex items-center gap-2 text-neon-cyan">
+                            <Loader2 size={14} className="animate-spin" />
+                            {job.currentSession ? `Hunting ${job.currentSession}` : 'Queued'}
+                            {job.sessionsTotal > 1 && (
+                                <span className="text-gray-500">· session {Math.min(job.sessionsDone + 1, job.sessionsTotal)} of {job.sessionsTotal}</span>
+                            )}
+                        </span>
+                        <span className="font-mono text-gray-400">{job.percent || 0}%</span>
+                    </div>
+                    <div className="h-1.5 bg-cyber-border rounded-full overflow-hidden">
+                        <motion.div
+                            className="h-full bg-gradient-to-r from-neon-purple to-neon-cyan rounded-full"
+                            animate={{ width: `${job.percent || 0}%` }}
+                            transition={{ duration: 0.4 }}
+                        />
+                    </div>
+                    <div className="flex items-center justify-between text-[11px] text-gray-500 font-mono">
+                        <span>
+                            {(job.entriesScanned || 0).toLocaleString()} of {(job.totalEntries || 0).toLocaleString()} entries
+                        </span>
+                        <button
+                            onClick={handleCancel}
+                            className="flex items-center gap-1.5 px-3 py-1 rounded-lg bg-neon-red/10 text-neon-red border border-neon-red/20 hover:bg-neon-red/20 transition-all"
+                        >
+                            <Ban size={12} />
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {error && <p className="text-xs text-neon-red">{error}</p>}
+
+            {preview && (
+                <div className="space-y-3">
+                    <p className={`text-xs ${applied ? 'text-neon-green' : 'text-gray-400'}`}>
+                        {applied ? 'Applied: ' : ''}
+                        {changes === 0
+                            ? 'Findings are up to date'
+                            : `${changes} finding${changes === 1 ? '' : 's'} ${applied ? 'updated' : 'would change'}`}
+                        {' '}across {sessions.length} session{sessions.length === 1 ? '' : 's'} ({preview.durationMs} ms)
+                    </p>
+
+                    {sessions.filter(s => s.added.length + s.changed.length + s.removed.length > 0).map(s => (
+                        <div key={s.sessionId} className="p-3 rounded-lg bg-black/30 space-y-1">
+                            {!sessionId && (
+                                <p className="text-xs text-gray-300 font-semibold mb-1">
+                                    {s.filename} <span className="text-gray-600 font-normal">· {s.unchanged} unchanged · risk {s.riskScore}</span>
+                                </p>
+                            )}
+                            {['added', 'changed', 'removed'].flatMap(change => s[change].map((finding, i) => (
+                                <div key={`${change}-${i}`} className="flex flex-wrap items-center gap-2 text-xs">
+                                    <span className={`w-16 uppercase text-[10px] font-bold ${CHANGE_STYLES[change].className}`}>
+                                        {CHANGE_STYLES[change].label}
+                                    </span>
+                                    <span className={`severity-${finding.severity} font-semibold`}>{finding.type}</span>
+                                    {finding.sourceIP && <span className="font-mono text-gray-500">{finding.sourceIP}</span>}
+                                    <span className="text-gray-600">
+                                        ×{finding.previous && finding.previous.count !== finding.count ? `${finding.previous.count} → ${finding.count}` : finding.count}
+                                    </span>
+                                    {finding.ruleId && (
+                                        <span className="ml-auto font-mono text-[10px] text-gray-600">
+                                            {finding.ruleId}{finding.ruleVersion ? ` v${finding.ruleVersion}` : ''}
+                                        </span>
+                                    )}
+                                </div>
+                            )))}
+                        </div>
+                    ))}
+
+                    {preview.skipped.length > 0 && (
+                        <p className="text-xs text-gray-600">
+                            Skipped {preview.skipped.map(s => `${s.filename || s.sessionId} (${s.reason})`).join(', ')}
+                        </p>
+                    )}
+                </div>
+            )}
+        </motion.div>
+    );
+}
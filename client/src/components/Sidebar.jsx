@@ -9,6 +9,7 @@ import {
     Menu,
     X,
     ShieldAlert,
+    ShieldCheck,
 } from 'lucide-react';
 import { useState } from 'react';
 
@@ -18,6 +19,7 @@ const navItems = [
     { path: '/stream', icon: Radio, label: 'Live Stream' },
     { path: '/analysis', icon: BrainCircuit, label: 'AI Analysis' },
     { path: '/mitre', icon: Shield, label: 'MITRE ATT&CK' },
+    { path: '/rules', icon: ShieldCheck, label: 'Detection Rules' },
 ];
 
 export default function Sidebar() {
@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
+import api from '../utils/api';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Paged list of the log lines behind one threat, with the text that made
+ * each line count highlighted
+ */
+export default function ThreatEvidence({ threatId }) {
+    const [entries, setEntries] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [page, setPage] = useState(1);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchEvidence();
+    }, [threatId, page]);
+
+    async function fetchEvidence() {
+        setLoading(true);
+        setError('');
+        try {
+            const res = await api.get(`/logs/threats/${threatId}/evidence`, { params: { page, limit: PAGE_SIZE } });
+            setEntries(res.data.entries || []);
+            setPagination(res.data.pagination);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to load evidence.');
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    return (
+        <div className="mt-3 pt-3 border-t border-cyber-border/50 space-y-2">
+            {error && <p className="text-xs text-neon-red">{error}</p>}
+
+            <div className="max-h-[400px] overflow-y-auto rounded bg-[#080c18] font-mono text-[11px] leading-relaxed">
+                {entries.map(entry => (
+                    <div key={entry.id} className="flex px-2 py-0.5 hover:bg-white/[0.02]">
+                        <span className="text-gray-600 flex-shrink-0 pr-3 select-none whitespace-nowrap">{entry.timestamp}</span>
+                        <span className="text-gray-400 whitespace-pre-wrap break-all">
+                            <Highlighted text={entry.raw_line || entry.message || ''} match={entry.matched} />
+                        </span>
+                    </div>
+                ))}
+                {loading && (
+                    <div className="flex justify-center py-3">
+                        <Loader2 size={16} className="animate-spin text-neon-cyan" />
+                    </div>
+                )}
+                {!loading && !error && entries.length === 0 && (
+                    <p className="text-gray-600 text-center py-3">No stored log entries for this threat</p>
+                )}
+            </div>
+
+            {pagination && (
+                <div className="flex items-center justify-end gap-3 text-xs text-gray-500">
+                    <span className="mr-auto">{pagination.total} matching line{pagination.total === 1 ? '' : 's'}</span>
+                    {pagination.totalPages > 1 && (
+                        <>
+                            <button
+                                onClick={() => setPage(page - 1)}
+                                disabled={page <= 1 || loading}
+                                className="p-1 rounded hover:bg-white/5 disabled:opacity-30"
+                            >
+                                <ChevronLeft size={14} />
+                            </button>
+                            Page {pagination.page} of {pagination.totalPages}
+                            <button
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= pagination.totalPages || loading}
+                                className="p-1 rounded hover:bg-white/5 disabled:opacity-30"
+                            >
+                                <ChevronRight size={14} />
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Every case-insensitive occurrence of match in text, marked
+function Highlighted({ text, match }) {
+    if (!match) return text;
+    const escaped = match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const parts = text.split(new RegExp(`(${escaped})`, 'gi'));
+    return parts.map((part, i) => (
+        i % 2 === 1
+            ? <mark key={i} className="bg-neon-orange/20 text-neon-orange rounded px-0.5">{part}</mark>
+            : part
+    ));
+}
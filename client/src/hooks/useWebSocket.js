@@ -2,10 +2,11 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 
 const WS_URL = `ws://localhost:3001/ws`;
 
-export default function useWebSocket() {
+export default function useWebSocket(onEvent) {
     const [messages, setMessages] = useState([]);
     const [isConnected, setIsConnected] = useState(false);
     const wsRef = useRef(null);
+    const onEventRef = useRef(onEvent);
     const reconnectTimer = useRef(null);
     const mountedRef = useRef(true);
     const maxMessages = 500;
@@ -34,6 +35,7 @@ export default function useWebSocket() {
                 if (!mountedRef.current) return;
                 try {
                     const data = JSON.parse(event.data);
+                    if (onEventRef.current) onEventRef.current(data);
                     // Only track log and threat messages in the messages array
                     if (data.type === 'log' || data.type === 'threat') {
                         setMessages((prev) => {
@@ -76,6 +78,10 @@ export default function useWebSocket() {
         setMessages([]);
     }, []);
 
+    useEffect(() => {
+        onEventRef.current = onEvent;
+    }, [onEvent]);
+
     useEffect(() => {
         mountedRef.current = true;
         connect();
@@ -7,9 +7,14 @@ import {
 } from 'recharts';
 import {
     BrainCircuit, Shield, AlertTriangle, TrendingUp, Clock,
-    ChevronRight, ChevronDown, ExternalLink, Server, Globe, Loader2, FileText,
+    ChevronRight, ChevronDown, ExternalLink, Server, Globe, Loader2,
 } from 'lucide-react';
 import api from '../utils/api';
+import LogEntries from '../components/LogEntries';
+import ParseReport from '../components/ParseReport';
+import RetroHunt from '../components/RetroHunt';
+import RawLog from '../components/RawLog';
+import ThreatEvidence from '../components/ThreatEvidence';
 
 export default function Analysis() {
     const { sessionId } = useParams();
@@ -17,20 +22,27 @@ export default function Analysis() {
     const [analysisData, setAnalysisData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [selectedSession, setSelectedSession] = useState(sessionId || null);
-    const [showLogContent, setShowLogContent] = useState(false);
+    const [openThreat, setOpenThreat] = useState(null);
+    const [source, setSource] = useState('');
 
     useEffect(() => {
         fetchSessions();
     }, []);
 
     useEffect(() => {
-        if (selectedSession) fetchAnalysis(selectedSession);
-    }, [selectedSession]);
+        if (selectedSession) fetchAnalysis(selectedSession, source);
+    }, [selectedSession, source]);
 
     useEffect(() => {
-        if (sessionId) setSelectedSession(sessionId);
+        if (sessionId) selectSession(sessionId);
     }, [sessionId]);
 
+    // Source filters belong to one session
+    function selectSession(sid) {
+        setSource('');
+        setSelectedSession(sid);
+    }
+
     async function fetchSessions() {
         try {
             const res = await api.get('/logs/sessions');
@@ -45,10 +57,10 @@ export default function Analysis() {
         }
     }
 
-    async function fetchAnalysis(sid) {
+    async function fetchAnalysis(sid, sourceFilter) {
         setLoading(true);
         try {
-            const res = await api.get(`/logs/analysis/${sid}`);
+            const res = await api.get(`/logs/analysis/${sid}`, { params: sourceFilter ? { source: sourceFilter } : {} });
             setAnalysisData(res.data);
         } catch (e) {
             console.error('Analysis fetch error:', e);
@@ -81,7 +93,7 @@ export default function Analysis() {
         );
     }
 
-    const { session, analysis, threats } = analysisData || {};
+    const { session, analysis, threats, sources = [] } = analysisData || {};
 
     return (
         <div className="space-y-6">
@@ -92,19 +104,37 @@ export default function Analysis() {
                     <p className="text-gray-500 text-sm mt-1">Intelligent threat assessment and behavioral analysis</p>
                 </div>
 
-                {sessions.length > 1 && (
-                    <select
-                        value={selectedSession}
-                        onChange={(e) => setSelectedSession(e.target.value)}
-                        className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
-                    >
-                        {sessions.map(s => (
-                            <option key={s.id} value={s.id}>
-                                {s.filename} — Risk: {s.risk_score}
-                            </option>
-                        ))}
-                    </select>
-                )}
+                <div className="flex flex-wrap gap-2">
+                    {sources.length > 1 && (
+                        <select
+                            value={source}
+                            onChange={(e) => setSource(e.target.value)}
+                            title="Filter entries by source"
+                            className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                        >
+                            <option value="">All sources ({sources.length})</option>
+                            {sources.map(s => (
+                                <option key={s.source} value={s.source}>
+                                    {s.source}{s.hosts.length ? ` @ ${s.hosts.join(', ')}` : ''} — {s.count} entries
+                                </option>
+                            ))}
+                        </select>
+                    )}
+
+                    {sessions.length > 1 && (
+                        <select
+                            value={selectedSession}
+                            onChange={(e) => selectSession(e.target.value)}
+                            className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                        >
+                            {sessions.map(s => (
+                                <option key={s.id} value={s.id}>
+                                    {s.filename} — Risk: {s.risk_score}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                </div>
             </div>
 
             {analysisData && (
@@ -143,13 +173,21 @@ export default function Analysis() {
 
                         {/* Stats Grid */}
                         <div className="lg:col-span-3 grid grid-cols-2 sm:grid-cols-4 gap-3">
-                            <MiniStat icon={<Server size={16} />} label="Log Entries" value={session?.total_lines || 0} color="text-neon-cyan" />
+                            <MiniStat icon={<Server size={16} />} label="Log Entries" value={source ? analysisData.entryCount : session?.total_lines || 0} color="text-neon-cyan" />
                             <MiniStat icon={<Shield size={16} />} label="Threats" value={session?.threat_count || 0} color="text-neon-red" />
                             <MiniStat icon={<Globe size={16} />} label="Unique IPs" value={analysis?.stats?.uniqueIPs || 0} color="text-neon-purple" />
                             <MiniStat icon={<AlertTriangle size={16} />} label="Anomalies" value={analysis?.anomalies?.length || 0} color="text-neon-orange" />
                         </div>
                     </div>
 
+                    {analysisData?.guessedTimes > 0 && (
+                        <div className="glass-card px-4 py-3 flex items-center gap-2 text-xs text-gray-400">
+                            <Clock size={14} className="text-neon-orange shrink-0" />
+                            {analysisData.guessedTimes} of {analysisData.entryCount} entries had no readable timestamp. Their times were
+                            estimated from the surrounding lines and left out of time-window detections and the timeline.
+                        </div>
+                    )}
+
                     {/* AI Summary */}
                     <motion.div
                         initial={{ opacity: 0, y: 20 }}
@@ -249,6 +287,13 @@ export default function Analysis() {
                         </motion.div>
                     )}
 
+                    {/* Re-run detection with the current rules */}
+                    <RetroHunt
+                        key={selectedSession}
+                        sessionId={selectedSession}
+                        onApplied={() => { fetchSessions(); fetchAnalysis(selectedSession, source); }}
+                    />
+
                     {/* Threats Table */}
                     {threats?.length > 0 && (
                         <motion.div
@@ -270,7 +315,11 @@ export default function Analysis() {
                                         transition={{ delay: 0.05 * i }}
                                         className="p-4 rounded-lg bg-white/[0.02] border border-cyber-border/50 hover:border-neon-red/20 transition-all"
                                     >
-                                        <div className="flex flex-wrap items-center gap-3 mb-2">
+                                        <button
+                                            onClick={() => setOpenThreat(openThreat === threat.id ? null : threat.id)}
+                                            title="Show the log lines behind this threat"
+                                            className="w-full flex flex-wrap items-center gap-3 mb-2 text-left"
+                                        >
                                             <span className={`severity-${threat.severity} font-bold text-sm`}>
                                                 {threat.type}
                                             </span>
@@ -282,69 +331,41 @@ export default function Analysis() {
                                                     {threat.mitre_id} — {threat.mitre_name}
                                                 </span>
                                             )}
-                                        </div>
+                                            <ChevronDown
+                                                size={14}
+                                                className={`ml-auto text-gray-500 transition-transform ${openThreat === threat.id ? 'rotate-180' : ''}`}
+                                            />
+                                        </button>
                                         <p className="text-sm text-gray-400">{threat.description}</p>
-                                        {threat.source_ip && (
-                                            <p className="text-xs text-gray-600 font-mono mt-2">Source: {threat.source_ip} · Count: {threat.count}</p>
+                                        {(threat.source_ip || threat.rule_id) && (
+                                            <p className="text-xs text-gray-600 font-mono mt-2">
+                                                {threat.source_ip && `Source: ${threat.source_ip} · Count: ${threat.count}`}
+                                                {threat.source_ip && threat.rule_id && ' · '}
+                                                {threat.rule_id && `Rule: ${threat.rule_id}${threat.rule_version ? ` v${threat.rule_version}` : ''}`}
+                                            </p>
                                         )}
+                                        {threat.first_seen && (
+                                            <p className="text-xs text-gray-600 font-mono mt-1 flex items-center gap-1">
+                                                <Clock size={11} />
+                                                {new Date(threat.first_seen).toLocaleString()}
+                                                {threat.last_seen !== threat.first_seen && ` → ${new Date(threat.last_seen).toLocaleString()}`}
+                                            </p>
+                                        )}
+                                        {openThreat === threat.id && <ThreatEvidence threatId={threat.id} />}
                                     </motion.div>
                                 ))}
                             </div>
                         </motion.div>
                     )}
 
-                    {/* Raw Log Content Viewer */}
-                    <motion.div
-                        initial={{ opacity: 0, y: 20 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        transition={{ delay: 0.6 }}
-                        className="glass-card overflow-hidden"
-                    >
-                        <button
-                            onClick={() => setShowLogContent(!showLogContent)}
-                            className="w-full flex items-center justify-between p-5 text-left hover:bg-white/[0.02] transition-colors"
-                        >
-                            <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2">
-                                <FileText size={14} className="text-neon-green" />
-                                View Uploaded Log File ({session?.filename})
-                            </h3>
-                            <ChevronDown
-                                size={16}
-                                className={`text-gray-500 transition-transform duration-300 ${showLogContent ? 'rotate-180' : ''}`}
-                            />
-                        </button>
+                    {/* How well the upload's lines were parsed */}
+                    <ParseReport sessionId={selectedSession} />
 
-                        {showLogContent && (
-                            <motion.div
-                                initial={{ opacity: 0, height: 0 }}
-                                animate={{ opacity: 1, height: 'auto' }}
-                                className="border-t border-cyber-border"
-                            >
-                                <div className="flex items-center gap-2 px-5 py-2 bg-black/30 border-b border-cyber-border">
-                                    <div className="flex gap-1.5">
-                                        <div className="w-2.5 h-2.5 rounded-full bg-red-500/70" />
-                                        <div className="w-2.5 h-2.5 rounded-full bg-yellow-500/70" />
-                                        <div className="w-2.5 h-2.5 rounded-full bg-green-500/70" />
-                                    </div>
-                                    <span className="text-xs text-gray-500 font-mono ml-2">{session?.filename}</span>
-                                    <span className="text-xs text-gray-600 ml-auto font-mono">
-                                        {analysisData?.rawLogContent?.split('\n').length || 0} lines
-                                    </span>
-                                </div>
-                                <pre className="p-4 overflow-x-auto max-h-[500px] overflow-y-auto font-mono text-xs leading-relaxed bg-[#080c18]">
-                                    {analysisData?.rawLogContent
-                                        ? analysisData.rawLogContent.split('\n').map((line, i) => (
-                                            <div key={i} className="hover:bg-white/[0.02] flex">
-                                                <span className="text-gray-700 w-10 flex-shrink-0 text-right pr-3 select-none">{i + 1}</span>
-                                                <span className="text-gray-400">{line}</span>
-                                            </div>
-                                        ))
-                                        : <span className="text-gray-600">No log content available</span>
-                                    }
-                                </pre>
-                            </motion.div>
-                        )}
-                    </motion.div>
+                    {/* Stored entries and their extra fields */}
+                    <LogEntries sessionId={selectedSession} source={source} />
+
+                    {/* Raw Log Content Viewer */}
+                    <RawLog sessionId={selectedSession} source={source} title={source || session?.filename} />
                 </>
             )}
         </div>
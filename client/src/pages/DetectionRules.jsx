@@ -0,0 +1,467 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import {
+    ShieldCheck, Plus, Save, Trash2, Loader2, Play, History,
+    SlidersHorizontal, FileCode2, RotateCcw, CheckCircle2,
+} from 'lucide-react';
+import api from '../utils/api';
+import RetroHunt from '../components/RetroHunt';
+
+const KIND_LABELS = {
+    builtin: 'Built-in Detectors',
+    file: 'Rule Files',
+    custom: 'Saved Rules',
+};
+
+const NEW_RULE_TEXT = `id: my-rule
+title: My Rule
+description: What this rule catches.
+severity: medium
+tags: [attack.credential_access, attack.t1110]
+detection:
+  selection:
+    event.outcome: failure
+    user.name|startswith: admin
+  condition: selection
+aggregation:
+  count: 5
+  by: source.ip
+  timeframe: 5m
+`;
+
+/**
+ * Detection rules: enable, disable and tune the built-in detectors and
+ * rules, write new rules in YAML, JSON or Sigma, and dry-run any of them
+ * against a stored session before saving
+ */
+export default function DetectionRules() {
+    const [rules, setRules] = useState([]);
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedId, setSelectedId] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [text, setText] = useState('');
+    const [thresholds, setThresholds] = useState({});
+    const [sessionId, setSessionId] = useState('');
+    const [test, setTest] = useState(null);
+    const [busy, setBusy] = useState('');
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    useEffect(() => {
+        fetchRules();
+        api.get('/logs/sessions')
+            .then(res => {
+                const completed = (res.data.sessions || []).filter(s => s.status === 'completed');
+                setSessions(completed);
+                if (completed.length > 0) setSessionId(completed[0].id);
+            })
+            .catch(e => console.error('Sessions fetch error:', e));
+    }, []);
+
+    async function fetchRules() {
+        try {
+            const res = await api.get('/rules');
+            setRules(res.data.rules || []);
+        } catch (e) {
+            console.error('Rules fetch error:', e);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    async function select(id) {
+        setSelectedId(id);
+        setTest(null);
+        setError('');
+        setNotice('');
+        if (id === null) {
+            setDetail(null);
+            setText(NEW_RULE_TEXT);
+            setThresholds({});
+            return;
+        }
+        try {
+            const res = await api.get(`/rules/${encodeURIComponent(id)}`);
+            show(res.data.rule);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to load rule.');
+        }
+    }
+
+    function show(rule) {
+        setDetail(rule);
+        setText(rule.text || (rule.definition ? JSON.stringify(rule.definition, null, 2) : ''));
+        setThresholds(rule.thresholds);
+    }
+
+    // Only thresholds that differ from the defaults are stored, so defaults changed later still apply
+    function overrides() {
+        if (!detail) return null;
+        const changed = Object.entries(thresholds).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(detail.defaults[key]));
+        return changed.length > 0 ? Object.fromEntries(changed) : null;
+    }
+
+    async function run(label, action, success) {
+        setBusy(label);
+        setError('');
+        setNotice('');
+        try {
+            await action();
+            if (success) setNotice(success);
+        } catch (e) {
+            setError(e.response?.data?.error || `Failed to ${label.toLowerCase()}.`);
+        } finally {
+            setBusy('');
+        }
+    }
+
+    const isNew = selectedId === null && text !== '';
+    const editable = isNew || detail?.kind === 'custom';
+    const textChanged = detail && editable && text !== (detail.text || JSON.stringify(detail.definition, null, 2));
+
+    function handleSave() {
+        return run('Save', async () => {
+            if (isNew) {
+                const res = await api.post('/rules', { text });
+                await fetchRules();
+                setSelectedId(res.data.rule.id);
+                show(res.data.rule);
+            } else {
+                const res = await api.put(`/rules/${encodeURIComponent(detail.id)}`, {
+                    ...(textChanged ? { text } : {}),
+                    thresholds: overrides(),
+                });
+                await fetchRules();
+                show(res.data.rule);
+            }
+        }, 'Saved.');
+    }
+
+    function handleToggle(rule) {
+        return run('Update', async () => {
+            await api.put(`/rules/${encodeURIComponent(rule.id)}`, { enabled: !rule.enabled });
+            await fetchRules();
+            if (detail?.id === rule.id) setDetail({ ...detail, enabled: !rule.enabled });
+        });
+    }
+
+    function handleDelete() {
+        return run('Delete', async () => {
+            await api.delete(`/rules/${encodeURIComponent(detail.id)}`);
+            setSelectedId(undefined);
+            setDetail(null);
+            setText('');
+            await fetchRules();
+        }, 'Rule deleted.');
+    }
+
+    function handleTest() {
+        return run('Test', async () => {
+            // Unsaved edits are tested as written; saved rules by id
+            const body = isNew || textChanged
+                ? { sessionId, text, thresholds: isNew ? null : overrides() }
+                : { sessionId, id: detail.id, thresholds: overrides() };
+            const res = await api.post('/rules/test', body);
+            setTest(res.data);
+        });
+    }
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-[60vh]">
+                <Loader2 size={32} className="animate-spin text-neon-cyan" />
+            </div>
+        );
+    }
+
+    const groups = Object.keys(KIND_LABELS)
+        .map(kind => [kind, rules.filter(r => r.kind === kind)])
+        .filter(([, items]) => items.length > 0);
+    const showEditor = isNew || detail;
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl lg:text-3xl font-cyber font-bold gradient-text flex items-center gap-3">
+                        <ShieldCheck size={28} className="text-neon-cyan" />
+                        Detection Rules
+                    </h1>
+                    <p className="text-gray-500 text-sm mt-1">
+                        Enable, tune and write the rules every upload is checked against
+                    </p>
+                </div>
+                <button
+                    onClick={() => select(null)}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-cyan/10 text-neon-cyan border border-neon-cyan/20 hover:bg-neon-cyan/20 transition-all text-sm"
+                >
+                    <Plus size={14} />
+                    New Rule
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 xl:grid-cols-[minmax(0,2fr)_minmax(0,3fr)] gap-6 items-start">
+                {/* Rule list */}
+                <div className="space-y-4">
+                    {groups.map(([kind, items]) => (
+                        <motion.div
+                            key={kind}
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="glass-card p-4"
+                        >
+                            <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">
+                                {KIND_LABELS[kind]} ({items.length})
+                            </h3>
+                            <div className="space-y-1">
+                                {items.map(rule => (
+                                    <div
+                                        key={rule.id}
+                                        className={`flex items-center gap-3 p-2 rounded-lg text-sm cursor-pointer transition-all ${selectedId === rule.id
+                                            ? 'bg-neon-cyan/10 border border-neon-cyan/20'
+                                            : 'border border-transparent hover:bg-white/[0.04]'
+                                            }`}
+                                        onClick={() => select(rule.id)}
+                                    >
+                                        <button
+                                            onClick={(e) => { e.stopPropagation(); handleToggle(rule); }}
+                                            disabled={Boolean(busy)}
+                                            title={rule.enabled ? 'Disable' : 'Enable'}
+                                            className={`w-8 h-4 rounded-full flex-shrink-0 relative transition-colors ${rule.enabled ? 'bg-neon-green/60' : 'bg-gray-700'}`}
+                                        >
+                                            <span className={`absolute top-0.5 w-3 h-3 rounded-full bg-white transition-all ${rule.enabled ? 'left-4' : 'left-0.5'}`} />
+                                        </button>
+                                        <span className={`truncate ${rule.enabled ? 'text-gray-300' : 'text-gray-600'}`}>{rule.title}</span>
+                                        <span className="ml-auto flex items-center gap-2 flex-shrink-0">
+                                            {rule.severity && (
+                                                <span className={`severity-${rule.severity} text-[10px] uppercase font-bold`}>{rule.severity}</span>
+                                            )}
+                                            {rule.overrides && <SlidersHorizontal size={12} className="text-neon-purple" title="Tuned" />}
+                                            <span className="text-[10px] font-mono text-gray-600">v{rule.version}</span>
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </motion.div>
+                    ))}
+
+                    {/* Bring stored sessions in line with the rules as they are now */}
+                    <RetroHunt />
+                </div>
+
+                {/* Editor */}
+                {showEditor ? (
+                    <motion.div
+                        key={selectedId || 'new'}
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className="glass-card p-5 space-y-5"
+                    >
+                        <div className="flex flex-wrap items-center gap-3">
+                            <h3 className="text-sm font-semibold text-gray-300 flex items-center gap-2 mr-auto">
+                                <FileCode2 size={14} className="text-neon-cyan" />
+                                {isNew ? 'New Rule' : detail.title}
+                                {detail && <span className="text-xs font-mono text-gray-600">{detail.id} · v{detail.version}</span>}
+                            </h3>
+                            {detail?.mitre?.id && <span className={`mitre-badge mitre-${detail.severity}`}>{detail.mitre.id}</span>}
+                        </div>
+
+                        {detail?.description && <p className="text-xs text-gray-500">{detail.description}</p>}
+
+                        {(editable || detail?.definition) && (
+                            <div className="space-y-2">
+                                <textarea
+                                    value={text}
+                                    onChange={(e) => { setText(e.target.value); setTest(null); }}
+                                    readOnly={!editable}
+                                    rows={16}
+                                    spellCheck={false}
+                                    className="w-full bg-black/30 border border-cyber-border rounded-lg px-3 py-2 text-xs font-mono text-gray-300 focus:outline-none focus:border-neon-cyan/30 read-only:text-gray-500"
+                                />
+                                <p className="text-xs text-gray-600">
+                                    {editable
+                                        ? 'YAML or JSON. Sigma rules (with a logsource) are converted when saved.'
+                                        : `Read from config/rules/${detail.source}; edit the file to change it.`}
+                                </p>
+                            </div>
+                        )}
+
+                        {detail && Object.keys(detail.defaults).length > 0 && (
+                            <div className="space-y-3">
+                                <h4 className="text-xs font-semibold text-gray-400 flex items-center gap-2">
+                                    <SlidersHorizontal size={12} />
+                                    Thresholds
+                                    {overrides() && (
+                                        <button
+                                            onClick={() => setThresholds(detail.defaults)}
+                                            className="ml-auto flex items-center gap-1 text-gray-500 hover:text-neon-cyan transition-colors font-normal"
+                                        >
+                                            <RotateCcw size={11} />
+                                            Defaults
+                                        </button>
+                                    )}
+                                </h4>
+                                <ThresholdFields
+                                    defaults={detail.defaults}
+                                    values={thresholds}
+                                    onChange={(key, value) => { setThresholds({ ...thresholds, [key]: value }); setTest(null); }}
+                                />
+                            </div>
+                        )}
+
+                        <div className="flex flex-wrap gap-3 items-center">
+                            {(isNew || textChanged || JSON.stringify(overrides()) !== JSON.stringify(detail?.overrides || null)) && (
+                                <button
+                                    onClick={handleSave}
+                                    disabled={Boolean(busy)}
+                                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-cyan/10 text-neon-cyan border border-neon-cyan/20 hover:bg-neon-cyan/20 transition-all text-sm disabled:opacity-50"
+                                >
+                                    {busy === 'Save' ? <Loader2 size={14} className="animate-spin" /> : <Save size={14} />}
+                                    {isNew ? 'Save Rule' : 'Save Changes'}
+                                </button>
+                            )}
+                            {detail?.kind === 'custom' && (
+                                <button
+                                    onClick={handleDelete}
+                                    disabled={Boolean(busy)}
+                                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/5 text-gray-400 border border-cyber-border hover:text-neon-red hover:bg-neon-red/10 transition-all text-sm disabled:opacity-50"
+                                >
+                                    {busy === 'Delete' ? <Loader2 size={14} className="animate-spin" /> : <Trash2 size={14} />}
+                                    Delete
+                                </button>
+                            )}
+                            {notice && <span className="text-xs text-neon-green flex items-center gap-1"><CheckCircle2 size={12} />{notice}</span>}
+                        </div>
+
+                        {error && <p className="text-xs text-neon-red">{error}</p>}
+
+                        {/* Dry run */}
+                        <div className="pt-4 border-t border-cyber-border space-y-3">
+                            <div className="flex flex-wrap gap-3 items-center">
+                                <select
+                                    value={sessionId}
+                                    onChange={(e) => { setSessionId(e.target.value); setTest(null); }}
+                                    className="flex-1 min-w-0 bg-cyber-card border border-cyber-border rounded-lg px-3 py-2 text-xs text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                                >
+                                    {sessions.length === 0 && <option value="">No analysed sessions</option>}
+                                    {sessions.map(s => (
+                                        <option key={s.id} value={s.id}>
+                                            {s.filename} — {s.total_lines} lines — {new Date(s.created_at).toLocaleString()}
+                                        </option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={handleTest}
+                                    disabled={Boolean(busy) || !sessionId || !text && !detail}
+                                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-purple/10 text-neon-purple border border-neon-purple/20 hover:bg-neon-purple/20 transition-all text-sm disabled:opacity-50"
+                                >
+                                    {busy === 'Test' ? <Loader2 size={14} className="animate-spin" /> : <Play size={14} />}
+                                    Test Against Session
+                                </button>
+                            </div>
+
+                            {test && <TestResults test={test} />}
+                        </div>
+
+                        {detail?.versions?.length > 1 && (
+                            <div className="pt-4 border-t border-cyber-border">
+                                <h4 className="text-xs font-semibold text-gray-400 flex items-center gap-2 mb-2">
+                                    <History size={12} />
+                                    Versions
+                                </h4>
+                                <div className="space-y-1 text-xs font-mono">
+                                    {detail.versions.map(v => (
+                                        <div key={v.version} className="flex gap-3 text-gray-500">
+                                            <span className="text-gray-400">v{v.version}</span>
+                                            <span>{v.createdAt}</span>
+                                            <span className="truncate">{v.thresholds ? JSON.stringify(v.thresholds) : 'default thresholds'}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </motion.div>
+                ) : (
+                    <div className="glass-card p-10 text-center text-gray-600">
+                        <ShieldCheck size={32} className="mx-auto mb-2 opacity-20" />
+                        <p className="text-sm">Select a rule to tune or test it, or write a new one</p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Inputs for a detector's thresholds: numbers, time frames, and pattern lists edited one per line
+ */
+function ThresholdFields({ defaults, values, onChange }) {
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {Object.entries(defaults).map(([key, fallback]) => {
+                const value = values[key];
+                if (Array.isArray(fallback)) {
+                    return (
+                        <label key={key} className="sm:col-span-2 text-xs space-y-1 block">
+                            <span className="text-gray-400">{key} <span className="text-gray-600">(one regular expression per line)</span></span>
+                            <textarea
+                                value={(value || []).join('\n')}
+                                onChange={(e) => onChange(key, e.target.value.split('\n').filter(line => line.trim() !== ''))}
+                                rows={Math.min(8, Math.max(3, (value || []).length))}
+                                spellCheck={false}
+                                className="w-full bg-black/30 border border-cyber-border rounded px-2 py-1 font-mono text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                            />
+                        </label>
+                    );
+                }
+                const numeric = typeof fallback === 'number';
+                return (
+                    <label key={key} className="flex items-center gap-3 text-xs">
+                        <span className="w-24 text-gray-400">{key}</span>
+                        <input
+                            type={numeric ? 'number' : 'text'}
+                            min={numeric ? 1 : undefined}
+                            value={value ?? ''}
+                            placeholder={numeric ? '' : 'e.g. 5m'}
+                            onChange={(e) => onChange(key, numeric ? Number(e.target.value) : e.target.value || null)}
+                            className="flex-1 bg-black/30 border border-cyber-border rounded px-2 py-1 font-mono text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                        />
+                    </label>
+                );
+            })}
+        </div>
+    );
+}
+
+function TestResults({ test }) {
+    return (
+        <div className="space-y-2">
+            <p className={`text-xs ${test.threats.length ? 'text-neon-orange' : 'text-neon-green'}`}>
+                {test.threats.length
+                    ? `Would raise ${test.threats.length} threat(s)`
+                    : 'Would raise nothing'} over {test.entriesScanned.toLocaleString()} entries ({test.durationMs} ms)
+                {test.truncated && (
+                    <span className="text-gray-500">
+                        {' '}— the first {test.entriesScanned.toLocaleString()} of {test.totalEntries.toLocaleString()}
+                    </span>
+                )}
+            </p>
+            {test.threats.map((threat, i) => (
+                <div key={i} className="p-3 rounded-lg bg-black/30 space-y-1">
+                    <div className="flex items-center gap-2 text-xs">
+                        <span className={`severity-${threat.severity} uppercase font-bold`}>{threat.severity}</span>
+                        <span className="text-gray-300 font-semibold">{threat.type}</span>
+                        {threat.sourceIP && <span className="font-mono text-gray-500">{threat.sourceIP}</span>}
+                        <span className="ml-auto text-gray-600">×{threat.count}</span>
+                    </div>
+                    <p className="text-xs text-gray-500">{threat.description}</p>
+                    {threat.rawEvidence && (
+                        <pre className="text-[11px] font-mono text-gray-600 whitespace-pre-wrap break-all max-h-32 overflow-y-auto">{threat.rawEvidence}</pre>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -1,36 +1,124 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import {
     Upload as UploadIcon, FileText, X, AlertCircle, CheckCircle2,
-    Loader2, Eye, Zap, File,
+    Loader2, Eye, Zap, File, Ban, Plus,
 } from 'lucide-react';
 import api from '../utils/api';
+import useWebSocket from '../hooks/useWebSocket';
+import GrokEditor from '../components/GrokEditor';
+import ColumnMapper from '../components/ColumnMapper';
 
-const MAX_SIZE = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024 * 1024; // 5GB, until the server reports its limit
+const DEFAULT_MAX_FILES = 20;
+// Format selector values for a one-off expression → its syntax
+const EXPRESSION_FORMATS = {
+    __grok: { syntax: 'grok', label: 'Custom grok expression…' },
+    __nginx: { syntax: 'nginx', label: 'nginx log_format…' },
+    __apache: { syntax: 'apache', label: 'Apache LogFormat…' },
+};
+// How lines group into events; '' keeps the server default (stack traces)
+const MULTILINE_RULES = {
+    '': 'Group stack traces',
+    timestamp: 'Events start with a timestamp',
+    none: 'One event per line',
+    __start: 'Custom event start pattern…',
+};
+// Uploads made only of these files get the column mapping step
+const DELIMITED_FILE_REGEX = /\.(csv|tsv)$/i;
+const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// Source timezone choices for log times written without an offset
+const TIMEZONES = ['UTC', ...(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone').filter(z => z !== 'UTC') : [])];
 
 export default function Upload() {
-    const [file, setFile] = useState(null);
+    const [files, setFiles] = useState([]);
     const [preview, setPreview] = useState('');
     const [isDragging, setIsDragging] = useState(false);
     const [uploading, setUploading] = useState(false);
     const [result, setResult] = useState(null);
     const [error, setError] = useState('');
+    const [maxSize, setMaxSize] = useState(DEFAULT_MAX_SIZE);
+    const [maxFiles, setMaxFiles] = useState(DEFAULT_MAX_FILES);
+    const [uploadPercent, setUploadPercent] = useState(0);
+    const [job, setJob] = useState(null);
+    const [formats, setFormats] = useState([]);
+    const [format, setFormat] = useState('');
+    const [expression, setExpression] = useState('');
+    const [columns, setColumns] = useState(null);
+    const [multiline, setMultiline] = useState('');
+    const [multilineStart, setMultilineStart] = useState('');
+    const [timezone, setTimezone] = useState('UTC');
     const fileInputRef = useRef(null);
     const navigate = useNavigate();
 
-    function handleFile(f) {
+    const { isConnected } = useWebSocket((data) => {
+        if (data.type === 'job_progress' && job && data.sessionId === job.sessionId) {
+            applyProgress(data);
+        }
+    });
+
+    // Catch up on progress sent before the job was tracked, and keep
+    // polling while live progress over WebSocket is unavailable
+    useEffect(() => {
+        if (!job) return;
+
+        async function poll() {
+            try {
+                const res = await api.get(`/logs/jobs/${job.sessionId}`);
+                applyProgress(res.data);
+            } catch (e) {
+                if (e.response?.status === 404) {
+                    setJob(null);
+                    setError('Analysis ended without producing a session.');
+                }
+            }
+        }
+
+        poll();
+        if (isConnected) return;
+        const timer = setInterval(poll, 2000);
+        return () => clearInterval(timer);
+    }, [job?.sessionId, isConnected]);
+
+    useEffect(() => {
+        api.get('/logs/limits')
+            .then(res => {
+                setMaxSize(res.data.maxFileSize);
+                if (res.data.maxFiles) setMaxFiles(res.data.maxFiles);
+            })
+            .catch(() => { /* keep default */ });
+        api.get('/parsers')
+            .then(res => setFormats(res.data.formats || []))
+            .catch(() => { /* auto-detect only */ });
+    }, []);
+
+    // Files are added to the selection; all of them are analysed together in one session
+    function handleFiles(list) {
         setError('');
         setResult(null);
 
-        if (f.size > MAX_SIZE) {
-            setError('File too large. Maximum size is 10MB.');
+        const added = Array.from(list);
+        const tooLarge = added.find(f => f.size > maxSize);
+        if (tooLarge) {
+            setError(`${tooLarge.name} is too large. Maximum size is ${formatBytes(maxSize)}.`);
             return;
         }
 
-        setFile(f);
+        const isNew = f => !files.some(existing => existing.name === f.name && existing.size === f.size);
+        const next = [...files, ...added.filter(isNew)];
+        if (next.length > maxFiles) {
+            setError(`Upload at most ${maxFiles} files at once.`);
+            return;
+        }
+        setFiles(next);
+        if (files.length === 0 && next.length > 0) {
+            setColumns(null);
+            readPreview(next[0]);
+        }
+    }
 
-        // Read preview
+    function readPreview(f) {
         const reader = new FileReader();
         reader.onload = (e) => {
             const text = e.target.result;
@@ -40,27 +128,60 @@ export default function Upload() {
         reader.readAsText(f.slice(0, 5000));
     }
 
+    function removeFile(index) {
+        const next = files.filter((_, i) => i !== index);
+        setFiles(next);
+        if (index === 0) {
+            setPreview('');
+            setColumns(null);
+            if (next.length > 0) readPreview(next[0]);
+        }
+    }
+
     function handleDrop(e) {
         e.preventDefault();
         setIsDragging(false);
-        const f = e.dataTransfer.files[0];
-        if (f) handleFile(f);
+        if (e.dataTransfer.files.length > 0) handleFiles(e.dataTransfer.files);
     }
 
     async function handleUpload() {
-        if (!file) return;
+        if (files.length === 0) return;
+        const custom = EXPRESSION_FORMATS[format];
+        if (custom && !expression.trim()) {
+            setError('Enter the format expression or pick another format.');
+            return;
+        }
+        if (multiline === '__start' && !multilineStart.trim()) {
+            setError('Enter the pattern that starts an event, or pick another multiline rule.');
+            return;
+        }
         setUploading(true);
+        setUploadPercent(0);
         setError('');
 
         try {
             const formData = new FormData();
-            formData.append('logfile', file);
+            if (custom) formData.append(custom.syntax, expression);
+            else if (mapColumns && columns) {
+                formData.append('columns', JSON.stringify(columns.columns));
+                formData.append('delimiter', columns.delimiter);
+            } else if (format) formData.append('format', format);
+            formData.append('timezone', timezone);
+            if (multiline === '__start') formData.append('multiline', JSON.stringify({ start: multilineStart }));
+            else if (multiline) formData.append('multiline', multiline);
+            // Original modification times let the server infer the year of syslog-style timestamps
+            files.forEach(f => {
+                formData.append('logfile', f);
+                formData.append('lastModified', f.lastModified);
+            });
 
             const res = await api.post('/logs/upload', formData, {
                 headers: { 'Content-Type': 'multipart/form-data' },
+                timeout: 0, // large files can take longer than the default timeout
+                onUploadProgress: (e) => e.total && setUploadPercent(Math.round((e.loaded / e.total) * 100)),
             });
 
-            setResult(res.data);
+            setJob(res.data);
         } catch (e) {
             setError(e.response?.data?.error || 'Upload failed. Please try again.');
         } finally {
@@ -68,13 +189,52 @@ export default function Upload() {
         }
     }
 
+    function applyProgress(progress) {
+        if (progress.status === 'completed') {
+            setJob(null);
+            setResult(progress);
+        } else if (progress.status === 'failed') {
+            setJob(null);
+            setError(progress.error || 'Analysis failed. Please try again.');
+        } else if (progress.status === 'cancelled') {
+            setJob(null);
+            setError('Analysis cancelled.');
+        } else {
+            setJob(prev => ({ ...prev, ...progress }));
+        }
+    }
+
+    async function handleCancel() {
+        if (!job) return;
+        try {
+            await api.post(`/logs/jobs/${job.sessionId}/cancel`);
+        } catch (e) {
+            setError(e.response?.data?.error || 'Failed to cancel analysis.');
+        }
+    }
+
     function reset() {
-        setFile(null);
+        setFiles([]);
         setPreview('');
         setResult(null);
+        setJob(null);
+        setFormat('');
+        setExpression('');
+        setColumns(null);
+        setMultiline('');
+        setMultilineStart('');
+        setTimezone('UTC');
         setError('');
     }
 
+    function handleFormatSaved(saved) {
+        setFormats(prev => [...prev.filter(f => f.name !== saved.name), saved]);
+        setFormat(saved.name);
+    }
+
+    // CSV / TSV uploads read as plain CSV get their columns assigned before analysis
+    const mapColumns = files.length > 0 && files.every(f => DELIMITED_FILE_REGEX.test(f.name)) && (format === '' || format === 'csv');
+
     return (
         <div className="max-w-4xl mx-auto space-y-6">
             {/* Header */}
@@ -95,18 +255,22 @@ export default function Upload() {
                     onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
                     onDragLeave={() => setIsDragging(false)}
                     onDrop={handleDrop}
-                    onClick={() => !file && fileInputRef.current?.click()}
-                    style={{ cursor: file ? 'default' : 'pointer' }}
+                    onClick={() => files.length === 0 && fileInputRef.current?.click()}
+                    style={{ cursor: files.length > 0 ? 'default' : 'pointer' }}
                 >
                     <input
                         ref={fileInputRef}
                         type="file"
                         accept="*/*"
+                        multiple
                         className="hidden"
-                        onChange={(e) => e.target.files[0] && handleFile(e.target.files[0])}
+                        onChange={(e) => {
+                            if (e.target.files.length > 0) handleFiles(e.target.files);
+                            e.target.value = '';
+                        }}
                     />
 
-                    {!file ? (
+                    {files.length === 0 ? (
                         <div className="space-y-4">
                             <motion.div
                                 className="w-16 h-16 rounded-2xl bg-neon-cyan/10 border border-neon-cyan/20 flex items-center justify-center mx-auto"
@@ -117,51 +281,131 @@ export default function Upload() {
                             </motion.div>
                             <div>
                                 <p className="text-lg font-medium text-gray-300">
-                                    Drop your log file here
+                                    Drop your log files here
                                 </p>
                                 <p className="text-sm text-gray-500 mt-1">
-                                    or click to browse — any log file format supported
+                                    or click to browse — any log format; several files are correlated in one session
                                 </p>
                             </div>
-                            <p className="text-xs text-gray-600">Maximum file size: 10MB</p>
+                            <p className="text-xs text-gray-600">Maximum file size: {formatBytes(maxSize)}</p>
                         </div>
                     ) : (
                         <div className="space-y-4">
-                            <div className="flex items-center justify-center gap-3">
-                                <div className="w-10 h-10 rounded-lg bg-neon-green/10 border border-neon-green/20 flex items-center justify-center">
-                                    <FileText size={20} className="text-neon-green" />
-                                </div>
-                                <div className="text-left">
-                                    <p className="text-sm font-medium text-gray-300">{file.name}</p>
-                                    <p className="text-xs text-gray-500">{(file.size / 1024).toFixed(1)} KB</p>
-                                </div>
-                                <button
-                                    onClick={(e) => { e.stopPropagation(); reset(); }}
-                                    className="ml-2 p-1 text-gray-500 hover:text-neon-red transition-colors"
-                                >
-                                    <X size={18} />
-                                </button>
+                            <div className="space-y-2 max-w-md mx-auto">
+                                {files.map((f, i) => (
+                                    <div key={`${f.name}-${f.size}`} className="flex items-center gap-3">
+                                        <div className="w-10 h-10 rounded-lg bg-neon-green/10 border border-neon-green/20 flex items-center justify-center shrink-0">
+                                            <FileText size={20} className="text-neon-green" />
+                                        </div>
+                                        <div className="text-left min-w-0 flex-1">
+                                            <p className="text-sm font-medium text-gray-300 truncate">{f.name}</p>
+                                            <p className="text-xs text-gray-500">{formatBytes(f.size)}</p>
+                                        </div>
+                                        {!job && !uploading && (
+                                            <button
+                                                onClick={(e) => { e.stopPropagation(); files.length === 1 ? reset() : removeFile(i); }}
+                                                className="ml-2 p-1 text-gray-500 hover:text-neon-red transition-colors"
+                                            >
+                                                <X size={18} />
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                                {!job && !uploading && files.length < maxFiles && (
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); fileInputRef.current?.click(); }}
+                                        className="flex items-center gap-1.5 text-xs text-gray-500 hover:text-neon-cyan transition-colors"
+                                    >
+                                        <Plus size={14} />
+                                        Add files to correlate
+                                    </button>
+                                )}
                             </div>
 
-                            <div className="flex gap-3 justify-center">
-                                <button
-                                    onClick={(e) => { e.stopPropagation(); handleUpload(); }}
-                                    disabled={uploading}
-                                    className="flex items-center gap-2 px-6 py-2.5 rounded-lg bg-gradient-to-r from-neon-cyan/20 to-neon-purple/20 text-neon-cyan border border-neon-cyan/30 hover:border-neon-cyan/50 hover:shadow-neon-cyan transition-all text-sm font-semibold disabled:opacity-50"
-                                >
-                                    {uploading ? (
-                                        <>
-                                            <Loader2 size={16} className="animate-spin" />
-                                            Analyzing...
-                                        </>
-                                    ) : (
-                                        <>
-                                            <Zap size={16} />
-                                            Analyze File
-                                        </>
+                            {job ? (
+                                <JobProgress job={job} onCancel={handleCancel} />
+                            ) : (
+                                <div className="flex flex-wrap gap-3 justify-center items-center">
+                                    {formats.length > 0 && (
+                                        <select
+                                            value={format}
+                                            onChange={(e) => { setFormat(e.target.value); setExpression(''); }}
+                                            onClick={(e) => e.stopPropagation()}
+                                            disabled={uploading}
+                                            title="Log format"
+                                            className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2.5 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                                        >
+                                            <option value="">Auto-detect format</option>
+                                            {formats.map(f => (
+                                                <option key={f.name} value={f.name}>
+                                                    {f.label}{f.builtIn ? '' : ' (custom)'}
+                                                </option>
+                                            ))}
+                                            {Object.entries(EXPRESSION_FORMATS).map(([value, { label }]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
                                     )}
-                                </button>
-                            </div>
+                                    {!mapColumns && (
+                                        <select
+                                            value={multiline}
+                                            onChange={(e) => setMultiline(e.target.value)}
+                                            onClick={(e) => e.stopPropagation()}
+                                            disabled={uploading}
+                                            title="How lines group into events"
+                                            className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2.5 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                                        >
+                                            {Object.entries(MULTILINE_RULES).map(([value, label]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                    )}
+                                    {!mapColumns && multiline === '__start' && (
+                                        <input
+                                            type="text"
+                                            value={multilineStart}
+                                            onChange={(e) => setMultilineStart(e.target.value)}
+                                            onClick={(e) => e.stopPropagation()}
+                                            disabled={uploading}
+                                            placeholder="^\d{4}-\d{2}-\d{2}"
+                                            spellCheck={false}
+                                            title="Regular expression matching the first line of each event"
+                                            className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2.5 text-sm font-mono text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                                        />
+                                    )}
+                                    <select
+                                        value={timezone}
+                                        onChange={(e) => setTimezone(e.target.value)}
+                                        onClick={(e) => e.stopPropagation()}
+                                        disabled={uploading}
+                                        title="Timezone of log times that carry no UTC offset"
+                                        className="bg-cyber-card border border-cyber-border rounded-lg px-3 py-2.5 text-sm text-gray-300 focus:outline-none focus:border-neon-cyan/30"
+                                    >
+                                        {TIMEZONES.map(zone => (
+                                            <option key={zone} value={zone}>
+                                                {zone === 'UTC' ? 'Times in UTC' : zone}{zone === LOCAL_TIMEZONE ? ' (this browser)' : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); handleUpload(); }}
+                                        disabled={uploading}
+                                        className="flex items-center gap-2 px-6 py-2.5 rounded-lg bg-gradient-to-r from-neon-cyan/20 to-neon-purple/20 text-neon-cyan border border-neon-cyan/30 hover:border-neon-cyan/50 hover:shadow-neon-cyan transition-all text-sm font-semibold disabled:opacity-50"
+                                    >
+                                        {uploading ? (
+                                            <>
+                                                <Loader2 size={16} className="animate-spin" />
+                                                Uploading... {uploadPercent}%
+                                            </>
+                                        ) : (
+                                            <>
+                                                <Zap size={16} />
+                                                {files.length > 1 ? `Analyze ${files.length} Files` : 'Analyze File'}
+                                            </>
+                                        )}
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     )}
 
@@ -177,6 +421,36 @@ export default function Upload() {
                 </motion.div>
             )}
 
+            {/* Grok / log_format / LogFormat expression */}
+            <AnimatePresence>
+                {files.length > 0 && !result && !job && EXPRESSION_FORMATS[format] && (
+                    <GrokEditor
+                        key={format}
+                        syntax={EXPRESSION_FORMATS[format].syntax}
+                        value={expression}
+                        onChange={setExpression}
+                        preview={preview}
+                        disabled={uploading}
+                        onSaved={handleFormatSaved}
+                    />
+                )}
+            </AnimatePresence>
+
+            {/* CSV / TSV column mapping */}
+            <AnimatePresence>
+                {mapColumns && !result && !job && (
+                    <ColumnMapper
+                        key={`${files[0].name}-${files[0].size}`}
+                        file={files[0]}
+                        formats={formats}
+                        value={columns}
+                        onChange={setColumns}
+                        disabled={uploading}
+                        onSaved={handleFormatSaved}
+                    />
+                )}
+            </AnimatePresence>
+
             {/* Error */}
             <AnimatePresence>
                 {error && (
@@ -203,7 +477,7 @@ export default function Upload() {
                     >
                         <h3 className="text-sm font-semibold text-gray-300 mb-3 flex items-center gap-2">
                             <Eye size={14} className="text-neon-cyan" />
-                            Log Preview (first 30 lines)
+                            Log Preview{files.length > 1 ? ` — ${files[0].name}` : ''} (first 30 lines)
                         </h3>
                         <pre className="terminal-log text-gray-400 overflow-x-auto max-h-64 overflow-y-auto p-3 rounded-lg bg-black/30">
                             {preview}
@@ -239,6 +513,8 @@ export default function Upload() {
                             <ResultStat label="Status" value={result.status} color="text-neon-green" />
                         </div>
 
+                        {result.files && <UploadContents files={result.files} skipped={result.skipped} />}
+
                         <div className="flex gap-3">
                             <button
                                 onClick={() => navigate(`/analysis/${result.sessionId}`)}
@@ -268,10 +544,18 @@ export default function Upload() {
             >
                 <h3 className="text-sm font-semibold text-gray-300 mb-3">💡 Supported Log Formats</h3>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs text-gray-500">
-                    <Tip label="Apache/Nginx" desc="Combined or common log format" />
-                    <Tip label="JSON Logs" desc="Structured JSON log entries" />
-                    <Tip label="Syslog / auth.log" desc="Linux system and auth logs" />
-                    <Tip label="CSV Logs" desc="Comma-separated log data" />
+                    <Tip label="Apache/Nginx" desc="Common, combined and vhost_combined, or your own log_format / LogFormat" />
+                    <Tip label="JSON Logs" desc="JSON arrays, NDJSON, or wrapped { records: [...] } exports" />
+                    <Tip label="Syslog / auth.log" desc="RFC 3164 and RFC 5424 system and auth logs" />
+                    <Tip label="CEF / LEEF" desc="Firewall and IDS events from ArcSight or QRadar feeds" />
+                    <Tip label="CSV / TSV" desc="Comma, semicolon, tab or pipe separated, with columns you map to fields" />
+                    <Tip label="Key=Value / logfmt" desc="Application logs with k=v pairs, | or space separated" />
+                    <Tip label="Windows Event Logs" desc="Security logs exported as XML or JSON (wevtutil, Winlogbeat)" />
+                    <Tip label="auditd / journald" desc="audit.log events and journalctl -o json exports" />
+                    <Tip label="Cloud Audit Logs" desc="AWS CloudTrail, GCP Cloud Audit and Azure Activity logs" />
+                    <Tip label="Compressed / Archives" desc=".gz, .bz2, .zip and .tar(.gz) — every log inside is analysed" />
+                    <Tip label="Grok" desc="Any line format, described with Logstash grok patterns" />
+                    <Tip label="Stack Traces" desc="Java and Python traces and wrapped messages are kept with their event" />
                 </div>
                 <p className="text-xs text-gray-600 mt-3">
                     A sample log file is included at <code className="text-neon-cyan/70">database/sample.log</code> for testing.
@@ -281,6 +565,85 @@ export default function Upload() {
     );
 }
 
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Number.isInteger(value) ? value : value.toFixed(1)}${units[unit]}`;
+}
+
+function JobProgress({ job, onCancel }) {
+    const phaseLabel = {
+        queued: 'Queued',
+        parsing: job.currentFile ? `Parsing ${job.currentFile}` : 'Parsing & storing entries',
+        detecting: `Running detector: ${job.currentDetector || '...'}`,
+        analyzing: 'Generating AI analysis',
+    }[job.phase] || 'Processing';
+
+    return (
+        <div className="max-w-md mx-auto space-y-3 text-left" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between text-xs">
+                <span className="flex items-center gap-2 text-neon-cyan">
+                    <Loader2 size={14} className="animate-spin" />
+                    {phaseLabel}
+                </span>
+                <span className="font-mono text-gray-400">{job.percent || 0}%</span>
+            </div>
+            <div className="h-2 bg-cyber-border rounded-full overflow-hidden">
+                <motion.div
+                    className="h-full bg-gradient-to-r from-neon-cyan to-neon-purple rounded-full"
+                    animate={{ width: `${job.percent || 0}%` }}
+                    transition={{ duration: 0.4 }}
+                />
+            </div>
+            <div className="grid grid-cols-3 gap-2 text-[11px] text-gray-500 font-mono">
+                <span>Lines: {(job.linesParsed || 0).toLocaleString()}</span>
+                <span>Stored: {(job.entriesStored || 0).toLocaleString()}</span>
+                <span>ETA: {formatEta(job.etaSeconds)}</span>
+            </div>
+            <div className="flex justify-center">
+                <button
+                    onClick={onCancel}
+                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-neon-red/10 text-neon-red border border-neon-red/20 hover:bg-neon-red/20 transition-all text-sm"
+                >
+                    <Ban size={14} />
+                    Cancel Analysis
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return '—';
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function UploadContents({ files, skipped = [] }) {
+    return (
+        <div className="space-y-1 text-xs font-mono">
+            <p className="text-gray-500 uppercase tracking-wider font-sans">Analysed files</p>
+            {files.map(file => (
+                <div key={file.name} className="flex justify-between gap-4 text-gray-400">
+                    <span className="truncate">{file.name}</span>
+                    <span className="text-neon-cyan">{file.entries.toLocaleString()} entries</span>
+                </div>
+            ))}
+            {skipped.map(file => (
+                <div key={file.name} className="flex justify-between gap-4 text-gray-600">
+                    <span className="truncate">{file.name}</span>
+                    <span>skipped: {file.reason}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
 function ResultStat({ label, value, color }) {
     return (
         <div className="p-3 rounded-lg bg-white/[0.02] border border-cyber-border/50">
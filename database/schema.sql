@@ -10,6 +10,7 @@ CREATE TABLE IF NOT EXISTS analysis_sessions (
   risk_score REAL DEFAULT 0,
   ai_summary TEXT,
   status TEXT DEFAULT 'pending',
+  hunted_at DATETIME,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -25,6 +26,13 @@ CREATE TABLE IF NOT EXISTS log_entries (
   message TEXT,
   raw_line TEXT,
   severity TEXT DEFAULT 'info',
+  source TEXT,
+  host TEXT,
+  time_guessed INTEGER DEFAULT 0,
+  bytes INTEGER,
+  response_time REAL,
+  fields TEXT,
+  ecs TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (session_id) REFERENCES analysis_sessions(id)
 );
@@ -41,10 +49,21 @@ CREATE TABLE IF NOT EXISTS threats (
   mitre_name TEXT,
   mitre_tactic TEXT,
   raw_evidence TEXT,
+  rule_id TEXT,
+  rule_version INTEGER,
+  first_seen TEXT,
+  last_seen TEXT,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (session_id) REFERENCES analysis_sessions(id)
 );
 
+-- Parse diagnostics of an upload (parser/parseReport.js), as JSON
+CREATE TABLE IF NOT EXISTS parse_reports (
+  session_id TEXT PRIMARY KEY,
+  report TEXT NOT NULL,
+  FOREIGN KEY (session_id) REFERENCES analysis_sessions(id)
+);
+
 CREATE TABLE IF NOT EXISTS mitre_techniques (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL,
@@ -54,10 +73,46 @@ CREATE TABLE IF NOT EXISTS mitre_techniques (
   url TEXT
 );
 
+-- Detection rules and detector settings; one row per built-in detector, rule file and saved rule
+CREATE TABLE IF NOT EXISTS rules (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  title TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  version INTEGER NOT NULL DEFAULT 1,
+  definition TEXT,
+  thresholds TEXT,
+  source TEXT,
+  text TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Log entries behind each threat, and the text in each that matched
+CREATE TABLE IF NOT EXISTS threat_evidence (
+  threat_id INTEGER NOT NULL,
+  entry_id INTEGER NOT NULL,
+  matched TEXT,
+  PRIMARY KEY (threat_id, entry_id),
+  FOREIGN KEY (threat_id) REFERENCES threats(id),
+  FOREIGN KEY (entry_id) REFERENCES log_entries(id)
+);
+
+-- Every version of a rule's definition and thresholds
+CREATE TABLE IF NOT EXISTS rule_versions (
+  rule_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  definition TEXT,
+  thresholds TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (rule_id, version)
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_log_entries_session ON log_entries(session_id);
 CREATE INDEX IF NOT EXISTS idx_log_entries_source_ip ON log_entries(source_ip);
 CREATE INDEX IF NOT EXISTS idx_log_entries_severity ON log_entries(severity);
+CREATE INDEX IF NOT EXISTS idx_log_entries_session_source ON log_entries(session_id, source);
 CREATE INDEX IF NOT EXISTS idx_threats_session ON threats(session_id);
 CREATE INDEX IF NOT EXISTS idx_threats_severity ON threats(severity);
 CREATE INDEX IF NOT EXISTS idx_threats_mitre_id ON threats(mitre_id);
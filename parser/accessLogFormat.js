@@ -0,0 +1,368 @@
+/**
+ * Access Log Formats
+ * Compiles nginx `log_format` and Apache `LogFormat` strings into line parsers
+ *
+ * Variables are captured under nginx names whichever server wrote the log
+ * (%h → remote_addr, %>s → status, %{Referer}i → http_referer, ...), so the
+ * same fields come out of both. Durations are converted to seconds, as
+ * nginx's $request_time is, and "request" is split into request_method,
+ * request_uri and server_protocol.
+ */
+
+// Apache format letters → nginx variable names; `convert` turns the value into nginx units
+const APACHE_DIRECTIVES = {
+    a: param => (param === 'c' ? 'peer_addr' : 'remote_addr'),
+    A: () => 'server_addr',
+    B: () => 'body_bytes_sent',
+    b: () => 'body_bytes_sent',
+    C: param => `cookie_${headerName(param)}`,
+    D: () => ({ name: 'request_time', convert: v => v / 1e6 }),
+    e: param => `env_${headerName(param)}`,
+    f: () => 'request_filename',
+    H: () => 'server_protocol',
+    h: () => 'remote_addr',
+    I: () => 'request_length',
+    i: param => `http_${headerName(param)}`,
+    k: () => 'connection_requests',
+    L: () => 'request_id',
+    l: () => 'remote_ident',
+    m: () => 'request_method',
+    n: param => `note_${headerName(param)}`,
+    O: () => 'bytes_sent',
+    o: param => `sent_http_${headerName(param)}`,
+    P: () => 'pid',
+    p: param => (param === 'remote' ? 'remote_port' : 'server_port'),
+    q: () => ({ name: 'args', convert: v => v.replace(/^\?/, '') }),
+    R: () => 'handler',
+    r: () => 'request',
+    S: () => 'bytes_transferred',
+    s: () => 'status',
+    T: param => ({ name: 'request_time', convert: v => v / ({ ms: 1e3, us: 1e6 }[param] || 1) }),
+    t: apacheTime,
+    U: () => 'uri',
+    u: () => 'remote_user',
+    V: () => 'host',
+    v: () => 'server_name',
+    X: () => 'connection_status',
+    x: param => headerName(param),
+};
+
+// Capture patterns for variables whose values have a known shape
+const VARIABLE_PATTERNS = {
+    status: '\\d{3}|-',
+    body_bytes_sent: '\\d+|-',
+    bytes_sent: '\\d+|-',
+    bytes_transferred: '\\d+|-',
+    request_length: '\\d+|-',
+    request_time: '[\\d.]+|-',
+    time_local: '\\d{1,2}/\\w{3}/\\d{4}:\\d{2}:\\d{2}:\\d{2} [+-]\\d{4}',
+    server_port: '\\d+',
+};
+
+// Captured variables → normalized entry fields, in order of preference
+const ACCESS_LOG_FIELDS = {
+    timestamp: ['time_local', 'time_iso8601', 'msec'],
+    sourceIP: ['remote_addr'],
+    method: ['request_method'],
+    path: ['request_uri'],
+    statusCode: ['status'],
+    userAgent: ['http_user_agent'],
+    bytes: ['body_bytes_sent', 'bytes_sent', 'bytes_transferred'],
+    responseTime: ['request_time', 'upstream_response_time'],
+};
+
+// Captured variables → ECS fields with no normalized counterpart (see parser/ecs.js)
+const ACCESS_LOG_ECS = {
+    'http.request.referrer': ['http_referer'],
+    'http.request.bytes': ['request_length'],
+    'http.response.bytes': ['bytes_sent'],
+    'url.domain': ['host', 'server_name', 'http_host'],
+    'user.name': ['remote_user'],
+    'source.port': ['remote_port'],
+    'destination.ip': ['server_addr'],
+    'destination.port': ['server_port'],
+    'tls.cipher': ['ssl_cipher'],
+    'process.pid': ['pid'],
+};
+
+/**
+ * Compile an nginx log_format
+ * @param {string} format - The format string, e.g. '$remote_addr - $remote_user [$time_local] "$request" ...',
+ *   or a whole `log_format name '...' '...';` directive copied from nginx.conf
+ * @param {Object} [options]
+ * @param {boolean} [options.trailing] - Accept lines with extra text after the last variable
+ * @returns {{ regex: RegExp, fields: Array, match: Function }} match(line) returns captured values by variable name, or null
+ */
+function compileNginxFormat(format, options = {}) {
+    const text = unwrapNginxDirective(requireFormat(format, 'nginx log_format'));
+    const tokens = [];
+    const variable = /\$(?:\{(\w+)\}|(\w+))/g;
+    let last = 0;
+
+    for (const found of text.matchAll(variable)) {
+        if (found.index > last) tokens.push({ literal: text.slice(last, found.index) });
+        tokens.push({ name: found[1] || found[2] });
+        last = found.index + found[0].length;
+    }
+    if (last < text.length) tokens.push({ literal: text.slice(last) });
+
+    return compileTokens(tokens, options);
+}
+
+/**
+ * Compile an Apache LogFormat
+ * @param {string} format - The format string, e.g. '%h %l %u %t "%r" %>s %b',
+ *   or a whole `LogFormat "..." nickname` directive copied from httpd.conf
+ * @param {Object} [options]
+ * @param {boolean} [options.trailing] - Accept lines with extra text after the last directive
+ * @returns {{ regex: RegExp, fields: Array, match: Function }} match(line) returns captured values by nginx variable name, or null
+ */
+function compileApacheFormat(format, options = {}) {
+    const text = unwrapApacheDirective(requireFormat(format, 'Apache LogFormat'));
+    const tokens = [];
+    // %[<>][!]status,status{param}[<>]letter
+    const directive = /%([<>]?!?[\d,]*)(?:\{([^}]*)\})?[<>]?([a-zA-Z%])/g;
+    let literal = '';
+    let last = 0;
+
+    for (const found of text.matchAll(directive)) {
+        literal += text.slice(last, found.index);
+        last = found.index + found[0].length;
+
+        const [, , param, letter] = found;
+        if (letter === '%') {
+            literal += '%';
+            continue;
+        }
+        const resolve = APACHE_DIRECTIVES[letter];
+        if (!resolve) throw new Error(`Unsupported LogFormat directive ${found[0]}`);
+
+        const variable = resolve(param);
+        const token = typeof variable === 'string' ? { name: variable } : variable;
+        // %t writes its own brackets
+        const bracketed = letter === 't' && param === undefined;
+
+        if (bracketed) literal += '[';
+        if (literal) tokens.push({ literal });
+        tokens.push(token);
+        literal = bracketed ? ']' : '';
+    }
+    literal += text.slice(last);
+    if (literal) tokens.push({ literal });
+
+    return compileTokens(tokens, options);
+}
+
+/**
+ * Split captured values into normalized entry fields and the extra-fields bag
+ * responseTime is in milliseconds; values logged as "-" are left out.
+ * @param {Object} values - As returned by a compiled format's match()
+ * @returns {{ known: Object, fields: Object, ecs: Object }} ecs holds the ECS values the normalized fields cannot carry
+ */
+function accessLogFields(values) {
+    const known = {};
+    const used = new Set();
+
+    for (const [target, sources] of Object.entries(ACCESS_LOG_FIELDS)) {
+        const source = sources.find(name => values[name] !== undefined && values[name] !== '-');
+        if (!source) continue;
+        known[target] = values[source];
+        used.add(source);
+    }
+
+    if (known.responseTime !== undefined) known.responseTime = sumSeconds(known.responseTime) * 1000;
+    if (known.method) known.message = `${known.method} ${known.path || ''} ${known.statusCode || ''}`.trim();
+    // The request line is already split into method, path and protocol
+    if (values.request_method !== undefined) used.add('request');
+
+    const fields = {};
+    for (const [name, value] of Object.entries(values)) {
+        if (!used.has(name) && value !== '-' && value !== '') fields[name] = value;
+    }
+    return { known, fields, ecs: accessLogEcs(values) };
+}
+
+function accessLogEcs(values) {
+    const ecs = {};
+    for (const [target, sources] of Object.entries(ACCESS_LOG_ECS)) {
+        const source = sources.find(name => values[name] !== undefined && values[name] !== '-' && values[name] !== '');
+        if (source) ecs[target] = values[source];
+    }
+
+    const protocol = /^HTTP\/([\d.]+)$/i.exec(values.server_protocol || '');
+    if (protocol) ecs['http.version'] = protocol[1];
+    const tls = /^TLSv([\d.]+)$/i.exec(values.ssl_protocol || '');
+    if (tls) {
+        ecs['tls.version'] = tls[1];
+        ecs['tls.version_protocol'] = 'tls';
+    }
+    return ecs;
+}
+
+/**
+ * Normalized field → variable name for the variables a format captures
+ * @param {Array} fieldNames - Names produced by compileNginxFormat / compileApacheFormat
+ * @returns {Object}
+ */
+function accessLogMapping(fieldNames) {
+    const names = new Set(fieldNames);
+    if (names.has('request')) ['request_method', 'request_uri'].forEach(n => names.add(n));
+    if (names.has('uri')) names.add('request_uri');
+
+    const mapping = {};
+    for (const [target, sources] of Object.entries(ACCESS_LOG_FIELDS)) {
+        const found = sources.filter(name => names.has(name));
+        if (found.length > 0) mapping[target] = found.join(' | ');
+    }
+    return mapping;
+}
+
+function requireFormat(format, what) {
+    if (!format || typeof format !== 'string' || !format.trim()) {
+        throw new Error(`${what} must be a non-empty string`);
+    }
+    return format.trim();
+}
+
+/**
+ * log_format main '$remote_addr ...'
+ *                 '"$http_user_agent"';   → the concatenated quoted strings
+ */
+function unwrapNginxDirective(text) {
+    const directive = text.match(/^log_format\s+\S+\s+(?:escape=\S+\s+)?([\s\S]*?);?\s*$/);
+    if (!directive) return text;
+
+    const parts = [...directive[1].matchAll(/'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(\S+)/g)]
+        .map(p => (p[1] !== undefined ? p[1] : p[2] !== undefined ? p[2] : p[3]).replace(/\\(.)/g, '$1'));
+    return parts.join('');
+}
+
+/**
+ * LogFormat "%h %l %u %t \"%r\" %>s %b" common   → %h %l %u %t "%r" %>s %b
+ */
+function unwrapApacheDirective(text) {
+    const directive = text.match(/^(?:Custom)?Log(?:Format)?\s+"((?:[^"\\]|\\.)*)"(?:\s+\S+)?\s*$/i)
+        || text.match(/^"((?:[^"\\]|\\.)*)"$/);
+    if (!directive) return text;
+    return directive[1].replace(/\\(["\\])/g, '$1').replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+}
+
+function compileTokens(tokens, { trailing = false } = {}) {
+    const captures = [];
+    let source = '^';
+
+    tokens.forEach((token, i) => {
+        if (token.literal !== undefined) {
+            // Runs of spaces in the format match any amount of whitespace
+            source += token.literal.split(/ +/).map(escapeRegex).join('\\s+');
+            return;
+        }
+        const next = tokens[i + 1];
+        const group = `_f${captures.length}`;
+        captures.push({ group, name: token.name, convert: token.convert || null });
+        source += `(?<${group}>${variablePattern(token, next ? next.literal : undefined)})`;
+    });
+
+    if (captures.length === 0) throw new Error('Log format has no variables');
+    source += trailing ? '' : '\\s*$';
+    const regex = new RegExp(source);
+
+    return {
+        regex,
+        fields: [...new Set(captures.map(c => c.name))],
+        match(line) {
+            const result = regex.exec(line);
+            if (!result) return null;
+
+            const values = {};
+            for (const { group, name, convert } of captures) {
+                let value = unescapeValue(result.groups[group]);
+                if (convert && value !== '-' && value !== '') {
+                    const converted = convert(/^[\d.]+$/.test(value) ? parseFloat(value) : value);
+                    value = String(converted);
+                }
+                if (values[name] === undefined || values[name] === '-') values[name] = value;
+            }
+            return splitRequest(values);
+        },
+    };
+}
+
+/**
+ * Capture pattern for a variable, from its known shape or the literal text that follows it
+ */
+function variablePattern({ name, free }, following) {
+    if (free) return '.*?';
+    if (VARIABLE_PATTERNS[name]) return VARIABLE_PATTERNS[name];
+
+    const stop = following ? following[0] : undefined;
+    if (stop === '"') return '(?:[^"\\\\]|\\\\.)*';
+    if (stop === undefined || /\s/.test(stop)) return '\\S*';
+    return `[^${escapeRegex(stop).replace(/]/g, '\\]')}\\s]*`;
+}
+
+/**
+ * Derive request_method / request_uri / server_protocol from "request",
+ * and request_uri from $uri + $args, unless the format logged them itself
+ */
+function splitRequest(values) {
+    // Unencoded spaces in the URI are common in attack traffic, so only the ends are split off
+    const request = values.request && values.request.match(/^([A-Za-z]+)\s+(.+?)(?:\s+(HTTP\/[\d.]+))?$/);
+    if (request) {
+        const [, method, uri, protocol] = request;
+        if (values.request_method === undefined) values.request_method = method;
+        if (values.request_uri === undefined) values.request_uri = uri;
+        if (values.server_protocol === undefined && protocol) values.server_protocol = protocol;
+    }
+    if (values.request_uri === undefined && values.uri !== undefined) {
+        values.request_uri = values.args && values.args !== '-' ? `${values.uri}?${values.args}` : values.uri;
+    }
+    return values;
+}
+
+/**
+ * %t → time_local; %{sec}t / %{msec}t / %{usec}t → msec (epoch seconds, as nginx logs it); other strftime formats → time_local
+ */
+function apacheTime(param) {
+    if (param === undefined) return 'time_local';
+    const divisor = { sec: 1, msec: 1e3, usec: 1e6 }[param.replace(/^(?:begin|end):/, '')];
+    if (divisor) return { name: 'msec', convert: v => v / divisor };
+    // strftime formats have no fixed shape, so the capture runs up to whatever follows
+    return param.endsWith('_frac') ? `time_${param}` : { name: 'time_local', free: true };
+}
+
+/**
+ * Sum of a duration list; nginx logs one time per upstream tried ("0.012, 0.250 : 0.003")
+ */
+function sumSeconds(value) {
+    return String(value).split(/[,:]/).reduce((sum, part) => {
+        const seconds = parseFloat(part);
+        return isNaN(seconds) ? sum : sum + seconds;
+    }, 0);
+}
+
+/**
+ * Header name → nginx variable suffix: "User-Agent" → "user_agent", "SSL_PROTOCOL" → "ssl_protocol"
+ */
+function headerName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+/**
+ * nginx writes unsafe bytes as \xHH; Apache also escapes quotes and backslashes
+ */
+function unescapeValue(value) {
+    if (!value || !value.includes('\\')) return value;
+    return value.replace(/\\x([0-9A-Fa-f]{2})|\\(["\\])/g, (match, hex, ch) => (hex ? String.fromCharCode(parseInt(hex, 16)) : ch));
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = {
+    compileNginxFormat,
+    compileApacheFormat,
+    accessLogFields,
+    accessLogMapping,
+};
@@ -8,8 +8,31 @@
  * Generate comprehensive AI analysis for a set of log entries and detected threats
  */
 function analyzeSession(entries, threats) {
-    const stats = computeStats(entries);
-    const anomalies = detectAnomalies(entries, stats);
+    return analysisFrom(accumulate(entries), threats);
+}
+
+/**
+ * Create an incremental session analyzer
+ * Entries are pushed one at a time and folded into aggregates, so a session
+ * can be analyzed while it is streamed instead of after it is fully loaded.
+ * @returns {{ push: Function, finish: Function }} push(entry) feeds one entry, finish(threats) returns the analysis
+ */
+function createSessionAnalyzer() {
+    const acc = createAccumulator();
+
+    return {
+        push(entry) {
+            accumulateEntry(acc, entry);
+        },
+        finish(threats) {
+            return analysisFrom(acc, threats);
+        },
+    };
+}
+
+function analysisFrom(acc, threats) {
+    const stats = statsFrom(acc);
+    const anomalies = anomaliesFrom(acc, stats);
     const riskScore = calculateRiskScore(threats, anomalies, stats);
     const summary = generateSummary(stats, threats, anomalies, riskScore);
 
@@ -19,48 +42,108 @@ function analyzeSession(entries, threats) {
         stats,
         anomalies,
         threatBreakdown: getBreakdown(threats),
-        ipReputation: computeIPReputation(entries, threats),
-        timeline: buildTimeline(entries, threats),
+        ipReputation: reputationFrom(acc, threats),
+        timeline: timelineFrom(acc, threats),
     };
 }
 
+function createAccumulator() {
+    return {
+        totalEntries: 0,
+        ipCounts: {},
+        methods: {},
+        statusCodes: {},
+        hourlyDistribution: {},
+        errorCount: 0,
+        warningCount: 0,
+        offHoursCount: 0,
+        timeline: {},
+        recentTimes: [],
+        hasBurst: false,
+    };
+}
+
+function accumulate(entries) {
+    const acc = createAccumulator();
+    for (const entry of entries) {
+        accumulateEntry(acc, entry);
+    }
+    return acc;
+}
+
 /**
- * Compute aggregate statistics from log entries
+ * Fold a single log entry into the running aggregates
  */
-function computeStats(entries) {
-    const uniqueIPs = new Set();
-    const methods = {};
-    const statusCodes = {};
-    const hourlyDistribution = {};
-    let errorCount = 0;
-    let warningCount = 0;
+function accumulateEntry(acc, entry) {
+    acc.totalEntries++;
 
-    for (const entry of entries) {
-        if (entry.sourceIP) uniqueIPs.add(entry.sourceIP);
-        if (entry.method) methods[entry.method] = (methods[entry.method] || 0) + 1;
-        if (entry.statusCode) {
-            statusCodes[entry.statusCode] = (statusCodes[entry.statusCode] || 0) + 1;
-            if (entry.statusCode >= 500) errorCount++;
-            if (entry.statusCode === 401 || entry.statusCode === 403) warningCount++;
+    if (entry.sourceIP) {
+        if (!acc.ipCounts[entry.sourceIP]) {
+            acc.ipCounts[entry.sourceIP] = { totalRequests: 0, errors: 0, authFailures: 0 };
         }
+        const ipInfo = acc.ipCounts[entry.sourceIP];
+        ipInfo.totalRequests++;
+        if (entry.statusCode >= 500) ipInfo.errors++;
+        if (entry.statusCode === 401 || entry.statusCode === 403) ipInfo.authFailures++;
+    }
 
-        try {
-            const hour = new Date(entry.timestamp).getHours();
-            if (!isNaN(hour)) {
-                hourlyDistribution[hour] = (hourlyDistribution[hour] || 0) + 1;
-            }
-        } catch (e) { /* skip */ }
+    if (entry.method) acc.methods[entry.method] = (acc.methods[entry.method] || 0) + 1;
+    if (entry.statusCode) {
+        acc.statusCodes[entry.statusCode] = (acc.statusCodes[entry.statusCode] || 0) + 1;
+        if (entry.statusCode >= 500) acc.errorCount++;
+        if (entry.statusCode === 401 || entry.statusCode === 403) acc.warningCount++;
+    }
+
+    // Guessed times would pile up in the timeline and fake request bursts
+    if (entry.timeGuessed) return;
+    const date = new Date(entry.timestamp);
+    const time = date.getTime();
+    if (isNaN(time)) return;
+
+    const hour = date.getHours();
+    acc.hourlyDistribution[hour] = (acc.hourlyDistribution[hour] || 0) + 1;
+    if (hour >= 2 && hour <= 5) acc.offHoursCount++;
+
+    const key = timelineKey(date);
+    if (!acc.timeline[key]) {
+        acc.timeline[key] = { time: key, total: 0, errors: 0, threats: 0 };
+    }
+    acc.timeline[key].total++;
+    if (entry.severity === 'error' || entry.severity === 'critical') {
+        acc.timeline[key].errors++;
     }
 
+    // Keep the last 11 timestamps to spot 10+ requests within 1 second
+    acc.recentTimes.push(time);
+    if (acc.recentTimes.length > 11) acc.recentTimes.shift();
+    if (acc.recentTimes.length === 11 && (acc.recentTimes[10] - acc.recentTimes[0]) / 1000 < 1) {
+        acc.hasBurst = true;
+    }
+}
+
+function timelineKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:00`;
+}
+
+/**
+ * Compute aggregate statistics from log entries
+ */
+function computeStats(entries) {
+    return statsFrom(accumulate(entries));
+}
+
+function statsFrom(acc) {
+    const ipList = Object.keys(acc.ipCounts);
+
     return {
-        totalEntries: entries.length,
-        uniqueIPs: uniqueIPs.size,
-        ipList: Array.from(uniqueIPs),
-        methods,
-        statusCodes,
-        errorCount,
-        warningCount,
-        hourlyDistribution,
+        totalEntries: acc.totalEntries,
+        uniqueIPs: ipList.length,
+        ipList,
+        methods: acc.methods,
+        statusCodes: acc.statusCodes,
+        errorCount: acc.errorCount,
+        warningCount: acc.warningCount,
+        hourlyDistribution: acc.hourlyDistribution,
     };
 }
 
@@ -68,6 +151,10 @@ function computeStats(entries) {
  * Detect statistical anomalies in log patterns
  */
 function detectAnomalies(entries, stats) {
+    return anomaliesFrom(accumulate(entries), stats);
+}
+
+function anomaliesFrom(acc, stats) {
     const anomalies = [];
 
     // Anomaly 1: High error rate
@@ -81,14 +168,8 @@ function detectAnomalies(entries, stats) {
     }
 
     // Anomaly 2: Concentrated traffic from single IP
-    const ipCounts = {};
-    for (const entry of entries) {
-        if (entry.sourceIP) {
-            ipCounts[entry.sourceIP] = (ipCounts[entry.sourceIP] || 0) + 1;
-        }
-    }
-
-    for (const [ip, count] of Object.entries(ipCounts)) {
+    for (const [ip, info] of Object.entries(acc.ipCounts)) {
+        const count = info.totalRequests;
         const ratio = count / stats.totalEntries;
         if (ratio > 0.5 && count > 20) {
             anomalies.push({
@@ -100,39 +181,21 @@ function detectAnomalies(entries, stats) {
     }
 
     // Anomaly 3: Off-hours activity (between 2 AM - 5 AM)
-    const offHoursEntries = entries.filter(e => {
-        try {
-            const hour = new Date(e.timestamp).getHours();
-            return hour >= 2 && hour <= 5;
-        } catch { return false; }
-    });
-
-    if (offHoursEntries.length > entries.length * 0.2 && offHoursEntries.length > 10) {
+    if (acc.offHoursCount > acc.totalEntries * 0.2 && acc.offHoursCount > 10) {
         anomalies.push({
             type: 'Off-Hours Activity',
             severity: 'medium',
-            description: `${offHoursEntries.length} requests detected during off-hours (2 AM - 5 AM) — ${(offHoursEntries.length / entries.length * 100).toFixed(1)}% of total traffic.`,
+            description: `${acc.offHoursCount} requests detected during off-hours (2 AM - 5 AM) — ${(acc.offHoursCount / acc.totalEntries * 100).toFixed(1)}% of total traffic.`,
         });
     }
 
     // Anomaly 4: Rapid burst detection
-    const timestamps = entries
-        .map(e => new Date(e.timestamp).getTime())
-        .filter(t => !isNaN(t))
-        .sort();
-
-    if (timestamps.length > 10) {
-        for (let i = 0; i < timestamps.length - 10; i++) {
-            const windowSpan = (timestamps[i + 10] - timestamps[i]) / 1000;
-            if (windowSpan < 1) {
-                anomalies.push({
-                    type: 'Request Burst',
-                    severity: 'high',
-                    description: `Detected burst of 10+ requests within 1 second — possible automated tool or attack.`,
-                });
-                break;
-            }
-        }
+    if (acc.hasBurst) {
+        anomalies.push({
+            type: 'Request Burst',
+            severity: 'high',
+            description: `Detected burst of 10+ requests within 1 second — possible automated tool or attack.`,
+        });
     }
 
     return anomalies;
@@ -266,24 +329,15 @@ function getBreakdown(threats) {
  * Compute IP reputation scores based on behavior
  */
 function computeIPReputation(entries, threats) {
+    return reputationFrom(accumulate(entries), threats);
+}
+
+function reputationFrom(acc, threats) {
     const ipScores = {};
 
-    // Count per-IP stats
-    for (const entry of entries) {
-        if (!entry.sourceIP) continue;
-        if (!ipScores[entry.sourceIP]) {
-            ipScores[entry.sourceIP] = {
-                ip: entry.sourceIP,
-                totalRequests: 0,
-                errors: 0,
-                authFailures: 0,
-                threatCount: 0,
-                score: 100, // Start with clean reputation
-            };
-        }
-        ipScores[entry.sourceIP].totalRequests++;
-        if (entry.statusCode >= 500) ipScores[entry.sourceIP].errors++;
-        if (entry.statusCode === 401 || entry.statusCode === 403) ipScores[entry.sourceIP].authFailures++;
+    // Per-IP stats, starting from a clean reputation
+    for (const [ip, info] of Object.entries(acc.ipCounts)) {
+        ipScores[ip] = { ip, ...info, threatCount: 0, score: 100 };
     }
 
     // Factor in threats
@@ -312,28 +366,18 @@ function computeIPReputation(entries, threats) {
  * Build timeline of events for visualization
  */
 function buildTimeline(entries, threats) {
-    const timeline = {};
-
-    for (const entry of entries) {
-        try {
-            const date = new Date(entry.timestamp);
-            if (isNaN(date.getTime())) continue;
-            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:00`;
+    return timelineFrom(accumulate(entries), threats);
+}
 
-            if (!timeline[key]) {
-                timeline[key] = { time: key, total: 0, errors: 0, threats: 0 };
-            }
-            timeline[key].total++;
-            if (entry.severity === 'error' || entry.severity === 'critical') {
-                timeline[key].errors++;
-            }
-        } catch (e) { /* skip */ }
+function timelineFrom(acc, threats) {
+    const timeline = {};
+    for (const [key, bucket] of Object.entries(acc.timeline)) {
+        timeline[key] = { ...bucket };
     }
 
     for (const threat of threats) {
         try {
-            const date = new Date(threat.created_at || new Date());
-            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:00`;
+            const key = timelineKey(new Date(threat.created_at || new Date()));
             if (timeline[key]) timeline[key].threats++;
         } catch (e) { /* skip */ }
     }
@@ -343,6 +387,7 @@ function buildTimeline(entries, threats) {
 
 module.exports = {
     analyzeSession,
+    createSessionAnalyzer,
     computeStats,
     detectAnomalies,
     calculateRiskScore,
@@ -0,0 +1,268 @@
+/**
+ * Linux Audit (auditd) Parser
+ * Parses /var/log/audit/audit.log records and correlates the records of one
+ * event (SYSCALL, EXECVE, CWD, PATH, PROCTITLE, ...) by their serial number
+ *
+ *   type=SYSCALL msg=audit(1364481363.243:24287): arch=c000003e syscall=2 success=no ...
+ *   type=PATH msg=audit(1364481363.243:24287): item=0 name="/etc/shadow" ...
+ *   type=EOE msg=audit(1364481363.243:24287):
+ */
+
+const { normalizeIP } = require('./ipAddress');
+
+const AUDIT_RECORD_REGEX = /^(?:node=\S+\s+)?type=(\w+)\s+msg=audit\((\d+(?:\.\d+)?):(\d+)\):\s*(.*)$/;
+const KV_REGEX = /([\w-]+)=("[^"]*"|'[^']*'|\S+)/g;
+
+// ENRICHED log_format appends translated values after a group separator
+const ENRICHED_SEPARATOR = '\x1d';
+
+// Events interleave rarely; bound how many may be open at once
+const MAX_PENDING_EVENTS = 16;
+
+// User-space message types whose res=failed means a failed login attempt
+const AUTH_TYPES = new Set(['USER_AUTH', 'USER_LOGIN', 'USER_ACCT', 'USER_ERR', 'USER_START', 'CRED_ACQ']);
+
+// auid of processes no user logged in to (-1 as unsigned)
+const UNSET_AUID = '4294967295';
+
+// Fields copied from the event's records into entry.fields
+const KEPT_FIELDS = [
+    'arch', 'syscall', 'success', 'exit', 'exe', 'comm', 'pid', 'ppid', 'uid', 'auid', 'euid', 'gid',
+    'ses', 'tty', 'key', 'op', 'acct', 'res', 'terminal', 'hostname', 'addr', 'unit', 'cwd',
+];
+
+/**
+ * Whether a line is an auditd record
+ */
+function isAuditRecord(line) {
+    return AUDIT_RECORD_REGEX.test(line);
+}
+
+/**
+ * Parse one audit record line
+ * @returns {{ type, time, serial, values, enriched, raw }|null}
+ */
+function parseAuditRecord(line) {
+    const [body, enrichedPart] = line.split(ENRICHED_SEPARATOR);
+    const match = body.trim().match(AUDIT_RECORD_REGEX);
+    if (!match) return null;
+
+    const [, type, time, serial, rest] = match;
+    const values = parsePairs(rest);
+
+    // User-space messages nest their own pairs in msg='...'
+    if (values.msg) {
+        Object.assign(values, parsePairs(values.msg));
+        delete values.msg;
+    }
+
+    return {
+        type,
+        time: parseFloat(time),
+        serial,
+        values,
+        enriched: enrichedPart ? parsePairs(enrichedPart) : {},
+        raw: line.trim().replace(ENRICHED_SEPARATOR, ' '),
+    };
+}
+
+/**
+ * Group records into events by serial number
+ * Syscall events end with an EOE record; single-record user-space events are
+ * complete as soon as a record from another event arrives.
+ * @returns {{ push: Function, settle: Function, end: Function }} Each returns
+ *   an array of normalized entries for events that are complete; settle()
+ *   is called when a non-audit line arrives
+ */
+function createAuditCorrelator() {
+    const pending = new Map();
+
+    function flush(serial) {
+        const records = pending.get(serial);
+        pending.delete(serial);
+        return records && records.length ? [normalizeAuditEvent(records)] : [];
+    }
+
+    function push(line) {
+        const record = parseAuditRecord(line);
+        if (!record) return [];
+
+        const entries = [];
+        const { serial } = record;
+
+        if (pending.has(serial)) {
+            if (record.type === 'EOE') return flush(serial);
+            pending.get(serial).push(record);
+            return entries;
+        }
+
+        // A new event started: earlier standalone events cannot receive more records
+        entries.push(...settle());
+        if (record.type === 'EOE') return entries;
+
+        pending.set(serial, [record]);
+        if (pending.size > MAX_PENDING_EVENTS) {
+            entries.push(...flush(pending.keys().next().value));
+        }
+        return entries;
+    }
+
+    function settle() {
+        const entries = [];
+        for (const [serial, records] of pending) {
+            if (!records.some(r => r.type === 'SYSCALL')) entries.push(...flush(serial));
+        }
+        return entries;
+    }
+
+    function end() {
+        const entries = [];
+        for (const serial of [...pending.keys()]) entries.push(...flush(serial));
+        return entries;
+    }
+
+    return { push, settle, end };
+}
+
+/**
+ * Normalize the records of one audit event into a single entry
+ * @param {Array} records - Parsed records sharing a serial number
+ */
+function normalizeAuditEvent(records) {
+    const primary = records.find(r => r.type === 'SYSCALL') || records[0];
+    const byType = type => records.filter(r => r.type === type);
+
+    const fields = { auditType: primary.type, serial: primary.serial };
+    for (const record of [primary, ...records.filter(r => r !== primary)]) {
+        for (const key of KEPT_FIELDS) {
+            if (fields[key] === undefined && record.values[key] !== undefined) fields[key] = record.values[key];
+        }
+    }
+
+    // Translated names from the ENRICHED format (SYSCALL=openat, AUID="alice")
+    const enriched = primary.enriched;
+    if (enriched.SYSCALL) fields.syscallName = enriched.SYSCALL;
+    if (enriched.AUID) fields.auidName = enriched.AUID;
+    if (enriched.UID) fields.uidName = enriched.UID;
+
+    const paths = byType('PATH').map(r => r.values.name).filter(Boolean);
+    if (paths.length) fields.paths = paths;
+
+    const execve = byType('EXECVE')[0];
+    if (execve) fields.command = execveArgs(execve.values);
+
+    const proctitle = byType('PROCTITLE')[0];
+    if (proctitle && proctitle.values.proctitle) fields.proctitle = decodeHex(proctitle.values.proctitle);
+
+    fields.recordTypes = [...new Set(records.map(r => r.type))];
+
+    const failed = fields.success === 'no' || /^fail/.test(fields.res || '');
+    const addr = fields.addr && fields.addr !== '?' ? fields.addr : '';
+
+    return {
+        timestamp: new Date(primary.time * 1000).toISOString(),
+        sourceIP: normalizeIP(addr) || addr,
+        method: '',
+        path: '',
+        statusCode: null,
+        userAgent: '',
+        message: describeAuditEvent(primary.type, fields, failed, addr),
+        rawLine: records.map(r => r.raw).join('\n'),
+        severity: severityOf(primary.type, failed),
+        fields,
+        ecs: auditEcs(primary.type, fields, failed),
+    };
+}
+
+/**
+ * ECS values of an audit event (see parser/ecs.js)
+ */
+function auditEcs(type, fields, failed) {
+    const ecs = {
+        'event.dataset': 'auditd',
+        'event.action': (fields.syscallName || fields.op || type).toLowerCase(),
+        'event.outcome': fields.success || fields.res ? (failed ? 'failure' : 'success') : undefined,
+        'user.name': fields.acct || fields.auidName,
+        'user.id': fields.uid,
+        'host.name': fields.hostname,
+        'process.name': fields.comm,
+        'process.executable': fields.exe,
+        'process.pid': fields.pid,
+        'process.command_line': fields.command,
+        'process.title': fields.proctitle,
+        'file.path': fields.paths && fields.paths[0],
+    };
+    if (AUTH_TYPES.has(type)) ecs['event.category'] = ['authentication'];
+    else if (type === 'SYSCALL' && fields.command) ecs['event.category'] = ['process'];
+    return ecs;
+}
+
+function describeAuditEvent(type, fields, failed, addr) {
+    const who = fields.acct ? ` for ${fields.acct}` : fields.auidName ? ` by ${fields.auidName}` : fields.auid && fields.auid !== UNSET_AUID ? ` by auid=${fields.auid}` : '';
+    const from = addr ? ` from ${addr}` : '';
+    const via = fields.exe ? ` via ${fields.exe}` : '';
+
+    if (AUTH_TYPES.has(type) && failed) {
+        // Wording matches AUTH_FAIL_PATTERNS so brute force detection sees these
+        const what = type === 'USER_LOGIN' ? 'login failed' : 'authentication failure';
+        return `${type} ${what}${who}${from}${via}`;
+    }
+
+    if (type === 'SYSCALL') {
+        const syscall = fields.syscallName || `syscall ${fields.syscall}`;
+        const target = fields.command || (fields.paths ? fields.paths.join(', ') : fields.proctitle) || '';
+        const outcome = failed ? ` failed (exit=${fields.exit})` : '';
+        const key = fields.key && fields.key !== '(null)' ? ` [key=${fields.key}]` : '';
+        return `SYSCALL ${syscall}${via}${who}${outcome}${target ? `: ${target}` : ''}${key}`;
+    }
+
+    const op = fields.op ? ` ${fields.op}` : '';
+    const res = fields.res ? ` res=${fields.res}` : '';
+    return `${type}${op}${who}${from}${via}${res}`;
+}
+
+function severityOf(type, failed) {
+    if (type.startsWith('ANOM_')) return 'error';
+    if (type === 'AVC' || type === 'SELINUX_ERR') return 'warning';
+    if (failed) return 'warning';
+    return 'info';
+}
+
+function execveArgs(values) {
+    const argc = parseInt(values.argc, 10) || 0;
+    const args = [];
+    for (let i = 0; i < argc; i++) {
+        const arg = values[`a${i}`];
+        if (arg !== undefined) args.push(decodeHex(arg));
+    }
+    return args.join(' ');
+}
+
+function parsePairs(text) {
+    const values = {};
+    let match;
+    KV_REGEX.lastIndex = 0;
+    while ((match = KV_REGEX.exec(text)) !== null) {
+        let value = match[2];
+        if ((value[0] === '"' || value[0] === "'") && value[value.length - 1] === value[0]) {
+            value = value.slice(1, -1);
+        }
+        values[match[1]] = value;
+    }
+    return values;
+}
+
+/**
+ * auditd hex-encodes values that contain spaces or control characters
+ */
+function decodeHex(value) {
+    if (!/^[0-9A-F]+$/.test(value) || value.length % 2 !== 0) return value;
+    return Buffer.from(value, 'hex').toString('utf-8').replace(/\0/g, ' ').trim();
+}
+
+module.exports = {
+    isAuditRecord,
+    parseAuditRecord,
+    createAuditCorrelator,
+    normalizeAuditEvent,
+};
@@ -0,0 +1,228 @@
+/**
+ * Cloud Audit Log Parser
+ * Normalizes AWS CloudTrail records, GCP Cloud Audit Logs and Azure Activity Logs
+ *
+ * Every cloud entry carries the same extra fields so detection rules can treat
+ * providers alike: provider, principal, action, service, outcome, errorCode,
+ * errorMessage, region and resource (plus mfaUsed for console sign-ins).
+ * The same values are mapped onto ECS (user.name, event.action, event.outcome,
+ * cloud.*) for detectors that work across sources.
+ */
+
+const { parseTimestamp } = require('./timestamps');
+const { normalizeIP } = require('./ipAddress');
+
+// Error codes that mean the caller lacked permission
+const ACCESS_DENIED_CODES = [
+    'AccessDenied', 'AccessDeniedException', 'UnauthorizedOperation', 'Client.UnauthorizedOperation',
+    'PERMISSION_DENIED', 'UNAUTHENTICATED', 'AuthorizationFailed', 'Forbidden', 'Unauthorized',
+];
+
+// API calls that switch off or destroy audit logging (MITRE T1562 Impair Defenses)
+const LOGGING_TAMPER_ACTIONS = [
+    'StopLogging', 'DeleteTrail', 'UpdateTrail', 'PutEventSelectors', 'DeleteFlowLogs', 'DeleteDetector',
+    'DisableSecurityHub', 'DeleteConfigurationRecorder', 'StopConfigurationRecorder',
+    'google.logging.v2.ConfigServiceV2.DeleteSink', 'google.logging.v2.ConfigServiceV2.UpdateSink',
+    'google.logging.v2.LoggingServiceV2.DeleteLog', 'google.logging.v2.ConfigServiceV2.DeleteBucket',
+    'MICROSOFT.INSIGHTS/DIAGNOSTICSETTINGS/DELETE', 'MICROSOFT.INSIGHTS/ACTIVITYLOGALERTS/DELETE',
+    'MICROSOFT.SECURITY/POLICIES/WRITE',
+];
+
+// google.rpc.Code values seen in audit log statuses
+const GCP_STATUS_CODES = {
+    1: 'CANCELLED', 3: 'INVALID_ARGUMENT', 5: 'NOT_FOUND', 6: 'ALREADY_EXISTS', 7: 'PERMISSION_DENIED',
+    8: 'RESOURCE_EXHAUSTED', 9: 'FAILED_PRECONDITION', 13: 'INTERNAL', 14: 'UNAVAILABLE', 16: 'UNAUTHENTICATED',
+};
+
+/**
+ * Detect which cloud audit format a JSON record is in
+ * @returns {'aws'|'gcp'|'azure'|null}
+ */
+function cloudProviderOf(json) {
+    if (!json || typeof json !== 'object') return null;
+    if (json.eventSource && json.eventName && (json.eventVersion || json.awsRegion || json.userIdentity)) return 'aws';
+    if (json.protoPayload && (String(json.protoPayload['@type'] || '').includes('AuditLog') || json.protoPayload.methodName)) return 'gcp';
+    if (json.operationName && (json.resourceId || json.callerIpAddress || json.caller)
+        && (json.category || json.resultType || json.status || json.eventTimestamp)) return 'azure';
+    return null;
+}
+
+/**
+ * Normalize a cloud audit record
+ * @param {Object} json - Record for which cloudProviderOf() is not null
+ * @returns {Object} Normalized entry
+ */
+function normalizeCloudAuditRecord(json) {
+    const provider = cloudProviderOf(json);
+    const event = provider === 'aws' ? fromCloudTrail(json)
+        : provider === 'gcp' ? fromGcpAudit(json)
+            : fromAzureActivity(json);
+
+    const fields = { provider, ...event.fields };
+    fields.outcome = fields.errorCode ? 'failure' : fields.outcome || 'success';
+
+    return {
+        timestamp: parseTimestamp(event.time),
+        // CloudTrail reports AWS service callers by name (e.g. "ec2.amazonaws.com") here
+        sourceIP: normalizeIP(event.sourceIP) || '',
+        method: '',
+        path: '',
+        statusCode: null,
+        userAgent: event.userAgent || '',
+        message: describe(fields),
+        rawLine: JSON.stringify(json),
+        severity: severityOf(fields),
+        fields,
+        ecs: {
+            'event.dataset': `${provider}.audit`,
+            'event.action': fields.action,
+            'event.outcome': fields.outcome,
+            'event.reason': fields.errorMessage || fields.errorCode,
+            'event.category': fields.action === 'ConsoleLogin' ? ['authentication'] : undefined,
+            'user.name': fields.principal,
+            'cloud.provider': provider,
+            'cloud.region': fields.region,
+            'cloud.account.id': fields.accountId || fields.projectId,
+            'cloud.service.name': fields.service,
+        },
+    };
+}
+
+function fromCloudTrail(json) {
+    const identity = json.userIdentity || {};
+    const issuer = identity.sessionContext && identity.sessionContext.sessionIssuer;
+    const additional = json.additionalEventData || {};
+    const response = json.responseElements || {};
+
+    const fields = {
+        principal: identity.userName || (issuer && issuer.userName) || (identity.type === 'Root' ? 'root' : '') || identity.arn || identity.principalId || identity.invokedBy || identity.type || '',
+        principalType: identity.type || null,
+        action: json.eventName,
+        service: String(json.eventSource).replace(/\.amazonaws\.com$/, ''),
+        region: json.awsRegion || null,
+        accountId: json.recipientAccountId || identity.accountId || null,
+        errorCode: json.errorCode || null,
+        errorMessage: json.errorMessage || null,
+        resource: firstResource(json.resources),
+    };
+
+    // Console sign-ins report their result in the response and MFA in additional data
+    if (json.eventName === 'ConsoleLogin') {
+        if (response.ConsoleLogin === 'Failure' && !fields.errorCode) fields.errorCode = 'ConsoleLoginFailure';
+        if (additional.MFAUsed !== undefined) fields.mfaUsed = additional.MFAUsed === 'Yes';
+    }
+
+    return { time: json.eventTime, sourceIP: json.sourceIPAddress, userAgent: json.userAgent, fields };
+}
+
+function fromGcpAudit(json) {
+    const payload = json.protoPayload;
+    const auth = payload.authenticationInfo || {};
+    const request = payload.requestMetadata || {};
+    const status = payload.status || {};
+    const labels = (json.resource && json.resource.labels) || {};
+    const failed = status.code !== undefined && status.code !== 0;
+
+    return {
+        time: json.timestamp || json.receiveTimestamp,
+        sourceIP: request.callerIp,
+        userAgent: request.callerSuppliedUserAgent,
+        fields: {
+            principal: auth.principalEmail || auth.principalSubject || '',
+            action: payload.methodName,
+            service: payload.serviceName,
+            region: labels.location || labels.region || labels.zone || null,
+            projectId: labels.project_id || null,
+            errorCode: failed ? GCP_STATUS_CODES[status.code] || String(status.code) : null,
+            errorMessage: failed ? status.message || null : null,
+            resource: payload.resourceName || null,
+        },
+    };
+}
+
+function fromAzureActivity(json) {
+    const value = v => (v && typeof v === 'object' ? v.value : v);
+    const claims = (json.identity && json.identity.claims) || json.claims || {};
+    const properties = json.properties || {};
+    const httpRequest = json.httpRequest || {};
+
+    // Diagnostic-settings exports use resultType, the Activity Log API uses status/subStatus
+    const result = json.resultType || value(json.status) || '';
+    const subStatus = value(json.subStatus) || properties.statusCode || json.resultSignature || '';
+    const failed = /^fail/i.test(result);
+
+    return {
+        time: json.time || json.eventTimestamp,
+        sourceIP: json.callerIpAddress || httpRequest.clientIpAddress || claims.ipaddr,
+        userAgent: null,
+        fields: {
+            principal: json.caller || claims['http://schemas.xmlsoap.org/ws/2005/05/identity/claims/upn'] || claims.upn || claims.name || '',
+            action: value(json.operationName),
+            service: value(json.resourceProviderName) || String(value(json.operationName) || '').split('/')[0],
+            region: json.location || null,
+            errorCode: failed ? normalizeAzureError(subStatus) : null,
+            errorMessage: failed ? (properties.statusMessage || null) : null,
+            outcome: failed ? 'failure' : 'success',
+            resource: json.resourceId || null,
+        },
+    };
+}
+
+function normalizeAzureError(subStatus) {
+    if (!subStatus) return 'Failure';
+    const text = String(subStatus);
+    // e.g. "Forbidden.AuthorizationFailed" or an HTTP status text
+    return text.split('.').pop() || text;
+}
+
+/**
+ * Whether a cloud entry was refused for lack of permission
+ */
+function isAccessDenied(entry) {
+    const code = entry.fields && entry.fields.errorCode;
+    return Boolean(code) && ACCESS_DENIED_CODES.some(c => String(code).endsWith(c));
+}
+
+/**
+ * Whether a cloud entry disabled or deleted audit logging
+ */
+function isLoggingTamper(entry) {
+    const action = entry.fields && entry.fields.action;
+    if (!action) return false;
+    const upper = String(action).toUpperCase();
+    return LOGGING_TAMPER_ACTIONS.some(a => a.toUpperCase() === upper);
+}
+
+function describe(fields) {
+    const who = fields.principal || 'unknown principal';
+    const where = [fields.service, fields.region].filter(Boolean).join(' @ ');
+
+    if (fields.action === 'ConsoleLogin') {
+        if (fields.outcome === 'failure') return `Console login failed for ${who}`;
+        return `Console login for ${who}${fields.mfaUsed === false ? ' without MFA' : ''}`;
+    }
+
+    const result = fields.errorCode ? ` failed: ${fields.errorCode}` : '';
+    return `${who} called ${fields.action}${where ? ` (${where})` : ''}${result}`;
+}
+
+function severityOf(fields) {
+    if (isLoggingTamper({ fields })) return 'critical';
+    if (fields.action === 'ConsoleLogin' && fields.mfaUsed === false) return 'warning';
+    if (fields.errorCode) return 'warning';
+    return 'info';
+}
+
+function firstResource(resources) {
+    if (!Array.isArray(resources) || resources.length === 0) return null;
+    return resources[0].ARN || resources[0].arn || null;
+}
+
+module.exports = {
+    cloudProviderOf,
+    normalizeCloudAuditRecord,
+    isAccessDenied,
+    isLoggingTamper,
+    ACCESS_DENIED_CODES,
+    LOGGING_TAMPER_ACTIONS,
+};
@@ -0,0 +1,250 @@
+/**
+ * Custom Log Formats
+ * Loads user-defined formats (regex with named groups, grok expressions,
+ * nginx log_format / Apache LogFormat strings, or CSV column mappings)
+ * from JSON files in a config directory and registers them with the parser registry.
+ * Formats saved through the API are written to the same directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { registerFormat, unregisterFormat, getFormat } = require('./parserRegistry');
+const { mapFields, buildEntry, FIELD_ALIASES } = require('./logParser');
+const { DELIMITERS } = require('./delimited');
+const { resolveMultilineRule } = require('./multiline');
+const { compileGrok, defaultGrokMapping } = require('./grok');
+const { compileNginxFormat, compileApacheFormat, accessLogFields, accessLogMapping } = require('./accessLogFormat');
+
+// Custom formats are tried after the built-in cascade and before generic text, unless their
+// definition sets a higher priority; pinning one on upload applies it to every line
+const DEFAULT_CUSTOM_PRIORITY = 5;
+
+// Saved formats become file names, so keep them simple
+const FORMAT_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Build a format object from a definition without registering it
+ * Used directly for one-off expressions supplied with a single upload.
+ * @param {Object} def
+ * @param {string} def.name - Unique format name
+ * @param {string} [def.label] - Display name
+ * @param {string} [def.description]
+ * @param {string} [def.pattern] - Regular expression with named groups
+ * @param {string} [def.flags] - Flags for `pattern`
+ * @param {string} [def.grok] - Grok expression, alternative to `pattern`
+ * @param {Object} [def.patterns] - Extra named grok patterns used by `grok`
+ * @param {string} [def.nginx] - nginx log_format string or directive, alternative to `pattern`
+ * @param {string} [def.apache] - Apache LogFormat string or directive, alternative to `pattern`
+ * @param {Object} [def.fields] - Normalized field → capture name; common aliases are used when omitted.
+ *   Ignored for nginx / Apache formats, whose variables have fixed meanings.
+ * @param {Object} [def.columns] - Normalized field → CSV / TSV column name, alternative to `pattern`;
+ *   makes this a column mapping for delimited files
+ * @param {string} [def.delimiter] - Delimiter of a column mapping; sniffed from each file when omitted
+ * @param {string|Object} [def.multiline] - How lines group into events when this format is pinned
+ *   (see resolveMultilineRule); stack traces are grouped when omitted
+ * @param {number} [def.priority] - Auto-detection priority (default 5, after the built-ins; they run from 10 to 45)
+ * @param {string} [source] - Config file the definition came from
+ * @returns {Object} Format object accepted by registerFormat and parseLogLine
+ */
+function buildPatternFormat(def, source = null) {
+    if (!def || !def.name) {
+        throw new Error('Custom format must have a name');
+    }
+    if (def.columns) return buildColumnFormat(def, source);
+
+    let regex;
+    let match;
+    let type;
+    let pattern;
+    let mapping = def.fields;
+    let split = values => mapFields(values, mapping);
+
+    if (def.nginx || def.apache) {
+        const compiled = def.nginx ? compileNginxFormat(def.nginx) : compileApacheFormat(def.apache);
+        regex = compiled.regex;
+        match = line => compiled.match(line);
+        type = def.nginx ? 'nginx' : 'apache';
+        pattern = def.nginx || def.apache;
+        mapping = accessLogMapping(compiled.fields);
+        split = accessLogFields;
+    } else if (def.grok) {
+        const compiled = compileGrok(def.grok, def.patterns);
+        regex = compiled.regex;
+        match = line => compiled.match(line);
+        type = 'grok';
+        pattern = def.grok;
+        // Standard grok names (clientip, verb, response, ...) map onto entry fields
+        if (!mapping) mapping = defaultGrokMapping(compiled.fields);
+    } else if (def.pattern) {
+        regex = new RegExp(def.pattern, (def.flags || '').replace(/[gy]/g, ''));
+        match = (line) => {
+            const result = regex.exec(line);
+            return result ? { ...result.groups } : null;
+        };
+        type = 'regex';
+        pattern = def.pattern;
+    } else {
+        throw new Error(`Custom format "${def.name}" needs a "pattern", "grok", "nginx" or "apache" expression, or "columns"`);
+    }
+    // Rejects a bad rule now rather than when a file is parsed
+    if (def.multiline !== undefined) resolveMultilineRule(def.multiline);
+
+    return {
+        name: def.name,
+        label: def.label || def.name,
+        description: def.description || '',
+        priority: def.priority !== undefined ? def.priority : DEFAULT_CUSTOM_PRIORITY,
+        fields: mapping || {},
+        type,
+        pattern,
+        source,
+        multiline: def.multiline,
+        sniff: line => regex.test(line),
+        parse: (line) => {
+            const values = match(line);
+            if (!values) return null;
+            const { known, fields, ecs } = split(values);
+            return buildEntry(known, fields, line, ecs);
+        },
+    };
+}
+
+/**
+ * Column mapping for delimited files
+ * Registered as a document format: pinning it reads the whole file as CSV / TSV.
+ */
+function buildColumnFormat(def, source) {
+    const { columns, delimiter } = def;
+    if (typeof columns !== 'object' || Array.isArray(columns)) {
+        throw new Error(`Column mapping "${def.name}" must map entry fields to column names`);
+    }
+    for (const [field, column] of Object.entries(columns)) {
+        if (!FIELD_ALIASES[field]) {
+            throw new Error(`Unknown entry field "${field}"; expected one of ${Object.keys(FIELD_ALIASES).join(', ')}`);
+        }
+        if (typeof column !== 'string' || column === '') {
+            throw new Error(`Column for "${field}" must be a column name`);
+        }
+    }
+    if (delimiter && !DELIMITERS.includes(delimiter)) {
+        throw new Error('Delimiter must be a comma, semicolon, tab or pipe');
+    }
+
+    return {
+        name: def.name,
+        label: def.label || def.name,
+        description: def.description || '',
+        priority: def.priority !== undefined ? def.priority : DEFAULT_CUSTOM_PRIORITY,
+        fields: columns,
+        type: 'csv',
+        pattern: null,
+        source,
+        document: true,
+        columns,
+        delimiter: delimiter || null,
+    };
+}
+
+/**
+ * Create and register a format from a definition
+ * @param {Object} def - See buildPatternFormat
+ * @param {string} [source] - Config file the definition came from
+ * @returns {Object} The registered format
+ */
+function createPatternFormat(def, source = null) {
+    const existing = def && def.name ? getFormat(def.name) : null;
+    if (existing && existing.builtIn) {
+        throw new Error(`Custom format "${def.name}" cannot replace a built-in format`);
+    }
+    return registerFormat(buildPatternFormat(def, source));
+}
+
+/**
+ * Register a format and persist its definition as <name>.json in the config directory
+ * @param {string} dir - Parser config directory
+ * @param {Object} def - See buildPatternFormat
+ * @returns {Object} The registered format
+ */
+function saveCustomFormat(dir, def) {
+    if (!def || !FORMAT_NAME_REGEX.test(def.name || '')) {
+        throw new Error('Format name may only contain letters, digits, "-" and "_"');
+    }
+
+    const file = `${def.name}.json`;
+    const existing = getFormat(def.name);
+    if (existing && !existing.builtIn && existing.source !== file) {
+        throw new Error(`Format "${def.name}" is defined in ${existing.source}; edit that file instead`);
+    }
+
+    // Validate before anything touches the disk
+    const format = createPatternFormat(def, file);
+
+    const { name, label, description, pattern, flags, grok, patterns, nginx, apache, fields, columns, delimiter, multiline, priority } = def;
+    const stored = { name, label, description, pattern, flags, grok, patterns, nginx, apache, fields, columns, delimiter, multiline, priority };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(stored, null, 2) + '\n');
+
+    return format;
+}
+
+/**
+ * Unregister a saved format and delete its definition file
+ * @param {string} dir - Parser config directory
+ * @param {string} name - Format name
+ */
+function deleteCustomFormat(dir, name) {
+    const format = getFormat(name);
+    if (!format) {
+        throw new Error(`Unknown format "${name}"`);
+    }
+    if (format.builtIn) {
+        throw new Error(`Built-in format "${name}" cannot be deleted`);
+    }
+    if (format.source !== `${name}.json`) {
+        throw new Error(`Format "${name}" is defined in ${format.source}; edit that file instead`);
+    }
+
+    unregisterFormat(name);
+    fs.rmSync(path.join(dir, format.source), { force: true });
+}
+
+/**
+ * Load every *.json format definition in a directory
+ * Each file holds one definition or an array of them. Invalid definitions
+ * are reported and skipped so one bad file does not block the others.
+ * @param {string} dir - Directory to scan
+ * @returns {Array} Names of the formats that were registered
+ */
+function loadCustomFormats(dir) {
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    const loaded = [];
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        try {
+            const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+            const defs = Array.isArray(content) ? content : [content];
+            for (const def of defs) {
+                try {
+                    loaded.push(createPatternFormat(def, file).name);
+                } catch (error) {
+                    console.warn(`⚠️  Skipping format in ${file}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️  Could not load parser config ${file}: ${error.message}`);
+        }
+    }
+
+    return loaded;
+}
+
+module.exports = {
+    buildPatternFormat,
+    createPatternFormat,
+    saveCustomFormat,
+    deleteCustomFormat,
+    loadCustomFormats,
+};
@@ -0,0 +1,230 @@
+/**
+ * Delimited Text
+ * RFC 4180 reader for CSV / TSV exports: quoted fields, "" escapes, line
+ * breaks inside quotes and CRLF line endings. The delimiter (comma,
+ * semicolon, tab or pipe) is sniffed from the start of the file unless given.
+ * Rows come back as raw values; mapping columns onto entry fields is up to
+ * the caller.
+ */
+
+// Candidate delimiters, in order of preference when several fit equally well
+const DELIMITERS = [',', '\t', ';', '|'];
+
+// Text read before the delimiter is decided, and rows it is judged on
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_ROWS = 20;
+
+/**
+ * Incrementally split delimited text into records
+ * Unquoted values are trimmed; quoted values are kept exactly. Blank lines are skipped.
+ * @param {string} [delimiter] - Field separator (default ",")
+ * @returns {{ write: Function, end: Function }} Both return arrays of
+ *   { values, text } where text is the record as written; a record cut off
+ *   inside quotes at the end of input also has `unterminated: true`
+ */
+function createDelimitedSplitter(delimiter = ',') {
+    let values = [];
+    let field = '';
+    let quoted = false;    // current field started with a quote
+    let inQuotes = false;
+    let quoteSeen = false; // a quote inside quotes: either "" or the closing quote
+    let skipLF = false;    // last record ended on \r, so a following \n belongs to it
+    let carry = '';        // text of the current record read from earlier chunks
+    let started = false;
+
+    function endField() {
+        values.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+    }
+
+    function endRecord(text, results) {
+        const blank = values.length === 0 && !quoted && field.trim() === '';
+        endField();
+        if (!blank) results.push({ values, text });
+        values = [];
+    }
+
+    function write(chunk) {
+        const results = [];
+        if (!started) {
+            started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+        }
+        let recordStart = 0;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+
+            if (skipLF) {
+                skipLF = false;
+                if (ch === '\n') {
+                    recordStart = i + 1;
+                    continue;
+                }
+            }
+
+            if (inQuotes) {
+                if (quoteSeen) {
+                    quoteSeen = false;
+                    if (ch === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                    // Fall through: the quote closed the field
+                } else {
+                    if (ch === '"') quoteSeen = true;
+                    else field += ch;
+                    continue;
+                }
+            }
+
+            if (ch === delimiter) {
+                endField();
+            } else if (ch === '\n' || ch === '\r') {
+                endRecord(carry + chunk.slice(recordStart, i), results);
+                carry = '';
+                recordStart = i + 1;
+                skipLF = ch === '\r';
+            } else if (ch === '"' && field.trim() === '' && !quoted) {
+                field = '';
+                quoted = true;
+                inQuotes = true;
+            } else {
+                // Stray quotes in unquoted fields, and text after a closing quote, are kept as written
+                field += ch;
+            }
+        }
+
+        carry += chunk.slice(recordStart);
+        return results;
+    }
+
+    function end() {
+        const results = [];
+        const unterminated = inQuotes && !quoteSeen;
+        if (carry !== '' || values.length > 0 || quoted) {
+            endRecord(carry, results);
+            if (unterminated && results.length > 0) results[0].unterminated = true;
+        }
+        carry = '';
+        inQuotes = false;
+        quoteSeen = false;
+        return results;
+    }
+
+    return { write, end };
+}
+
+/**
+ * Guess the delimiter of a file from its first rows
+ * The delimiter that splits the header into the most columns while keeping
+ * the most rows at that width wins.
+ * @param {string} sample - Start of the file
+ * @param {string} [preferred] - Delimiter to pick on a tie, e.g. tab for .tsv files
+ * @returns {string} The delimiter; the preferred one (or comma) when nothing splits the header
+ */
+function sniffDelimiter(sample, preferred = ',') {
+    const candidates = [preferred, ...DELIMITERS.filter(d => d !== preferred)];
+    let best = null;
+
+    for (const delimiter of candidates) {
+        const splitter = createDelimitedSplitter(delimiter);
+        const rows = splitter.write(sample).slice(0, SNIFF_ROWS);
+        if (rows.length === 0) rows.push(...splitter.end());
+        if (rows.length === 0 || rows[0].values.length < 2) continue;
+
+        const width = rows[0].values.length;
+        const consistent = rows.filter(row => row.values.length === width).length;
+        if (!best || consistent > best.consistent || (consistent === best.consistent && width > best.width)) {
+            best = { delimiter, consistent, width };
+        }
+    }
+
+    return best ? best.delimiter : preferred;
+}
+
+/**
+ * Read a delimited file whose first record is the header row
+ * The start of the input is held back until the delimiter can be sniffed.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Known delimiter; sniffed when omitted
+ * @param {string} [options.preferred] - Delimiter to prefer while sniffing
+ * @returns {{ write: Function, end: Function, headers: Function, delimiter: Function }}
+ *   write(chunk) and end() return data records as createDelimitedSplitter does;
+ *   headers() and delimiter() are null until they are known
+ */
+function createDelimitedReader(options = {}) {
+    let delimiter = options.delimiter || null;
+    let splitter = delimiter ? createDelimitedSplitter(delimiter) : null;
+    let headers = null;
+    let pending = '';
+
+    function rows(records) {
+        if (!headers && records.length > 0) {
+            headers = uniqueHeaders(records.shift().values);
+        }
+        return records;
+    }
+
+    function start() {
+        delimiter = sniffDelimiter(pending, options.preferred);
+        splitter = createDelimitedSplitter(delimiter);
+        const text = pending;
+        pending = '';
+        return splitter.write(text);
+    }
+
+    function write(chunk) {
+        if (splitter) return rows(splitter.write(chunk));
+        pending += chunk;
+        return pending.length >= SNIFF_BYTES ? rows(start()) : [];
+    }
+
+    function end() {
+        const records = splitter ? [] : start();
+        return rows([...records, ...splitter.end()]);
+    }
+
+    return { write, end, headers: () => headers, delimiter: () => delimiter };
+}
+
+/**
+ * Header and first rows of a delimited sample, for previews
+ * @param {string} sample - Start of the file; a last row cut off mid-way is dropped
+ * @param {Object} [options] - Same options as createDelimitedReader
+ * @param {number} [limit] - Rows returned
+ * @returns {{ delimiter: string, headers: Array<string>, rows: Array<Array<string>> }}
+ */
+function previewDelimited(sample, options = {}, limit = 10) {
+    const reader = createDelimitedReader(options);
+    const records = reader.write(sample);
+    // The sample usually stops inside a row; only flush it when nothing else was read
+    if (!reader.headers() || records.length === 0) records.push(...reader.end());
+
+    return {
+        delimiter: reader.delimiter(),
+        headers: reader.headers() || [],
+        rows: records.slice(0, limit).map(record => record.values),
+    };
+}
+
+// Empty header cells become column_<n>; repeated names get a _<n> suffix
+function uniqueHeaders(values) {
+    const seen = new Map();
+    return values.map((value, i) => {
+        const name = value || `column_${i + 1}`;
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        return count === 1 ? name : `${name}_${count}`;
+    });
+}
+
+module.exports = {
+    createDelimitedSplitter,
+    createDelimitedReader,
+    sniffDelimiter,
+    previewDelimited,
+    DELIMITERS,
+};
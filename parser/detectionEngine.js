@@ -1,9 +1,23 @@
 /**
  * Detection Engine
  * Blue-team threat detection with MITRE ATT&CK mapping
+ *
+ * Each detector is incremental: entries are pushed one at a time and only
+ * compact per-IP aggregates are retained, so detection can run over a
+ * streamed upload without holding every entry in memory. Time-based
+ * detectors keep one sliding window per IP (see slidingWindow.js) and raise
+ * one alert per burst. Every alert carries its evidence: the entries that
+ * raised it and what matched in each, which go to the run's evidence store
+ * (see evidence.js). Detectors read
+ * entries through their ECS fields, which mean the same for every format.
  */
 
-const { isAuthFailure, isSuspiciousURL } = require('./logParser');
+const { authFailureText, SUSPICIOUS_URL_PATTERNS } = require('./logParser');
+const { isAccessDenied, isLoggingTamper } = require('./cloudAudit');
+const { ecsValue } = require('./ecs');
+const { createBurstAggregator, formatDuration, MAX_BURST_VALUES } = require('./slidingWindow');
+const { createEvidence, addEvidence, evidenceFields, firstMatch } = require('./evidence');
+const { getRule, getRules, compileRule, createRuleDetector, withThresholds } = require('./ruleEngine');
 
 // Detection thresholds
 const THRESHOLDS = {
@@ -15,8 +29,93 @@ const THRESHOLDS = {
     SCAN_WINDOW_SEC: 30,
     RAPID_REQUESTS: 50,
     RAPID_WINDOW_SEC: 10,
+    CLOUD_DENIED_COUNT: 5,
+    CLOUD_DENIED_WINDOW_SEC: 300,
 };
 
+// Tool names in user agents flagged by the Suspicious Tool detector
+const SUSPICIOUS_USER_AGENTS = [
+    'nikto', 'sqlmap', 'nmap', 'masscan', 'burp', 'dirbuster',
+    'gobuster', 'wfuzz', 'hydra', 'metasploit', 'zgrab',
+    'python-requests', 'curl/\\d', 'wget',
+];
+
+// Paths whose 401/403/404 responses count as probing by the Unauthorized Access detector
+const SENSITIVE_PATHS = [
+    '/admin', '/dashboard', '/api/admin',
+    '/root', '/config', '/internal',
+    '/manager', '/console',
+];
+
+/**
+ * Built-in detectors, run in this order by runDetection
+ * `thresholds` are the defaults each factory is created with, along with the
+ * run's evidence store if it has one; numbers and lists of regular
+ * expressions (matched case-insensitively) can be overridden per detector
+ * with configureDetector.
+ */
+const DETECTORS = [
+    {
+        id: 'brute-force',
+        name: 'Brute Force',
+        create: createBruteForceDetector,
+        thresholds: { count: THRESHOLDS.BRUTE_FORCE_COUNT, windowSec: THRESHOLDS.BRUTE_FORCE_WINDOW_SEC },
+    },
+    {
+        id: 'ddos',
+        name: 'DDoS',
+        create: createDDoSDetector,
+        thresholds: { count: THRESHOLDS.DDOS_REQUEST_COUNT, windowSec: THRESHOLDS.DDOS_WINDOW_SEC },
+    },
+    {
+        id: 'exploit-attempts',
+        name: 'Exploit Attempts',
+        create: createExploitDetector,
+        thresholds: { patterns: SUSPICIOUS_URL_PATTERNS.map(pattern => pattern.source) },
+    },
+    {
+        id: 'port-scanning',
+        name: 'Port Scanning',
+        create: createPortScanDetector,
+        thresholds: { uniquePaths: THRESHOLDS.SCAN_UNIQUE_PATHS, windowSec: THRESHOLDS.SCAN_WINDOW_SEC },
+    },
+    {
+        id: 'rapid-requests',
+        name: 'Rapid Requests',
+        create: createRapidRequestDetector,
+        thresholds: { count: THRESHOLDS.RAPID_REQUESTS, windowSec: THRESHOLDS.RAPID_WINDOW_SEC },
+    },
+    {
+        id: 'suspicious-status-codes',
+        name: 'Suspicious Status Codes',
+        create: createStatusCodeDetector,
+        thresholds: { count: 10 },
+    },
+    {
+        id: 'suspicious-tools',
+        name: 'Anomalous Patterns',
+        create: createAnomalousPatternDetector,
+        thresholds: { count: 3, userAgents: SUSPICIOUS_USER_AGENTS },
+    },
+    {
+        id: 'unauthorized-access',
+        name: 'Unauthorized Access',
+        create: createUnauthorizedAccessDetector,
+        thresholds: { count: 5, paths: SENSITIVE_PATHS },
+    },
+    {
+        id: 'cloud-access-denied',
+        name: 'Cloud Access Denied',
+        create: createCloudAccessDeniedDetector,
+        thresholds: { count: THRESHOLDS.CLOUD_DENIED_COUNT, windowSec: THRESHOLDS.CLOUD_DENIED_WINDOW_SEC },
+    },
+    { id: 'console-login-mfa', name: 'Console Login Without MFA', create: createConsoleLoginMfaDetector, thresholds: {} },
+    { id: 'audit-logging-tamper', name: 'Audit Logging Tampering', create: createLoggingTamperDetector, thresholds: {} },
+];
+
+// Detector and rule id → { enabled, thresholds } set by configureDetector
+const settings = new Map();
+
 /**
  * Run all detection rules against parsed log entries
  * @param {Array} entries - Normalized log entries
@@ -25,339 +124,619 @@ const THRESHOLDS = {
 function runDetection(entries) {
     if (!entries || entries.length === 0) return [];
 
-    const threats = [];
-
-    threats.push(...detectBruteForce(entries));
-    threats.push(...detectDDoS(entries));
-    threats.push(...detectExploitAttempts(entries));
-    threats.push(...detectPortScanning(entries));
-    threats.push(...detectSuspiciousStatusCodes(entries));
-    threats.push(...detectAnomalousPatterns(entries));
-    threats.push(...detectUnauthorizedAccess(entries));
-
-    return threats;
+    const detection = createDetectionStream();
+    for (const entry of entries) {
+        detection.push(entry);
+    }
+    return detection.finish();
 }
 
 /**
- * Detect brute force attacks: >5 failed logins from same IP within 60 seconds
- * Maps to MITRE ATT&CK T1110 (Brute Force)
+ * Create an incremental detection run over all enabled detectors, followed by the enabled detection rules
+ * @param {Array} [detectors] - { id, name, create } to run instead, e.g. from resolveDetector
+ * @param {Object} [options]
+ * @param {Object} [options.evidenceStore] - Takes the links of the alerts to stored entries (see evidence.js);
+ *   without one, no links are kept
+ * @returns {{ push: Function, finish: Function }} push(entry) feeds one entry,
+ *   finish(onDetector) returns threats, each with the ruleId of its detector, calling onDetector(name)
+ *   before each detector reports
  */
-function detectBruteForce(entries) {
-    const threats = [];
-    const failedByIP = {};
+function createDetectionStream(detectors = null, { evidenceStore = null } = {}) {
+    const running = (detectors || activeDetectors()).map(({ id, name, create }) => ({ id, name, ...create(evidenceStore) }));
 
-    for (const entry of entries) {
-        if (!isAuthFailure(entry) || !entry.sourceIP) continue;
+    return {
+        push(entry) {
+            for (const detector of running) {
+                detector.push(entry);
+            }
+        },
+        finish(onDetector) {
+            const threats = [];
+            for (const detector of running) {
+                if (onDetector) onDetector(detector.name);
+                // Every finding names the detector or rule that raised it
+                for (const threat of detector.finish()) threats.push({ ...threat, ruleId: detector.id });
+            }
+            return threats;
+        },
+    };
+}
 
-        if (!failedByIP[entry.sourceIP]) {
-            failedByIP[entry.sourceIP] = [];
-        }
-        failedByIP[entry.sourceIP].push(entry);
-    }
+function activeDetectors() {
+    const builtIn = DETECTORS
+        .filter(detector => isEnabled(detector.id))
+        .map(detector => ({ ...detector, create: store => detector.create(effectiveThresholds(detector), store) }));
+    const rules = getRules()
+        .filter(rule => isEnabled(rule.id))
+        .map(rule => ruleDetector(rule, (settings.get(rule.id) || {}).thresholds));
+    return [...builtIn, ...rules];
+}
 
-    for (const [ip, failures] of Object.entries(failedByIP)) {
-        if (failures.length >= THRESHOLDS.BRUTE_FORCE_COUNT) {
-            // Check if within time window
-            const times = failures
-                .map(f => new Date(f.timestamp).getTime())
-                .filter(t => !isNaN(t))
-                .sort();
-
-            let inWindow = false;
-            if (times.length >= THRESHOLDS.BRUTE_FORCE_COUNT) {
-                for (let i = 0; i <= times.length - THRESHOLDS.BRUTE_FORCE_COUNT; i++) {
-                    if ((times[i + THRESHOLDS.BRUTE_FORCE_COUNT - 1] - times[i]) / 1000 <= THRESHOLDS.BRUTE_FORCE_WINDOW_SEC) {
-                        inWindow = true;
-                        break;
-                    }
-                }
-            }
+function ruleDetector(rule, thresholds) {
+    const tuned = withThresholds(rule, thresholds);
+    return { id: rule.id, name: rule.title, create: store => createRuleDetector(tuned, store) };
+}
 
-            // Still flag if many failures even without tight window
-            if (inWindow || failures.length >= THRESHOLDS.BRUTE_FORCE_COUNT * 2) {
-                threats.push({
-                    type: 'Brute Force Attack',
-                    severity: failures.length >= 15 ? 'critical' : 'high',
-                    description: `Possible brute force attack detected from IP ${ip} with ${failures.length} failed login attempts${inWindow ? ` within ${THRESHOLDS.BRUTE_FORCE_WINDOW_SEC} seconds` : ''}.`,
-                    sourceIP: ip,
-                    count: failures.length,
-                    mitreId: 'T1110',
-                    mitreName: 'Brute Force',
-                    mitreTactic: 'Credential Access',
-                    rawEvidence: failures.slice(0, 5).map(f => f.rawLine).join('\n'),
-                });
-            }
-        }
-    }
+function isEnabled(id) {
+    const setting = settings.get(id);
+    return !setting || setting.enabled !== false;
+}
 
-    return threats;
+function effectiveThresholds(detector) {
+    return { ...detector.thresholds, ...(settings.get(detector.id) || {}).thresholds };
 }
 
 /**
- * Detect DDoS patterns: >100 requests from same IP within 60 seconds
- * Maps to MITRE ATT&CK T1498 (Network Denial of Service)
+ * Enable, disable or tune a built-in detector or a registered rule
+ * @param {string} id - Detector id (see DETECTORS) or rule id
+ * @param {Object} options
+ * @param {boolean} [options.enabled] - Defaults to true
+ * @param {Object} [options.thresholds] - Overrides of the detector's thresholds, or of a rule's aggregation count / timeframe
+ * @throws {Error} When a threshold is unknown or has the wrong type
  */
-function detectDDoS(entries) {
-    const threats = [];
-    const requestsByIP = {};
-
-    for (const entry of entries) {
-        if (!entry.sourceIP) continue;
-        if (!requestsByIP[entry.sourceIP]) {
-            requestsByIP[entry.sourceIP] = [];
-        }
-        requestsByIP[entry.sourceIP].push(entry);
+function configureDetector(id, { enabled = true, thresholds = null } = {}) {
+    const detector = DETECTORS.find(d => d.id === id);
+    if (detector) {
+        validateThresholds(detector, thresholds);
+    } else if (getRule(id)) {
+        withThresholds(getRule(id), thresholds);
+    } else {
+        throw new Error(`Unknown detector "${id}"`);
     }
+    settings.set(id, { enabled: enabled !== false, thresholds: thresholds && Object.keys(thresholds).length ? thresholds : null });
+}
 
-    for (const [ip, requests] of Object.entries(requestsByIP)) {
-        if (requests.length >= THRESHOLDS.DDOS_REQUEST_COUNT) {
-            const times = requests
-                .map(r => new Date(r.timestamp).getTime())
-                .filter(t => !isNaN(t))
-                .sort();
-
-            let maxInWindow = 0;
-            if (times.length > 0) {
-                for (let i = 0; i < times.length; i++) {
-                    let count = 0;
-                    for (let j = i; j < times.length; j++) {
-                        if ((times[j] - times[i]) / 1000 <= THRESHOLDS.DDOS_WINDOW_SEC) {
-                            count++;
-                        } else break;
-                    }
-                    maxInWindow = Math.max(maxInWindow, count);
-                }
-            }
+/**
+ * Drop the settings of a detector or rule, e.g. after the rule was deleted
+ */
+function resetDetector(id) {
+    settings.delete(id);
+}
 
-            if (maxInWindow >= THRESHOLDS.DDOS_REQUEST_COUNT || requests.length >= THRESHOLDS.DDOS_REQUEST_COUNT) {
-                threats.push({
-                    type: 'DDoS Pattern',
-                    severity: 'critical',
-                    description: `Potential DDoS attack from IP ${ip}: ${requests.length} total requests detected${maxInWindow > 0 ? `, peak ${maxInWindow} requests in ${THRESHOLDS.DDOS_WINDOW_SEC}s window` : ''}.`,
-                    sourceIP: ip,
-                    count: requests.length,
-                    mitreId: 'T1498',
-                    mitreName: 'Network Denial of Service',
-                    mitreTactic: 'Impact',
-                    rawEvidence: requests.slice(0, 3).map(r => r.rawLine).join('\n'),
-                });
+/**
+ * Built-in detectors with their default and effective thresholds
+ */
+function listDetectors() {
+    return DETECTORS.map(detector => ({
+        id: detector.id,
+        name: detector.name,
+        enabled: isEnabled(detector.id),
+        defaults: detector.thresholds,
+        thresholds: effectiveThresholds(detector),
+    }));
+}
+
+/**
+ * Check overrides against a detector's defaults: known keys, and the same
+ * type as the default (a positive number, or a list of valid regular expressions)
+ */
+function validateThresholds(detector, thresholds) {
+    for (const [key, value] of Object.entries(thresholds || {})) {
+        const fallback = detector.thresholds[key];
+        if (fallback === undefined) {
+            const known = Object.keys(detector.thresholds);
+            throw new Error(`"${key}" is not a threshold of ${detector.name}${known.length ? `; expected ${known.join(', ')}` : ''}`);
+        }
+        if (Array.isArray(fallback)) {
+            if (!Array.isArray(value) || value.some(p => typeof p !== 'string' || p === '')) {
+                throw new Error(`"${key}" must be a list of regular expressions`);
             }
+            compilePatterns(value);
+        } else if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`"${key}" must be a positive number`);
         }
     }
-
-    return threats;
 }
 
 /**
- * Detect exploit attempts: SQL injection, XSS, path traversal, etc.
- * Maps to MITRE ATT&CK T1190 (Exploit Public-Facing Application)
+ * A single detector to run with createDetectionStream, e.g. to dry-run a
+ * rule; the stored settings are left alone
+ * @param {Object} spec - { id } of a built-in detector or registered rule, or { definition } of an
+ *   unsaved rule; optional `thresholds` override the detector's
+ * @returns {Object} { id, name, create }; create(evidenceStore) starts a run of it
+ * @throws {Error} When the detector is unknown or the definition / thresholds are invalid
  */
-function detectExploitAttempts(entries) {
-    const threats = [];
-    const exploitsByIP = {};
+function resolveDetector({ id, definition, thresholds = null }) {
+    const builtIn = !definition && DETECTORS.find(d => d.id === id);
+    if (builtIn) {
+        validateThresholds(builtIn, thresholds);
+        const tuned = { ...builtIn.thresholds, ...thresholds };
+        return { ...builtIn, create: store => builtIn.create(tuned, store) };
+    }
 
+    const rule = definition ? compileRule(definition) : getRule(id);
+    if (!rule) throw new Error(`Unknown detector "${id}"`);
+    return ruleDetector(rule, thresholds);
+}
+
+function runDetector(id, entries) {
+    const detector = DETECTORS.find(d => d.id === id);
+    const instance = detector.create(detector.thresholds);
     for (const entry of entries) {
-        if (isSuspiciousURL(entry)) {
-            const ip = entry.sourceIP || 'unknown';
-            if (!exploitsByIP[ip]) exploitsByIP[ip] = [];
-            exploitsByIP[ip].push(entry);
-        }
+        instance.push(entry);
     }
+    return instance.finish();
+}
 
-    for (const [ip, exploits] of Object.entries(exploitsByIP)) {
-        threats.push({
-            type: 'Exploit Attempt',
-            severity: exploits.length >= 5 ? 'critical' : 'high',
-            description: `${exploits.length} suspicious request(s) detected from IP ${ip} containing potential exploit payloads (SQL injection, XSS, path traversal).`,
-            sourceIP: ip,
-            count: exploits.length,
-            mitreId: 'T1190',
-            mitreName: 'Exploit Public-Facing Application',
-            mitreTactic: 'Initial Access',
-            rawEvidence: exploits.slice(0, 3).map(e => e.rawLine).join('\n'),
-        });
-    }
+function compilePatterns(patterns) {
+    return patterns.map((pattern) => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid regular expression "${pattern}": ${error.message}`);
+        }
+    });
+}
 
-    return threats;
+/**
+ * Time span and evidence of a burst
+ */
+function burstEvidence(burst) {
+    return {
+        firstSeen: burst.firstSeen,
+        lastSeen: burst.lastSeen,
+        evidenceKey: burst.evidenceKey,
+        rawEvidence: burst.rawEvidence,
+    };
 }
 
 /**
- * Detect port/service scanning: many unique paths accessed rapidly from same IP
- * Maps to MITRE ATT&CK T1046 (Network Service Discovery)
+ * Detect brute force attacks: 5+ failed logins from the same IP within 60 seconds
+ * Every burst of failures is one alert
+ * Maps to MITRE ATT&CK T1110 (Brute Force)
  */
-function detectPortScanning(entries) {
-    const threats = [];
-    const pathsByIP = {};
+function createBruteForceDetector({ count, windowSec }, store) {
+    const failures = createBurstAggregator({ count, windowSec, store });
+
+    return {
+        push(entry) {
+            const ip = ecsValue(entry, 'source.ip');
+            if (!ip) return;
+            const failure = authFailureText(entry);
+            if (failure !== null) failures.add(ip, entry, null, failure);
+        },
+        finish() {
+            return failures.finish().map(burst => ({
+                type: 'Brute Force Attack',
+                severity: burst.count >= 15 ? 'critical' : 'high',
+                description: `Possible brute force attack detected from IP ${burst.key} with ${burst.count} failed login attempts over ${formatDuration(burst.firstSeen, burst.lastSeen)}, up to ${burst.peak} within ${windowSec} seconds.`,
+                sourceIP: burst.key,
+                count: burst.count,
+                mitreId: 'T1110',
+                mitreName: 'Brute Force',
+                mitreTactic: 'Credential Access',
+                ...burstEvidence(burst),
+            }));
+        },
+    };
+}
 
-    for (const entry of entries) {
-        if (!entry.sourceIP || !entry.path) continue;
-        if (!pathsByIP[entry.sourceIP]) pathsByIP[entry.sourceIP] = new Set();
-        pathsByIP[entry.sourceIP].add(entry.path);
-    }
+/**
+ * Detect DDoS patterns: 100+ requests from the same IP within 60 seconds
+ * Maps to MITRE ATT&CK T1498 (Network Denial of Service)
+ */
+function createDDoSDetector({ count, windowSec }, store) {
+    const requests = createBurstAggregator({ count, windowSec, samples: 3, store });
+
+    return {
+        push(entry) {
+            const ip = ecsValue(entry, 'source.ip');
+            if (ip) requests.add(ip, entry, null, ecsValue(entry, 'url.original') || null);
+        },
+        finish() {
+            return requests.finish().map(burst => ({
+                type: 'DDoS Pattern',
+                severity: 'critical',
+                description: `Potential DDoS attack from IP ${burst.key}: ${burst.count} requests over ${formatDuration(burst.firstSeen, burst.lastSeen)}, peak ${burst.peak} requests in ${windowSec}s window.`,
+                sourceIP: burst.key,
+                count: burst.count,
+                mitreId: 'T1498',
+                mitreName: 'Network Denial of Service',
+                mitreTactic: 'Impact',
+                ...burstEvidence(burst),
+            }));
+        },
+    };
+}
 
-    for (const [ip, paths] of Object.entries(pathsByIP)) {
-        if (paths.size >= THRESHOLDS.SCAN_UNIQUE_PATHS) {
-            threats.push({
-                type: 'Reconnaissance / Port Scanning',
-                severity: 'medium',
-                description: `IP ${ip} accessed ${paths.size} unique paths — possible directory/service scanning activity.`,
+/**
+ * Detect short request bursts: 50+ requests from the same IP within 10 seconds,
+ * typical of scripted clients even when the total stays below the DDoS threshold
+ * Maps to MITRE ATT&CK T1499 (Endpoint Denial of Service)
+ */
+function createRapidRequestDetector({ count, windowSec }, store) {
+    const requests = createBurstAggregator({ count, windowSec, samples: 3, store });
+
+    return {
+        push(entry) {
+            const ip = ecsValue(entry, 'source.ip');
+            if (ip) requests.add(ip, entry, null, ecsValue(entry, 'url.original') || null);
+        },
+        finish() {
+            return requests.finish().map(burst => ({
+                type: 'Rapid Request Burst',
+                severity: burst.peak >= count * 2 ? 'high' : 'medium',
+                description: `IP ${burst.key} sent ${burst.count} requests over ${formatDuration(burst.firstSeen, burst.lastSeen)}, up to ${burst.peak} within ${windowSec} seconds — automated client or flooding.`,
+                sourceIP: burst.key,
+                count: burst.count,
+                mitreId: 'T1499',
+                mitreName: 'Endpoint Denial of Service',
+                mitreTactic: 'Impact',
+                ...burstEvidence(burst),
+            }));
+        },
+    };
+}
+
+/**
+ * Detect exploit attempts: SQL injection, XSS, path traversal, etc.
+ * Maps to MITRE ATT&CK T1190 (Exploit Public-Facing Application)
+ */
+function createExploitDetector({ patterns }, store) {
+    const suspicious = compilePatterns(patterns);
+    const exploitsByIP = {};
+
+    return {
+        push(entry) {
+            const url = ecsValue(entry, 'url.original') || entry.message || '';
+            const payload = firstMatch(suspicious, url);
+            if (payload === null) return;
+
+            const ip = ecsValue(entry, 'source.ip') || 'unknown';
+            if (!exploitsByIP[ip]) exploitsByIP[ip] = { count: 0, evidence: createEvidence(3, store) };
+            exploitsByIP[ip].count++;
+            addEvidence(exploitsByIP[ip].evidence, entry, payload);
+        },
+        finish() {
+            return Object.entries(exploitsByIP).map(([ip, info]) => ({
+                type: 'Exploit Attempt',
+                severity: info.count >= 5 ? 'critical' : 'high',
+                description: `${info.count} suspicious request(s) detected from IP ${ip} containing potential exploit payloads (SQL injection, XSS, path traversal).`,
                 sourceIP: ip,
-                count: paths.size,
-                mitreId: 'T1046',
-                mitreName: 'Network Service Discovery',
-                mitreTactic: 'Discovery',
-                rawEvidence: Array.from(paths).slice(0, 10).join(', '),
-            });
-        }
-    }
+                count: info.count,
+                mitreId: 'T1190',
+                mitreName: 'Exploit Public-Facing Application',
+                mitreTactic: 'Initial Access',
+                ...evidenceFields(info.evidence),
+            }));
+        },
+    };
+}
 
-    return threats;
+/**
+ * Detect port/service scanning: 20+ unique paths from the same IP within 30 seconds
+ * Maps to MITRE ATT&CK T1046 (Network Service Discovery)
+ */
+function createPortScanDetector({ uniquePaths, windowSec }, store) {
+    const paths = createBurstAggregator({ count: uniquePaths, windowSec, distinct: true, samples: 3, store });
+
+    return {
+        push(entry) {
+            const ip = ecsValue(entry, 'source.ip');
+            const url = ecsValue(entry, 'url.original');
+            if (ip && url) paths.add(ip, entry, url);
+        },
+        finish() {
+            return paths.finish().map((burst) => {
+                const countLabel = burst.values.size >= MAX_BURST_VALUES ? `${burst.values.size}+` : `${burst.values.size}`;
+                return {
+                    type: 'Reconnaissance / Port Scanning',
+                    severity: 'medium',
+                    description: `IP ${burst.key} accessed ${countLabel} unique paths over ${formatDuration(burst.firstSeen, burst.lastSeen)}, up to ${burst.peak} within ${windowSec} seconds — possible directory/service scanning activity.`,
+                    sourceIP: burst.key,
+                    count: burst.values.size,
+                    mitreId: 'T1046',
+                    mitreName: 'Network Service Discovery',
+                    mitreTactic: 'Discovery',
+                    ...burstEvidence(burst),
+                    rawEvidence: Array.from(burst.values).slice(0, 10).join(', '),
+                };
+            });
+        },
+    };
 }
 
 /**
  * Detect clusters of suspicious HTTP status codes
  * Maps to MITRE ATT&CK T1078 (Valid Accounts — for auth failures)
  */
-function detectSuspiciousStatusCodes(entries) {
-    const threats = [];
-    const statusCounts = {};
+function createStatusCodeDetector({ count: threshold }, store) {
     const statusByIP = {};
 
-    for (const entry of entries) {
-        if (!entry.statusCode) continue;
-        const code = entry.statusCode;
-
-        if (code === 401 || code === 403 || code >= 500) {
-            statusCounts[code] = (statusCounts[code] || 0) + 1;
-
-            if (entry.sourceIP) {
-                const key = `${entry.sourceIP}_${code}`;
-                if (!statusByIP[key]) statusByIP[key] = { ip: entry.sourceIP, code, count: 0, entries: [] };
-                statusByIP[key].count++;
-                statusByIP[key].entries.push(entry);
+    return {
+        push(entry) {
+            const ip = ecsValue(entry, 'source.ip');
+            const code = ecsValue(entry, 'http.response.status_code');
+            if (!code || !ip) return;
+            if (code !== 401 && code !== 403 && code < 500) return;
+
+            const key = `${ip}_${code}`;
+            if (!statusByIP[key]) statusByIP[key] = { ip, code, count: 0, evidence: createEvidence(3, store) };
+            statusByIP[key].count++;
+            addEvidence(statusByIP[key].evidence, entry, code);
+        },
+        finish() {
+            const threats = [];
+
+            for (const info of Object.values(statusByIP)) {
+                if (info.count < threshold) continue;
+
+                const isAuth = info.code === 401 || info.code === 403;
+                threats.push({
+                    type: isAuth ? 'Unauthorized Access Attempts' : 'Server Error Spike',
+                    severity: info.count >= 50 ? 'critical' : info.count >= 20 ? 'high' : 'medium',
+                    description: `IP ${info.ip} triggered ${info.count} HTTP ${info.code} responses — ${isAuth ? 'possible credential stuffing or access abuse' : 'may indicate exploitation or misconfigured service'}.`,
+                    sourceIP: info.ip,
+                    count: info.count,
+                    mitreId: isAuth ? 'T1078' : 'T1190',
+                    mitreName: isAuth ? 'Valid Accounts' : 'Exploit Public-Facing Application',
+                    mitreTactic: 'Initial Access',
+                    ...evidenceFields(info.evidence),
+                });
             }
-        }
-    }
 
-    for (const [, info] of Object.entries(statusByIP)) {
-        if (info.count >= 10) {
-            const isAuth = info.code === 401 || info.code === 403;
-            threats.push({
-                type: isAuth ? 'Unauthorized Access Attempts' : 'Server Error Spike',
-                severity: info.count >= 50 ? 'critical' : info.count >= 20 ? 'high' : 'medium',
-                description: `IP ${info.ip} triggered ${info.count} HTTP ${info.code} responses — ${isAuth ? 'possible credential stuffing or access abuse' : 'may indicate exploitation or misconfigured service'}.`,
-                sourceIP: info.ip,
-                count: info.count,
-                mitreId: isAuth ? 'T1078' : 'T1190',
-                mitreName: isAuth ? 'Valid Accounts' : 'Exploit Public-Facing Application',
-                mitreTactic: isAuth ? 'Initial Access' : 'Initial Access',
-                rawEvidence: info.entries.slice(0, 3).map(e => e.rawLine).join('\n'),
-            });
-        }
-    }
-
-    return threats;
+            return threats;
+        },
+    };
 }
 
 /**
- * Detect anomalous patterns: off-hours, unusual user agents, rapid bursts
+ * Detect anomalous patterns: scanner and attack-tool user agents
  * Maps to MITRE ATT&CK T1071 (Application Layer Protocol)
  */
-function detectAnomalousPatterns(entries) {
-    const threats = [];
-
+function createAnomalousPatternDetector({ count: threshold, userAgents }, store) {
     // Detect unusual user agents (scanners, bots)
-    const suspiciousUAs = [
-        /nikto/i, /sqlmap/i, /nmap/i, /masscan/i, /burp/i, /dirbuster/i,
-        /gobuster/i, /wfuzz/i, /hydra/i, /metasploit/i, /zgrab/i,
-        /python-requests/i, /curl\/\d/i, /wget/i,
-    ];
+    const suspiciousUAs = compilePatterns(userAgents);
 
     const uaByIP = {};
-    for (const entry of entries) {
-        if (!entry.userAgent) continue;
-        for (const pattern of suspiciousUAs) {
-            if (pattern.test(entry.userAgent)) {
-                const ip = entry.sourceIP || 'unknown';
-                if (!uaByIP[ip]) uaByIP[ip] = { ua: entry.userAgent, count: 0 };
-                uaByIP[ip].count++;
-                break;
-            }
-        }
-    }
 
-    for (const [ip, info] of Object.entries(uaByIP)) {
-        if (info.count >= 3) {
-            threats.push({
-                type: 'Suspicious Tool Detected',
-                severity: 'high',
-                description: `IP ${ip} is using a known scanning/attack tool (${info.ua.substring(0, 60)}) — ${info.count} requests detected.`,
-                sourceIP: ip,
-                count: info.count,
-                mitreId: 'T1595',
-                mitreName: 'Active Scanning',
-                mitreTactic: 'Reconnaissance',
-                rawEvidence: `User-Agent: ${info.ua}`,
-            });
-        }
-    }
+    return {
+        push(entry) {
+            const ua = ecsValue(entry, 'user_agent.original');
+            if (!ua) return;
+            const tool = firstMatch(suspiciousUAs, ua);
+            if (tool === null) return;
 
-    return threats;
+            const ip = ecsValue(entry, 'source.ip') || 'unknown';
+            if (!uaByIP[ip]) uaByIP[ip] = { ua, count: 0, evidence: createEvidence(3, store) };
+            uaByIP[ip].count++;
+            addEvidence(uaByIP[ip].evidence, entry, tool);
+        },
+        finish() {
+            const threats = [];
+
+            for (const [ip, info] of Object.entries(uaByIP)) {
+                if (info.count < threshold) continue;
+
+                threats.push({
+                    type: 'Suspicious Tool Detected',
+                    severity: 'high',
+                    description: `IP ${ip} is using a known scanning/attack tool (${info.ua.substring(0, 60)}) — ${info.count} requests detected.`,
+                    sourceIP: ip,
+                    count: info.count,
+                    mitreId: 'T1595',
+                    mitreName: 'Active Scanning',
+                    mitreTactic: 'Reconnaissance',
+                    ...evidenceFields(info.evidence),
+                    rawEvidence: `User-Agent: ${info.ua}`,
+                });
+            }
+
+            return threats;
+        },
+    };
 }
 
 /**
  * Detect unauthorized access patterns
  * Maps to MITRE ATT&CK T1133 (External Remote Services)
  */
-function detectUnauthorizedAccess(entries) {
-    const threats = [];
-    const adminAccessByIP = {};
+function createUnauthorizedAccessDetector({ count: threshold, paths }, store) {
+    const sensitivePatterns = compilePatterns(paths);
 
-    const sensitivePatterns = [
-        /\/admin/i, /\/dashboard/i, /\/api\/admin/i,
-        /\/root/i, /\/config/i, /\/internal/i,
-        /\/manager/i, /\/console/i,
-    ];
+    const failedByIP = {};
 
-    for (const entry of entries) {
-        const path = entry.path || entry.message || '';
-        if (sensitivePatterns.some(p => p.test(path)) && entry.sourceIP) {
-            if (!adminAccessByIP[entry.sourceIP]) adminAccessByIP[entry.sourceIP] = [];
-            adminAccessByIP[entry.sourceIP].push(entry);
-        }
-    }
+    return {
+        push(entry) {
+            const ip = ecsValue(entry, 'source.ip');
+            if (!ip) return;
+            const code = ecsValue(entry, 'http.response.status_code');
+            if (code !== 401 && code !== 403 && code !== 404) return;
 
-    for (const [ip, accesses] of Object.entries(adminAccessByIP)) {
-        const failedAccesses = accesses.filter(a =>
-            a.statusCode === 401 || a.statusCode === 403 || a.statusCode === 404
-        );
+            const path = ecsValue(entry, 'url.original') || entry.message || '';
+            const sensitive = firstMatch(sensitivePatterns, path);
+            if (sensitive === null) return;
 
-        if (failedAccesses.length >= 5) {
-            threats.push({
-                type: 'Unauthorized Admin Access',
-                severity: 'high',
-                description: `IP ${ip} attempted to access ${failedAccesses.length} restricted/admin endpoints — possible unauthorized access attempt.`,
-                sourceIP: ip,
-                count: failedAccesses.length,
-                mitreId: 'T1133',
-                mitreName: 'External Remote Services',
-                mitreTactic: 'Initial Access',
-                rawEvidence: failedAccesses.slice(0, 3).map(e => e.rawLine).join('\n'),
+            if (!failedByIP[ip]) failedByIP[ip] = { count: 0, evidence: createEvidence(3, store) };
+            failedByIP[ip].count++;
+            addEvidence(failedByIP[ip].evidence, entry, sensitive);
+        },
+        finish() {
+            const threats = [];
+
+            for (const [ip, info] of Object.entries(failedByIP)) {
+                if (info.count < threshold) continue;
+
+                threats.push({
+                    type: 'Unauthorized Admin Access',
+                    severity: 'high',
+                    description: `IP ${ip} attempted to access ${info.count} restricted/admin endpoints — possible unauthorized access attempt.`,
+                    sourceIP: ip,
+                    count: info.count,
+                    mitreId: 'T1133',
+                    mitreName: 'External Remote Services',
+                    mitreTactic: 'Initial Access',
+                    ...evidenceFields(info.evidence),
+                });
+            }
+
+            return threats;
+        },
+    };
+}
+
+/**
+ * Detect principals repeatedly refused by a cloud API (AccessDenied, PERMISSION_DENIED, ...)
+ * Maps to MITRE ATT&CK T1078 (Valid Accounts — probing what stolen credentials can do)
+ */
+function createCloudAccessDeniedDetector({ count, windowSec }, store) {
+    const denials = createBurstAggregator({ count, windowSec, store });
+
+    return {
+        push(entry) {
+            if (!isAccessDenied(entry)) return;
+            const principal = ecsValue(entry, 'user.name') || ecsValue(entry, 'source.ip') || 'unknown';
+            denials.add(principal, entry, ecsValue(entry, 'event.action'), entry.fields.errorCode);
+        },
+        finish() {
+            return denials.finish().map((burst) => {
+                const actions = Array.from(burst.values);
+                return {
+                    type: 'Repeated Cloud Access Denied',
+                    severity: actions.length >= 5 ? 'high' : 'medium',
+                    description: `${burst.key} was denied ${burst.count} cloud API calls (${actions.slice(0, 5).join(', ')}${actions.length > 5 ? ', ...' : ''}) over ${formatDuration(burst.firstSeen, burst.lastSeen)} — possible permission enumeration with compromised credentials.`,
+                    sourceIP: Array.from(burst.ips)[0] || '',
+                    count: burst.count,
+                    mitreId: 'T1078',
+                    mitreName: 'Valid Accounts',
+                    mitreTactic: 'Initial Access',
+                    ...burstEvidence(burst),
+                };
             });
-        }
-    }
+        },
+    };
+}
 
-    return threats;
+/**
+ * Detect successful AWS console sign-ins that did not use MFA
+ * Maps to MITRE ATT&CK T1078 (Valid Accounts)
+ */
+function createConsoleLoginMfaDetector(thresholds, store) {
+    const loginsByPrincipal = {};
+
+    return {
+        push(entry) {
+            const fields = entry.fields;
+            if (!fields || fields.mfaUsed !== false) return;
+            if (ecsValue(entry, 'event.action') !== 'ConsoleLogin' || ecsValue(entry, 'event.outcome') !== 'success') return;
+
+            const principal = ecsValue(entry, 'user.name') || 'unknown';
+            if (!loginsByPrincipal[principal]) loginsByPrincipal[principal] = { count: 0, root: fields.principalType === 'Root', ips: new Set(), evidence: createEvidence(3, store) };
+            const info = loginsByPrincipal[principal];
+            info.count++;
+            const ip = ecsValue(entry, 'source.ip');
+            if (ip) info.ips.add(ip);
+            addEvidence(info.evidence, entry, 'ConsoleLogin');
+        },
+        finish() {
+            return Object.entries(loginsByPrincipal).map(([principal, info]) => {
+                const ips = Array.from(info.ips);
+                return {
+                    type: 'Console Login Without MFA',
+                    severity: info.root ? 'high' : 'medium',
+                    description: `${principal} signed in to the cloud console ${info.count} time(s) without MFA${ips.length ? ` from ${ips.join(', ')}` : ''}.`,
+                    sourceIP: ips[0] || '',
+                    count: info.count,
+                    mitreId: 'T1078',
+                    mitreName: 'Valid Accounts',
+                    mitreTactic: 'Initial Access',
+                    ...evidenceFields(info.evidence),
+                };
+            });
+        },
+    };
 }
 
+/**
+ * Detect calls that stop or delete audit logging (StopLogging, DeleteTrail, DeleteSink, ...)
+ * Maps to MITRE ATT&CK T1562 (Impair Defenses)
+ */
+function createLoggingTamperDetector(thresholds, store) {
+    const callsByPrincipal = {};
+
+    return {
+        push(entry) {
+            if (!isLoggingTamper(entry)) return;
+
+            const ip = ecsValue(entry, 'source.ip');
+            const principal = ecsValue(entry, 'user.name') || ip || 'unknown';
+            if (!callsByPrincipal[principal]) callsByPrincipal[principal] = { count: 0, failed: 0, ips: new Set(), actions: new Set(), evidence: createEvidence(5, store) };
+            const info = callsByPrincipal[principal];
+            info.count++;
+            if (ecsValue(entry, 'event.outcome') === 'failure') info.failed++;
+            if (ip) info.ips.add(ip);
+            const action = ecsValue(entry, 'event.action');
+            info.actions.add(action);
+            addEvidence(info.evidence, entry, action);
+        },
+        finish() {
+            return Object.entries(callsByPrincipal).map(([principal, info]) => {
+                const succeeded = info.count - info.failed;
+                return {
+                    type: 'Audit Logging Tampering',
+                    severity: succeeded > 0 ? 'critical' : 'high',
+                    description: `${principal} called ${Array.from(info.actions).join(', ')} ${info.count} time(s)${info.failed ? ` (${info.failed} denied)` : ''} — attempt to disable cloud audit logging.`,
+                    sourceIP: Array.from(info.ips)[0] || '',
+                    count: info.count,
+                    mitreId: 'T1562',
+                    mitreName: 'Impair Defenses',
+                    mitreTactic: 'Defense Evasion',
+                    ...evidenceFields(info.evidence),
+                };
+            });
+        },
+    };
+}
+
+const detectBruteForce = (entries) => runDetector('brute-force', entries);
+const detectDDoS = (entries) => runDetector('ddos', entries);
+const detectExploitAttempts = (entries) => runDetector('exploit-attempts', entries);
+const detectPortScanning = (entries) => runDetector('port-scanning', entries);
+const detectRapidRequests = (entries) => runDetector('rapid-requests', entries);
+const detectSuspiciousStatusCodes = (entries) => runDetector('suspicious-status-codes', entries);
+const detectAnomalousPatterns = (entries) => runDetector('suspicious-tools', entries);
+const detectUnauthorizedAccess = (entries) => runDetector('unauthorized-access', entries);
+const detectCloudAccessDenied = (entries) => runDetector('cloud-access-denied', entries);
+const detectConsoleLoginWithoutMfa = (entries) => runDetector('console-login-mfa', entries);
+const detectLoggingTamper = (entries) => runDetector('audit-logging-tamper', entries);
+
 module.exports = {
     runDetection,
+    createDetectionStream,
+    configureDetector,
+    resetDetector,
+    listDetectors,
+    resolveDetector,
     detectBruteForce,
     detectDDoS,
     detectExploitAttempts,
     detectPortScanning,
+    detectRapidRequests,
     detectSuspiciousStatusCodes,
     detectAnomalousPatterns,
     detectUnauthorizedAccess,
+    detectCloudAccessDenied,
+    detectConsoleLoginWithoutMfa,
+    detectLoggingTamper,
     THRESHOLDS,
 };
@@ -0,0 +1,223 @@
+/**
+ * Elastic Common Schema (ECS) Model
+ * Every parsed entry carries `entry.ecs`, an ECS-aligned document
+ * (source.ip, user.name, http.request.method, url.path, event.outcome,
+ * host.name, process.name, ...) so detectors read the same field for the
+ * same meaning whichever format the entry came from.
+ *
+ * Parsers return the ECS values only they know as a flat `ecs` object with
+ * dotted keys ({ 'process.name': 'sshd', 'host.name': 'web01' }). attachEcs()
+ * completes the document from the normalized entry fields and common extra
+ * field names, and nests it.
+ */
+
+// ECS fields this model uses; extra fields already named after one of them are taken as-is
+const ECS_FIELDS = new Set([
+    '@timestamp', 'message', 'tags',
+    'event.kind', 'event.category', 'event.type', 'event.action', 'event.outcome', 'event.code',
+    'event.dataset', 'event.provider', 'event.duration', 'event.reason',
+    'log.level', 'log.syslog.facility.name', 'log.syslog.severity.name',
+    'source.ip', 'source.port', 'source.domain',
+    'destination.ip', 'destination.port', 'destination.domain', 'destination.user.name',
+    'network.transport', 'network.protocol',
+    'user.name', 'user.domain', 'user.id', 'user.target.name',
+    'host.name', 'host.hostname',
+    'process.name', 'process.pid', 'process.executable', 'process.command_line', 'process.title',
+    'http.request.method', 'http.request.referrer', 'http.request.bytes',
+    'http.response.status_code', 'http.response.body.bytes', 'http.response.bytes', 'http.version',
+    'url.original', 'url.path', 'url.query', 'url.domain',
+    'user_agent.original',
+    'tls.version', 'tls.version_protocol', 'tls.cipher',
+    'file.path',
+    'cloud.provider', 'cloud.region', 'cloud.account.id', 'cloud.service.name',
+    'observer.vendor', 'observer.product', 'observer.version', 'observer.hostname',
+    'rule.id', 'rule.name',
+    'service.name',
+]);
+
+// Normalized entry fields → ECS fields
+const ENTRY_FIELDS = {
+    sourceIP: 'source.ip',
+    method: 'http.request.method',
+    path: 'url.original',
+    statusCode: 'http.response.status_code',
+    userAgent: 'user_agent.original',
+    bytes: 'http.response.body.bytes',
+    severity: 'log.level',
+};
+
+// ECS fields of type long; parsers often capture them as strings
+const NUMERIC_FIELDS = [
+    'http.response.status_code', 'http.response.body.bytes', 'http.response.bytes', 'http.request.bytes',
+    'source.port', 'destination.port', 'process.pid',
+];
+
+const ENTRY_FIELD_TARGETS = new Set([...Object.values(ENTRY_FIELDS), '@timestamp', 'message', 'event.duration']);
+
+// Common extra-field names (entry.fields) → ECS fields, in order of preference
+const FIELD_ALIASES = {
+    'user.name': ['user', 'username', 'user_name', 'userName', 'login'],
+    'host.name': ['hostname', 'host_name'],
+    'process.name': ['process', 'program', 'process_name'],
+    'process.pid': ['pid'],
+    'event.action': ['action'],
+    'event.outcome': ['outcome'],
+    'event.code': ['event_id', 'eventId'],
+};
+
+/**
+ * Build the ECS document for an entry
+ * @param {Object} entry - Normalized entry, optionally with a flat `ecs` object from its parser
+ * @returns {Object} Nested ECS document
+ */
+function toEcs(entry) {
+    const flat = { 'event.kind': 'event', ...ecsFields(entry.fields) };
+
+    // Parser-specific values win over names guessed from the extra fields
+    Object.assign(flat, flattenEcs(entry.ecs));
+
+    // The normalized fields are authoritative, e.g. source.ip is the client resolved behind proxies
+    for (const [field, target] of Object.entries(ENTRY_FIELDS)) {
+        if (isPresent(entry[field])) flat[target] = entry[field];
+    }
+    if (isPresent(entry.responseTime)) flat['event.duration'] = Math.round(entry.responseTime * 1e6);
+
+    if (isPresent(flat['url.original']) && flat['url.path'] === undefined) {
+        const [urlPath, query] = String(flat['url.original']).split(/\?(.*)/s);
+        flat['url.path'] = urlPath;
+        if (query) flat['url.query'] = query;
+    }
+
+    // HTTP responses have an outcome even when the parser said nothing else
+    const status = parseInt(flat['http.response.status_code'], 10);
+    if (!isNaN(status)) {
+        if (!flat['event.category']) flat['event.category'] = ['web'];
+        if (!flat['event.type']) flat['event.type'] = ['access'];
+        if (!flat['event.outcome']) flat['event.outcome'] = status >= 400 ? 'failure' : 'success';
+    }
+
+    for (const name of NUMERIC_FIELDS) {
+        if (typeof flat[name] === 'string' && /^\d+$/.test(flat[name])) flat[name] = parseInt(flat[name], 10);
+    }
+
+    flat['@timestamp'] = entry.timestamp || undefined;
+    flat.message = entry.message || undefined;
+    return nest(flat);
+}
+
+/**
+ * Set entry.ecs from the entry; safe to call again after the entry changed
+ * @returns {Object} The same entry
+ */
+function attachEcs(entry) {
+    if (entry) entry.ecs = toEcs(entry);
+    return entry;
+}
+
+/**
+ * ECS document of an entry, building it for entries that never had one
+ * (e.g. rows read back from the database)
+ */
+function ecsOf(entry) {
+    if (!entry.ecs || entry.ecs.event === undefined) attachEcs(entry);
+    return entry.ecs;
+}
+
+/**
+ * Read an ECS field
+ * @param {Object} entry
+ * @param {string} field - Dotted ECS name, e.g. "source.ip"
+ * @returns {*} The value, or undefined
+ */
+function ecsValue(entry, field) {
+    let node = ecsOf(entry);
+    for (const key of field.split('.')) {
+        if (node === null || typeof node !== 'object') return undefined;
+        node = node[key];
+    }
+    return node;
+}
+
+/**
+ * Whether an entry's event.category includes a category
+ */
+function hasCategory(entry, category) {
+    const categories = ecsValue(entry, 'event.category');
+    return Array.isArray(categories) ? categories.includes(category) : categories === category;
+}
+
+/**
+ * ECS values found among source or extra fields: common names such as "user"
+ * or "hostname", and names that already are ECS fields ("user.name" in an ECS
+ * JSON log). Fields the normalized entry carries (source.ip, url.original, ...)
+ * are skipped; those always come from the entry, which resolved them already.
+ * @param {Object} values - Field name → value
+ * @returns {Object} Flat ECS values
+ */
+function ecsFields(values) {
+    const found = {};
+    if (!values) return found;
+
+    for (const [target, aliases] of Object.entries(FIELD_ALIASES)) {
+        const alias = aliases.find(name => isPresent(values[name]));
+        if (alias) found[target] = values[alias];
+    }
+    for (const [name, value] of Object.entries(values)) {
+        if (ECS_FIELDS.has(name) && !ENTRY_FIELD_TARGETS.has(name) && isPresent(value)) found[name] = value;
+    }
+    return found;
+}
+
+/**
+ * Drop empty values from a parser's flat ECS object; a nested document is flattened first
+ */
+function flattenEcs(doc, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(doc || {})) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenEcs(value, name, out);
+        } else if (isPresent(value)) {
+            out[name] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * { 'source.ip': '1.2.3.4' } → { source: { ip: '1.2.3.4' } }
+ * A value whose parent is already a plain value is dropped rather than overwriting it.
+ */
+function nest(flat) {
+    const doc = {};
+    for (const [name, value] of Object.entries(flat)) {
+        if (!isPresent(value)) continue;
+        const keys = name.split('.');
+        let node = doc;
+        let blocked = false;
+        for (const key of keys.slice(0, -1)) {
+            if (node[key] === undefined) node[key] = {};
+            if (typeof node[key] !== 'object' || Array.isArray(node[key])) {
+                blocked = true;
+                break;
+            }
+            node = node[key];
+        }
+        if (!blocked) node[keys[keys.length - 1]] = value;
+    }
+    return doc;
+}
+
+// "-" and "?" are how access logs and auditd write an empty value
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '' && value !== '-' && value !== '?';
+}
+
+module.exports = {
+    toEcs,
+    attachEcs,
+    ecsOf,
+    ecsValue,
+    ecsFields,
+    hasCategory,
+    ECS_FIELDS,
+};
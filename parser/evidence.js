@@ -0,0 +1,82 @@
+/**
+ * Threat Evidence
+ * Collects what a detector saw for one alert: every log entry that counted
+ * towards it, with the text in it that matched (an exploit payload, a tool's
+ * user agent, the source IP of a flood), the first and last event times, and
+ * a few raw lines to read. Only the times and samples are kept in memory:
+ * an alert can count millions of entries, so the links to stored entries
+ * (those with a log_entries id) go to the evidence store of the detection
+ * run, { open() → key, add(key, entryId, matched) }, and the alert carries
+ * the key its links were added under as evidenceKey. A run without a store
+ * (a dry run, or detection over a plain parse) keeps no links.
+ */
+
+/**
+ * @param {number} [samples] - Raw lines kept to read
+ * @param {Object} [store] - Evidence store taking the links of this alert's entries
+ * @returns {Object} Evidence to fill with addEvidence()
+ */
+function createEvidence(samples = 5, store = null) {
+    return { first: NaN, last: NaN, samples: [], sampleLimit: samples, store, key: null };
+}
+
+/**
+ * Add one entry that counted towards an alert
+ * @param {Object} evidence - From createEvidence()
+ * @param {Object} entry - Parsed or stored log entry
+ * @param {string} [matched] - Text in the entry that made it count
+ */
+function addEvidence(evidence, entry, matched = null) {
+    const time = eventTime(entry);
+    if (!isNaN(time)) {
+        if (!(time >= evidence.first)) evidence.first = time;
+        if (!(time <= evidence.last)) evidence.last = time;
+    }
+    if (evidence.store && entry.id !== undefined) {
+        if (evidence.key === null) evidence.key = evidence.store.open();
+        evidence.store.add(evidence.key, entry.id, matched === null || matched === undefined ? null : String(matched));
+    }
+    if (evidence.samples.length < evidence.sampleLimit) evidence.samples.push(entry.rawLine);
+}
+
+/**
+ * Threat fields of collected evidence: firstSeen, lastSeen, evidenceKey (of the links given to the store, or null)
+ * and rawEvidence
+ */
+function evidenceFields(evidence) {
+    return {
+        firstSeen: isNaN(evidence.first) ? null : new Date(evidence.first).toISOString(),
+        lastSeen: isNaN(evidence.last) ? null : new Date(evidence.last).toISOString(),
+        evidenceKey: evidence.key,
+        rawEvidence: evidence.samples.join('\n'),
+    };
+}
+
+/**
+ * Entry time in milliseconds; NaN when the parser had to guess it, so the
+ * entry never counts towards a time window
+ */
+function eventTime(entry) {
+    return entry.timeGuessed ? NaN : new Date(entry.timestamp).getTime();
+}
+
+/**
+ * The text a pattern matched, or null when none of the patterns match
+ * @param {Array<RegExp>} patterns
+ * @param {string} text
+ */
+function firstMatch(patterns, text) {
+    for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+module.exports = {
+    createEvidence,
+    addEvidence,
+    evidenceFields,
+    eventTime,
+    firstMatch,
+};
@@ -0,0 +1,231 @@
+/**
+ * Grok Pattern Engine
+ * Compiles Logstash-style %{PATTERN:field:type} expressions into regular expressions
+ *
+ * Ships the standard Logstash grok-patterns library (IPORHOST, HTTPDATE,
+ * SYSLOGBASE, COMBINEDAPACHELOG, ...), rewritten where needed for JavaScript
+ * regex syntax (no atomic groups or possessive quantifiers).
+ */
+
+const IPV4_OCTET = '(?:25[0-5]|2[0-4][0-9]|[0-1]?[0-9]{1,2})';
+const IPV6_V4_TAIL = '(?:(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)(?:\\.(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)){3})';
+
+// Standard named patterns
+const BASE_PATTERNS = {
+    // Basics
+    USERNAME: '[a-zA-Z0-9._-]+',
+    USER: '%{USERNAME}',
+    EMAILLOCALPART: '[a-zA-Z0-9!#$%&\'*+\\-/=?^_`{|}~]{1,64}(?:\\.[a-zA-Z0-9!#$%&\'*+\\-/=?^_`{|}~]{1,62}){0,63}',
+    EMAILADDRESS: '%{EMAILLOCALPART}@%{HOSTNAME}',
+    INT: '(?:[+-]?(?:[0-9]+))',
+    BASE10NUM: '(?<![0-9.+-])(?:[+-]?(?:(?:[0-9]+(?:\\.[0-9]+)?)|(?:\\.[0-9]+)))',
+    NUMBER: '(?:%{BASE10NUM})',
+    BASE16NUM: '(?<![0-9A-Fa-f])(?:[+-]?(?:0x)?(?:[0-9A-Fa-f]+))',
+    BASE16FLOAT: '\\b(?<![0-9A-Fa-f.])(?:[+-]?(?:0x)?(?:(?:[0-9A-Fa-f]+(?:\\.[0-9A-Fa-f]*)?)|(?:\\.[0-9A-Fa-f]+)))\\b',
+    POSINT: '\\b(?:[1-9][0-9]*)\\b',
+    NONNEGINT: '\\b(?:[0-9]+)\\b',
+    WORD: '\\b\\w+\\b',
+    NOTSPACE: '\\S+',
+    SPACE: '\\s*',
+    DATA: '.*?',
+    GREEDYDATA: '.*',
+    QUOTEDSTRING: '(?:"(?:\\\\.|[^\\\\"])*"|\'(?:\\\\.|[^\\\\\'])*\'|`(?:\\\\.|[^\\\\`])*`)',
+    QS: '%{QUOTEDSTRING}',
+    UUID: '[A-Fa-f0-9]{8}-(?:[A-Fa-f0-9]{4}-){3}[A-Fa-f0-9]{12}',
+    URN: 'urn:[0-9A-Za-z][0-9A-Za-z-]{0,31}:(?:%[0-9a-fA-F]{2}|[0-9A-Za-z()+,.:=@;$_!*\'/?#-])+',
+
+    // Networking
+    CISCOMAC: '(?:(?:[A-Fa-f0-9]{4}\\.){2}[A-Fa-f0-9]{4})',
+    WINDOWSMAC: '(?:(?:[A-Fa-f0-9]{2}-){5}[A-Fa-f0-9]{2})',
+    COMMONMAC: '(?:(?:[A-Fa-f0-9]{2}:){5}[A-Fa-f0-9]{2})',
+    MAC: '(?:%{CISCOMAC}|%{WINDOWSMAC}|%{COMMONMAC})',
+    IPV6: '(?:(?:(?:[0-9A-Fa-f]{1,4}:){7}(?:[0-9A-Fa-f]{1,4}|:))'
+        + `|(?:(?:[0-9A-Fa-f]{1,4}:){6}(?::[0-9A-Fa-f]{1,4}|${IPV6_V4_TAIL}|:))`
+        + `|(?:(?:[0-9A-Fa-f]{1,4}:){5}(?:(?:(?::[0-9A-Fa-f]{1,4}){1,2})|:${IPV6_V4_TAIL}|:))`
+        + `|(?:(?:[0-9A-Fa-f]{1,4}:){4}(?:(?:(?::[0-9A-Fa-f]{1,4}){1,3})|(?:(?::[0-9A-Fa-f]{1,4})?:${IPV6_V4_TAIL})|:))`
+        + `|(?:(?:[0-9A-Fa-f]{1,4}:){3}(?:(?:(?::[0-9A-Fa-f]{1,4}){1,4})|(?:(?::[0-9A-Fa-f]{1,4}){0,2}:${IPV6_V4_TAIL})|:))`
+        + `|(?:(?:[0-9A-Fa-f]{1,4}:){2}(?:(?:(?::[0-9A-Fa-f]{1,4}){1,5})|(?:(?::[0-9A-Fa-f]{1,4}){0,3}:${IPV6_V4_TAIL})|:))`
+        + `|(?:(?:[0-9A-Fa-f]{1,4}:){1}(?:(?:(?::[0-9A-Fa-f]{1,4}){1,6})|(?:(?::[0-9A-Fa-f]{1,4}){0,4}:${IPV6_V4_TAIL})|:))`
+        + `|(?::(?:(?:(?::[0-9A-Fa-f]{1,4}){1,7})|(?:(?::[0-9A-Fa-f]{1,4}){0,5}:${IPV6_V4_TAIL})|:)))(?:%[0-9A-Za-z.]+)?`,
+    IPV4: `(?<![0-9])${IPV4_OCTET}[.]${IPV4_OCTET}[.]${IPV4_OCTET}[.]${IPV4_OCTET}(?![0-9])`,
+    IP: '(?:%{IPV6}|%{IPV4})',
+    HOSTNAME: '\\b(?:[0-9A-Za-z][0-9A-Za-z-]{0,62})(?:\\.(?:[0-9A-Za-z][0-9A-Za-z-]{0,62}))*(?:\\.?|\\b)',
+    IPORHOST: '(?:%{IP}|%{HOSTNAME})',
+    HOSTPORT: '%{IPORHOST}:%{POSINT}',
+
+    // Paths and URIs
+    PATH: '(?:%{UNIXPATH}|%{WINPATH})',
+    UNIXPATH: '(?:/[\\w_%!$@:.,+~-]*)+',
+    TTY: '(?:/dev/(?:pts|tty(?:[pq])?)(?:\\w+)?/?(?:[0-9]+))',
+    WINPATH: '(?:[A-Za-z]+:|\\\\)(?:\\\\[^\\\\?*]*)+',
+    URIPROTO: '[A-Za-z][A-Za-z0-9+\\-.]+',
+    URIHOST: '%{IPORHOST}(?::%{POSINT})?',
+    URIPATH: '(?:/[A-Za-z0-9$.+!*\'(){},~:;=@#%&_\\-]*)+',
+    URIPARAM: '\\?[A-Za-z0-9$.+!*\'|(){},~@#%&/=:;_?\\-\\[\\]<>]*',
+    URIPATHPARAM: '%{URIPATH}(?:%{URIPARAM})?',
+    URI: '%{URIPROTO}://(?:%{USER}(?::[^@]*)?@)?(?:%{URIHOST})?(?:%{URIPATHPARAM})?',
+
+    // Dates and times
+    MONTH: '\\b(?:[Jj]an(?:uary|uar)?|[Ff]eb(?:ruary|ruar)?|[Mm](?:a|ä)?r(?:ch|z)?|[Aa]pr(?:il)?|[Mm]a(?:y|i)?|[Jj]un(?:e|i)?|[Jj]ul(?:y|i)?|[Aa]ug(?:ust)?|[Ss]ep(?:tember)?|[Oo](?:c|k)?t(?:ober)?|[Nn]ov(?:ember)?|[Dd]e(?:c|z)(?:ember)?)\\b',
+    MONTHNUM: '(?:0?[1-9]|1[0-2])',
+    MONTHNUM2: '(?:0[1-9]|1[0-2])',
+    MONTHDAY: '(?:(?:0[1-9])|(?:[12][0-9])|(?:3[01])|[1-9])',
+    DAY: '(?:Mon(?:day)?|Tue(?:sday)?|Wed(?:nesday)?|Thu(?:rsday)?|Fri(?:day)?|Sat(?:urday)?|Sun(?:day)?)',
+    YEAR: '(?:\\d\\d){1,2}',
+    HOUR: '(?:2[0123]|[01]?[0-9])',
+    MINUTE: '(?:[0-5][0-9])',
+    SECOND: '(?:(?:[0-5]?[0-9]|60)(?:[:.,][0-9]+)?)',
+    TIME: '(?<![0-9])%{HOUR}:%{MINUTE}(?::%{SECOND})(?![0-9])',
+    DATE_US: '%{MONTHNUM}[/-]%{MONTHDAY}[/-]%{YEAR}',
+    DATE_EU: '%{MONTHDAY}[./-]%{MONTHNUM}[./-]%{YEAR}',
+    ISO8601_TIMEZONE: '(?:Z|[+-]%{HOUR}(?::?%{MINUTE}))',
+    ISO8601_SECOND: '(?:%{SECOND}|60)',
+    TIMESTAMP_ISO8601: '%{YEAR}-%{MONTHNUM}-%{MONTHDAY}[T ]%{HOUR}:?%{MINUTE}(?::?%{SECOND})?%{ISO8601_TIMEZONE}?',
+    DATE: '%{DATE_US}|%{DATE_EU}',
+    DATESTAMP: '%{DATE}[- ]%{TIME}',
+    TZ: '(?:[APMCE][SD]T|UTC)',
+    DATESTAMP_RFC822: '%{DAY} %{MONTH} %{MONTHDAY} %{YEAR} %{TIME} %{TZ}',
+    DATESTAMP_RFC2822: '%{DAY}, %{MONTHDAY} %{MONTH} %{YEAR} %{TIME} %{ISO8601_TIMEZONE}',
+    DATESTAMP_OTHER: '%{DAY} %{MONTH} %{MONTHDAY} %{TIME} %{TZ} %{YEAR}',
+    DATESTAMP_EVENTLOG: '%{YEAR}%{MONTHNUM2}%{MONTHDAY}%{HOUR}%{MINUTE}%{SECOND}',
+    HTTPDATE: '%{MONTHDAY}/%{MONTH}/%{YEAR}:%{TIME} %{INT}',
+
+    // Syslog
+    SYSLOGTIMESTAMP: '%{MONTH} +%{MONTHDAY} %{TIME}',
+    PROG: '[\\x21-\\x5a\\x5c\\x5e-\\x7e]+',
+    SYSLOGPROG: '%{PROG:program}(?:\\[%{POSINT:pid}\\])?',
+    SYSLOGHOST: '%{IPORHOST}',
+    SYSLOGFACILITY: '<%{NONNEGINT:facility}.%{NONNEGINT:priority}>',
+    SYSLOGBASE: '%{SYSLOGTIMESTAMP:timestamp} (?:%{SYSLOGFACILITY} )?%{SYSLOGHOST:logsource} %{SYSLOGPROG}:',
+    SYSLOGLINE: '%{SYSLOGBASE} %{GREEDYDATA:message}',
+
+    // Log levels
+    LOGLEVEL: '(?:[Aa]lert|ALERT|[Tt]race|TRACE|[Dd]ebug|DEBUG|[Nn]otice|NOTICE|[Ii]nfo(?:rmation)?|INFO(?:RMATION)?|[Ww]arn(?:ing)?|WARN(?:ING)?|[Ee]rr(?:or)?|ERR(?:OR)?|[Cc]rit(?:ical)?|CRIT(?:ICAL)?|[Ff]atal|FATAL|[Ss]evere|SEVERE|EMERG(?:ENCY)?|[Ee]merg(?:ency)?)',
+
+    // Web servers
+    HTTPDUSER: '%{EMAILADDRESS}|%{USER}',
+    HTTPDERROR_DATE: '%{DAY} %{MONTH} %{MONTHDAY} %{TIME} %{YEAR}',
+    COMMONAPACHELOG: '%{IPORHOST:clientip} %{HTTPDUSER:ident} %{USER:auth} \\[%{HTTPDATE:timestamp}\\] "(?:%{WORD:verb} %{NOTSPACE:request}(?: HTTP/%{NUMBER:httpversion})?|%{DATA:rawrequest})" %{NUMBER:response} (?:%{NUMBER:bytes}|-)',
+    COMBINEDAPACHELOG: '%{COMMONAPACHELOG} %{QS:referrer} %{QS:agent}',
+    HTTPD20_ERRORLOG: '\\[%{HTTPDERROR_DATE:timestamp}\\] \\[%{LOGLEVEL:loglevel}\\] (?:\\[client %{IPORHOST:clientip}\\] )?%{GREEDYDATA:message}',
+    HTTPD24_ERRORLOG: '\\[%{HTTPDERROR_DATE:timestamp}\\] \\[%{WORD:module}:%{LOGLEVEL:loglevel}\\] \\[pid %{POSINT:pid}(?::tid %{NUMBER:tid})?\\](?: \\(%{POSINT:proxy_errorcode}\\)%{DATA:proxy_message}:)?(?: \\[client %{IPORHOST:clientip}:%{POSINT:clientport}\\])?(?: %{DATA:errorcode}:)? %{GREEDYDATA:message}',
+    HTTPD_ERRORLOG: '%{HTTPD20_ERRORLOG}|%{HTTPD24_ERRORLOG}',
+    NGINXERRORLOG: '%{DATA:timestamp} \\[%{LOGLEVEL:loglevel}\\] %{POSINT:pid}#%{NUMBER:tid}: %{GREEDYDATA:message}',
+};
+
+// Grok field names commonly produced by the library, mapped onto normalized entry fields
+const GROK_FIELD_ALIASES = {
+    timestamp: ['timestamp', '@timestamp', 'time', 'date'],
+    sourceIP: ['clientip', 'client_ip', 'client', 'src_ip', 'source.ip', 'source.address', 'client.ip', 'ip'],
+    method: ['verb', 'method', 'http.request.method'],
+    path: ['request', 'path', 'uri', 'url', 'url.original', 'url.path'],
+    statusCode: ['response', 'status', 'status_code', 'http.response.status_code'],
+    userAgent: ['agent', 'user_agent', 'useragent', 'user_agent.original'],
+    bytes: ['bytes', 'body_bytes_sent', 'http.response.body.bytes'],
+    message: ['message', 'msg'],
+    severity: ['loglevel', 'level', 'severity', 'log.level'],
+};
+
+// Patterns whose captures are quoted strings, unquoted when extracted
+const QUOTED_PATTERNS = new Set(['QS', 'QUOTEDSTRING']);
+
+const GROK_REFERENCE = /%\{(\w+)(?::([\w.@\[\]-]+))?(?::(int|float))?\}/g;
+
+// Guard against self-referencing pattern definitions
+const MAX_EXPANSION_DEPTH = 25;
+
+/**
+ * Compile a grok expression
+ * @param {string} expression - e.g. "%{IP:client} %{WORD:method} %{URIPATH:path}"
+ * @param {Object} [customPatterns] - Extra named patterns, taking precedence over the base library
+ * @returns {{ regex: RegExp, fields: Array, match: Function }} match(line) returns captured values by field name, or null
+ */
+function compileGrok(expression, customPatterns = {}) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('Grok expression must be a non-empty string');
+    }
+
+    const patterns = { ...BASE_PATTERNS, ...customPatterns };
+    const captures = [];
+
+    const expand = (source, depth) => {
+        if (depth > MAX_EXPANSION_DEPTH) {
+            throw new Error(`Grok pattern nesting too deep in "${expression}"`);
+        }
+        return source.replace(GROK_REFERENCE, (match, name, field, type) => {
+            if (patterns[name] === undefined) {
+                throw new Error(`Unknown grok pattern %{${name}}`);
+            }
+            const body = expand(patterns[name], depth + 1);
+            if (!field) return `(?:${body})`;
+
+            // Field names may contain characters invalid in JS group names, so groups are numbered
+            const group = `_grok${captures.length}`;
+            captures.push({ group, name: normalizeFieldName(field), type: type || null, pattern: name });
+            return `(?<${group}>${body})`;
+        });
+    };
+
+    const regex = new RegExp(expand(expression, 0));
+
+    return {
+        regex,
+        fields: [...new Set(captures.map(c => c.name))],
+        match(line) {
+            const result = regex.exec(line);
+            if (!result) return null;
+
+            const values = {};
+            for (const { group, name, type, pattern } of captures) {
+                let value = result.groups[group];
+                if (value === undefined) continue;
+                if (QUOTED_PATTERNS.has(pattern)) value = unquote(value);
+                values[name] = type === 'int' ? parseInt(value, 10) : type === 'float' ? parseFloat(value) : value;
+            }
+
+            // Plain (?<name>...) groups written directly in the expression
+            for (const [group, value] of Object.entries(result.groups || {})) {
+                if (!group.startsWith('_grok') && value !== undefined) values[group] = value;
+            }
+
+            return values;
+        },
+    };
+}
+
+/**
+ * Map captured grok field names onto normalized entry fields
+ * @param {Array} fieldNames - Names produced by compileGrok
+ * @returns {Object} Normalized field → grok field name
+ */
+function defaultGrokMapping(fieldNames) {
+    const mapping = {};
+    for (const [target, aliases] of Object.entries(GROK_FIELD_ALIASES)) {
+        const source = aliases.find(alias => fieldNames.includes(alias));
+        if (source) mapping[target] = source;
+    }
+    return mapping;
+}
+
+/**
+ * "[source][ip]" (Logstash field reference) → "source.ip"
+ */
+function normalizeFieldName(field) {
+    if (!field.startsWith('[')) return field;
+    return field.replace(/^\[|\]$/g, '').split('][').join('.');
+}
+
+function unquote(value) {
+    const quote = value[0];
+    if (value.length >= 2 && (quote === '"' || quote === "'" || quote === '`') && value[value.length - 1] === quote) {
+        return value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return value;
+}
+
+module.exports = {
+    compileGrok,
+    defaultGrokMapping,
+    BASE_PATTERNS,
+    GROK_FIELD_ALIASES,
+};
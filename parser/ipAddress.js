@@ -0,0 +1,274 @@
+/**
+ * IP Address Handling
+ * Finds and normalizes IPv4 and IPv6 addresses, and resolves the real client
+ * of a request that passed through load balancers or CDNs.
+ *
+ * Addresses are normalized so the same client always reads the same way:
+ * IPv6 in RFC 5952 form (lowercase, shortest "::" compression), zone IDs and
+ * ports dropped, and IPv4-mapped IPv6 (::ffff:203.0.113.9) turned back into IPv4.
+ */
+
+// Proxies whose forwarding headers are believed; private and loopback ranges unless configured
+const DEFAULT_TRUSTED_PROXIES = [
+    '127.0.0.0/8', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '::1/128', 'fc00::/7',
+];
+
+// Header-style field names, lowercased with '-' and '.' turned into '_'
+const FORWARDED_FOR_FIELDS = ['x_forwarded_for', 'http_x_forwarded_for', 'xff', 'forwarded_for', 'headers_x_forwarded_for', 'request_headers_x_forwarded_for'];
+const FORWARDED_FIELDS = ['forwarded', 'http_forwarded', 'headers_forwarded', 'request_headers_forwarded'];
+const CLIENT_IP_FIELDS = ['true_client_ip', 'http_true_client_ip', 'cf_connecting_ip', 'http_cf_connecting_ip', 'x_real_ip', 'http_x_real_ip'];
+
+// Candidate tokens in free text; each is validated by normalizeIP
+const ADDRESS_TOKEN_REGEX = /(?<![\w.:%-])\[?[0-9A-Fa-f]*[:.][0-9A-Fa-f:.]*(?:%[\w.-]+)?\]?(?::\d{1,5})?(?![\w%])/g;
+
+let trustedProxies = DEFAULT_TRUSTED_PROXIES.map(parseNetwork);
+
+/**
+ * Normalize an address, dropping brackets, ports and zone IDs
+ * @param {string} value - e.g. "2001:DB8:0:0::1", "[fe80::1%eth0]:443", "::ffff:10.0.0.1", "203.0.113.9:51234"
+ * @returns {string|null} Normalized address, or null when the value is not an IP address
+ */
+function normalizeIP(value) {
+    if (typeof value !== 'string') return null;
+    let text = value.trim();
+
+    const bracketed = text.match(/^\[([^\]]+)\](?::\d{1,5})?$/);
+    if (bracketed) text = bracketed[1];
+
+    const v4 = text.match(/^(\d{1,3}(?:\.\d{1,3}){3})(?::\d{1,5})?$/);
+    if (v4) return formatIPv4(v4[1]);
+
+    const groups = parseIPv6(text.replace(/%.*$/, ''));
+    if (!groups) return null;
+
+    // IPv4-mapped addresses are IPv4 clients seen through a dual-stack socket
+    if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff) {
+        return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+    }
+    return formatIPv6(groups);
+}
+
+/**
+ * First IPv4 or IPv6 address in a line of text, normalized
+ * @returns {string|null}
+ */
+function extractIP(text) {
+    if (!text) return null;
+    for (const match of String(text).matchAll(ADDRESS_TOKEN_REGEX)) {
+        // A bare "::" is more often a separator than the unspecified address
+        if (!/[0-9A-Fa-f]/.test(match[0])) continue;
+        const ip = normalizeIP(match[0].replace(/[.:]+$/, ''));
+        if (ip) return ip;
+    }
+    return null;
+}
+
+function formatIPv4(text) {
+    const octets = text.split('.').map(n => parseInt(n, 10));
+    return octets.every(n => n <= 255) ? octets.join('.') : null;
+}
+
+/**
+ * @returns {number[]|null} Eight 16-bit groups
+ */
+function parseIPv6(text) {
+    if (!text.includes(':') || !/^[0-9A-Fa-f:.]+$/.test(text)) return null;
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+
+    const parseHalf = (half) => {
+        if (half === '') return [];
+        const parts = half.split(':');
+        const groups = [];
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            // A trailing dotted quad fills the last two groups
+            if (i === parts.length - 1 && part.includes('.')) {
+                const v4 = /^\d{1,3}(?:\.\d{1,3}){3}$/.test(part) ? formatIPv4(part) : null;
+                if (!v4) return null;
+                const [a, b, c, d] = v4.split('.').map(Number);
+                groups.push((a << 8) | b, (c << 8) | d);
+            } else if (/^[0-9A-Fa-f]{1,4}$/.test(part)) {
+                groups.push(parseInt(part, 16));
+            } else {
+                return null;
+            }
+        }
+        return groups;
+    };
+
+    const head = parseHalf(halves[0]);
+    const tail = halves.length === 2 ? parseHalf(halves[1]) : [];
+    if (!head || !tail) return null;
+    if (halves.length === 1) return head.length === 8 ? head : null;
+    // The part after "::" may not hold a dotted quad anywhere but its end
+    if (halves[0].includes('.')) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (missing < 1) return null;
+    return [...head, ...new Array(missing).fill(0), ...tail];
+}
+
+/**
+ * RFC 5952: lowercase, no leading zeros, the longest run of two or more zero groups becomes "::"
+ */
+function formatIPv6(groups) {
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== 0) {
+            i++;
+            continue;
+        }
+        let end = i;
+        while (end < 8 && groups[end] === 0) end++;
+        if (end - i > bestLength) {
+            bestStart = i;
+            bestLength = end - i;
+        }
+        i = end;
+    }
+
+    const hex = groups.map(g => g.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Address as a BigInt plus its bit width, for prefix comparisons
+ */
+function addressBits(ip) {
+    const normalized = normalizeIP(ip);
+    if (!normalized) return null;
+    if (!normalized.includes(':')) {
+        const value = normalized.split('.').reduce((acc, n) => (acc << 8n) | BigInt(n), 0n);
+        return { value, width: 32 };
+    }
+    const value = parseIPv6(normalized).reduce((acc, g) => (acc << 16n) | BigInt(g), 0n);
+    return { value, width: 128 };
+}
+
+/**
+ * @param {string} text - Address or CIDR block, e.g. "10.0.0.0/8", "2001:db8::/32", "203.0.113.7"
+ * @param {string} [label] - What the block is for, used in error messages
+ */
+function parseNetwork(text, label = 'trusted proxy') {
+    const [address, prefixText] = String(text).trim().split('/');
+    const bits = addressBits(address);
+    if (!bits) throw new Error(`Invalid ${label} address: ${text}`);
+
+    const prefix = prefixText === undefined ? bits.width : parseInt(prefixText, 10);
+    if (isNaN(prefix) || prefix < 0 || prefix > bits.width) throw new Error(`Invalid ${label} prefix: ${text}`);
+
+    const shift = BigInt(bits.width - prefix);
+    return { width: bits.width, shift, network: bits.value >> shift };
+}
+
+/**
+ * Replace the trusted proxy list
+ * @param {Array<string>|string} networks - Addresses and CIDR blocks, as an array or comma-separated
+ * @throws {Error} When an entry is not an address or CIDR block
+ */
+function setTrustedProxies(networks) {
+    const list = Array.isArray(networks) ? networks : String(networks).split(',');
+    trustedProxies = list.map(n => n.trim()).filter(Boolean).map(parseNetwork);
+}
+
+function isTrustedProxy(ip) {
+    const bits = addressBits(ip);
+    if (!bits) return false;
+    return trustedProxies.some(net => inNetwork(bits, net));
+}
+
+/**
+ * Compile an address or CIDR block into a membership test
+ * @param {string} block - e.g. "10.0.0.0/8" or "2001:db8::/32"
+ * @returns {Function} (ip) => whether the address falls inside the block
+ * @throws {Error} When the block is not an address or CIDR block
+ */
+function networkMatcher(block) {
+    const net = parseNetwork(block, 'network');
+    return (ip) => {
+        const bits = addressBits(ip);
+        return Boolean(bits) && inNetwork(bits, net);
+    };
+}
+
+function inNetwork(bits, net) {
+    return net.width === bits.width && (bits.value >> net.shift) === net.network;
+}
+
+/**
+ * Addresses listed in RFC 7239 Forwarded "for=" parameters, client first
+ * Obfuscated identifiers ("_hidden") and "unknown" are kept as nulls so the
+ * chain keeps its length.
+ */
+function parseForwarded(value) {
+    const chain = [];
+    for (const element of String(value).split(',')) {
+        const match = element.match(/(?:^|;)\s*for\s*=\s*("?)([^";]*)\1/i);
+        if (match) chain.push(normalizeIP(match[2]));
+    }
+    return chain;
+}
+
+/**
+ * Find forwarding headers among a log's named values
+ * @param {Object} values - Field name → value; names are matched case-insensitively, with '-' and '.' as '_'
+ * @returns {{ forwardedFor?: string, forwarded?: string, clientIP?: string }}
+ */
+function forwardingFields(values) {
+    const found = {};
+    for (const [key, value] of Object.entries(values)) {
+        if (typeof value !== 'string' || value === '' || value === '-') continue;
+        const name = key.toLowerCase().replace(/[-.]/g, '_');
+        if (!found.forwardedFor && FORWARDED_FOR_FIELDS.includes(name)) found.forwardedFor = value;
+        else if (!found.forwarded && FORWARDED_FIELDS.includes(name)) found.forwarded = value;
+        else if (!found.clientIP && CLIENT_IP_FIELDS.includes(name)) found.clientIP = value;
+    }
+    return found;
+}
+
+/**
+ * Resolve the real client of a request
+ * Forwarding headers are only believed when the connecting peer is a trusted
+ * proxy (or unknown). The chain is walked from the nearest hop back, and the
+ * first address that is not a trusted proxy is the client; a CDN's
+ * True-Client-IP style header wins over the chain.
+ * @param {Object} request
+ * @param {string} [request.peer] - Address that connected to the server
+ * @param {string} [request.forwardedFor] - X-Forwarded-For value
+ * @param {string} [request.forwarded] - RFC 7239 Forwarded value
+ * @param {string} [request.clientIP] - True-Client-IP, CF-Connecting-IP or X-Real-IP value
+ * @returns {{ ip: string, proxy: string|null }} Client address, and the peer when it was a proxy
+ */
+function resolveClientIP({ peer, forwardedFor, forwarded, clientIP }) {
+    const peerIP = normalizeIP(peer) || (peer && peer !== '-' ? peer : '');
+    if (peerIP && !isTrustedProxy(peerIP)) return { ip: peerIP, proxy: null };
+
+    const chain = forwarded
+        ? parseForwarded(forwarded)
+        : String(forwardedFor || '').split(',').map(hop => normalizeIP(hop)).filter(hop => hop !== null);
+
+    let ip = normalizeIP(clientIP);
+    if (!ip) {
+        for (let i = chain.length - 1; i >= 0; i--) {
+            ip = chain[i];
+            if (ip === null || !isTrustedProxy(ip)) break;
+        }
+    }
+
+    return ip ? { ip, proxy: peerIP || null } : { ip: peerIP, proxy: null };
+}
+
+module.exports = {
+    normalizeIP,
+    extractIP,
+    isTrustedProxy,
+    setTrustedProxies,
+    networkMatcher,
+    forwardingFields,
+    resolveClientIP,
+    DEFAULT_TRUSTED_PROXIES,
+};
@@ -0,0 +1,92 @@
+/**
+ * journald Parser
+ * Normalizes records exported with `journalctl -o json` (one JSON object per line)
+ */
+
+const { extractIP } = require('./ipAddress');
+
+// syslog PRIORITY 0-7 → entry severity
+const PRIORITY_SEVERITY = ['critical', 'critical', 'critical', 'error', 'warning', 'info', 'info', 'info'];
+
+// Trusted and user fields kept in entry.fields
+const KEPT_FIELDS = {
+    _HOSTNAME: 'hostname',
+    SYSLOG_IDENTIFIER: 'identifier',
+    PRIORITY: 'priority',
+    SYSLOG_FACILITY: 'facility',
+    _PID: 'pid',
+    _UID: 'uid',
+    _GID: 'gid',
+    _COMM: 'comm',
+    _EXE: 'exe',
+    _CMDLINE: 'cmdline',
+    _SYSTEMD_UNIT: 'unit',
+    _TRANSPORT: 'transport',
+    _BOOT_ID: 'bootId',
+};
+
+/**
+ * Whether a parsed JSON record is a journald export
+ */
+function isJournaldRecord(json) {
+    return Boolean(json) && (json.__REALTIME_TIMESTAMP !== undefined || json.__CURSOR !== undefined);
+}
+
+/**
+ * Normalize one journald record
+ * @param {Object} json - Record for which isJournaldRecord() is true
+ * @returns {Object} Normalized entry
+ */
+function normalizeJournaldRecord(json) {
+    const message = journalString(json.MESSAGE);
+    const priority = parseInt(json.PRIORITY, 10);
+
+    const fields = {};
+    for (const [key, name] of Object.entries(KEPT_FIELDS)) {
+        if (json[key] !== undefined) fields[name] = journalString(json[key]);
+    }
+
+    return {
+        timestamp: realtimeToISO(json.__REALTIME_TIMESTAMP || json._SOURCE_REALTIME_TIMESTAMP),
+        sourceIP: extractIP(message) || '',
+        method: '',
+        path: '',
+        statusCode: null,
+        userAgent: '',
+        message,
+        rawLine: JSON.stringify(json),
+        severity: PRIORITY_SEVERITY[priority] || 'info',
+        fields,
+        ecs: {
+            'event.dataset': 'journald',
+            'host.name': fields.hostname,
+            'process.name': fields.identifier || fields.comm,
+            'process.pid': fields.pid,
+            'process.executable': fields.exe,
+            'process.command_line': fields.cmdline,
+            'user.id': fields.uid,
+            'service.name': fields.unit,
+        },
+    };
+}
+
+/**
+ * journald timestamps are microseconds since the epoch, as strings
+ */
+function realtimeToISO(value) {
+    const micros = parseInt(value, 10);
+    return Number.isNaN(micros) ? null : new Date(Math.floor(micros / 1000)).toISOString();
+}
+
+/**
+ * Non-UTF-8 values are exported as arrays of byte values
+ */
+function journalString(value) {
+    if (Array.isArray(value)) return Buffer.from(value).toString('utf-8');
+    return value === null || value === undefined ? '' : String(value);
+}
+
+module.exports = {
+    isJournaldRecord,
+    normalizeJournaldRecord,
+};
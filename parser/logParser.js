@@ -1,13 +1,119 @@
 /**
  * Log Parser Module
- * Supports: Apache/Nginx, JSON, CSV, Syslog, Generic text logs
+ * Supports: Apache/Nginx (common, combined, vhost_combined), JSON, CSV/TSV, Syslog, key=value, Generic text logs
+ * Line formats are registered in the parser registry, which also holds
+ * user-defined formats loaded from the config directory. Every entry is
+ * mapped onto the Elastic Common Schema in entry.ecs (see ecs.js).
  */
 
-// Apache/Nginx Combined Log Format regex
-const APACHE_REGEX = /^(\S+)\s+\S+\s+\S+\s+\[([^\]]+)\]\s+"(\S+)\s+(\S+)\s+\S+"\s+(\d{3})\s+(\d+|-)\s*"([^"]*)"\s*"([^"]*)"/;
+const readline = require('readline');
+const { registerFormat, getFormat, getDetectionOrder } = require('./parserRegistry');
+const {
+    parseWindowsEventXml,
+    isWindowsEventJson,
+    normalizeWindowsEventJson,
+    createXmlEventSplitter,
+} = require('./windowsEvents');
+const { isAuditRecord, createAuditCorrelator, parseAuditRecord, normalizeAuditEvent } = require('./auditd');
+const { isJournaldRecord, normalizeJournaldRecord } = require('./journald');
+const { cloudProviderOf, normalizeCloudAuditRecord } = require('./cloudAudit');
+const { splitPriority, parseRfc5424, findSecurityPayload, parseCef, parseLeef } = require('./syslog');
+const { parseTimestamp, extractTimestamp, createTimestampResolver } = require('./timestamps');
+const { normalizeIP, extractIP, forwardingFields, resolveClientIP } = require('./ipAddress');
+const { compileApacheFormat, accessLogFields, accessLogMapping } = require('./accessLogFormat');
+const { attachEcs, ecsFields, ecsValue, hasCategory } = require('./ecs');
+const { createDelimitedReader } = require('./delimited');
+const { resolveMultilineRule, createMultilineJoiner } = require('./multiline');
+const { firstMatch } = require('./evidence');
+
+// Stock Apache LogFormat nicknames; extra text after the last field is tolerated
+const COMMON_LOG_FORMAT = '%h %l %u %t "%r" %>s %b';
+const COMBINED_LOG_FORMAT = `${COMMON_LOG_FORMAT} "%{Referer}i" "%{User-Agent}i"`;
+const ACCESS_LOG_FORMATS = {
+    common: [compileApacheFormat(COMMON_LOG_FORMAT, { trailing: true })],
+    // nginx's default "main" format appends X-Forwarded-For to combined
+    combined: [
+        compileApacheFormat(`${COMBINED_LOG_FORMAT} "%{X-Forwarded-For}i"`, { trailing: true }),
+        compileApacheFormat(COMBINED_LOG_FORMAT, { trailing: true }),
+    ],
+    vhost_combined: [compileApacheFormat('%v:%p %h %l %u %t "%r" %>s %O "%{Referer}i" "%{User-Agent}i"', { trailing: true })],
+};
 
 // Syslog format regex
 const SYSLOG_REGEX = /^(\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2})\s+(\S+)\s+(\S+?)(?:\[(\d+)\])?:\s+(.+)/;
+const SYSLOG_HEADER_REGEX = /^(\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2})\s+(\S+)/;
+const RFC5424_REGEX = /^<\d{1,3}>\d{1,2} /;
+
+// Syslog severity 0-7 (emerg … debug) → entry severity
+const SYSLOG_SEVERITY_LEVELS = ['critical', 'critical', 'critical', 'error', 'warning', 'info', 'info', 'info'];
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2, critical: 3 };
+
+// CEF / LEEF extension keys mapped onto entry.fields names
+const SECURITY_EVENT_FIELDS = {
+    destinationIP: ['dst'],
+    sourcePort: ['spt', 'srcPort'],
+    destinationPort: ['dpt', 'dstPort'],
+    action: ['act', 'action'],
+    protocol: ['proto'],
+    sourceUser: ['suser', 'usrName'],
+    destinationUser: ['duser'],
+    sourceHost: ['shost', 'srcHost'],
+    destinationHost: ['dhost', 'dstHost'],
+    category: ['cat'],
+};
+
+// key=value pair: bare, double- or single-quoted values; pairs separated by spaces, '|', ',' or ';'
+const KV_PAIR_REGEX = /(?:^|[\s|,;])([A-Za-z_@][\w.@-]*)=("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s|]*)/g;
+
+// Leading level token in application logs ("2026-02-24 09:12:45 WARNING ...")
+const LEVEL_PREFIX_REGEX = /^\[?(TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|ERR|CRIT|CRITICAL|ALERT|EMERG|FATAL)\]?:?\s+/i;
+
+// Common source field names, mapped onto normalized entry fields
+const FIELD_ALIASES = {
+    timestamp: ['ts', 'time', 'timestamp', 'date', '@timestamp'],
+    sourceIP: ['ip', 'src', 'src_ip', 'source_ip', 'client', 'client_ip', 'clientip', 'remote_addr'],
+    method: ['method', 'http_method', 'verb'],
+    path: ['endpoint', 'path', 'url', 'uri', 'request', 'route'],
+    statusCode: ['status', 'status_code', 'http_status'],
+    userAgent: ['ua', 'user_agent', 'useragent', 'agent'],
+    bytes: ['bytes', 'size', 'body_bytes_sent', 'bytes_sent', 'response_bytes'],
+    responseTime: ['response_time', 'response_time_ms', 'duration_ms', 'latency_ms', 'elapsed_ms'],
+    message: ['msg', 'message'],
+    severity: ['level', 'lvl', 'severity', 'log_level'],
+};
+
+// Extra aliases for CSV / TSV header names, which describe a whole column rather than one value
+const COLUMN_ALIASES = {
+    message: ['event', 'description', 'details'],
+};
+
+// Keys of a flattened JSON record that normalizeJsonLog reads into the normalized fields; the rest
+// are kept in entry.fields like the unmapped pairs of a key=value line
+const JSON_MAPPED_KEYS = new Set([
+    ...FIELD_ALIASES.timestamp,
+    'ip', 'source_ip', 'remote_addr', 'clientIP', 'client_ip', 'source.ip', 'client.ip',
+    'method', 'request_method', 'verb', 'http.request.method',
+    'path', 'url', 'request', 'uri', 'url.path', 'url.original',
+    'status', 'statusCode', 'status_code', 'response_code', 'http.response.status_code',
+    'user_agent', 'userAgent', 'agent', 'user_agent.original',
+    'bytes', 'body_bytes_sent', 'bytes_sent', 'http.response.body.bytes',
+    'response_time_ms', 'duration_ms', 'responseTime', 'response_time', 'request_time', 'upstream_response_time', 'event.duration',
+    'message', 'msg', 'log',
+    'level', 'severity', 'log_level', 'log.level',
+]);
+
+// Why a line was kept only as plain text, or skipped (entry.parseIssue / options.onUnparsed)
+const PARSE_ISSUES = {
+    noFormat: 'No known format matched; kept as plain text',
+    pinnedMismatch: 'Did not match the selected format; kept as plain text',
+    invalidJson: 'Invalid JSON record; kept as plain text',
+    invalidXml: 'Not a Windows <Event> element; kept as plain text',
+    csvColumns: 'CSV row has a different number of fields than the header; skipped',
+    csvQuote: 'CSV row has an unterminated quoted field; skipped',
+};
+
+// entry.fields names that identify the host an entry was logged on, in order of preference
+const HOST_FIELDS = ['hostname', 'host.name', 'host', 'Computer', 'computer_name', 'dvchost'];
 
 // Auth failure patterns
 const AUTH_FAIL_PATTERNS = [
@@ -15,6 +121,9 @@ const AUTH_FAIL_PATTERNS = [
     /authentication\s+fail/i,
     /invalid\s+user/i,
     /login\s+failed/i,
+    /failed\s+logon/i,                       // Windows 4625
+    /pre-authentication\s+failed/i,          // Windows 4771 (Kerberos)
+    /failed\s+credential\s+validation/i,     // Windows 4776 (NTLM)
     /access\s+denied/i,
     /unauthorized/i,
     /401/,
@@ -33,91 +142,513 @@ const SUSPICIOUS_URL_PATTERNS = [
     /\/(phpmyadmin|adminer|phpinfo)/i,       // Admin panel scanning
 ];
 
-function parseLogLine(line) {
+/**
+ * Parse a single log line
+ * @param {string} line - Raw log line
+ * @param {Object} [options]
+ * @param {string|Object} [options.format] - Pinned format name, or an unregistered format object; auto-detected when omitted
+ * @param {string} [options.timezone] - Source timezone for times written without an offset (default UTC)
+ * @param {Date|number} [options.referenceDate] - When the log was last written, used to infer missing years
+ * @param {Object} [options.timestamps] - Resolver shared by the lines of one file (see createTimestampResolver)
+ * @returns {Object|null} Normalized entry; entry.parseIssue says why a line was only kept as plain text
+ */
+function parseLogLine(line, options = {}) {
     if (!line || line.trim() === '') return null;
+    return completeEntry(timestampsFor(options), parseLine(line.trim(), options.format));
+}
 
-    const trimmed = line.trim();
-
-    // Try JSON format first
-    try {
-        const json = JSON.parse(trimmed);
-        return normalizeJsonLog(json);
-    } catch (e) {
-        // Not JSON, continue
-    }
-
-    // Try Apache/Nginx format
-    const apacheMatch = trimmed.match(APACHE_REGEX);
-    if (apacheMatch) {
-        return normalizeApacheLog(apacheMatch);
+/**
+ * Parse a trimmed line, leaving wall-clock and yearless times unresolved
+ */
+function parseLine(line, pinned) {
+    // Pinned format: lines it cannot parse are kept as generic entries
+    if (pinned) {
+        const format = typeof pinned === 'string' ? getFormat(pinned) : pinned;
+        const entry = format && !format.document ? format.parse(line) : null;
+        return entry ? withDataset(entry, format.name) : plainText(line, PARSE_ISSUES.pinnedMismatch);
     }
 
-    // Try Syslog format
-    const syslogMatch = trimmed.match(SYSLOG_REGEX);
-    if (syslogMatch) {
-        return normalizeSyslog(syslogMatch);
+    // Auto-detect: first registered format that recognizes the line wins
+    for (const format of getDetectionOrder()) {
+        if (!format.sniff(line)) continue;
+        const entry = format.parse(line);
+        if (!entry) continue;
+        // The catch-all generic format reads any line, so nothing more specific did
+        if (format.name === 'generic') entry.parseIssue = PARSE_ISSUES.noFormat;
+        return withDataset(entry, format.name);
     }
 
     // Generic text log
-    return normalizeGenericLog(trimmed);
+    return plainText(line, PARSE_ISSUES.noFormat);
 }
 
-function normalizeApacheLog(match) {
-    const [, ip, timestamp, method, reqPath, statusCode, , , userAgent] = match;
-    const status = parseInt(statusCode, 10);
+function timestampsFor(options) {
+    return options.timestamps || createTimestampResolver(options);
+}
 
-    return {
-        timestamp: parseApacheDate(timestamp),
-        sourceIP: ip,
-        method: method,
-        path: reqPath,
-        statusCode: status,
-        userAgent: userAgent || '',
-        message: `${method} ${reqPath} ${status}`,
-        rawLine: match[0],
-        severity: getSeverityFromStatus(status),
-    };
+/**
+ * Last step for every entry leaving the parser: resolve its timestamp, then build its ECS document
+ */
+function completeEntry(timestamps, entry) {
+    return attachEcs(timestamps.resolve(entry));
+}
+
+/**
+ * Generic entry for text no format could read, noting why
+ */
+function plainText(text, issue) {
+    const entry = withDataset(normalizeGenericLog(text), 'generic');
+    entry.parseIssue = issue;
+    return entry;
+}
+
+/**
+ * Record which format produced an entry as ECS event.dataset, unless its parser named a more specific one
+ */
+function withDataset(entry, dataset) {
+    entry.ecs = { 'event.dataset': dataset, ...entry.ecs };
+    return entry;
+}
+
+/**
+ * Parse an access log line with the first compiled format that matches it
+ * @param {Array} compiled - Formats from compileNginxFormat / compileApacheFormat
+ */
+function parseAccessLog(line, compiled) {
+    for (const format of compiled) {
+        const values = format.match(line);
+        if (!values) continue;
+        const { known, fields, ecs } = accessLogFields(values);
+        return buildEntry(known, fields, line, ecs);
+    }
+    return null;
+}
+
+/**
+ * Real client of a request that may have passed through trusted proxies
+ * @param {string} peer - Address that connected to the server
+ * @param {Object} forwarding - forwardedFor / forwarded / clientIP header values (see resolveClientIP)
+ * @returns {{ sourceIP: string, fields: Object }} fields records the proxy and forwarding chain when they were used
+ */
+function resolveClient(peer, forwarding) {
+    const { ip, proxy } = resolveClientIP({ peer, ...forwarding });
+    if (!proxy) return { sourceIP: ip, fields: {} };
+
+    const fields = { proxyIP: proxy };
+    if (forwarding.forwardedFor) fields.forwardedFor = forwarding.forwardedFor;
+    if (forwarding.forwarded) fields.forwarded = forwarding.forwarded;
+    return { sourceIP: ip, fields };
 }
 
 function normalizeSyslog(match) {
-    const [fullMatch, timestamp, hostname, service, pid, message] = match;
+    const [fullMatch, timestamp, hostname, program, pid, message] = match;
     const ip = extractIP(message);
     const severity = getSeverityFromMessage(message);
 
     return {
-        timestamp: parseSyslogDate(timestamp),
+        timestamp: parseTimestamp(timestamp),
         sourceIP: ip,
-        method: service,
+        method: '',
         path: '',
         statusCode: null,
-        userAgent: `${hostname}/${service}${pid ? `[${pid}]` : ''}`,
+        userAgent: '',
         message: message,
         rawLine: fullMatch,
         severity: severity,
+        fields: pid ? { hostname, program, pid } : { hostname, program },
+        ecs: { 'host.name': hostname, 'process.name': program, 'process.pid': pid },
+    };
+}
+
+/**
+ * RFC 3164 line, optionally prefixed with <PRI>
+ * The PRI severity raises the severity guessed from the message, never lowers it.
+ */
+function parseBsdSyslog(line) {
+    const { priority, rest } = splitPriority(line);
+    const match = rest.match(SYSLOG_REGEX);
+    if (!match) return null;
+
+    const entry = normalizeSyslog(match);
+    if (priority) {
+        entry.rawLine = line;
+        entry.severity = maxSeverity(entry.severity, SYSLOG_SEVERITY_LEVELS[priority.severity]);
+        Object.assign(entry.fields, { facility: priority.facilityName, syslogSeverity: priority.severityName });
+        Object.assign(entry.ecs, { 'log.syslog.facility.name': priority.facilityName, 'log.syslog.severity.name': priority.severityName });
+    }
+    return entry;
+}
+
+function normalizeRfc5424(line) {
+    const parsed = parseRfc5424(line);
+    if (!parsed) return null;
+
+    const origin = parsed.structuredData.origin || {};
+
+    return {
+        timestamp: parseTimestamp(parsed.timestamp),
+        sourceIP: normalizeIP(origin.ip) || extractIP(parsed.message),
+        method: '',
+        path: '',
+        statusCode: null,
+        userAgent: '',
+        message: parsed.message,
+        rawLine: line,
+        severity: maxSeverity(SYSLOG_SEVERITY_LEVELS[parsed.severity], getSeverityFromMessage(parsed.message)),
+        fields: {
+            facility: parsed.facilityName,
+            syslogSeverity: parsed.severityName,
+            hostname: parsed.hostname,
+            appName: parsed.appName,
+            procId: parsed.procId,
+            msgId: parsed.msgId,
+            structuredData: parsed.structuredData,
+        },
+        ecs: {
+            'host.name': parsed.hostname,
+            'process.name': parsed.appName,
+            'process.pid': parsed.procId,
+            'event.code': parsed.msgId,
+            'log.syslog.facility.name': parsed.facilityName,
+            'log.syslog.severity.name': parsed.severityName,
+        },
     };
 }
 
+/**
+ * CEF or LEEF event, bare or wrapped in an RFC 3164 / 5424 syslog header
+ */
+function normalizeSecurityEvent(line) {
+    const found = findSecurityPayload(line);
+    if (!found) return null;
+
+    const event = found.payload.startsWith('CEF:') ? parseCef(found.payload) : parseLeef(found.payload);
+    if (!event) return null;
+
+    const { header, syslogFields } = parseSecurityEventHeader(found.header);
+    const ext = { ...event.extensions };
+    const take = (...keys) => {
+        const key = keys.find(k => ext[k] !== undefined);
+        if (key === undefined) return undefined;
+        const value = ext[key];
+        delete ext[key];
+        return value;
+    };
+
+    const src = take('src', 'srcIP', 'c6a2');
+    const sourceIP = normalizeIP(src) || src || '';
+    const time = take('rt', 'devTime', 'end', 'start');
+    const detail = take('msg');
+
+    const fields = {
+        format: event.format,
+        vendor: event.deviceVendor,
+        product: event.deviceProduct,
+        deviceVersion: event.deviceVersion,
+        signatureId: event.signatureId,
+        name: event.name,
+        ...syslogFields,
+    };
+    for (const [field, keys] of Object.entries(SECURITY_EVENT_FIELDS)) {
+        const value = take(...keys);
+        if (value !== undefined) fields[field] = value;
+    }
+
+    const method = take('requestMethod') || '';
+    const reqPath = take('request', 'url') || '';
+    const userAgent = take('requestClientApplication') || '';
+    const eventSeverity = event.severity !== null ? event.severity : take('sev');
+    Object.assign(fields, ext);
+
+    return {
+        timestamp: parseTimestamp(time) || header.timestamp || null,
+        sourceIP,
+        method,
+        path: reqPath,
+        statusCode: null,
+        userAgent,
+        message: detail ? `${event.name}: ${detail}` : event.name,
+        rawLine: line,
+        severity: securityEventSeverity(eventSeverity),
+        fields,
+        ecs: {
+            'observer.vendor': event.deviceVendor,
+            'observer.product': event.deviceProduct,
+            'observer.version': event.deviceVersion,
+            'observer.hostname': fields.hostname,
+            'event.code': event.signatureId,
+            'event.action': fields.action,
+            'source.port': fields.sourcePort,
+            'source.domain': fields.sourceHost,
+            'destination.ip': normalizeIP(fields.destinationIP) || fields.destinationIP,
+            'destination.port': fields.destinationPort,
+            'destination.domain': fields.destinationHost,
+            'destination.user.name': fields.destinationUser,
+            'user.name': fields.sourceUser,
+            'network.transport': fields.protocol && String(fields.protocol).toLowerCase(),
+        },
+    };
+}
+
+function parseSecurityEventHeader(text) {
+    if (!text) return { header: {}, syslogFields: {} };
+
+    if (RFC5424_REGEX.test(text)) {
+        const parsed = parseRfc5424(`${text} `);
+        if (parsed) {
+            return {
+                header: { timestamp: parseTimestamp(parsed.timestamp) },
+                syslogFields: { facility: parsed.facilityName, hostname: parsed.hostname },
+            };
+        }
+    }
+
+    const { priority, rest } = splitPriority(text);
+    const match = rest.match(SYSLOG_HEADER_REGEX);
+    return {
+        header: { timestamp: match ? parseTimestamp(match[1]) : null },
+        syslogFields: {
+            ...(priority ? { facility: priority.facilityName } : {}),
+            ...(match ? { hostname: match[2] } : {}),
+        },
+    };
+}
+
+/**
+ * CEF severity is 0-10 or Low/Medium/High/Very-High; LEEF sev is 1-10
+ */
+function securityEventSeverity(value) {
+    const text = String(value === undefined || value === null ? '' : value).toLowerCase();
+    const level = /^\d+$/.test(text)
+        ? parseInt(text, 10)
+        : { low: 2, medium: 5, high: 7, 'very-high': 9 }[text];
+
+    if (level === undefined) return 'info';
+    if (level >= 9) return 'critical';
+    if (level >= 7) return 'error';
+    if (level >= 4) return 'warning';
+    return 'info';
+}
+
+function maxSeverity(a, b) {
+    return (SEVERITY_RANK[b] || 0) > (SEVERITY_RANK[a] || 0) ? b : a;
+}
+
 function normalizeJsonLog(json) {
+    if (isWindowsEventJson(json)) return normalizeWindowsEventJson(json);
+    if (isJournaldRecord(json)) return normalizeJournaldRecord(json);
+    if (cloudProviderOf(json)) return normalizeCloudAuditRecord(json);
+
+    const flat = flattenObject(json);
+    const peer = flat.ip || flat.source_ip || flat.remote_addr || flat.clientIP || flat.client_ip || flat['source.ip'] || flat['client.ip'];
+    const client = resolveClient(peer, forwardingFields(flat));
+    const bytes = parseInt(flat.bytes || flat.body_bytes_sent || flat.bytes_sent || flat['http.response.body.bytes'], 10);
+    const level = flat.level || flat.severity || flat.log_level || flat['log.level'];
+
     return {
-        timestamp: json.timestamp || json.time || json.date || json['@timestamp'] || new Date().toISOString(),
-        sourceIP: json.ip || json.source_ip || json.remote_addr || json.clientIP || json.client_ip || extractIP(JSON.stringify(json)),
-        method: json.method || json.request_method || json.verb || '',
-        path: json.path || json.url || json.request || json.uri || '',
-        statusCode: json.status || json.statusCode || json.status_code || json.response_code || null,
-        userAgent: json.user_agent || json.userAgent || json.agent || '',
-        message: json.message || json.msg || json.log || JSON.stringify(json),
+        timestamp: jsonTimestamp(flat),
+        sourceIP: client.sourceIP || extractIP(JSON.stringify(json)),
+        method: flat.method || flat.request_method || flat.verb || flat['http.request.method'] || '',
+        path: flat.path || flat.url || flat.request || flat.uri || flat['url.path'] || flat['url.original'] || '',
+        statusCode: flat.status || flat.statusCode || flat.status_code || flat.response_code || flat['http.response.status_code'] || null,
+        userAgent: flat.user_agent || flat.userAgent || flat.agent || flat['user_agent.original'] || '',
+        bytes: isNaN(bytes) ? null : bytes,
+        responseTime: jsonResponseTime(flat),
+        message: flat.message || flat.msg || flat.log || JSON.stringify(json),
         rawLine: JSON.stringify(json),
-        severity: json.level || json.severity || json.log_level || getSeverityFromMessage(json.message || ''),
+        severity: level ? normalizeLevel(level) : getSeverityFromMessage(flat.message || ''),
+        fields: jsonExtraFields(flat, client.fields.proxyIP),
+        ecs: ecsFields(flat),
+    };
+}
+
+/**
+ * Keys of a flattened JSON record that no normalized field reads
+ * Forwarding headers stay under their own names; only the proxy the request came through is added.
+ */
+function jsonExtraFields(flat, proxyIP) {
+    const fields = {};
+    for (const [key, value] of Object.entries(flat)) {
+        if (!JSON_MAPPED_KEYS.has(key)) fields[key] = value;
+    }
+    if (proxyIP) fields.proxyIP = proxyIP;
+    return fields;
+}
+
+/**
+ * Time of a JSON record from the same keys as key=value logs (ts, time, timestamp, ...),
+ * which may hold text or epoch numbers; otherwise a time written in the message
+ */
+function jsonTimestamp(flat) {
+    for (const name of FIELD_ALIASES.timestamp) {
+        const timestamp = parseTimestamp(flat[name]);
+        if (timestamp) return timestamp;
+    }
+    return extractTimestamp(String(flat.message || flat.msg || ''));
+}
+
+/**
+ * Request duration in milliseconds
+ * nginx JSON formats log $request_time in seconds; ECS event.duration is in nanoseconds.
+ */
+function jsonResponseTime(flat) {
+    const ms = parseFloat(flat.response_time_ms || flat.duration_ms || flat.responseTime || flat.response_time);
+    if (!isNaN(ms)) return ms;
+    const seconds = parseFloat(flat.request_time || flat.upstream_response_time);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const nanoseconds = parseFloat(flat['event.duration']);
+    return isNaN(nanoseconds) ? null : nanoseconds / 1e6;
+}
+
+/**
+ * Flatten nested objects into dot-separated keys
+ * { http: { request: { method: 'GET' } } } → { 'http.request.method': 'GET' }
+ * Arrays are kept as values; top-level keys always win over flattened ones.
+ */
+function flattenObject(obj, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenObject(value, name, out);
+        } else if (!(name in out)) {
+            out[name] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Parse key=value / logfmt lines, e.g.
+ * 2026-02-24 09:12:45 WARNING Failed login attempt | user=admin | ip=185.243.44.12 | status=401
+ * Known keys map onto the normalized entry; the rest are kept in `fields`.
+ * @returns {Object|null} Normalized entry, or null if the line has fewer than two pairs
+ */
+function parseKeyValueLog(line) {
+    const pairs = {};
+    let pairCount = 0;
+    let prefixEnd = -1;
+    for (const match of line.matchAll(KV_PAIR_REGEX)) {
+        if (prefixEnd === -1) prefixEnd = match.index;
+        if (!(match[1] in pairs)) pairs[match[1]] = unquoteKVValue(match[2]);
+        pairCount++;
+    }
+    if (pairCount < 2) return null;
+
+    const { known, fields } = mapFields(pairs);
+
+    // Free text before the first pair: optional timestamp, level and message
+    let prefix = line.slice(0, prefixEnd).trim();
+    const prefixTimestamp = extractTimestamp(prefix);
+    prefix = prefix.replace(/^\[?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?\]?\s*/, '');
+    const levelMatch = prefix.match(LEVEL_PREFIX_REGEX);
+    if (levelMatch) prefix = prefix.slice(levelMatch[0].length);
+    prefix = prefix.replace(/[\s|,;]+$/, '');
+
+    return buildEntry({
+        ...known,
+        timestamp: known.timestamp || prefixTimestamp,
+        message: known.message || prefix,
+        severity: known.severity || (levelMatch && levelMatch[1]),
+    }, fields, line);
+}
+
+/**
+ * Split source values into normalized fields and an extra-fields bag
+ * @param {Object} values - Source field name → value
+ * @param {Object} [mapping] - Normalized field → source field name; common aliases are used when omitted
+ * @returns {{ known: Object, fields: Object }}
+ */
+function mapFields(values, mapping) {
+    const known = {};
+    const fields = {};
+
+    if (mapping) {
+        const mapped = new Set();
+        for (const [target, source] of Object.entries(mapping)) {
+            if (values[source] !== undefined) {
+                known[target] = values[source];
+                mapped.add(source);
+            }
+        }
+        for (const [key, value] of Object.entries(values)) {
+            if (!mapped.has(key)) fields[key] = value;
+        }
+        return { known, fields };
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+        const target = FIELD_ALIASES[key] ? key : resolveFieldAlias(key);
+        if (target && known[target] === undefined) {
+            known[target] = value;
+        } else {
+            fields[key] = value;
+        }
+    }
+    return { known, fields };
+}
+
+function resolveFieldAlias(key) {
+    const lower = key.toLowerCase();
+    return Object.keys(FIELD_ALIASES).find(f => FIELD_ALIASES[f].includes(lower)) || null;
+}
+
+/**
+ * Build a normalized entry from already-mapped field values
+ * @param {Object} known - Raw values keyed by normalized field name; responseTime is in milliseconds
+ * @param {Object} fields - Extra fields that have no normalized counterpart
+ * @param {string} rawLine - Original line
+ * @param {Object} [ecs] - ECS values the normalized fields cannot carry, keyed by dotted ECS name
+ */
+function buildEntry(known, fields, rawLine, ecs = {}) {
+    const statusCode = parseInt(known.statusCode, 10);
+    const bytes = parseInt(known.bytes, 10);
+    const responseTime = parseFloat(known.responseTime);
+    const message = known.message || rawLine;
+    // Forwarding headers are already among the extra fields; only the proxy needs recording
+    const { sourceIP, fields: { proxyIP } } = resolveClient(known.sourceIP, forwardingFields(fields));
+
+    return {
+        timestamp: parseTimestamp(known.timestamp),
+        sourceIP: sourceIP || extractIP(rawLine),
+        method: known.method || '',
+        path: known.path || '',
+        statusCode: isNaN(statusCode) ? null : statusCode,
+        userAgent: known.userAgent || '',
+        bytes: isNaN(bytes) ? null : bytes,
+        responseTime: isNaN(responseTime) ? null : responseTime,
+        message,
+        rawLine,
+        severity: known.severity ? normalizeLevel(known.severity) : (isNaN(statusCode) ? getSeverityFromMessage(message) : getSeverityFromStatus(statusCode)),
+        fields: proxyIP ? { ...fields, proxyIP } : fields,
+        ecs,
     };
 }
 
+function unquoteKVValue(value) {
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.length >= 2 && value[value.length - 1] === quote) {
+        return value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return value.replace(/[,;]+$/, '');
+}
+
+/**
+ * Map level names (WARN, ERR, FATAL, ...) onto the severities used by the dashboard
+ */
+function normalizeLevel(level) {
+    const lower = String(level).toLowerCase();
+    if (['fatal', 'crit', 'critical', 'alert', 'emerg', 'emergency'].includes(lower)) return 'critical';
+    if (['err', 'error'].includes(lower)) return 'error';
+    if (['warn', 'warning'].includes(lower)) return 'warning';
+    return 'info';
+}
+
 function normalizeGenericLog(line) {
     const ip = extractIP(line);
-    const timestamp = extractTimestamp(line);
     const severity = getSeverityFromMessage(line);
 
     return {
-        timestamp: timestamp || new Date().toISOString(),
+        timestamp: extractTimestamp(line),
         sourceIP: ip,
         method: '',
         path: '',
@@ -129,103 +660,467 @@ function normalizeGenericLog(line) {
     };
 }
 
-function parseCSVLogs(content) {
-    const lines = content.trim().split('\n');
-    if (lines.length < 2) return [];
+/**
+ * Parse a delimited (CSV / TSV) document held in memory
+ * @param {string} content - Delimited text with a header row
+ * @param {Object} [options] - Same options as parseLogs, plus `filename` as a delimiter hint
+ */
+function parseCSVLogs(content, options = {}) {
+    const table = createDelimitedTable(options.filename, options);
+    const timestamps = timestampsFor(options);
 
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/['"]/g, ''));
-    const entries = [];
+    return [...table.write(content), ...table.end()].map(entry => completeEntry(timestamps, entry));
+}
+
+/**
+ * Read a delimited document in chunks and turn its rows into entries
+ * Columns are assigned to entry fields by the pinned format's `columns`
+ * mapping, or by their header names (see defaultColumnMapping).
+ * @param {string} filename - Original filename; .tsv files prefer tab while sniffing
+ * @param {Object} options - Parse options; `format` may carry `delimiter` and `columns`
+ * @returns {{ write: Function, end: Function }} Both return arrays of entries
+ */
+function createDelimitedTable(filename, options) {
+    const format = typeof options.format === 'string' ? getFormat(options.format) : options.format;
+    const reader = createDelimitedReader({
+        delimiter: format && format.delimiter,
+        preferred: fileExtension(filename) === 'tsv' ? '\t' : ',',
+    });
+    let columns = null;
+
+    const toEntries = (records) => {
+        if (!columns && reader.headers()) columns = (format && format.columns) || defaultColumnMapping(reader.headers());
+        return records.map(record => {
+            if (options.onLine) options.onLine();
+            return delimitedRowToEntry(reader.headers(), columns, record, options.onUnparsed);
+        }).filter(Boolean);
+    };
 
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        if (values.length !== headers.length) continue;
+    return {
+        write: chunk => toEntries(reader.write(chunk)),
+        end: () => toEntries(reader.end()),
+    };
+}
 
-        const obj = {};
-        headers.forEach((h, idx) => {
-            obj[h] = values[idx];
-        });
+/**
+ * Suggested column mapping for a header row: each normalized field takes the
+ * first column named after it or one of its aliases (case-insensitive)
+ * @param {Array<string>} headers
+ * @returns {Object} Normalized field → column name
+ */
+function defaultColumnMapping(headers) {
+    const columns = {};
+    const used = new Set();
 
-        entries.push(normalizeJsonLog(obj));
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+        const names = [field.toLowerCase(), ...aliases, ...(COLUMN_ALIASES[field] || [])];
+        for (const name of names) {
+            const header = headers.find(h => !used.has(h) && h.toLowerCase() === name);
+            if (header) {
+                columns[field] = header;
+                used.add(header);
+                break;
+            }
+        }
     }
+    return columns;
+}
 
-    return entries;
+function delimitedRowToEntry(headers, columns, record, onUnparsed) {
+    if (record.unterminated) {
+        if (onUnparsed) onUnparsed(record.text, PARSE_ISSUES.csvQuote);
+        return null;
+    }
+    if (record.values.length !== headers.length) {
+        if (onUnparsed) onUnparsed(record.text, PARSE_ISSUES.csvColumns, `${record.values.length} fields, header has ${headers.length}`);
+        return null;
+    }
+
+    const values = {};
+    headers.forEach((header, i) => {
+        values[header] = record.values[i];
+    });
+
+    const { known, fields } = mapFields(values, columns);
+    return withDataset(buildEntry(known, fields, record.text), 'csv');
 }
 
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+// Keys under which wrapped exports keep their records, e.g. CloudTrail's { "Records": [...] }
+const JSON_RECORD_KEYS = ['Records', 'records', 'entries', 'events', 'logs', 'items', 'data'];
 
-    for (const char of line) {
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+/**
+ * Incrementally split a JSON document into records
+ * Handles top-level arrays, concatenated objects and NDJSON. Elements of a
+ * top-level array are emitted one at a time, and so are the objects of a
+ * wrapper's record array ({ "Records": [...] }): only the object being read
+ * is held, never the whole wrapper. A wrapper whose record array holds no
+ * objects is emitted as a record itself.
+ * @returns {{ write: Function, end: Function }} Both return arrays of
+ *   { record } for parsed objects or { invalid } with the raw text
+ */
+function createJsonRecordSplitter() {
+    let inArray = false;
+    let depth = 0;
+    let capturing = false;
+    let inString = false;
+    let escaped = false;
+    let buffer = '';
+    // The last string read directly inside the record while it may still be a key, and whether a colon followed it
+    let key = null;
+    let readingKey = false;
+    let colon = false;
+    // The record array of a wrapper: open while it is read, element holds the text of the object being read
+    let records = null;
+
+    // Depth of the keys directly inside a record
+    const recordDepth = () => (inArray ? 2 : 1);
+
+    function decode(text) {
+        try {
+            return [{ record: JSON.parse(text) }];
+        } catch {
+            return [{ invalid: text }];
+        }
+    }
+
+    function write(chunk) {
+        const results = [];
+        let start = capturing && !(records && records.element !== null) ? 0 : -1;
+        let elementStart = records && records.element !== null ? 0 : -1;
+        let keyStart = readingKey ? 0 : -1;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+
+            if (!capturing) {
+                if (ch === '{') {
+                    capturing = true;
+                    start = i;
+                    depth++;
+                } else if (ch === '[' && depth === 0) {
+                    inArray = true;
+                    depth = 1;
+                } else if (ch === ']' && inArray && depth === 1) {
+                    inArray = false;
+                    depth = 0;
+                }
+                continue;
+            }
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') {
+                    inString = false;
+                    if (readingKey) {
+                        key += chunk.slice(keyStart, i);
+                        readingKey = false;
+                    }
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+                if (depth === recordDepth() && !records) {
+                    key = '';
+                    colon = false;
+                    readingKey = true;
+                    keyStart = i + 1;
+                }
+                continue;
+            }
+            if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t') continue;
+            if (ch === ':' && key !== null && !colon) {
+                colon = true;
+                continue;
+            }
+
+            const recordKey = colon && JSON_RECORD_KEYS.includes(key);
+            key = null;
+            colon = false;
+
+            if (ch === '{' || ch === '[') {
+                if (ch === '[' && recordKey && depth === recordDepth()) {
+                    records = { open: true, element: null, count: 0 };
+                } else if (ch === '{' && records && records.open && depth === recordDepth() + 1) {
+                    // One record of the wrapper: read it apart from the wrapper's own text
+                    buffer += chunk.slice(start, i);
+                    start = -1;
+                    records.element = '';
+                    elementStart = i;
+                }
+                depth++;
+            } else if (ch === '}' || ch === ']') {
+                depth--;
+                if (records && records.element !== null && depth === recordDepth() + 1) {
+                    results.push(...decode(records.element + chunk.slice(elementStart, i + 1)));
+                    records.element = null;
+                    records.count++;
+                    start = i + 1;
+                } else if (records && records.open && depth === recordDepth()) {
+                    records.open = false;
+                } else if (depth === (inArray ? 1 : 0)) {
+                    // A wrapper whose records were emitted is done; anything else is a record
+                    if (!records || records.count === 0) results.push(...decode(buffer + chunk.slice(start, i + 1)));
+                    buffer = '';
+                    capturing = false;
+                    records = null;
+                }
+            }
+        }
+
+        if (capturing) {
+            if (records && records.element !== null) records.element += chunk.slice(elementStart);
+            else buffer += chunk.slice(start);
         }
+        if (readingKey) key += chunk.slice(keyStart);
+        return results;
+    }
+
+    function end() {
+        const leftover = (records && records.element !== null ? records.element : buffer).trim();
+        buffer = '';
+        capturing = false;
+        records = null;
+        return leftover ? [{ invalid: leftover }] : [];
     }
-    result.push(current.trim());
-    return result;
+
+    return { write, end };
+}
+
+function jsonSplitResultToEntry(result) {
+    if (result.record) return withDataset(normalizeJsonLog(result.record), 'json');
+    return plainText(result.invalid.replace(/\s+/g, ' ').trim(), PARSE_ISSUES.invalidJson);
+}
+
+function fileExtension(filename) {
+    return filename ? filename.split('.').pop().toLowerCase() : '';
+}
+
+function isJsonDocument(ext) {
+    return ext === 'json' || ext === 'jsonl' || ext === 'ndjson';
 }
 
-function parseLogs(content, filename) {
-    const ext = filename ? filename.split('.').pop().toLowerCase() : '';
+/**
+ * Parse a whole log file held in memory
+ * @param {string} content - File contents
+ * @param {string} filename - Original filename, used for format hints
+ * @param {Object} [options]
+ * @param {string|Object} [options.format] - Pinned format name or object; auto-detected when omitted
+ * @param {string} [options.timezone] - Source timezone for times written without an offset
+ * @param {Date|number} [options.referenceDate] - When the log was last written, used to infer missing years
+ * @param {Function} [options.onUnparsed] - Called with (text, reason, detail) for every line that produced no entry
+ * @returns {Array} Normalized log entries
+ */
+function parseLogs(content, filename, options = {}) {
+    const kind = documentKind(filename, options.format);
+    const timestamps = timestampsFor(options);
+
+    if (kind === 'csv') {
+        return parseCSVLogs(content, { ...options, filename, timestamps });
+    }
 
-    if (ext === 'csv') {
-        return parseCSVLogs(content);
+    if (kind === 'json') {
+        const splitter = createJsonRecordSplitter();
+        return [...splitter.write(content), ...splitter.end()].map(result => completeEntry(timestamps, jsonSplitResultToEntry(result)));
     }
 
-    const lines = content.split('\n').filter(l => l.trim() !== '');
+    if (kind === 'xml') {
+        const splitter = createXmlEventSplitter();
+        return [...splitter.write(content), ...splitter.end()].map(xmlSplitResultToEntry).filter(Boolean).map(entry => completeEntry(timestamps, entry));
+    }
+
+    const lineParser = createLineParser({ ...options, timestamps });
     const entries = [];
 
-    for (const line of lines) {
-        const entry = parseLogLine(line);
-        if (entry) {
-            entries.push(entry);
-        }
+    for (const line of content.split('\n')) {
+        entries.push(...lineParser.push(line));
     }
+    entries.push(...lineParser.end());
 
     return entries;
 }
 
-// --- Utility Functions ---
+/**
+ * Line-by-line parser that can hold lines back until an event is complete
+ * Lines are first grouped by the multiline rule (stack traces by default), and
+ * each event is parsed from its first line. auditd records are correlated by
+ * serial number; every other event goes straight through parseLogLine.
+ * Timestamps are resolved in output order, so year rollover and fallback
+ * times follow the file.
+ * @param {Object} [options] - Same options as parseLogLine, plus `multiline`
+ *   (see resolveMultilineRule); a pinned format's own rule is used when omitted
+ * @returns {{ push: Function, end: Function }} push(line) and end() return arrays of entries
+ */
+function createLineParser(options = {}) {
+    const correlateAudit = !options.format || options.format === 'auditd';
+    const audit = createAuditCorrelator();
+    const timestamps = timestampsFor(options);
+    const complete = entry => completeEntry(timestamps, entry);
+    const joiner = createMultilineJoiner(multilineRuleFor(options));
+
+    function parseEvent(lines) {
+        const head = lines[0].trim();
+        if (correlateAudit && lines.length === 1 && isAuditRecord(head)) return audit.push(head).map(complete);
+
+        const entry = parseLine(head, options.format);
+        if (entry && lines.length > 1) appendContinuation(entry, head, lines.slice(1));
+        const settled = correlateAudit ? audit.settle() : [];
+        return (entry ? [...settled, entry] : settled).map(complete);
+    }
+
+    return {
+        push: line => joiner.push(line).flatMap(parseEvent),
+        end: () => [...joiner.end().flatMap(parseEvent), ...audit.end().map(complete)],
+    };
+}
 
-function extractIP(text) {
-    if (!text) return null;
-    const ipMatch = text.match(/\b(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\b/);
-    return ipMatch ? ipMatch[1] : null;
+function multilineRuleFor(options) {
+    if (options.multiline !== undefined) return resolveMultilineRule(options.multiline);
+    const format = typeof options.format === 'string' ? getFormat(options.format) : options.format;
+    return resolveMultilineRule(format ? format.multiline : undefined);
 }
 
-function extractTimestamp(text) {
-    // ISO 8601
-    const isoMatch = text.match(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}/);
-    if (isoMatch) return new Date(isoMatch[0]).toISOString();
+/**
+ * Fold continuation lines into the entry parsed from an event's first line;
+ * rawLine keeps the whole block and the message gains the extra lines
+ */
+function appendContinuation(entry, head, continuation) {
+    const rest = continuation.map(line => line.trimEnd()).join('\n');
+    entry.rawLine = `${head}\n${rest}`;
+    entry.message = `${entry.message}\n${rest}`;
+    return entry;
+}
 
-    // Common log date
-    const clfMatch = text.match(/\[(\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2})/);
-    if (clfMatch) return parseApacheDate(clfMatch[1]);
+/**
+ * Decide whether a file is parsed as a CSV, JSON or XML document rather than line by line
+ * A pinned format overrides the file extension.
+ */
+function documentKind(filename, format) {
+    if (format) {
+        // Column mappings, saved or sent with one upload, read delimited text; other ad-hoc formats are line based
+        const pinned = typeof format === 'string' ? getFormat(format) : format;
+        if (format === 'csv' || (pinned && pinned.columns)) return 'csv';
+        if (format === 'json') return 'json';
+        if (format === 'windows-xml') return 'xml';
+        return 'lines';
+    }
+    const ext = fileExtension(filename);
+    if (ext === 'csv' || ext === 'tsv') return 'csv';
+    if (isJsonDocument(ext)) return 'json';
+    if (ext === 'xml') return 'xml';
+    return 'lines';
+}
 
-    return null;
+/**
+ * Parse a log stream line by line without buffering the whole file
+ * @param {Readable} input - Readable stream of log text
+ * @param {string} filename - Original filename, used for format hints
+ * @param {Object} [options]
+ * @param {string|Object} [options.format] - Pinned format name or object; auto-detected when omitted
+ * @param {Function} [options.onLine] - Called once for every line (or JSON record) read
+ * @param {Function} [options.onUnparsed] - Called with (text, reason, detail) for every line that produced no entry
+ * @param {string} [options.timezone] - Source timezone for times written without an offset
+ * @param {Date|number} [options.referenceDate] - When the log was last written, used to infer missing years
+ * @returns {AsyncGenerator<Object>} Normalized log entries
+ */
+async function* parseLogStream(input, filename, options = {}) {
+    const kind = documentKind(filename, options.format);
+    options = { ...options, timestamps: timestampsFor(options) };
+
+    if (kind === 'json') {
+        yield* parseJsonStream(input, options);
+        return;
+    }
+
+    if (kind === 'xml') {
+        yield* parseXmlEventStream(input, options);
+        return;
+    }
+
+    // Quoted CSV values may span lines, so delimited text is read in chunks too
+    if (kind === 'csv') {
+        yield* parseCSVStream(input, filename, options);
+        return;
+    }
+
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    const lineParser = createLineParser(options);
+
+    for await (const line of rl) {
+        if (options.onLine) options.onLine(line);
+        if (line.trim() === '') continue;
+        yield* lineParser.push(line);
+    }
+    yield* lineParser.end();
 }
 
-function parseApacheDate(dateStr) {
-    try {
-        const cleaned = dateStr.replace(/\//g, ' ').replace(':', ' ');
-        return new Date(cleaned).toISOString();
-    } catch {
-        return new Date().toISOString();
+async function* parseCSVStream(input, filename, options) {
+    if (typeof input.setEncoding === 'function') input.setEncoding('utf-8');
+    const table = createDelimitedTable(filename, options);
+    const complete = entry => completeEntry(options.timestamps, entry);
+
+    for await (const chunk of input) {
+        yield* table.write(String(chunk)).map(complete);
     }
+    yield* table.end().map(complete);
 }
 
-function parseSyslogDate(dateStr) {
-    try {
-        const year = new Date().getFullYear();
-        return new Date(`${dateStr} ${year}`).toISOString();
-    } catch {
-        return new Date().toISOString();
+async function* parseJsonStream(input, options) {
+    if (typeof input.setEncoding === 'function') input.setEncoding('utf-8');
+    const splitter = createJsonRecordSplitter();
+
+    const emit = function* (results) {
+        for (const result of results) {
+            if (options.onLine) options.onLine();
+            yield completeEntry(options.timestamps, jsonSplitResultToEntry(result));
+        }
+    };
+
+    for await (const chunk of input) {
+        yield* emit(splitter.write(String(chunk)));
     }
+    yield* emit(splitter.end());
+}
+
+async function* parseXmlEventStream(input, options) {
+    if (typeof input.setEncoding === 'function') input.setEncoding('utf-8');
+    const splitter = createXmlEventSplitter();
+
+    const emit = function* (results) {
+        for (const result of results) {
+            if (options.onLine) options.onLine();
+            const entry = xmlSplitResultToEntry(result);
+            if (entry) yield completeEntry(options.timestamps, entry);
+        }
+    };
+
+    for await (const chunk of input) {
+        yield* emit(splitter.write(String(chunk)));
+    }
+    yield* emit(splitter.end());
+}
+
+function xmlSplitResultToEntry(result) {
+    if (result.event) return parseWindowsEventXml(result.event);
+    return plainText(result.invalid.replace(/\s+/g, ' ').trim(), PARSE_ISSUES.invalidXml);
+}
+
+// --- Utility Functions ---
+
+/**
+ * Host an entry was logged on: ECS host.name, else whichever host field its parser filled
+ * @returns {string|null}
+ */
+function entryHost(entry) {
+    const host = ecsValue(entry, 'host.name');
+    if (typeof host === 'string') return host;
+
+    const fields = entry.fields;
+    if (!fields) return null;
+    const key = HOST_FIELDS.find(k => typeof fields[k] === 'string' && fields[k] !== '' && fields[k] !== '-');
+    return key ? fields[key] : null;
 }
 
 function getSeverityFromStatus(status) {
@@ -245,24 +1140,199 @@ function getSeverityFromMessage(message) {
     return 'info';
 }
 
+/**
+ * Failed authentication: an ECS authentication event with a failure outcome,
+ * an HTTP 401/403, or a message that reads like one
+ */
 function isAuthFailure(entry) {
-    const text = (entry.message + ' ' + (entry.rawLine || '')).toLowerCase();
-    if (entry.statusCode === 401 || entry.statusCode === 403) return true;
-    return AUTH_FAIL_PATTERNS.some(p => p.test(text));
+    return authFailureText(entry) !== null;
+}
+
+/**
+ * What marks an entry as a failed authentication, or null when it is not one:
+ * the failure phrase in its message or raw line, else its HTTP status, else
+ * the action of its ECS authentication event
+ */
+function authFailureText(entry) {
+    const phrase = firstMatch(AUTH_FAIL_PATTERNS, entry.message + ' ' + (entry.rawLine || ''));
+    if (phrase !== null) return phrase;
+    const status = ecsValue(entry, 'http.response.status_code');
+    if (status === 401 || status === 403) return String(status);
+    if (hasCategory(entry, 'authentication') && ecsValue(entry, 'event.outcome') === 'failure') {
+        return ecsValue(entry, 'event.action') || 'failure';
+    }
+    return null;
 }
 
 function isSuspiciousURL(entry) {
-    const url = entry.path || entry.message || '';
+    const url = ecsValue(entry, 'url.original') || entry.message || '';
     return SUSPICIOUS_URL_PATTERNS.some(p => p.test(url));
 }
 
+// --- Built-in Formats ---
+
+registerFormat({
+    name: 'json',
+    label: 'JSON',
+    description: 'One JSON object per line (NDJSON), or a JSON document when pinned; recognizes journald, Windows event and cloud audit exports',
+    priority: 40,
+    builtIn: true,
+    fields: { timestamp: 'timestamp | time | @timestamp', sourceIP: 'ip | source_ip | client_ip, or x_forwarded_for / forwarded / true_client_ip behind a trusted proxy', method: 'method', path: 'path | url', statusCode: 'status', userAgent: 'user_agent', message: 'message | msg', severity: 'level' },
+    sniff: line => line[0] === '{',
+    parse: (line) => {
+        try {
+            const json = JSON.parse(line);
+            return json && typeof json === 'object' && !Array.isArray(json) ? normalizeJsonLog(json) : null;
+        } catch {
+            return null;
+        }
+    },
+});
+
+registerFormat({
+    name: 'windows-xml',
+    label: 'Windows Event Log (XML)',
+    description: 'wevtutil / Event Viewer XML exports; Winlogbeat and other JSON exports are recognized by the JSON parser',
+    priority: 45,
+    builtIn: true,
+    fields: { timestamp: 'System/TimeCreated@SystemTime', sourceIP: 'EventData/IpAddress', message: 'description of EventID', severity: 'from EventID' },
+    sniff: line => line.startsWith('<Event'),
+    parse: parseWindowsEventXml,
+});
+
+registerFormat({
+    name: 'cef',
+    label: 'CEF / LEEF',
+    description: 'ArcSight CEF and IBM LEEF events, bare or inside a syslog header',
+    priority: 38,
+    builtIn: true,
+    fields: { timestamp: 'rt | devTime', sourceIP: 'src', method: 'requestMethod', path: 'request | url', userAgent: 'requestClientApplication', message: 'Name: msg', severity: 'Severity | sev' },
+    sniff: line => line.includes('CEF:') || line.includes('LEEF:'),
+    parse: normalizeSecurityEvent,
+});
+
+registerFormat({
+    name: 'auditd',
+    label: 'Linux Audit (auditd)',
+    description: 'audit.log records; records of one event are merged by serial number when parsing files',
+    priority: 35,
+    builtIn: true,
+    fields: { timestamp: 'msg=audit(time:serial)', sourceIP: 'addr', message: 'type, syscall/op, exe, acct, res', severity: 'success / res' },
+    sniff: line => line.includes('msg=audit('),
+    parse: (line) => {
+        const record = parseAuditRecord(line);
+        return record ? normalizeAuditEvent([record]) : null;
+    },
+});
+
+registerFormat({
+    name: 'vhost_combined',
+    label: 'Apache vhost_combined',
+    description: 'Combined access log prefixed with the virtual host and port',
+    priority: 32,
+    builtIn: true,
+    pattern: ACCESS_LOG_FORMATS.vhost_combined[0].regex.source,
+    fields: accessLogMapping(ACCESS_LOG_FORMATS.vhost_combined[0].fields),
+    sniff: line => ACCESS_LOG_FORMATS.vhost_combined[0].regex.test(line),
+    parse: line => parseAccessLog(line, ACCESS_LOG_FORMATS.vhost_combined),
+});
+
+registerFormat({
+    name: 'apache',
+    label: 'Apache / Nginx Combined',
+    description: 'NCSA combined access log format, with the X-Forwarded-For field nginx\'s "main" format appends',
+    priority: 30,
+    builtIn: true,
+    pattern: ACCESS_LOG_FORMATS.combined[1].regex.source,
+    fields: { ...accessLogMapping(ACCESS_LOG_FORMATS.combined[1].fields), sourceIP: 'remote host, or the X-Forwarded-For client behind a trusted proxy' },
+    sniff: line => ACCESS_LOG_FORMATS.combined[1].regex.test(line),
+    parse: line => parseAccessLog(line, ACCESS_LOG_FORMATS.combined),
+});
+
+registerFormat({
+    name: 'common',
+    label: 'Apache / Nginx Common',
+    description: 'NCSA common access log format, without referrer or User-Agent',
+    priority: 28,
+    builtIn: true,
+    pattern: ACCESS_LOG_FORMATS.common[0].regex.source,
+    fields: accessLogMapping(ACCESS_LOG_FORMATS.common[0].fields),
+    sniff: line => ACCESS_LOG_FORMATS.common[0].regex.test(line),
+    parse: line => parseAccessLog(line, ACCESS_LOG_FORMATS.common),
+});
+
+registerFormat({
+    name: 'syslog5424',
+    label: 'Syslog (RFC 5424)',
+    description: 'IETF syslog with PRI, full timestamps and structured data',
+    priority: 25,
+    builtIn: true,
+    fields: { timestamp: 'TIMESTAMP', sourceIP: '[origin ip] or first IP in MSG', message: 'MSG', severity: 'PRI severity' },
+    sniff: line => RFC5424_REGEX.test(line),
+    parse: normalizeRfc5424,
+});
+
+registerFormat({
+    name: 'syslog',
+    label: 'Syslog (RFC 3164)',
+    description: 'BSD syslog lines, e.g. /var/log/auth.log, with optional <PRI>',
+    priority: 20,
+    builtIn: true,
+    pattern: SYSLOG_REGEX.source,
+    fields: { timestamp: 'timestamp', sourceIP: 'first IP in message', message: 'message' },
+    sniff: line => SYSLOG_REGEX.test(line) || (line[0] === '<' && SYSLOG_REGEX.test(splitPriority(line).rest)),
+    parse: parseBsdSyslog,
+});
+
+registerFormat({
+    name: 'kv',
+    label: 'Key=Value / logfmt',
+    description: 'Lines with two or more key=value pairs separated by spaces, | , or ;',
+    priority: 10,
+    builtIn: true,
+    fields: Object.fromEntries(Object.entries(FIELD_ALIASES).map(([field, aliases]) => [field, aliases.join(' | ')])),
+    sniff: line => line.includes('='),
+    parse: parseKeyValueLog,
+});
+
+registerFormat({
+    name: 'generic',
+    label: 'Generic Text',
+    description: 'Any line; extracts the first IP address and timestamp',
+    priority: 0,
+    builtIn: true,
+    fields: { sourceIP: 'first IP in line', timestamp: 'first timestamp in line', message: 'whole line' },
+    sniff: () => true,
+    parse: normalizeGenericLog,
+});
+
+registerFormat({
+    name: 'csv',
+    label: 'CSV / TSV',
+    description: 'Delimited file with a header row; comma, semicolon, tab or pipe separated (detected)',
+    priority: 0,
+    builtIn: true,
+    document: true,
+});
+
 module.exports = {
     parseLogLine,
     parseLogs,
+    parseLogStream,
     parseCSVLogs,
+    normalizeJsonLog,
+    parseKeyValueLog,
+    mapFields,
+    buildEntry,
+    defaultColumnMapping,
+    flattenObject,
+    createJsonRecordSplitter,
     extractIP,
+    entryHost,
     isAuthFailure,
+    authFailureText,
     isSuspiciousURL,
+    FIELD_ALIASES,
     AUTH_FAIL_PATTERNS,
     SUSPICIOUS_URL_PATTERNS,
 };
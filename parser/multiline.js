@@ -0,0 +1,122 @@
+/**
+ * Multiline Events
+ * Groups physical lines into events before they are parsed, so a Java or
+ * Python stack trace, or a message wrapped over several lines, becomes one
+ * entry instead of one junk entry per line.
+ *
+ * A rule says either which lines continue the previous event
+ * (`continuation`) or which lines start a new one (`start`); every other
+ * line joins the event before it. A continuation rule may also require the
+ * event to open a certain way (`head`): the stack trace preset only extends
+ * events that start with a timestamp, so an exception line next to a JSON
+ * record or an access log line stays an entry of its own.
+ */
+
+// Lines grouped into one event at most; a runaway group is cut here
+const DEFAULT_MAX_LINES = 500;
+
+// Indented lines, Java frames ("at ...", "... 12 more", "Caused by:") and
+// exception / traceback headers ("java.io.IOException: ...", "ValueError: ...")
+const STACK_TRACE_REGEX = /^(?:\s+\S|\s*at\s|\s*\.\.\.\s*\d+\s+(?:more|common frames omitted)|\s*Caused by:|\s*Suppressed:|Traceback \(most recent call last\):|(?:[a-zA-Z_$][\w$]*\.)*[A-Z][\w$]*(?:Exception|Error|Warning|Throwable)(?::|$))/;
+
+// Lines that open with a date or time: ISO 8601, 2026/02/24, [24/Feb/2026:..., Feb 24 10:00:00, optionally after <PRI> or "["
+const LEADING_TIMESTAMP_REGEX = /^(?:<\d{1,3}>\d?\s*)?\[?(?:\d{4}[-/]\d{2}[-/]\d{2}[T\s]\d{2}:\d{2}|\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}|\w{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}|\d{2}:\d{2}:\d{2}[.,]\d+)/;
+
+// Rules selectable by name
+const MULTILINE_PRESETS = {
+    stacktrace: { continuation: STACK_TRACE_REGEX, head: LEADING_TIMESTAMP_REGEX },
+    timestamp: { start: LEADING_TIMESTAMP_REGEX },
+    none: null,
+};
+
+const DEFAULT_PRESET = 'stacktrace';
+
+/**
+ * Turn a multiline setting into a rule
+ * @param {string|Object|null} [spec] - Preset name ("stacktrace", "timestamp", "none"),
+ *   or { start | continuation: regex source or RegExp, head?, maxLines? }; the default preset when omitted
+ * @returns {Object|null} { start?, continuation?, head?, maxLines } with compiled regexes, or null for one event per line
+ */
+function resolveMultilineRule(spec) {
+    if (spec === undefined || spec === '') spec = DEFAULT_PRESET;
+    if (spec === null) return null;
+
+    if (typeof spec === 'string') {
+        if (!(spec in MULTILINE_PRESETS)) {
+            throw new Error(`Unknown multiline rule "${spec}"; expected one of ${Object.keys(MULTILINE_PRESETS).join(', ')}, or a start / continuation pattern`);
+        }
+        const preset = MULTILINE_PRESETS[spec];
+        return preset ? { ...preset, maxLines: DEFAULT_MAX_LINES } : null;
+    }
+
+    if (typeof spec !== 'object' || Boolean(spec.start) === Boolean(spec.continuation)) {
+        throw new Error('A multiline rule needs either a "start" or a "continuation" pattern');
+    }
+    const maxLines = spec.maxLines === undefined ? DEFAULT_MAX_LINES : parseInt(spec.maxLines, 10);
+    if (!(maxLines > 0)) {
+        throw new Error('Multiline "maxLines" must be a positive number');
+    }
+    if (spec.head && !spec.continuation) {
+        throw new Error('Multiline "head" only applies to a "continuation" pattern');
+    }
+
+    const compile = (pattern) => {
+        if (pattern instanceof RegExp) return pattern;
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`Invalid multiline pattern: ${error.message}`);
+        }
+    };
+    if (spec.start) return { start: compile(spec.start), maxLines };
+    return spec.head
+        ? { continuation: compile(spec.continuation), head: compile(spec.head), maxLines }
+        : { continuation: compile(spec.continuation), maxLines };
+}
+
+/**
+ * Incrementally group lines into events
+ * Blank lines are dropped. Lines are matched untrimmed, since indentation is
+ * what marks most continuation lines.
+ * @param {Object|null} rule - From resolveMultilineRule; null passes every line through alone
+ * @returns {{ push: Function, end: Function }} push(line) and end() return arrays
+ *   of completed events, each an array of its lines
+ */
+function createMultilineJoiner(rule) {
+    let group = null;
+
+    function continues(line) {
+        if (!rule || !group || group.length >= rule.maxLines) return false;
+        if (rule.start) return !rule.start.test(line);
+        return (!rule.head || rule.head.test(group[0])) && rule.continuation.test(line);
+    }
+
+    return {
+        push(line) {
+            if (line.trim() === '') return [];
+            if (continues(line)) {
+                group.push(line);
+                return [];
+            }
+            const done = group ? [group] : [];
+            group = [line];
+            // Without a rule nothing is ever appended, so there is no need to wait for the next line
+            if (!rule) {
+                group = null;
+                return [...done, [line]];
+            }
+            return done;
+        },
+        end() {
+            const done = group ? [group] : [];
+            group = null;
+            return done;
+        },
+    };
+}
+
+module.exports = {
+    resolveMultilineRule,
+    createMultilineJoiner,
+    MULTILINE_PRESETS,
+};
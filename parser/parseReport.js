@@ -0,0 +1,115 @@
+/**
+ * Parse Report
+ * Diagnostics for one upload: which format read each entry (ECS
+ * event.dataset), how many entries have the fields detection relies on,
+ * and samples of lines that were skipped or only kept as plain text.
+ */
+
+const { ecsValue } = require('./ecs');
+
+// Lines kept per report as examples; counts always cover every line
+const MAX_SAMPLES = 25;
+const MAX_SAMPLE_LENGTH = 500;
+
+const NO_TIMESTAMP = 'No readable timestamp; time taken from the previous line';
+
+// Fields whose coverage is reported, read through ECS so every format is measured alike
+const COVERAGE_FIELDS = {
+    timestamp: entry => Boolean(entry.timestamp) && !entry.timeGuessed,
+    sourceIP: entry => Boolean(ecsValue(entry, 'source.ip')),
+    statusCode: entry => ecsValue(entry, 'http.response.status_code') !== undefined,
+    url: entry => Boolean(ecsValue(entry, 'url.original')),
+    user: entry => Boolean(ecsValue(entry, 'user.name')),
+    host: entry => Boolean(ecsValue(entry, 'host.name')),
+};
+
+/**
+ * Create an empty report
+ * @returns {{ add: Function, unparsed: Function, toJSON: Function }}
+ *   add(entry) counts a parsed entry (entry.source names its file),
+ *   unparsed(text, reason, detail, source) counts a line that produced no entry
+ */
+function createParseReport() {
+    const formats = new Map();
+    const sources = new Map();
+    const reasons = new Map();
+    const covered = Object.fromEntries(Object.keys(COVERAGE_FIELDS).map(field => [field, 0]));
+    const samples = [];
+    let entries = 0;
+    let degraded = 0;
+    let skipped = 0;
+
+    function note(kind, reason, text, detail, source) {
+        reasons.set(reason, (reasons.get(reason) || 0) + 1);
+        if (samples.length < MAX_SAMPLES) {
+            samples.push({
+                kind,
+                reason,
+                detail: detail || null,
+                source: source || null,
+                line: String(text).slice(0, MAX_SAMPLE_LENGTH),
+            });
+        }
+    }
+
+    function add(entry) {
+        entries++;
+        const format = ecsValue(entry, 'event.dataset') || 'generic';
+        formats.set(format, (formats.get(format) || 0) + 1);
+        if (entry.source) {
+            const counts = sources.get(entry.source) || new Map();
+            counts.set(format, (counts.get(format) || 0) + 1);
+            sources.set(entry.source, counts);
+        }
+
+        for (const [field, present] of Object.entries(COVERAGE_FIELDS)) {
+            if (present(entry)) covered[field]++;
+        }
+
+        const issue = entry.parseIssue || (entry.timeGuessed ? NO_TIMESTAMP : null);
+        if (issue) {
+            degraded++;
+            note('degraded', issue, entry.rawLine, null, entry.source);
+        }
+    }
+
+    function unparsed(text, reason, detail, source) {
+        skipped++;
+        note('unparsed', reason, text, detail, source);
+    }
+
+    function toJSON() {
+        const ranked = rank(formats, entries);
+        return {
+            lines: entries + skipped,
+            entries,
+            degraded,
+            unparsed: skipped,
+            dominantFormat: ranked.length > 0 ? ranked[0].format : null,
+            formats: ranked,
+            coverage: Object.fromEntries(Object.entries(covered).map(([field, count]) => [field, { count, percent: percent(count, entries) }])),
+            reasons: Array.from(reasons, ([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count),
+            sources: Array.from(sources, ([source, counts]) => {
+                const total = Array.from(counts.values()).reduce((sum, n) => sum + n, 0);
+                const byFormat = rank(counts, total);
+                return { source, entries: total, dominantFormat: byFormat[0].format, formats: byFormat };
+            }),
+            samples,
+        };
+    }
+
+    return { add, unparsed, toJSON };
+}
+
+function rank(counts, total) {
+    return Array.from(counts, ([format, count]) => ({ format, count, percent: percent(count, total) }))
+        .sort((a, b) => b.count - a.count);
+}
+
+function percent(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+module.exports = {
+    createParseReport,
+};
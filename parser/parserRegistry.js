@@ -0,0 +1,105 @@
+/**
+ * Parser Registry
+ * Ordered set of log formats used for auto-detection and pinned parsing
+ *
+ * A format declares:
+ *   name        — unique id used to pin the format on upload
+ *   label       — display name
+ *   description — short human-readable summary
+ *   priority    — higher priorities are tried first during auto-detection
+ *   sniff(line) — cheap check whether a line may be in this format
+ *   parse(line) — normalized entry, or null if the line does not match
+ *   fields      — mapping of normalized entry fields to the source fields they come from
+ *   document    — true for whole-file formats (CSV, JSON documents) that are not parsed per line
+ *   columns     — for CSV column mappings: normalized entry field → column name, with an optional delimiter
+ *   multiline   — how lines group into events when the format is pinned (see multiline.js)
+ */
+
+const formats = new Map();
+let ordered = [];
+
+/**
+ * Register (or replace) a log format
+ * @param {Object} format - Format definition, see module header
+ * @returns {Object} The registered format
+ */
+function registerFormat(format) {
+    if (!format || !format.name) {
+        throw new Error('Log format must have a name');
+    }
+    if (!format.document && (typeof format.sniff !== 'function' || typeof format.parse !== 'function')) {
+        throw new Error(`Log format "${format.name}" must provide sniff() and parse() functions`);
+    }
+
+    const registered = {
+        label: format.name,
+        description: '',
+        priority: 0,
+        fields: {},
+        builtIn: false,
+        document: false,
+        ...format,
+    };
+
+    formats.set(registered.name, registered);
+    reorder();
+    return registered;
+}
+
+function unregisterFormat(name) {
+    const removed = formats.delete(name);
+    if (removed) reorder();
+    return removed;
+}
+
+function getFormat(name) {
+    return formats.get(name) || null;
+}
+
+function hasFormat(name) {
+    return formats.has(name);
+}
+
+/**
+ * Line formats in auto-detection order
+ */
+function getDetectionOrder() {
+    return ordered;
+}
+
+/**
+ * Serializable description of every registered format, for the API
+ */
+function listFormats() {
+    return Array.from(formats.values())
+        .sort((a, b) => b.priority - a.priority)
+        .map(({ name, label, description, priority, fields, builtIn, document, type, pattern, source, delimiter }) => ({
+            name,
+            label,
+            description,
+            priority,
+            fields,
+            builtIn,
+            document,
+            type: type || (builtIn ? 'builtin' : 'custom'),
+            pattern: pattern || null,
+            source: source || null,
+            delimiter: delimiter || null,
+        }));
+}
+
+function reorder() {
+    // Stable sort keeps registration order among equal priorities
+    ordered = Array.from(formats.values())
+        .filter(f => !f.document)
+        .sort((a, b) => b.priority - a.priority);
+}
+
+module.exports = {
+    registerFormat,
+    unregisterFormat,
+    getFormat,
+    hasFormat,
+    getDetectionOrder,
+    listFormats,
+};
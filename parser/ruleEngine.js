@@ -0,0 +1,638 @@
+/**
+ * Detection Rule Engine
+ * Declarative detection rules, written as YAML or JSON, that run alongside
+ * the built-in detectors. A rule selects entries by field values, combines
+ * selections with a condition, and optionally counts matches per field value
+ * within a timeframe:
+ *
+ *   id: ssh-root-login
+ *   title: Root Login Over SSH
+ *   severity: high
+ *   tags: [attack.initial_access, attack.t1078]
+ *   detection:
+ *     selection:
+ *       process.name: sshd
+ *       message|contains: Accepted password for root
+ *     condition: selection
+ *   aggregation: { count: 3, by: source.ip, timeframe: 10m }
+ *
+ * Field names are ECS fields (see ecs.js), then extra fields by their source
+ * name. Sigma rules are converted to this form on load (see sigma.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ecsValue } = require('./ecs');
+const { networkMatcher } = require('./ipAddress');
+const { isSigmaRule, importSigmaRule } = require('./sigma');
+const { createBurstAggregator } = require('./slidingWindow');
+const { createEvidence, addEvidence, evidenceFields, firstMatch } = require('./evidence');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Field modifiers understood in selections ("field|contains|all")
+const MODIFIERS = ['contains', 'startswith', 'endswith', 're', 'all', 'cidr', 'gt', 'gte', 'lt', 'lte', 'exists', 'i', 'm', 's'];
+
+// YAML rule files: anchors and merge keys work, but dates stay text so values compare as written
+const YAML_SCHEMA = yaml.CORE_SCHEMA.extend({ implicit: [yaml.types.merge] });
+
+// Rule ids become file names when rules are saved, so keep them simple
+const RULE_ID_REGEX = /^[a-z0-9][a-z0-9_.-]{0,99}$/i;
+
+// Matched lines kept per alert, and distinct values remembered per group without a timeframe
+const MAX_EVIDENCE = 5;
+const MAX_DISTINCT = 10000;
+
+const TIMEFRAME_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Parts of a rule's aggregation that can be tuned without editing the rule
+const RULE_THRESHOLDS = ['count', 'timeframe'];
+
+// ATT&CK tactic tags (attack.<slug>) → tactic names
+const ATTACK_TACTICS = {
+    reconnaissance: 'Reconnaissance',
+    resource_development: 'Resource Development',
+    initial_access: 'Initial Access',
+    execution: 'Execution',
+    persistence: 'Persistence',
+    privilege_escalation: 'Privilege Escalation',
+    defense_evasion: 'Defense Evasion',
+    credential_access: 'Credential Access',
+    discovery: 'Discovery',
+    lateral_movement: 'Lateral Movement',
+    collection: 'Collection',
+    command_and_control: 'Command and Control',
+    exfiltration: 'Exfiltration',
+    impact: 'Impact',
+};
+
+const rules = new Map();
+
+/**
+ * Compile a rule definition
+ * @param {Object} def - See module header; `datasets` optionally limits the rule
+ *   to entries of those formats (ECS event.dataset)
+ * @param {string} [source] - File the definition came from
+ * @returns {Object} Compiled rule: the definition's fields plus match(entry, hits), which adds the
+ *   text each matching condition found in the entry to the hits array when one is given
+ * @throws {Error} When the definition is invalid
+ */
+function compileRule(def, source = null) {
+    if (!def || typeof def !== 'object') throw new Error('Rule must be an object');
+    if (!RULE_ID_REGEX.test(String(def.id || ''))) {
+        throw new Error('Rule id may only contain letters, digits, ".", "-" and "_"');
+    }
+    if (!def.title) throw new Error(`Rule "${def.id}" must have a title`);
+
+    const severity = def.severity || 'medium';
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Rule "${def.id}" has unknown severity "${severity}"; expected one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const detection = def.detection || {};
+    const { condition = 'selection', ...selections } = detection;
+    if (Object.keys(selections).length === 0) throw new Error(`Rule "${def.id}" has no selections`);
+
+    let match;
+    try {
+        const compiled = Object.fromEntries(Object.entries(selections).map(([name, selection]) => [name, compileSelection(selection)]));
+        match = compileCondition(String(condition), compiled);
+    } catch (error) {
+        throw new Error(`Rule "${def.id}": ${error.message}`);
+    }
+
+    const tags = Array.isArray(def.tags) ? def.tags.map(String) : [];
+    return {
+        id: String(def.id),
+        title: String(def.title),
+        description: def.description ? String(def.description).trim() : '',
+        severity,
+        tags,
+        mitre: mitreOf(def.mitre, tags),
+        datasets: def.datasets ? [].concat(def.datasets).map(String) : null,
+        aggregation: compileAggregation(def.aggregation, def.id),
+        source,
+        definition: def,
+        match,
+    };
+}
+
+/**
+ * Incremental detector for one rule, with the same push/finish shape as the built-in detectors
+ * Matches are grouped by the aggregation field. Without a timeframe, a group raises one
+ * threat once its count (or distinct count) reaches the threshold; with one, every burst
+ * that reaches it within the timeframe raises its own (see slidingWindow.js).
+ * @param {Object} rule - Compiled rule
+ * @param {Object} [store] - Evidence store taking the entry links of each group or burst (see evidence.js)
+ */
+function createRuleDetector(rule, store = null) {
+    const { count: threshold, by, timeframe, distinct } = rule.aggregation;
+    const bursts = timeframe
+        ? createBurstAggregator({ count: threshold, windowSec: timeframe, distinct: Boolean(distinct), samples: MAX_EVIDENCE, store })
+        : null;
+    const groups = new Map();
+
+    return {
+        push(entry) {
+            if (rule.datasets && !rule.datasets.includes(ecsValue(entry, 'event.dataset'))) return;
+            const hits = [];
+            if (!rule.match(entry, hits)) return;
+
+            const key = by ? String(fieldText(entry, by) || 'unknown') : '';
+            const value = distinct ? fieldText(entry, distinct) || null : null;
+            // Evidence shows what the selection matched, else the counted value
+            const matched = hits.length > 0 ? hits[0] : value;
+            if (bursts) {
+                bursts.add(key, entry, value, matched);
+                return;
+            }
+
+            let group = groups.get(key);
+            if (!group) {
+                group = { count: 0, values: new Set(), ips: new Set(), evidence: createEvidence(MAX_EVIDENCE, store) };
+                groups.set(key, group);
+            }
+            group.count++;
+            if (value && group.values.size < MAX_DISTINCT) group.values.add(value);
+            const ip = ecsValue(entry, 'source.ip');
+            if (ip && group.ips.size < MAX_DISTINCT) group.ips.add(ip);
+            addEvidence(group.evidence, entry, matched);
+        },
+        finish() {
+            if (bursts) return bursts.finish().map(burst => ruleThreat(rule, burst));
+
+            const threats = [];
+            for (const [key, group] of groups) {
+                if ((distinct ? group.values.size : group.count) < threshold) continue;
+                threats.push(ruleThreat(rule, { ...group, key, ...evidenceFields(group.evidence) }));
+            }
+            return threats;
+        },
+    };
+}
+
+// One threat for a group, or a burst, of matches
+function ruleThreat(rule, group) {
+    const { by, timeframe, distinct } = rule.aggregation;
+    const total = distinct ? group.values.size : group.count;
+    const counted = distinct ? `${total} distinct ${distinct} value(s) in ${group.count} event(s)` : `${group.count} event(s)`;
+    const scope = by && group.key !== 'unknown' ? ` for ${by} ${group.key}` : '';
+    const peak = timeframe ? `, peak ${group.peak} within ${formatTimeframe(timeframe)}` : '';
+
+    return {
+        type: rule.title,
+        severity: rule.severity,
+        description: `${rule.description ? `${rule.description} ` : ''}Rule "${rule.title}" matched ${counted}${scope}${peak}.`,
+        sourceIP: by === 'source.ip' && group.key !== 'unknown' ? group.key : (Array.from(group.ips)[0] || ''),
+        count: total,
+        mitreId: rule.mitre.id,
+        mitreName: rule.mitre.name,
+        mitreTactic: rule.mitre.tactic,
+        firstSeen: group.firstSeen,
+        lastSeen: group.lastSeen,
+        evidenceKey: group.evidenceKey,
+        rawEvidence: group.rawEvidence,
+        ruleId: rule.id,
+    };
+}
+
+/**
+ * A rule with its aggregation count and timeframe overridden
+ * @param {Object} rule - Compiled rule
+ * @param {Object} [thresholds] - { count, timeframe } as in a rule's aggregation
+ * @returns {Object} The tuned rule; the same rule when there is nothing to override
+ * @throws {Error} When a threshold is unknown or invalid
+ */
+function withThresholds(rule, thresholds) {
+    if (!thresholds || Object.keys(thresholds).length === 0) return rule;
+    const unknown = Object.keys(thresholds).find(key => !RULE_THRESHOLDS.includes(key));
+    if (unknown) throw new Error(`"${unknown}" is not a threshold of rule "${rule.id}"; expected ${RULE_THRESHOLDS.join(', ')}`);
+
+    const { count, timeframe } = rule.aggregation;
+    const aggregation = compileAggregation({
+        ...rule.aggregation,
+        count,
+        timeframe: timeframe ? `${timeframe}s` : null,
+        ...thresholds,
+    }, rule.id);
+    return { ...rule, aggregation };
+}
+
+/**
+ * A rule's tunable thresholds as written in its aggregation, e.g. { count: 10, timeframe: '10m' }
+ */
+function ruleThresholds(rule) {
+    const { count, timeframe } = rule.aggregation;
+    return { count, timeframe: timeframe ? formatTimeframe(timeframe) : null };
+}
+
+// --- Selections ---
+
+/**
+ * A selection is a map of field conditions (all must hold), a list of such
+ * maps (any may hold), or a list of keywords searched for in the message.
+ * Compiled selections and conditions are predicates (entry, hits); a
+ * condition that holds adds the text it matched to hits, if given.
+ */
+function compileSelection(selection) {
+    if (Array.isArray(selection)) {
+        if (selection.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+            const alternatives = selection.map(compileFieldMap);
+            return (entry, hits) => anyOf(alternatives, entry, hits);
+        }
+        return compileKeywords(selection);
+    }
+    if (selection && typeof selection === 'object') return compileFieldMap(selection);
+    if (typeof selection === 'string' || typeof selection === 'number') return compileKeywords([selection]);
+    throw new Error('Selections must be field maps or keyword lists');
+}
+
+function compileFieldMap(map) {
+    const tests = Object.entries(map).map(([key, value]) => compileFieldCondition(key, value));
+    return (entry, hits) => allOf(tests, entry, hits);
+}
+
+// Keywords match anywhere in the message or raw line, ignoring case
+function compileKeywords(keywords) {
+    const tests = keywords.map(keyword => valueTest(String(keyword), ['contains']));
+    return (entry, hits) => {
+        for (const test of tests) {
+            let found = test(entry.message);
+            if (found === null) found = test(entry.rawLine);
+            if (found === null) continue;
+            if (hits) hits.push(found);
+            return true;
+        }
+        return false;
+    };
+}
+
+// Every predicate holds; hits added by the ones that did before one failed are dropped
+function allOf(predicates, entry, hits) {
+    const kept = hits ? hits.length : 0;
+    if (predicates.every(predicate => predicate(entry, hits))) return true;
+    if (hits) hits.length = kept;
+    return false;
+}
+
+function anyOf(predicates, entry, hits) {
+    return predicates.some(predicate => predicate(entry, hits));
+}
+
+function compileFieldCondition(key, value) {
+    const [field, ...modifiers] = key.split('|');
+    if (!field) throw new Error(`Missing field name in "${key}"`);
+    const unknown = modifiers.find(m => !MODIFIERS.includes(m));
+    if (unknown) throw new Error(`Unsupported modifier "${unknown}" on ${field}`);
+
+    if (modifiers.includes('exists')) {
+        const wanted = value !== false && value !== 'false';
+        return entry => isPresent(fieldValue(entry, field)) === wanted;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    const tests = values.map(v => (v === null ? null : valueTest(v, modifiers)));
+    const every = modifiers.includes('all');
+
+    return (entry, hits) => {
+        const actual = fieldValue(entry, field);
+        const candidates = Array.isArray(actual) ? actual : [actual];
+        let found = null;
+        const holds = (test) => {
+            if (test === null) return !isPresent(actual);
+            for (const candidate of candidates) {
+                const text = isPresent(candidate) ? test(candidate) : null;
+                if (text === null) continue;
+                if (found === null) found = text;
+                return true;
+            }
+            return false;
+        };
+        if (!(every ? tests.every(holds) : tests.some(holds))) return false;
+        if (hits && found !== null) hits.push(found);
+        return true;
+    };
+}
+
+/**
+ * Test for one expected value, returning the text it matched (the value, or the part a
+ * regular expression, wildcard or substring matched) or null. Strings compare without
+ * case; "*" and "?" are wildcards unless escaped with "\"
+ */
+function valueTest(expected, modifiers) {
+    if (modifiers.includes('re')) {
+        const flags = ['i', 'm', 's'].filter(f => modifiers.includes(f)).join('');
+        let regex;
+        try {
+            regex = new RegExp(String(expected), flags);
+        } catch (error) {
+            throw new Error(`Invalid regular expression "${expected}": ${error.message}`);
+        }
+        return actual => firstMatch([regex], String(actual));
+    }
+
+    if (modifiers.includes('cidr')) {
+        const inBlock = networkMatcher(String(expected));
+        return actual => (inBlock(String(actual)) ? String(actual) : null);
+    }
+
+    const comparison = ['gt', 'gte', 'lt', 'lte'].find(m => modifiers.includes(m));
+    if (comparison) {
+        const limit = Number(expected);
+        if (isNaN(limit)) throw new Error(`"${comparison}" needs a number, got "${expected}"`);
+        return (actual) => {
+            const n = Number(actual);
+            if (isNaN(n)) return null;
+            return { gt: n > limit, gte: n >= limit, lt: n < limit, lte: n <= limit }[comparison] ? String(actual) : null;
+        };
+    }
+
+    const text = String(expected);
+    const start = !modifiers.includes('contains') && !modifiers.includes('endswith');
+    const end = !modifiers.includes('contains') && !modifiers.includes('startswith');
+
+    if (/(^|[^\\])[*?]/.test(text)) {
+        const regex = wildcardRegex(text, start, end);
+        return actual => firstMatch([regex], String(actual));
+    }
+
+    const lower = text.replace(/\\([*?\\])/g, '$1').toLowerCase();
+    return (actual) => {
+        const original = String(actual);
+        const value = original.toLowerCase();
+        let at = -1;
+        if (start && end) at = value === lower ? 0 : -1;
+        else if (start) at = value.startsWith(lower) ? 0 : -1;
+        else if (end) at = value.endsWith(lower) ? value.length - lower.length : -1;
+        else at = value.indexOf(lower);
+        return at === -1 ? null : original.slice(at, at + lower.length);
+    };
+}
+
+function wildcardRegex(pattern, anchorStart, anchorEnd) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\' && /[*?\\]/.test(pattern[i + 1] || '')) {
+            source += `\\${pattern[++i]}`;
+        } else if (ch === '*') {
+            source += '.*';
+        } else if (ch === '?') {
+            source += '.';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`${anchorStart ? '^' : ''}${source}${anchorEnd ? '$' : ''}`, 'is');
+}
+
+// --- Conditions ---
+
+/**
+ * Compile a condition such as "selection and not (filter1 or filter2)",
+ * "1 of selection_*" or "all of them" into a predicate over entries
+ */
+function compileCondition(condition, selections) {
+    const tokens = condition.match(/\(|\)|[^\s()]+/g) || [];
+    let pos = 0;
+
+    const peek = () => (tokens[pos] || '').toLowerCase();
+    const fail = (message) => {
+        throw new Error(`Condition "${condition}": ${message}`);
+    };
+
+    function orExpr() {
+        const parts = [andExpr()];
+        while (peek() === 'or') {
+            pos++;
+            parts.push(andExpr());
+        }
+        return parts.length === 1 ? parts[0] : (entry, hits) => anyOf(parts, entry, hits);
+    }
+
+    function andExpr() {
+        const parts = [notExpr()];
+        while (peek() === 'and') {
+            pos++;
+            parts.push(notExpr());
+        }
+        return parts.length === 1 ? parts[0] : (entry, hits) => allOf(parts, entry, hits);
+    }
+
+    function notExpr() {
+        if (peek() === 'not') {
+            pos++;
+            const inner = notExpr();
+            // What a negated condition matched is not why the rule fired
+            return entry => !inner(entry);
+        }
+        return primary();
+    }
+
+    function primary() {
+        const token = tokens[pos];
+        if (token === undefined) fail('ends unexpectedly');
+        pos++;
+
+        if (token === '(') {
+            const inner = orExpr();
+            if (tokens[pos] !== ')') fail('missing ")"');
+            pos++;
+            return inner;
+        }
+
+        const quantifier = token.toLowerCase();
+        if ((quantifier === '1' || quantifier === 'any' || quantifier === 'all') && peek() === 'of') {
+            pos++;
+            const pattern = tokens[pos++];
+            if (!pattern) fail(`"${token} of" needs a selection name, pattern or "them"`);
+            const names = Object.keys(selections).filter(name => pattern === 'them' || wildcardRegex(pattern, true, true).test(name));
+            if (names.length === 0) fail(`no selection matches "${pattern}"`);
+            const parts = names.map(name => selections[name]);
+            return quantifier === 'all'
+                ? (entry, hits) => allOf(parts, entry, hits)
+                : (entry, hits) => anyOf(parts, entry, hits);
+        }
+
+        if (!selections[token]) fail(`unknown selection "${token}"`);
+        return selections[token];
+    }
+
+    const predicate = orExpr();
+    if (pos < tokens.length) fail(`unexpected "${tokens[pos]}"`);
+    return predicate;
+}
+
+// --- Aggregation, fields and ATT&CK ---
+
+function compileAggregation(aggregation, id) {
+    if (!aggregation) return { count: 1, by: 'source.ip', timeframe: null, distinct: null };
+
+    const count = aggregation.count === undefined ? 1 : parseInt(aggregation.count, 10);
+    if (!(count > 0)) throw new Error(`Rule "${id}" aggregation count must be a positive number`);
+
+    return {
+        count,
+        by: aggregation.by === undefined ? 'source.ip' : aggregation.by || null,
+        timeframe: aggregation.timeframe ? parseTimeframe(aggregation.timeframe, id) : null,
+        distinct: aggregation.distinct || null,
+    };
+}
+
+/**
+ * "30s", "5m", "1h", "2d" or plain seconds → seconds
+ */
+function parseTimeframe(value, id) {
+    const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/i);
+    if (!match || parseInt(match[1], 10) === 0) throw new Error(`Rule "${id}" has invalid timeframe "${value}"; use e.g. 30s, 5m, 1h or 1d`);
+    return parseInt(match[1], 10) * TIMEFRAME_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+function formatTimeframe(seconds) {
+    const [unit, size] = Object.entries(TIMEFRAME_UNITS).reverse().find(([, s]) => seconds % s === 0);
+    return `${seconds / size}${unit}`;
+}
+
+/**
+ * ATT&CK technique and tactic from an explicit `mitre` block or from
+ * Sigma-style tags (attack.t1110.001, attack.credential_access)
+ */
+function mitreOf(mitre, tags) {
+    const technique = tags.map(tag => tag.match(/^attack\.(t\d{4}(?:\.\d{3})?)$/i)).find(Boolean);
+    const tactic = tags.map(tag => ATTACK_TACTICS[tag.replace(/^attack\./i, '').toLowerCase()]).find(Boolean);
+    return {
+        id: (mitre && mitre.id) || (technique ? technique[1].toUpperCase() : null),
+        name: (mitre && mitre.name) || null,
+        tactic: (mitre && mitre.tactic) || tactic || null,
+    };
+}
+
+/**
+ * Value of a rule field: the ECS field, else an extra field with that name,
+ * else a normalized entry field (sourceIP, path, rawLine, ...)
+ */
+function fieldValue(entry, field) {
+    const value = ecsValue(entry, field);
+    if (value !== undefined) return value;
+    if (entry.fields && entry.fields[field] !== undefined) return entry.fields[field];
+    return entry[field];
+}
+
+function fieldText(entry, field) {
+    const value = fieldValue(entry, field);
+    return isPresent(value) ? String(value) : null;
+}
+
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '' && value !== '-';
+}
+
+// --- Registry ---
+
+/**
+ * Compile and register (or replace) a rule
+ * @returns {Object} The compiled rule
+ */
+function registerRule(def, source = null) {
+    const rule = compileRule(def, source);
+    rules.set(rule.id, rule);
+    return rule;
+}
+
+function unregisterRule(id) {
+    return rules.delete(id);
+}
+
+function getRule(id) {
+    return rules.get(id) || null;
+}
+
+/**
+ * Compiled rules in registration order
+ */
+function getRules() {
+    return Array.from(rules.values());
+}
+
+/**
+ * Rule definitions in a YAML or JSON text; Sigma rules are converted
+ * @param {string} text
+ * @param {string} [filename] - .json files are read as JSON, other files as YAML; without a
+ *   name, text starting with "{" or "[" is read as JSON
+ * @returns {Array<Object>} Native rule definitions
+ */
+function readRuleDefinitions(text, filename = '') {
+    const json = filename ? filename.toLowerCase().endsWith('.json') : /^\s*[[{]/.test(text);
+    const documents = json ? [].concat(JSON.parse(text)) : yamlDocuments(text);
+    return documents.map(doc => (isSigmaRule(doc) ? importSigmaRule(doc) : doc));
+}
+
+/**
+ * Every non-empty document of a YAML text
+ * @throws {Error} With the line of the first syntax error
+ */
+function yamlDocuments(text) {
+    try {
+        return yaml.loadAll(text, null, { schema: YAML_SCHEMA }).filter(doc => doc !== null && doc !== undefined);
+    } catch (error) {
+        if (error.name !== 'YAMLException' || !error.mark) throw error;
+        throw new Error(`YAML line ${error.mark.line + 1}: ${error.reason}`);
+    }
+}
+
+/**
+ * Load every *.yml, *.yaml and *.json rule file below a directory
+ * Invalid rules are reported and skipped so one bad file does not block the others.
+ * @param {string} dir - Directory to scan, including subdirectories
+ * @returns {Array} Ids of the rules that were registered
+ */
+function loadRules(dir) {
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    const loaded = [];
+    for (const file of listRuleFiles(dir)) {
+        const relative = path.relative(dir, file);
+        let defs;
+        try {
+            defs = readRuleDefinitions(fs.readFileSync(file, 'utf-8'), file);
+        } catch (error) {
+            console.warn(`⚠️  Could not load rule file ${relative}: ${error.message}`);
+            continue;
+        }
+        for (const def of defs) {
+            try {
+                loaded.push(registerRule(def, relative).id);
+            } catch (error) {
+                console.warn(`⚠️  Skipping rule in ${relative}: ${error.message}`);
+            }
+        }
+    }
+    return loaded;
+}
+
+function listRuleFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap((item) => {
+            const full = path.join(dir, item.name);
+            if (item.isDirectory()) return listRuleFiles(full);
+            return /\.(ya?ml|json)$/i.test(item.name) ? [full] : [];
+        });
+}
+
+module.exports = {
+    compileRule,
+    createRuleDetector,
+    withThresholds,
+    ruleThresholds,
+    registerRule,
+    unregisterRule,
+    getRule,
+    getRules,
+    readRuleDefinitions,
+    loadRules,
+    parseTimeframe,
+    SEVERITIES,
+    RULE_THRESHOLDS,
+};
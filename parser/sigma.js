@@ -0,0 +1,209 @@
+/**
+ * Sigma Rule Import
+ * Converts Sigma rules (https://sigmahq.io) into native detection rules
+ * (see ruleEngine.js). The logsource picks which formats the rule applies
+ * to and how Sigma field names map onto our ECS fields; fields without a
+ * mapping are looked up by their Sigma name, which matches extra fields
+ * kept from JSON, key=value and Windows event logs.
+ *
+ * The field modifiers we evaluate (contains, startswith, endswith, re, all,
+ * cidr, gt/gte/lt/lte, exists) keep their Sigma meaning. Sigma v1
+ * aggregations ("selection | count(user) by src_ip > 10") become the
+ * rule's aggregation.
+ */
+
+// logsource product / category / service → datasets and field names
+const LOGSOURCES = [
+    {
+        match: { category: ['webserver', 'proxy'] },
+        datasets: null,
+        fields: {
+            'c-ip': 'source.ip',
+            'cs-method': 'http.request.method',
+            'cs-uri-query': 'url.query',
+            'cs-uri-stem': 'url.path',
+            'cs-uri': 'url.original',
+            'c-uri': 'url.original',
+            'sc-status': 'http.response.status_code',
+            'cs-user-agent': 'user_agent.original',
+            'c-useragent': 'user_agent.original',
+            'cs-referer': 'http.request.referrer',
+            'cs-host': 'url.domain',
+            'cs-bytes': 'http.request.bytes',
+            'sc-bytes': 'http.response.body.bytes',
+        },
+    },
+    {
+        match: { product: ['windows'] },
+        datasets: ['windows'],
+        fields: {
+            EventID: 'event.code',
+            Computer: 'host.name',
+            Provider_Name: 'event.provider',
+            IpAddress: 'source.ip',
+            IpPort: 'source.port',
+            Image: 'process.executable',
+            NewProcessName: 'process.executable',
+            CommandLine: 'process.command_line',
+        },
+    },
+    {
+        match: { product: ['linux'] },
+        datasets: ['syslog', 'syslog5424', 'auditd', 'journald'],
+        fields: {
+            Image: 'process.executable',
+            CommandLine: 'process.command_line',
+            ProcessId: 'process.pid',
+            User: 'user.name',
+            exe: 'process.executable',
+            comm: 'process.name',
+        },
+    },
+    {
+        match: { product: ['aws'], service: ['cloudtrail'] },
+        datasets: ['aws.audit'],
+        fields: {
+            eventName: 'event.action',
+            eventSource: 'cloud.service.name',
+            sourceIPAddress: 'source.ip',
+            awsRegion: 'cloud.region',
+            recipientAccountId: 'cloud.account.id',
+            userAgent: 'user_agent.original',
+            'userIdentity.type': 'principalType',
+            'userIdentity.userName': 'user.name',
+            'userIdentity.arn': 'principal',
+        },
+    },
+    {
+        match: { product: ['gcp'] },
+        datasets: ['gcp.audit'],
+        fields: {
+            'data.protoPayload.methodName': 'event.action',
+            'protoPayload.methodName': 'event.action',
+            'data.protoPayload.serviceName': 'cloud.service.name',
+            'protoPayload.serviceName': 'cloud.service.name',
+        },
+    },
+    {
+        match: { product: ['azure'] },
+        datasets: ['azure.audit'],
+        fields: {
+            operationName: 'event.action',
+            OperationName: 'event.action',
+            CallerIpAddress: 'source.ip',
+            callerIpAddress: 'source.ip',
+        },
+    },
+];
+
+// Fields every logsource shares
+const COMMON_FIELDS = {
+    src_ip: 'source.ip',
+    dst_ip: 'destination.ip',
+    src_port: 'source.port',
+    dst_port: 'destination.port',
+};
+
+const LEVELS = {
+    informational: 'low',
+    low: 'low',
+    medium: 'medium',
+    high: 'high',
+    critical: 'critical',
+};
+
+const AGGREGATION_REGEX = /^(.*?)\|\s*count\(\s*([\w.-]*)\s*\)\s*(?:by\s+([\w.-]+)\s*)?(>=|>|<=|<|==)\s*(\d+)\s*$/i;
+
+/**
+ * Whether a parsed document is a Sigma rule rather than a native one
+ */
+function isSigmaRule(doc) {
+    return Boolean(doc && typeof doc === 'object' && doc.logsource && doc.detection);
+}
+
+/**
+ * Convert a Sigma rule into a native rule definition
+ * @param {Object} doc - Parsed Sigma YAML
+ * @returns {Object} Native rule definition for ruleEngine.compileRule
+ * @throws {Error} For conditions or aggregations we cannot evaluate
+ */
+function importSigmaRule(doc) {
+    const logsource = resolveLogsource(doc.logsource || {});
+    const mapField = name => logsource.fields[name] || COMMON_FIELDS[name] || name;
+
+    const { condition, timeframe, ...selections } = doc.detection;
+    const conditions = Array.isArray(condition) ? condition : [condition || 'selection'];
+
+    let aggregation = null;
+    const expressions = conditions.map((text) => {
+        const match = String(text).match(AGGREGATION_REGEX);
+        if (!match) return String(text).trim();
+        if (aggregation) throw new Error('Only one aggregation per rule is supported');
+        aggregation = sigmaAggregation(match, mapField);
+        return match[1].trim();
+    });
+    if (timeframe && aggregation) aggregation.timeframe = timeframe;
+
+    return {
+        id: ruleId(doc),
+        title: doc.title || doc.id,
+        description: doc.description || '',
+        severity: LEVELS[String(doc.level || 'medium').toLowerCase()] || 'medium',
+        tags: doc.tags || [],
+        datasets: logsource.datasets,
+        detection: {
+            ...Object.fromEntries(Object.entries(selections).map(([name, selection]) => [name, mapSelection(selection, mapField)])),
+            condition: expressions.length === 1 ? expressions[0] : expressions.map(e => `(${e})`).join(' or '),
+        },
+        aggregation,
+        sigma: { id: doc.id || null, status: doc.status || null, logsource: doc.logsource },
+    };
+}
+
+function resolveLogsource(logsource) {
+    const found = LOGSOURCES.find(({ match }) => Object.entries(match).every(([key, values]) => (
+        values.includes(String(logsource[key] || '').toLowerCase()))));
+    return found || { datasets: null, fields: {} };
+}
+
+// Rename the field part of each "field|modifier" key; keyword lists stay as they are
+function mapSelection(selection, mapField) {
+    if (Array.isArray(selection)) {
+        return selection.map(item => (item && typeof item === 'object' ? mapSelection(item, mapField) : item));
+    }
+    if (!selection || typeof selection !== 'object') return selection;
+    return Object.fromEntries(Object.entries(selection).map(([key, value]) => {
+        const [field, ...modifiers] = key.split('|');
+        return [[mapField(field), ...modifiers].join('|'), value];
+    }));
+}
+
+/**
+ * "count(field) by group > N" → { count, by, distinct }; our threshold is
+ * "at least", so "> N" becomes N + 1
+ */
+function sigmaAggregation(match, mapField) {
+    const [, , field, by, operator, value] = match;
+    const limit = parseInt(value, 10);
+    if (operator !== '>' && operator !== '>=') {
+        throw new Error(`Aggregation comparison "${operator}" is not supported; use > or >=`);
+    }
+    return {
+        count: operator === '>' ? limit + 1 : limit,
+        by: by ? mapField(by) : null,
+        distinct: field ? mapField(field) : null,
+    };
+}
+
+// Sigma ids are UUIDs; a slug of the title reads better when a rule has none
+function ruleId(doc) {
+    if (doc.id) return `sigma-${doc.id}`;
+    const slug = String(doc.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+    if (!slug) throw new Error('Sigma rule needs an id or a title');
+    return `sigma-${slug}`;
+}
+
+module.exports = {
+    isSigmaRule,
+    importSigmaRule,
+};
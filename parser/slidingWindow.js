@@ -0,0 +1,160 @@
+/**
+ * Sliding-Window Aggregation
+ * Finds bursts in a stream of entries grouped by a key such as an IP. A
+ * burst starts once `count` entries of a group (or `count` distinct values,
+ * for distinct aggregations) fall within `windowSec` seconds, takes in every
+ * entry that keeps the window at or above the count, and ends when the
+ * window drops below it. A burst that picks up again within one window of
+ * its last entry continues instead of starting a new one, so a sustained
+ * attack is one burst, and each burst becomes one alert.
+ *
+ * Only the entries of each group's current window are held, plus the
+ * evidence of each burst (see evidence.js); given an evidence store, a
+ * burst's entry links go there rather than into memory. A window keeps what
+ * a burst reads of an entry only until a burst takes it, and a group is
+ * dropped once its newest entry is a window older than the newest entry
+ * seen, so memory follows the keys active within one window rather than
+ * every key of the stream.
+ */
+
+const { ecsValue } = require('./ecs');
+const { createEvidence, addEvidence, evidenceFields, eventTime } = require('./evidence');
+
+// Upper bound on the values and source IPs remembered per burst
+const MAX_BURST_VALUES = 10000;
+const MAX_BURST_IPS = 100;
+
+/**
+ * Create a burst aggregator
+ * @param {Object} options
+ * @param {number} options.count - Entries (or distinct values) needed within one window
+ * @param {number} options.windowSec - Window length in seconds
+ * @param {boolean} [options.distinct] - Count the distinct values passed to add() instead of entries
+ * @param {number} [options.samples] - Raw lines kept per burst as a readable sample
+ * @param {Object} [options.store] - Evidence store taking each burst's entry links (see evidence.js)
+ * @returns {{ add: Function, finish: Function }} add(key, entry, value, matched) feeds one matching entry,
+ *   where matched is the text in it recorded as evidence (by default the value); finish() returns the bursts
+ *   in the order they started, each { key, count, peak, values, ips, firstSeen, lastSeen, evidenceKey, rawEvidence }
+ */
+function createBurstAggregator({ count, windowSec, distinct = false, samples = 5, store = null }) {
+    const span = windowSec * 1000;
+    // Groups in order of their last entry, so the idle ones are at the front
+    const groups = new Map();
+    const bursts = [];
+    let seq = 0;
+    let latest = -Infinity;
+
+    return {
+        add(key, entry, value = null, matched = value) {
+            const time = eventTime(entry);
+            if (isNaN(time)) return;
+
+            if (time > latest) {
+                latest = time;
+                dropIdleGroups();
+            }
+
+            let group = groups.get(key);
+            if (group) {
+                groups.delete(key);
+            } else {
+                group = { window: [], values: new Map(), claimed: 0, burst: null, previous: null };
+            }
+            groups.set(key, group);
+
+            const event = {
+                seq: ++seq,
+                time,
+                value,
+                matched,
+                ip: ecsValue(entry, 'source.ip'),
+                entry: { id: entry.id, timestamp: entry.timestamp, rawLine: entry.rawLine },
+            };
+            group.window.push(event);
+            countValue(group.values, value, 1);
+            while (time - group.window[0].time > span) {
+                countValue(group.values, group.window.shift().value, -1);
+            }
+
+            const size = distinct ? group.values.size : group.window.length;
+            if (size < count) {
+                if (group.burst) {
+                    group.previous = group.burst;
+                    group.burst = null;
+                }
+                return;
+            }
+
+            // Entries of the window that no burst has taken yet, oldest first
+            let start = group.window.length;
+            while (start > 0 && group.window[start - 1].seq > group.claimed) start--;
+
+            if (!group.burst) {
+                const resumes = group.previous && group.window[start].time - group.previous.evidence.last <= span;
+                group.burst = resumes ? group.previous : openBurst(key);
+            }
+            for (let i = start; i < group.window.length; i++) {
+                const claimed = group.window[i];
+                addToBurst(group.burst, claimed);
+                // From here on the window only counts the entry
+                group.window[i] = { seq: claimed.seq, time: claimed.time, value: claimed.value };
+            }
+            group.burst.peak = Math.max(group.burst.peak, size);
+            group.claimed = event.seq;
+        },
+        finish() {
+            return bursts.map(burst => ({
+                key: burst.key,
+                count: burst.count,
+                peak: burst.peak,
+                values: burst.values,
+                ips: burst.ips,
+                ...evidenceFields(burst.evidence),
+            }));
+        },
+    };
+
+    // A group whose newest entry is more than a window old can neither grow nor resume its burst
+    function dropIdleGroups() {
+        for (const [key, group] of groups) {
+            if (latest - group.window[group.window.length - 1].time <= span) break;
+            groups.delete(key);
+        }
+    }
+
+    function openBurst(key) {
+        const burst = { key, count: 0, peak: 0, values: new Set(), ips: new Set(), evidence: createEvidence(samples, store) };
+        bursts.push(burst);
+        return burst;
+    }
+
+    function addToBurst(burst, { entry, value, matched, ip }) {
+        burst.count++;
+        if (value !== null && value !== undefined && burst.values.size < MAX_BURST_VALUES) burst.values.add(value);
+        if (ip && burst.ips.size < MAX_BURST_IPS) burst.ips.add(ip);
+        addEvidence(burst.evidence, entry, matched);
+    }
+}
+
+function countValue(values, value, delta) {
+    if (value === null || value === undefined) return;
+    const left = (values.get(value) || 0) + delta;
+    if (left > 0) values.set(value, left);
+    else values.delete(value);
+}
+
+/**
+ * Length of a burst for descriptions, e.g. "45 seconds" or "12 minutes"
+ */
+function formatDuration(firstSeen, lastSeen) {
+    const seconds = Math.round((Date.parse(lastSeen) - Date.parse(firstSeen)) / 1000);
+    if (seconds < 120) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    if (seconds < 2 * 3600) return `${Math.round(seconds / 60)} minutes`;
+    return `${Math.round(seconds / 3600)} hours`;
+}
+
+module.exports = {
+    createBurstAggregator,
+    formatDuration,
+    MAX_BURST_VALUES,
+};
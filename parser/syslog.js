@@ -0,0 +1,294 @@
+/**
+ * Syslog and Security Event Format Parsers
+ * RFC 5424 syslog (PRI, header, structured data) and the ArcSight CEF and
+ * IBM LEEF payloads firewalls and IDS appliances send over syslog
+ *
+ * These functions only split messages into their parts; normalization into
+ * log entries happens in logParser.js.
+ */
+
+const FACILITIES = [
+    'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news', 'uucp', 'cron', 'authpriv',
+    'ftp', 'ntp', 'security', 'console', 'solaris-cron', 'local0', 'local1', 'local2', 'local3',
+    'local4', 'local5', 'local6', 'local7',
+];
+
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+const RFC5424_HEADER = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) /;
+const PRI_PREFIX = /^<(\d{1,3})>/;
+const PAYLOAD_START = /(?:^|\s)(CEF:\d+\||LEEF:\d(?:\.\d)?\|)/;
+const EXTENSION_KEY = /(?:^|\s)([\w.[\]-]+)=/g;
+
+/**
+ * Decode a syslog PRI value into facility and severity
+ * @param {number|string} pri - e.g. 134
+ * @returns {{ pri, facility, facilityName, severity, severityName }|null}
+ */
+function decodePriority(pri) {
+    const value = parseInt(pri, 10);
+    if (Number.isNaN(value) || value < 0 || value > 191) return null;
+
+    const facility = Math.floor(value / 8);
+    const severity = value % 8;
+    return {
+        pri: value,
+        facility,
+        facilityName: FACILITIES[facility] || `facility${facility}`,
+        severity,
+        severityName: SEVERITIES[severity],
+    };
+}
+
+/**
+ * Strip a leading <PRI> from an RFC 3164 line
+ * @returns {{ priority: Object|null, rest: string }}
+ */
+function splitPriority(line) {
+    const match = line.match(PRI_PREFIX);
+    if (!match) return { priority: null, rest: line };
+    return { priority: decodePriority(match[1]), rest: line.slice(match[0].length) };
+}
+
+/**
+ * Parse an RFC 5424 message
+ *   <165>1 2026-02-24T10:01:12.003Z fw01 sshd 1234 ID47 [origin ip="10.0.0.1"] message
+ * @returns {Object|null} Header fields, structuredData and message
+ */
+function parseRfc5424(line) {
+    const header = line.match(RFC5424_HEADER);
+    if (!header) return null;
+
+    const [prefix, pri, version, timestamp, hostname, appName, procId, msgId] = header;
+    const priority = decodePriority(pri);
+    if (!priority) return null;
+
+    const { structuredData, end } = parseStructuredData(line, prefix.length);
+    if (end === -1) return null;
+
+    // MSG may start with a UTF-8 byte order mark
+    const message = line.slice(end).replace(/^ /, '').replace(/^\uFEFF/, '');
+
+    return {
+        ...priority,
+        version: parseInt(version, 10),
+        timestamp: nil(timestamp),
+        hostname: nil(hostname),
+        appName: nil(appName),
+        procId: nil(procId),
+        msgId: nil(msgId),
+        structuredData,
+        message,
+    };
+}
+
+/**
+ * Parse STRUCTURED-DATA starting at `start`: "-" or one or more [SD-ID param="value" ...]
+ * @returns {{ structuredData: Object, end: number }} end is -1 when malformed
+ */
+function parseStructuredData(line, start) {
+    const structuredData = {};
+    if (line[start] === '-') return { structuredData, end: start + 1 };
+
+    let i = start;
+    while (line[i] === '[') {
+        const close = findElementEnd(line, i);
+        if (close === -1) return { structuredData, end: -1 };
+
+        const element = line.slice(i + 1, close);
+        const idEnd = element.search(/\s|$/);
+        const params = {};
+        const paramRegex = /([^\s=]+)="((?:\\.|[^"\\])*)"/g;
+        let match;
+        while ((match = paramRegex.exec(element.slice(idEnd))) !== null) {
+            params[match[1]] = match[2].replace(/\\(["\\\]])/g, '$1');
+        }
+        structuredData[element.slice(0, idEnd)] = params;
+        i = close + 1;
+    }
+
+    return { structuredData, end: i === start ? -1 : i };
+}
+
+function findElementEnd(line, open) {
+    let inQuotes = false;
+    for (let i = open + 1; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\\') i++;
+        else if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === ']' && !inQuotes) return i;
+    }
+    return -1;
+}
+
+/**
+ * Locate a CEF or LEEF payload inside a line (bare or wrapped in syslog)
+ * @returns {{ header: string, payload: string }|null} header is the text before the payload
+ */
+function findSecurityPayload(line) {
+    const match = line.match(PAYLOAD_START);
+    if (!match) return null;
+    const start = match.index + match[0].length - match[1].length;
+    return { header: line.slice(0, start).trim(), payload: line.slice(start) };
+}
+
+/**
+ * Parse an ArcSight CEF payload
+ *   CEF:0|Vendor|Product|1.0|100|Port scan|7|src=10.0.0.1 dst=10.0.0.2 act=blocked
+ * @returns {Object|null} Header fields plus `extensions`
+ */
+function parseCef(payload) {
+    const match = payload.match(/^CEF:(\d+)\|/);
+    if (!match) return null;
+
+    const { parts, rest } = splitHeader(payload.slice(match[0].length), 6);
+    if (parts.length < 6) return null;
+
+    const [deviceVendor, deviceProduct, deviceVersion, signatureId, name, severity] = parts;
+    return {
+        format: 'CEF',
+        version: parseInt(match[1], 10),
+        deviceVendor,
+        deviceProduct,
+        deviceVersion,
+        signatureId,
+        name,
+        severity,
+        extensions: labelCustomFields(parseExtension(rest)),
+    };
+}
+
+/**
+ * Parse an IBM LEEF 1.0 / 2.0 payload
+ *   LEEF:2.0|Vendor|Product|1.0|EventID|^|src=10.0.0.1^dst=10.0.0.2
+ * @returns {Object|null} Header fields plus `extensions`
+ */
+function parseLeef(payload) {
+    const match = payload.match(/^LEEF:(\d(?:\.\d)?)\|/);
+    if (!match) return null;
+
+    const version = match[1];
+    const headerCount = version.startsWith('2') ? 5 : 4;
+    const { parts, rest } = splitHeader(payload.slice(match[0].length), headerCount);
+    if (parts.length < 4) return null;
+
+    const [deviceVendor, deviceProduct, deviceVersion, eventId, delimiterSpec] = parts;
+    const delimiter = leefDelimiter(delimiterSpec);
+
+    return {
+        format: 'LEEF',
+        version,
+        deviceVendor,
+        deviceProduct,
+        deviceVersion,
+        signatureId: eventId,
+        name: eventId,
+        severity: null,
+        extensions: rest.includes(delimiter) || delimiter !== '\t'
+            ? parseDelimitedExtension(rest, delimiter)
+            : parseExtension(rest),
+    };
+}
+
+/**
+ * Split pipe-delimited header fields, honouring \| escapes
+ */
+function splitHeader(text, count) {
+    const parts = [];
+    let current = '';
+    let i = 0;
+
+    for (; i < text.length && parts.length < count; i++) {
+        const ch = text[i];
+        if (ch === '\\' && (text[i + 1] === '|' || text[i + 1] === '\\')) {
+            current += text[++i];
+        } else if (ch === '|') {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+
+    // A trailing header with no extension ("...|Name|5")
+    if (parts.length < count && current) parts.push(current);
+
+    return { parts, rest: parts.length === count ? text.slice(i) : '' };
+}
+
+/**
+ * CEF extension: space separated key=value pairs whose values may contain spaces
+ */
+function parseExtension(text) {
+    const extensions = {};
+    const keys = [];
+    let match;
+
+    EXTENSION_KEY.lastIndex = 0;
+    // Keys cannot contain "\", so escaped \= inside values never starts a new key
+    while ((match = EXTENSION_KEY.exec(text)) !== null) {
+        keys.push({ key: match[1], start: match.index, valueStart: match.index + match[0].length });
+    }
+
+    keys.forEach(({ key, valueStart }, idx) => {
+        const valueEnd = idx + 1 < keys.length ? keys[idx + 1].start : text.length;
+        extensions[key] = unescapeValue(text.slice(valueStart, valueEnd).trim());
+    });
+
+    return extensions;
+}
+
+function parseDelimitedExtension(text, delimiter) {
+    const extensions = {};
+    for (const pair of text.split(delimiter)) {
+        const eq = pair.indexOf('=');
+        if (eq > 0) extensions[pair.slice(0, eq).trim()] = unescapeValue(pair.slice(eq + 1).trim());
+    }
+    return extensions;
+}
+
+/**
+ * Rename cs1..cs6 / cn1..cn3 / flexString... values after their *Label keys
+ */
+function labelCustomFields(extensions) {
+    const labelled = { ...extensions };
+    for (const [key, label] of Object.entries(extensions)) {
+        if (!key.endsWith('Label') || !label) continue;
+        const base = key.slice(0, -'Label'.length);
+        if (extensions[base] === undefined) continue;
+
+        labelled[label] = extensions[base];
+        delete labelled[key];
+        delete labelled[base];
+    }
+    return labelled;
+}
+
+function leefDelimiter(spec) {
+    if (!spec) return '\t';
+    if (/^x[0-9a-f]{1,4}$/i.test(spec)) return String.fromCharCode(parseInt(spec.slice(1), 16));
+    if (spec === '\\t') return '\t';
+    return spec[0];
+}
+
+function unescapeValue(value) {
+    return value
+        .replace(/\\n/g, '\n')
+        .replace(/\\r/g, '\r')
+        .replace(/\\([=\\|])/g, '$1');
+}
+
+function nil(value) {
+    return value === '-' ? null : value;
+}
+
+module.exports = {
+    decodePriority,
+    splitPriority,
+    parseRfc5424,
+    findSecurityPayload,
+    parseCef,
+    parseLeef,
+    FACILITIES,
+    SEVERITIES,
+};
@@ -0,0 +1,276 @@
+/**
+ * Timestamp Parsing
+ * Reads the many ways logs write time, and resolves times that leave out
+ * their offset or year once the file they came from is known.
+ *
+ * Parsers only record what a line says. An absolute instant becomes a UTC
+ * ISO string; a wall-clock time without offset becomes "YYYY-MM-DDTHH:MM:SS.sss";
+ * a syslog time without year becomes "--MM-DDTHH:MM:SS.sss". A resolver
+ * created for each file turns the last two into instants using the upload's
+ * source timezone, the file's modification time and the order of its lines.
+ */
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// A yearless time this far before the previous one means the log crossed New Year
+const YEAR_ROLLOVER_MS = 30 * DAY_MS;
+
+// Clock skew allowed between the last line of a file and its modification time
+const REFERENCE_SLACK_MS = DAY_MS;
+
+/**
+ * Timestamp shapes recognized inside free text, most specific first
+ * Each `read` turns a match into { year, month, day, hour, minute, second, fraction, offset }.
+ */
+const TIMESTAMP_PATTERNS = [
+    {
+        // ISO 8601 / RFC 3339: 2026-02-24T10:01:12.345+01:00, 2026-02-24 10:01:12,345
+        regex: /(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:[.,](\d+))?(Z|[+-]\d{2}(?::?\d{2})?(?!\d)|\s[+-]\d{4}(?!\d))?/,
+        read: m => ({ year: m[1], month: m[2], day: m[3], hour: m[4], minute: m[5], second: m[6], fraction: m[7], offset: m[8] }),
+    },
+    {
+        // Common Log Format: 24/Feb/2026:10:01:12 +0000
+        regex: /(\d{2})\/([A-Za-z]{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?:\s([+-]\d{4}))?/,
+        read: m => ({ year: m[3], month: m[2], day: m[1], hour: m[4], minute: m[5], second: m[6], offset: m[7] }),
+    },
+    {
+        // nginx error log: 2026/02/24 10:01:12
+        regex: /(\d{4})\/(\d{2})\/(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:[.,](\d+))?/,
+        read: m => ({ year: m[1], month: m[2], day: m[3], hour: m[4], minute: m[5], second: m[6], fraction: m[7] }),
+    },
+    {
+        // RFC 2822 / HTTP date: Tue, 24 Feb 2026 10:01:12 GMT
+        regex: /(\d{1,2}) ([A-Z][a-z]{2}) (\d{4}) (\d{2}):(\d{2}):(\d{2})(?:\s*(GMT|UTC|Z|[+-]\d{4}))?/,
+        read: m => ({ year: m[3], month: m[2], day: m[1], hour: m[4], minute: m[5], second: m[6], offset: m[7] }),
+    },
+    {
+        // ctime and Apache error log: Tue Feb 24 10:01:12.123456 2026
+        regex: /([A-Z][a-z]{2})\s+(\d{1,2}) (\d{2}):(\d{2}):(\d{2})(?:\.(\d+))? (\d{4})(?!\d)/,
+        read: m => ({ year: m[7], month: m[1], day: m[2], hour: m[3], minute: m[4], second: m[5], fraction: m[6] }),
+    },
+    {
+        // Syslog, with or without a year: Feb 24 10:01:12, Feb 24 2026 10:01:12
+        regex: /([A-Z][a-z]{2})\s+(\d{1,2})\s+(?:(\d{4})\s+)?(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?/,
+        read: m => ({ year: m[3], month: m[1], day: m[2], hour: m[4], minute: m[5], second: m[6], fraction: m[7] }),
+    },
+];
+
+const WALL_CLOCK_REGEX = /^(\d{4}|-)-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})\.(\d{3})$/;
+
+/**
+ * Parse a timestamp value taken from a named field
+ * Accepts everything extractTimestamp finds, plus epoch seconds, milliseconds,
+ * microseconds and nanoseconds as numbers or digit strings.
+ * @param {string|number} value
+ * @returns {string|null} UTC ISO string, or a wall-clock / yearless time (see module comment)
+ */
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return fromEpoch(value);
+
+    const text = String(value).trim();
+    if (WALL_CLOCK_REGEX.test(text)) return text;
+    if (/^\d{9,19}(?:\.\d+)?$/.test(text)) return fromEpoch(parseFloat(text), text.split('.')[0].length);
+
+    const found = extractTimestamp(text);
+    if (found) return found;
+
+    // Anything else Date understands, as long as it names its own offset
+    if (/(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const time = Date.parse(text);
+        if (!Number.isNaN(time)) return new Date(time).toISOString();
+    }
+    return null;
+}
+
+/**
+ * Find the first recognizable timestamp in a line of text
+ * @returns {string|null} Same forms as parseTimestamp
+ */
+function extractTimestamp(text) {
+    for (const { regex, read } of TIMESTAMP_PATTERNS) {
+        const match = text.match(regex);
+        if (!match) continue;
+        const result = formatParts(read(match));
+        if (result) return result;
+    }
+    return null;
+}
+
+/**
+ * Epoch values are told apart by magnitude: 10 digits are seconds, 13 milliseconds,
+ * 16 microseconds (journald), 19 nanoseconds
+ */
+function fromEpoch(value, digits = String(Math.floor(Math.abs(value))).length) {
+    if (!Number.isFinite(value)) return null;
+    let millis;
+    if (digits <= 11) millis = value * 1000;
+    else if (digits <= 14) millis = value;
+    else if (digits <= 17) millis = value / 1000;
+    else millis = value / 1e6;
+
+    const date = new Date(Math.floor(millis));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function formatParts(parts) {
+    const month = /^\d+$/.test(parts.month) ? parseInt(parts.month, 10) : MONTHS[parts.month.toLowerCase()];
+    const day = parseInt(parts.day, 10);
+    const hour = parseInt(parts.hour, 10);
+    const minute = parseInt(parts.minute, 10);
+    // Leap seconds are folded into the second before
+    const second = Math.min(parseInt(parts.second, 10), 59);
+    if (!month || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+
+    const millis = parts.fraction ? parseInt(parts.fraction.slice(0, 3).padEnd(3, '0'), 10) : 0;
+    const offset = parseOffset(parts.offset);
+
+    if (parts.year && offset !== null) {
+        const utc = Date.UTC(parseInt(parts.year, 10), month - 1, day, hour, minute, second, millis) - offset * MINUTE_MS;
+        return new Date(utc).toISOString();
+    }
+
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const date = `${parts.year || '-'}-${pad(month)}-${pad(day)}`;
+    return `${date}T${pad(hour)}:${pad(minute)}:${pad(second)}.${pad(millis, 3)}`;
+}
+
+/**
+ * @returns {number|null} Offset east of UTC in minutes, or null when the text names none
+ */
+function parseOffset(text) {
+    if (!text) return null;
+    const value = text.trim();
+    if (value === 'Z' || value === 'GMT' || value === 'UTC') return 0;
+
+    const match = value.match(/^([+-])(\d{2}):?(\d{2})?$/);
+    if (!match) return null;
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Look up a source timezone
+ * @param {string} [name] - IANA zone name ("Europe/Berlin"), "UTC", or a fixed offset ("+05:30", "UTC-8")
+ * @returns {{ name: string, offsetAt: Function }} offsetAt(utcMillis) returns minutes east of UTC
+ * @throws {Error} When the zone is unknown
+ */
+function getTimezone(name) {
+    const zone = (name || 'UTC').trim();
+    const fixed = zone.match(/^(?:UTC|GMT)?([+-]\d{1,2})(?::?(\d{2}))?$/i);
+    if (/^(?:UTC|GMT|Z)$/i.test(zone) || fixed) {
+        const offset = fixed ? parseOffset(`${fixed[1][0]}${fixed[1].slice(1).padStart(2, '0')}${fixed[2] || '00'}`) : 0;
+        return { name: zone, offsetAt: () => offset };
+    }
+
+    let formatter;
+    try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+    } catch {
+        throw new Error(`Unknown timezone: ${zone}`);
+    }
+
+    // Offsets only change on quarter-hour boundaries, so consecutive lines mostly hit the cache
+    let cachedSlot = null;
+    let cachedOffset = 0;
+
+    return {
+        name: zone,
+        offsetAt(utc) {
+            const slot = Math.floor(utc / (15 * MINUTE_MS));
+            if (slot === cachedSlot) return cachedOffset;
+
+            const parts = {};
+            for (const part of formatter.formatToParts(new Date(slot * 15 * MINUTE_MS))) parts[part.type] = part.value;
+            const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            cachedSlot = slot;
+            cachedOffset = Math.round((local - slot * 15 * MINUTE_MS) / MINUTE_MS);
+            return cachedOffset;
+        },
+    };
+}
+
+function isTimezone(name) {
+    try {
+        getTimezone(name);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Resolve the timestamps of one file's entries into UTC instants
+ * Wall-clock times are read in the source timezone. Yearless times take the
+ * year that puts them at or before the file's modification time, and move
+ * into the next year when the log wraps from December to January. Entries
+ * with no usable time get the previous entry's time (or the reference time)
+ * and are flagged with `timeGuessed`, so time-window checks can skip them.
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Source timezone for times without an offset (default UTC)
+ * @param {Date|number} [options.referenceDate] - When the file was last written; defaults to now
+ * @returns {{ resolve: Function }} resolve(entry) fixes entry.timestamp in place and returns the entry
+ */
+function createTimestampResolver(options = {}) {
+    const zone = getTimezone(options.timezone);
+    const referenceTime = options.referenceDate ? new Date(options.referenceDate).getTime() : NaN;
+    const reference = Number.isNaN(referenceTime) ? Date.now() : referenceTime;
+
+    let year = null;
+    let lastYearless = null;
+    let last = null;
+
+    const toUTC = (y, m) => {
+        const wall = Date.UTC(y, m[2] - 1, m[3], m[4], m[5], m[6], m[7]);
+        const offset = zone.offsetAt(wall - zone.offsetAt(wall) * MINUTE_MS);
+        return wall - offset * MINUTE_MS;
+    };
+
+    function resolveYearless(m) {
+        if (year === null) {
+            year = new Date(reference + zone.offsetAt(reference) * MINUTE_MS).getUTCFullYear();
+            if (toUTC(year, m) > reference + REFERENCE_SLACK_MS) year--;
+        } else if (toUTC(year, m) < lastYearless - YEAR_ROLLOVER_MS) {
+            year++;
+        }
+        lastYearless = toUTC(year, m);
+        return lastYearless;
+    }
+
+    function toTime(timestamp) {
+        if (!timestamp) return NaN;
+        const wall = String(timestamp).match(WALL_CLOCK_REGEX);
+        if (!wall) return Date.parse(timestamp);
+        return wall[1] === '-' ? resolveYearless(wall) : toUTC(parseInt(wall[1], 10), wall);
+    }
+
+    return {
+        resolve(entry) {
+            const time = toTime(entry.timestamp);
+            if (Number.isNaN(time)) {
+                entry.timestamp = new Date(last !== null ? last : reference).toISOString();
+                entry.timeGuessed = true;
+            } else {
+                entry.timestamp = new Date(time).toISOString();
+                last = time;
+            }
+            return entry;
+        },
+    };
+}
+
+module.exports = {
+    parseTimestamp,
+    extractTimestamp,
+    createTimestampResolver,
+    getTimezone,
+    isTimezone,
+};
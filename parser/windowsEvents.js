@@ -0,0 +1,441 @@
+/**
+ * Windows Event Log Parser
+ * Normalizes Windows events exported as XML (wevtutil, Event Viewer "Save as XML")
+ * or JSON (Winlogbeat, nxlog, Get-WinEvent | ConvertTo-Json, XML-to-JSON converters)
+ *
+ * Event data keeps its Windows field names (EventID, Computer, TargetUserName,
+ * IpAddress, LogonType, Status, ...) in entry.fields; well-known Security event
+ * IDs are turned into descriptive messages and severities.
+ */
+
+const { normalizeIP } = require('./ipAddress');
+
+// Security / System event IDs worth describing
+const EVENT_IDS = {
+    1102: { severity: 'critical', title: 'Security audit log cleared' },
+    104: { severity: 'critical', title: 'Event log cleared' },
+    4624: { severity: 'info', title: 'Successful logon' },
+    4625: { severity: 'warning', title: 'Failed logon' },
+    4634: { severity: 'info', title: 'Logoff' },
+    4648: { severity: 'warning', title: 'Logon with explicit credentials' },
+    4672: { severity: 'warning', title: 'Special privileges assigned to new logon' },
+    4688: { severity: 'info', title: 'Process created' },
+    4697: { severity: 'warning', title: 'Service installed' },
+    4719: { severity: 'error', title: 'System audit policy changed' },
+    4720: { severity: 'warning', title: 'User account created' },
+    4722: { severity: 'info', title: 'User account enabled' },
+    4724: { severity: 'warning', title: 'Password reset attempted' },
+    4726: { severity: 'warning', title: 'User account deleted' },
+    4728: { severity: 'warning', title: 'Member added to global security group' },
+    4732: { severity: 'warning', title: 'Member added to local security group' },
+    4740: { severity: 'error', title: 'User account locked out' },
+    4756: { severity: 'warning', title: 'Member added to universal security group' },
+    4768: { severity: 'info', title: 'Kerberos TGT requested' },
+    4771: { severity: 'warning', title: 'Kerberos pre-authentication failed' },
+    4776: { severity: 'info', title: 'Credential validation' },
+    7045: { severity: 'warning', title: 'Service installed' },
+};
+
+const LOGON_TYPES = {
+    2: 'Interactive',
+    3: 'Network',
+    4: 'Batch',
+    5: 'Service',
+    7: 'Unlock',
+    8: 'NetworkCleartext',
+    9: 'NewCredentials',
+    10: 'RemoteInteractive (RDP)',
+    11: 'CachedInteractive',
+};
+
+// NTSTATUS codes reported in Status / SubStatus of failed logons
+const STATUS_CODES = {
+    '0xc000006a': 'wrong password',
+    '0xc0000064': 'unknown user name',
+    '0xc000006d': 'bad user name or password',
+    '0xc000006e': 'account restriction',
+    '0xc000006f': 'logon outside allowed hours',
+    '0xc0000070': 'workstation restriction',
+    '0xc0000071': 'password expired',
+    '0xc0000072': 'account disabled',
+    '0xc0000193': 'account expired',
+    '0xc0000224': 'password change required',
+    '0xc0000234': 'account locked out',
+    '0xc000015b': 'logon type not granted',
+};
+
+// Kerberos result codes for 4771
+const KERBEROS_FAILURES = {
+    '0x6': 'unknown user name',
+    '0x12': 'account disabled or locked out',
+    '0x17': 'password expired',
+    '0x18': 'wrong password',
+};
+
+// Event IDs → ECS event.category / event.type, and the outcome when the ID alone decides it
+const EVENT_CATEGORIES = {
+    1102: { category: 'configuration', type: 'deletion' },
+    104: { category: 'configuration', type: 'deletion' },
+    4624: { category: 'authentication', type: 'start', outcome: 'success' },
+    4625: { category: 'authentication', type: 'start', outcome: 'failure' },
+    4634: { category: 'authentication', type: 'end', outcome: 'success' },
+    4648: { category: 'authentication', type: 'start' },
+    4688: { category: 'process', type: 'start' },
+    4697: { category: 'configuration', type: 'creation' },
+    4719: { category: 'configuration', type: 'change' },
+    4720: { category: 'iam', type: 'creation' },
+    4722: { category: 'iam', type: 'change' },
+    4724: { category: 'iam', type: 'change' },
+    4726: { category: 'iam', type: 'deletion' },
+    4728: { category: 'iam', type: 'change' },
+    4732: { category: 'iam', type: 'change' },
+    4740: { category: 'iam', type: 'change' },
+    4756: { category: 'iam', type: 'change' },
+    4768: { category: 'authentication', type: 'start' },
+    4771: { category: 'authentication', type: 'start', outcome: 'failure' },
+    4776: { category: 'authentication', type: 'start' },
+    7045: { category: 'configuration', type: 'creation' },
+};
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parse a single <Event> XML element
+ * @param {string} xml - Event XML
+ * @returns {Object|null} Normalized entry
+ */
+function parseWindowsEventXml(xml) {
+    const eventId = xmlText(xml, 'EventID');
+    if (!eventId) return null;
+
+    const system = {
+        EventID: parseInt(eventId, 10),
+        Computer: xmlText(xml, 'Computer'),
+        Channel: xmlText(xml, 'Channel'),
+        Provider: xmlAttr(xml, 'Provider', 'Name'),
+        TimeCreated: xmlAttr(xml, 'TimeCreated', 'SystemTime'),
+    };
+
+    const data = {};
+    const dataRegex = /<Data\s+Name=["']([^"']+)["']\s*(?:\/>|>([\s\S]*?)<\/Data>)/g;
+    let match;
+    while ((match = dataRegex.exec(xml)) !== null) {
+        data[match[1]] = decodeXml(match[2] || '');
+    }
+
+    // Some events (e.g. 1102) carry their data under <UserData> instead
+    const userData = xml.match(/<UserData>([\s\S]*?)<\/UserData>/);
+    if (userData) {
+        const leafRegex = /<(\w+)>([^<]*)<\/\1>/g;
+        while ((match = leafRegex.exec(userData[1])) !== null) {
+            if (data[match[1]] === undefined) data[match[1]] = decodeXml(match[2]);
+        }
+    }
+
+    const rendered = xmlText(xml, 'Message');
+    return buildWindowsEntry(system, data, rendered, xml.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Whether a parsed JSON record looks like a Windows event
+ */
+function isWindowsEventJson(json) {
+    if (!json || typeof json !== 'object') return false;
+    if (json.winlog && (json.winlog.event_id !== undefined || json.winlog.channel)) return true;
+    if (json.Event && json.Event.System) return true;
+    if (json.System && json.System.EventID !== undefined) return true;
+    if (json.EventID !== undefined && (json.Computer || json.Hostname || json.Channel || json.SourceName)) return true;
+    if (json.Id !== undefined && json.TimeCreated !== undefined && (json.MachineName || json.LogName || json.ProviderName)) return true;
+    return false;
+}
+
+/**
+ * Normalize a Windows event exported as JSON
+ * @param {Object} json - Record for which isWindowsEventJson() is true
+ * @returns {Object} Normalized entry
+ */
+function normalizeWindowsEventJson(json) {
+    const rawLine = JSON.stringify(json);
+
+    // Winlogbeat / Elastic Agent
+    if (json.winlog) {
+        const winlog = json.winlog;
+        return buildWindowsEntry({
+            EventID: parseInt(winlog.event_id !== undefined ? winlog.event_id : (json.event && json.event.code), 10),
+            Computer: winlog.computer_name || (json.host && (json.host.name || json.host.hostname)),
+            Channel: winlog.channel,
+            Provider: winlog.provider_name,
+            TimeCreated: json['@timestamp'],
+        }, { ...(winlog.user_data || {}), ...(winlog.event_data || {}) }, json.message, rawLine);
+    }
+
+    // XML converted to JSON: { Event: { System, EventData } } or { System, EventData }
+    const event = json.Event || (json.System ? json : null);
+    if (event) {
+        const sys = event.System;
+        return buildWindowsEntry({
+            EventID: parseInt(valueOf(sys.EventID), 10),
+            Computer: valueOf(sys.Computer),
+            Channel: valueOf(sys.Channel),
+            Provider: sys.Provider && (sys.Provider.Name || sys.Provider['@Name']),
+            TimeCreated: sys.TimeCreated && (sys.TimeCreated.SystemTime || sys.TimeCreated['@SystemTime']),
+        }, { ...eventDataOf(event.UserData), ...eventDataOf(event.EventData) },
+        event.RenderingInfo && valueOf(event.RenderingInfo.Message), rawLine);
+    }
+
+    // Get-WinEvent | ConvertTo-Json: properties are unnamed, so use the rendered message
+    if (json.Id !== undefined && json.EventID === undefined) {
+        return buildWindowsEntry({
+            EventID: parseInt(json.Id, 10),
+            Computer: json.MachineName,
+            Channel: json.LogName,
+            Provider: json.ProviderName,
+            TimeCreated: json.TimeCreated,
+        }, dataFromMessage(json.Message || ''), json.Message, rawLine);
+    }
+
+    // Flat exports (nxlog and similar) keep event data at the top level
+    const { EventID, Computer, Hostname, Channel, SourceName, ProviderName, EventTime, TimeCreated, Message, ...data } = json;
+    return buildWindowsEntry({
+        EventID: parseInt(EventID, 10),
+        Computer: Computer || Hostname,
+        Channel,
+        Provider: SourceName || ProviderName,
+        TimeCreated: TimeCreated || EventTime,
+    }, data, Message, rawLine);
+}
+
+/**
+ * Incrementally split an XML export into <Event> elements
+ * @returns {{ write: Function, end: Function }} Both return arrays of
+ *   { event } with the element text, or { invalid } for trailing garbage
+ */
+function createXmlEventSplitter() {
+    let buffer = '';
+
+    function write(chunk) {
+        buffer += chunk;
+        const results = [];
+
+        for (; ;) {
+            const start = buffer.search(/<Event[\s>]/);
+            if (start === -1) {
+                // Keep a possible partial "<Event" at the end of the buffer
+                buffer = buffer.slice(Math.max(0, buffer.length - 6));
+                break;
+            }
+            const end = buffer.indexOf('</Event>', start);
+            if (end === -1) {
+                buffer = buffer.slice(start);
+                break;
+            }
+            results.push({ event: buffer.slice(start, end + '</Event>'.length) });
+            buffer = buffer.slice(end + '</Event>'.length);
+        }
+
+        return results;
+    }
+
+    function end() {
+        const leftover = buffer.replace(/<\/?Events>|<\?xml[^>]*\?>/g, '').trim();
+        buffer = '';
+        return leftover.startsWith('<Event') ? [{ invalid: leftover }] : [];
+    }
+
+    return { write, end };
+}
+
+// --- Helpers ---
+
+function buildWindowsEntry(system, data, renderedMessage, rawLine) {
+    const eventId = Number.isNaN(system.EventID) ? null : system.EventID;
+    const known = EVENT_IDS[eventId];
+
+    const logonType = data.LogonType !== undefined ? String(data.LogonType) : null;
+    const status = String(data.SubStatus && data.SubStatus !== '0x0' ? data.SubStatus : data.Status || '').toLowerCase();
+    const failureReason = eventId === 4771
+        ? KERBEROS_FAILURES[status] || null
+        : STATUS_CODES[status] || null;
+
+    // 4776 is only a failure when the status is non-zero
+    const credentialFailure = eventId === 4776 && status && status !== '0x0';
+
+    const fields = {
+        EventID: eventId,
+        Computer: system.Computer || null,
+        Channel: system.Channel || null,
+        Provider: system.Provider || null,
+        ...data,
+    };
+    if (logonType) fields.LogonTypeName = LOGON_TYPES[logonType] || null;
+    if (failureReason) fields.FailureReason = failureReason;
+
+    return {
+        timestamp: parseWindowsTime(system.TimeCreated),
+        sourceIP: cleanAddress(data.IpAddress || data.SourceAddress || data.ClientAddress),
+        method: '',
+        path: '',
+        statusCode: null,
+        userAgent: '',
+        message: describeEvent(eventId, known, fields, credentialFailure) || firstLine(renderedMessage) || `Windows event ${eventId}`,
+        rawLine,
+        severity: credentialFailure ? 'warning' : known ? known.severity : 'info',
+        fields,
+        ecs: windowsEcs(eventId, fields, credentialFailure),
+    };
+}
+
+/**
+ * ECS values of a Windows event (see parser/ecs.js)
+ */
+function windowsEcs(eventId, fields, credentialFailure) {
+    const ecs = {
+        'event.code': eventId === null ? undefined : String(eventId),
+        'event.provider': fields.Provider,
+        'event.dataset': 'windows',
+        'host.name': fields.Computer,
+        'user.name': fields.TargetUserName || fields.SubjectUserName,
+        'user.domain': fields.TargetDomainName || fields.SubjectDomainName,
+        'source.port': fields.IpPort,
+        'process.executable': fields.NewProcessName || fields.ProcessName,
+        'process.command_line': fields.CommandLine,
+        'event.reason': fields.FailureReason,
+    };
+
+    const category = EVENT_CATEGORIES[eventId];
+    if (category) {
+        ecs['event.category'] = [category.category];
+        ecs['event.type'] = [category.type];
+        ecs['event.outcome'] = eventId === 4776 ? (credentialFailure ? 'failure' : 'success') : category.outcome;
+    }
+    return ecs;
+}
+
+/**
+ * One-line description, e.g. "Failed logon for admin from 10.0.0.5 via RemoteInteractive (RDP): wrong password [4625]"
+ */
+function describeEvent(eventId, known, fields, credentialFailure) {
+    if (!known) return null;
+
+    const title = credentialFailure ? 'Failed credential validation' : known.title;
+    const parts = [title];
+
+    const user = fields.TargetUserName || fields.SubjectUserName;
+    if (user && user !== '-') {
+        const domain = fields.TargetDomainName || fields.SubjectDomainName;
+        parts.push(`for ${domain && domain !== '-' ? `${domain}\\${user}` : user}`);
+    }
+    const ip = cleanAddress(fields.IpAddress);
+    if (ip) parts.push(`from ${ip}`);
+    if (fields.LogonTypeName) parts.push(`via ${fields.LogonTypeName}`);
+
+    let message = parts.join(' ');
+    const detail = fields.FailureReason || fields.CommandLine || fields.NewProcessName || fields.ServiceName;
+    if (detail) message += `: ${detail}`;
+    return `${message} [${eventId}]`;
+}
+
+/**
+ * Pull the interesting values out of a rendered 4624/4625-style message
+ */
+function dataFromMessage(message) {
+    const data = {};
+    const grab = (label) => {
+        const matches = [...message.matchAll(new RegExp(`${label}:\\s*([^\\r\\n]+)`, 'g'))];
+        // The target account is listed after the subject, so the last occurrence wins
+        return matches.length ? matches[matches.length - 1][1].trim() : undefined;
+    };
+
+    const fields = {
+        TargetUserName: grab('Account Name'),
+        TargetDomainName: grab('Account Domain'),
+        IpAddress: grab('Source Network Address'),
+        WorkstationName: grab('Workstation Name'),
+        LogonType: grab('Logon Type'),
+        Status: grab('Status'),
+        SubStatus: grab('Sub Status'),
+        NewProcessName: grab('New Process Name'),
+    };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) data[key] = value;
+    }
+    return data;
+}
+
+function eventDataOf(section) {
+    if (!section) return {};
+    const data = {};
+    const items = section.Data !== undefined ? [].concat(section.Data) : null;
+
+    if (items) {
+        for (const item of items) {
+            if (item && typeof item === 'object') {
+                const name = item.Name || item['@Name'];
+                if (name) data[name] = valueOf(item) !== undefined ? valueOf(item) : '';
+            }
+        }
+        return data;
+    }
+
+    // UserData-style nesting: { LogFileCleared: { SubjectUserName: ... } }
+    for (const value of Object.values(section)) {
+        if (value && typeof value === 'object') Object.assign(data, value);
+    }
+    return data;
+}
+
+function valueOf(node) {
+    if (node === null || node === undefined) return undefined;
+    if (typeof node !== 'object') return node;
+    for (const key of ['#text', '_', 'value', '$']) {
+        if (node[key] !== undefined) return node[key];
+    }
+    return undefined;
+}
+
+function parseWindowsTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    // ConvertTo-Json serializes DateTime as "/Date(1700000000000)/"
+    const msDate = String(value).match(/\/Date\((-?\d+)/);
+    const date = msDate ? new Date(parseInt(msDate[1], 10)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function cleanAddress(value) {
+    const ip = normalizeIP(String(value || ''));
+    return ip && ip !== '::1' && ip !== '127.0.0.1' ? ip : '';
+}
+
+function firstLine(text) {
+    return text ? String(text).split(/\r?\n/)[0].trim() : '';
+}
+
+function xmlText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+function xmlAttr(xml, tag, attr) {
+    const match = xml.match(new RegExp(`<${tag}\\s[^>]*\\b${attr}=["']([^"']*)["']`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const num = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(num);
+        }
+        return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+    });
+}
+
+module.exports = {
+    parseWindowsEventXml,
+    isWindowsEventJson,
+    normalizeWindowsEventJson,
+    createXmlEventSplitter,
+    EVENT_IDS,
+    LOGON_TYPES,
+};
@@ -0,0 +1,501 @@
+/**
+ * Upload Container Extraction
+ * Detects gzip, bzip2, zip and tar uploads by their magic bytes and streams out
+ * the files inside them, so rotated logs (access.log.1.gz) and bundles
+ * (logs.zip, logs.tar.gz) are analysed as text instead of as raw bytes.
+ *
+ * Everything is read as async iterables of Buffers; nothing is extracted to disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { Readable, pipeline } = require('stream');
+const { MAX_EXTRACTED_SIZE, formatBytes } = require('./config');
+
+// Bytes needed to recognize every supported container (tar magic sits at 257)
+const SNIFF_BYTES = 512;
+
+// Containers nested deeper than this (a .gz inside a .tar inside a .gz ...) are left alone
+const MAX_NESTING = 4;
+
+const TAR_BLOCK = 512;
+
+/**
+ * Identify a container from the first bytes of a file
+ * @param {Buffer} head
+ * @returns {'gzip'|'bzip2'|'zip'|'tar'|null}
+ */
+function containerOf(head) {
+    if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+    if (head.length >= 4 && head.toString('latin1', 0, 3) === 'BZh' && head[3] >= 0x31 && head[3] <= 0x39) return 'bzip2';
+    if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'zip';
+    if (head.length >= 4 && head.readUInt32LE(0) === 0x06054b50) return 'zip';
+    if (head.length >= 262 && head.toString('latin1', 257, 262) === 'ustar') return 'tar';
+    return null;
+}
+
+/**
+ * Open an uploaded file and list the log files it contains
+ * A plain log yields itself; containers yield each file inside them, one at a time.
+ * Each file's input must be read (or abandoned) before the next one is requested.
+ * @param {string} filePath - Uploaded file on disk
+ * @param {string} filename - Original filename; contained files are named after their entries
+ * @param {Date} [modified] - Original modification time of the upload; contained files use their own when the archive records it
+ * @returns {{ files: AsyncGenerator<{ name: string, input: Readable, modified: Date|null }>, skipped: Array, bytesRead: number, container: string|null }}
+ */
+function openUpload(filePath, filename, modified = null) {
+    const upload = {
+        container: null,
+        skipped: [],
+        bytesRead: 0,
+        files: null,
+    };
+    let extracted = 0;
+
+    async function* readRange(options) {
+        for await (const chunk of fs.createReadStream(filePath, options)) {
+            upload.bytesRead += chunk.length;
+            yield chunk;
+        }
+    }
+
+    // Guard against archives that expand far beyond what was uploaded
+    async function* limited(chunks) {
+        for await (const chunk of chunks) {
+            extracted += chunk.length;
+            if (extracted > MAX_EXTRACTED_SIZE) {
+                throw new Error(`Archive expands beyond the ${formatBytes(MAX_EXTRACTED_SIZE)} extraction limit`);
+            }
+            yield chunk;
+        }
+    }
+
+    async function* extract(chunks, name, depth, mtime) {
+        const { head, rest, close } = await peek(chunks, SNIFF_BYTES);
+        const container = depth < MAX_NESTING ? containerOf(head) : null;
+        if (depth === 0) upload.container = container;
+
+        if (container === 'gzip') {
+            // The gzip header's MTIME is zero when the compressor did not record one
+            const gzipTime = head.length >= 8 ? head.readUInt32LE(4) : 0;
+            yield* extract(limited(gunzip(rest)), innerName(name, container), depth + 1, gzipTime ? new Date(gzipTime * 1000) : mtime);
+        } else if (container === 'bzip2') {
+            yield* extract(limited(bunzip2(rest)), innerName(name, container), depth + 1, mtime);
+        } else if (container === 'tar') {
+            for await (const entry of readTar(rest)) {
+                if (isIgnoredEntry(entry.name)) continue;
+                yield* extract(entry.chunks, entry.name, depth + 1, entry.modified || mtime);
+            }
+        } else if (container === 'zip') {
+            // Zip needs random access to its central directory, so only the uploaded file itself can be one
+            if (depth > 0) {
+                upload.skipped.push({ name, reason: 'nested zip archives are not supported' });
+                await close();
+                return;
+            }
+            await close();
+            for (const entry of await readZipDirectory(filePath)) {
+                if (isIgnoredEntry(entry.name)) continue;
+                if (entry.unsupported) {
+                    upload.skipped.push({ name: entry.name, reason: entry.unsupported });
+                    continue;
+                }
+                yield* extract(limited(zipEntryChunks(entry, readRange)), entry.name, depth + 1, entry.modified || mtime);
+            }
+        } else if (depth > 0 && head.includes(0)) {
+            // Archives often bundle binaries alongside their logs
+            upload.skipped.push({ name, reason: 'binary file' });
+            await close();
+        } else if (head.length > 0) {
+            yield { name, input: Readable.from(rest, { objectMode: false }), modified: mtime };
+        } else {
+            await close();
+        }
+    }
+
+    upload.files = extract(readRange(), filename, 0, modified);
+    return upload;
+}
+
+/**
+ * Read the first `size` bytes of a chunk stream without consuming them
+ * @returns {Promise<{ head: Buffer, rest: AsyncGenerator<Buffer>, close: Function }>} rest replays
+ *   head first; close() releases the source when rest is not going to be read
+ */
+async function peek(chunks, size) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    const buffered = [];
+    let length = 0;
+    let done = false;
+
+    while (length < size) {
+        const next = await iterator.next();
+        if (next.done) {
+            done = true;
+            break;
+        }
+        buffered.push(next.value);
+        length += next.value.length;
+    }
+
+    const head = Buffer.concat(buffered).subarray(0, size);
+    const close = async () => {
+        if (!done && iterator.return) await iterator.return();
+        done = true;
+    };
+
+    async function* rest() {
+        try {
+            yield* buffered;
+            if (done) return;
+            for (let next = await iterator.next(); !next.done; next = await iterator.next()) yield next.value;
+            done = true;
+        } finally {
+            await close();
+        }
+    }
+    return { head, rest: rest(), close };
+}
+
+/**
+ * Name of the file inside a single-file compressed stream
+ *   access.log.1.gz → access.log.1, logs.tgz → logs.tar
+ */
+function innerName(name, container) {
+    const ext = container === 'gzip' ? /\.(?:gz|gzip)$/i : /\.(?:bz2|bzip2)$/i;
+    if (ext.test(name)) return name.replace(ext, '');
+    if (/\.(?:tgz|tbz2?)$/i.test(name)) return name.replace(/\.\w+$/, '.tar');
+    return name;
+}
+
+function isIgnoredEntry(name) {
+    const base = path.posix.basename(name);
+    return name.endsWith('/') || name.startsWith('__MACOSX/') || base.startsWith('._') || base === '.DS_Store';
+}
+
+function gunzip(chunks) {
+    // Concatenated gzip members (common after log rotation appends) are decoded in sequence
+    return inflate(chunks, zlib.createGunzip(), 'gzip');
+}
+
+async function* inflate(chunks, decoder, label) {
+    try {
+        yield* pipeline(Readable.from(chunks), decoder, () => { });
+    } catch (error) {
+        // zlib reports bare messages such as "unexpected end of file"
+        if (error.code && error.code.startsWith('Z_')) throw new Error(`Corrupt ${label} data: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Node has no bzip2 codec, so decompression goes through the system bzip2 binary
+ */
+async function* bunzip2(chunks) {
+    const child = spawn('bzip2', ['-dc'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', resolve);
+    });
+    exited.catch(() => { });
+
+    let stderr = '';
+    child.stderr.on('data', (data) => { stderr += data; });
+    // A failed write surfaces through bzip2's exit code below
+    pipeline(Readable.from(chunks), child.stdin, () => { });
+
+    try {
+        yield* child.stdout;
+        const code = await exited;
+        if (code !== 0) throw new Error(`bzip2 decompression failed: ${stderr.trim() || `exit code ${code}`}`);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error('bzip2 uploads need the bzip2 command installed on the server');
+        throw error;
+    } finally {
+        if (child.exitCode === null) child.kill();
+    }
+}
+
+/**
+ * Stream the regular files out of a tar archive
+ * Handles ustar prefixes, GNU long names and PAX path records.
+ * @returns {AsyncGenerator<{ name: string, size: number, modified: Date|null, chunks: AsyncGenerator<Buffer> }>}
+ */
+async function* readTar(chunks) {
+    const reader = createByteReader(chunks);
+    let longName = null;
+
+    try {
+        for (;;) {
+            const header = await reader.read(TAR_BLOCK);
+            if (header.length < TAR_BLOCK || header.every(b => b === 0)) return;
+
+            const size = tarNumber(header, 124, 12);
+            const type = String.fromCharCode(header[156] || 0x30);
+            const padding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+            if (type === 'L' || type === 'x') {
+                const body = (await reader.read(size)).toString('utf-8');
+                await reader.skip(padding);
+                longName = type === 'L' ? body.replace(/\0.*$/s, '') : paxPath(body) || longName;
+                continue;
+            }
+
+            const name = longName || tarName(header);
+            longName = null;
+
+            if (type === '0' || type === '7') {
+                const mtime = tarNumber(header, 136, 12);
+                yield { name, size, modified: mtime ? new Date(mtime * 1000) : null, chunks: reader.take(size) };
+            }
+            // Skip whatever the consumer left unread, plus the block padding
+            await reader.skipOwed();
+            await reader.skip(type === '0' || type === '7' ? padding : size + padding);
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+function tarName(header) {
+    const cstring = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+    const name = cstring(0, 100);
+    const prefix = header.toString('latin1', 257, 262) === 'ustar' ? cstring(345, 155) : '';
+    return prefix ? `${prefix}/${name}` : name;
+}
+
+function tarNumber(header, start, length) {
+    // GNU base-256 encoding for sizes over 8GB
+    if (header[start] & 0x80) {
+        let value = 0;
+        for (let i = start + 1; i < start + length; i++) value = value * 256 + header[i];
+        return value;
+    }
+    return parseInt(header.toString('latin1', start, start + length).replace(/\0.*$/s, '').trim() || '0', 8);
+}
+
+function paxPath(body) {
+    const match = body.match(/^\d+ path=(.*)$/m);
+    return match ? match[1] : null;
+}
+
+/**
+ * Exact-length reads over a chunk stream, for formats with fixed-size headers
+ */
+function createByteReader(chunks) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    let buffered = Buffer.alloc(0);
+    let done = false;
+    let owed = 0;
+    let lastRead = Promise.resolve();
+
+    async function fill(size) {
+        while (buffered.length < size && !done) {
+            const next = await iterator.next();
+            if (next.done) done = true;
+            else buffered = buffered.length ? Buffer.concat([buffered, next.value]) : next.value;
+        }
+    }
+
+    async function read(size) {
+        await fill(size);
+        const out = buffered.subarray(0, size);
+        buffered = buffered.subarray(out.length);
+        return out;
+    }
+
+    async function skip(size) {
+        let remaining = size;
+        while (remaining > 0) {
+            await fill(1);
+            if (buffered.length === 0) throw new Error('Unexpected end of archive');
+            const count = Math.min(remaining, buffered.length);
+            buffered = buffered.subarray(count);
+            remaining -= count;
+        }
+    }
+
+    /**
+     * Iterate the next `size` bytes as they arrive; skipOwed() discards any the consumer did not read
+     * Reads are chained so a consumer that is abandoned mid-read cannot interleave with skipOwed().
+     */
+    function take(size) {
+        owed = size;
+        const iterator = {
+            next() {
+                lastRead = lastRead.then(async () => {
+                    if (owed === 0) return { done: true, value: undefined };
+                    await fill(1);
+                    if (buffered.length === 0) throw new Error('Unexpected end of archive');
+                    const out = buffered.subarray(0, Math.min(owed, buffered.length));
+                    buffered = buffered.subarray(out.length);
+                    owed -= out.length;
+                    return { done: false, value: out };
+                });
+                return lastRead;
+            },
+            async return() {
+                return { done: true, value: undefined };
+            },
+            [Symbol.asyncIterator]() {
+                return iterator;
+            },
+        };
+        return iterator;
+    }
+
+    async function skipOwed() {
+        await lastRead.catch(() => { });
+        lastRead = Promise.resolve();
+        const remaining = owed;
+        owed = 0;
+        await skip(remaining);
+    }
+
+    async function close() {
+        if (!done && iterator.return) await iterator.return();
+    }
+
+    return { read, skip, take, skipOwed, close };
+}
+
+/**
+ * List the entries of a zip file from its central directory
+ * @returns {Promise<Array<{ name, method, compressedSize, offset, unsupported }>>}
+ */
+async function readZipDirectory(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const read = async (position, length) => {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buffer, 0, length, position);
+            return buffer.subarray(0, bytesRead);
+        };
+
+        // End of central directory record: 22 bytes plus a comment of up to 64KB
+        const tailStart = Math.max(0, size - 22 - 0xffff);
+        const tail = await read(tailStart, size - tailStart);
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('Corrupt zip archive: central directory not found');
+
+        let count = tail.readUInt16LE(eocd + 10);
+        let directorySize = tail.readUInt32LE(eocd + 12);
+        let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+        // Zip64 archives keep the real values in a separate record found through a locator
+        if (directoryOffset === 0xffffffff && eocd >= 20 && tail.readUInt32LE(eocd - 20) === 0x07064b50) {
+            const record = await read(Number(tail.readBigUInt64LE(eocd - 12)), 56);
+            count = Number(record.readBigUInt64LE(32));
+            directorySize = Number(record.readBigUInt64LE(40));
+            directoryOffset = Number(record.readBigUInt64LE(48));
+        }
+
+        const directory = await read(directoryOffset, directorySize);
+        const entries = [];
+        let pos = 0;
+
+        for (let i = 0; i < count && pos + 46 <= directory.length; i++) {
+            if (directory.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt zip archive: bad central directory entry');
+
+            const flags = directory.readUInt16LE(pos + 8);
+            const method = directory.readUInt16LE(pos + 10);
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const extraLength = directory.readUInt16LE(pos + 30);
+            const commentLength = directory.readUInt16LE(pos + 32);
+            const name = directory.toString('utf-8', pos + 46, pos + 46 + nameLength);
+            const extra = directory.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength);
+
+            const sizes = zip64Values(extra, {
+                uncompressedSize: directory.readUInt32LE(pos + 24),
+                compressedSize: directory.readUInt32LE(pos + 20),
+                localOffset: directory.readUInt32LE(pos + 42),
+            });
+
+            let unsupported = null;
+            if (flags & 0x1) unsupported = 'encrypted entry';
+            else if (method !== 0 && method !== 8) unsupported = `unsupported compression method ${method}`;
+
+            const modified = zipModified(extra, directory.readUInt16LE(pos + 14), directory.readUInt16LE(pos + 12));
+            entries.push({ name, method, modified, ...sizes, unsupported });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        // Entry data starts after each local header, whose name and extra lengths may differ
+        for (const entry of entries) {
+            if (entry.unsupported || entry.compressedSize === 0) continue;
+            const local = await read(entry.localOffset, 30);
+            if (local.length < 30 || local.readUInt32LE(0) !== 0x04034b50) {
+                entry.unsupported = 'corrupt local header';
+                continue;
+            }
+            entry.offset = entry.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+        }
+
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Entry modification time: the UTC extended timestamp field when present,
+ * otherwise the DOS date and time, which carry no zone and are read as UTC
+ */
+function zipModified(extra, dosDate, dosTime) {
+    for (let pos = 0; pos + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(pos);
+        const size = extra.readUInt16LE(pos + 2);
+        if (id === 0x5455 && size >= 5 && (extra[pos + 4] & 0x1)) {
+            return new Date(extra.readUInt32LE(pos + 5) * 1000);
+        }
+        pos += 4 + size;
+    }
+    if (!dosDate) return null;
+    return new Date(Date.UTC(
+        (dosDate >> 9) + 1980, ((dosDate >> 5) & 0xf) - 1, dosDate & 0x1f,
+        dosTime >> 11, (dosTime >> 5) & 0x3f, (dosTime & 0x1f) * 2
+    ));
+}
+
+/**
+ * Replace 0xFFFFFFFF placeholders with values from the Zip64 extended information field
+ */
+function zip64Values(extra, values) {
+    const result = { ...values };
+    for (let pos = 0; pos + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(pos);
+        const length = extra.readUInt16LE(pos + 2);
+        if (id === 0x0001) {
+            let field = pos + 4;
+            for (const key of ['uncompressedSize', 'compressedSize', 'localOffset']) {
+                if (result[key] === 0xffffffff && field + 8 <= pos + 4 + length) {
+                    result[key] = Number(extra.readBigUInt64LE(field));
+                    field += 8;
+                }
+            }
+        }
+        pos += 4 + length;
+    }
+    return result;
+}
+
+async function* zipEntryChunks(entry, readRange) {
+    if (entry.compressedSize === 0) return;
+
+    const raw = readRange({ start: entry.offset, end: entry.offset + entry.compressedSize - 1 });
+    yield* entry.method === 8 ? inflate(raw, zlib.createInflateRaw(), 'zip') : raw;
+}
+
+module.exports = {
+    openUpload,
+    containerOf,
+};
@@ -0,0 +1,58 @@
+/**
+ * Server Configuration
+ * Upload limits, ingest tuning and parser config, overridable via environment variables
+ */
+
+const path = require('path');
+
+// Maximum accepted upload size in bytes (default 5GB)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024;
+
+// Maximum total size of the files extracted from one compressed or archived upload (default 20GB)
+const MAX_EXTRACTED_SIZE = parseInt(process.env.MAX_EXTRACTED_SIZE) || 20 * 1024 * 1024 * 1024;
+
+// Maximum number of files in one multi-file upload
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES) || 20;
+
+// Directory uploads are written to while they are analysed
+const UPLOAD_DIR = path.resolve(__dirname, '..', 'uploads');
+
+// Number of log entries written per SQLite transaction while ingesting
+const INGEST_BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE) || 1000;
+
+// Stored entries a rule dry run reads at most, from the start of the session
+const MAX_RULE_TEST_ENTRIES = parseInt(process.env.MAX_RULE_TEST_ENTRIES) || 200000;
+
+// Proxies and load balancers whose X-Forwarded-For / Forwarded headers are believed,
+// as comma-separated addresses or CIDR blocks; private and loopback ranges when unset
+const TRUSTED_PROXIES = process.env.TRUSTED_PROXIES || null;
+
+// Directory of user-defined log format definitions (*.json), relative to the project root
+const PARSER_CONFIG_DIR = path.resolve(__dirname, '..', process.env.PARSER_CONFIG_DIR || 'config/parsers');
+
+// Directory of detection rules (*.yml, *.yaml, *.json, native or Sigma), relative to the project root
+const RULES_CONFIG_DIR = path.resolve(__dirname, '..', process.env.RULES_CONFIG_DIR || 'config/rules');
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Number.isInteger(value) ? value : value.toFixed(1)}${units[unit]}`;
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_EXTRACTED_SIZE,
+    MAX_UPLOAD_FILES,
+    UPLOAD_DIR,
+    INGEST_BATCH_SIZE,
+    MAX_RULE_TEST_ENTRIES,
+    PARSER_CONFIG_DIR,
+    RULES_CONFIG_DIR,
+    TRUSTED_PROXIES,
+    formatBytes,
+};
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { createFieldIndexes } = require('./entryFields');
 
 const DB_DIR = path.join(__dirname, '..', 'database');
 const DB_PATH = path.join(DB_DIR, 'logs.db');
@@ -42,6 +43,8 @@ db.exec(`
     message TEXT,
     raw_line TEXT,
     severity TEXT DEFAULT 'info',
+    source TEXT,
+    host TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (session_id) REFERENCES analysis_sessions(id)
   );
@@ -62,6 +65,12 @@ db.exec(`
     FOREIGN KEY (session_id) REFERENCES analysis_sessions(id)
   );
 
+  CREATE TABLE IF NOT EXISTS parse_reports (
+    session_id TEXT PRIMARY KEY,
+    report TEXT NOT NULL,
+    FOREIGN KEY (session_id) REFERENCES analysis_sessions(id)
+  );
+
   CREATE TABLE IF NOT EXISTS mitre_techniques (
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
@@ -71,6 +80,41 @@ db.exec(`
     url TEXT
   );
 
+  -- Detection rules and detector settings; one row per built-in detector, rule file and saved rule
+  CREATE TABLE IF NOT EXISTS rules (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    title TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    version INTEGER NOT NULL DEFAULT 1,
+    definition TEXT,
+    thresholds TEXT,
+    source TEXT,
+    text TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Log entries behind each threat, and the text in each that matched
+  CREATE TABLE IF NOT EXISTS threat_evidence (
+    threat_id INTEGER NOT NULL,
+    entry_id INTEGER NOT NULL,
+    matched TEXT,
+    PRIMARY KEY (threat_id, entry_id),
+    FOREIGN KEY (threat_id) REFERENCES threats(id),
+    FOREIGN KEY (entry_id) REFERENCES log_entries(id)
+  );
+
+  -- Every version of a rule's definition and thresholds
+  CREATE TABLE IF NOT EXISTS rule_versions (
+    rule_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    definition TEXT,
+    thresholds TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rule_id, version)
+  );
+
   CREATE INDEX IF NOT EXISTS idx_log_entries_session ON log_entries(session_id);
   CREATE INDEX IF NOT EXISTS idx_log_entries_source_ip ON log_entries(source_ip);
   CREATE INDEX IF NOT EXISTS idx_log_entries_severity ON log_entries(severity);
@@ -79,6 +123,27 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_threats_mitre_id ON threats(mitre_id);
 `);
 
+// Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves older databases untouched
+const addedColumns = {
+  log_entries: { source: 'TEXT', host: 'TEXT', time_guessed: 'INTEGER DEFAULT 0', bytes: 'INTEGER', response_time: 'REAL', fields: 'TEXT', ecs: 'TEXT' },
+  // Detector or rule, and its version, that raised a finding, and when its first and last events happened
+  threats: { rule_id: 'TEXT', rule_version: 'INTEGER', first_seen: 'TEXT', last_seen: 'TEXT' },
+  analysis_sessions: { hunted_at: 'DATETIME' },
+  threat_evidence: { matched: 'TEXT' },
+};
+
+for (const [table, columns] of Object.entries(addedColumns)) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [column, type] of Object.entries(columns)) {
+    if (!existing.has(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_log_entries_session_source ON log_entries(session_id, source);
+`);
+createFieldIndexes(db);
+
 // Seed MITRE ATT&CK techniques
 const seedMitre = db.prepare(`
   INSERT OR IGNORE INTO mitre_techniques (id, name, tactic, description, severity, url) VALUES (?, ?, ?, ?, ?, ?)
@@ -92,6 +157,7 @@ const mitreData = [
   ['T1190', 'Exploit Public-Facing Application', 'Initial Access', 'Adversaries may attempt to take advantage of a weakness in an Internet-facing computer or program using software, data, or commands.', 'critical', 'https://attack.mitre.org/techniques/T1190/'],
   ['T1003', 'OS Credential Dumping', 'Credential Access', 'Adversaries may attempt to dump credentials to obtain account login and credential material.', 'critical', 'https://attack.mitre.org/techniques/T1003/'],
   ['T1498', 'Network Denial of Service', 'Impact', 'Adversaries may perform Network Denial of Service (DoS) attacks to degrade or block the availability of targeted resources.', 'critical', 'https://attack.mitre.org/techniques/T1498/'],
+  ['T1499', 'Endpoint Denial of Service', 'Impact', 'Adversaries may perform Endpoint Denial of Service (DoS) attacks to degrade or block the availability of services to users.', 'high', 'https://attack.mitre.org/techniques/T1499/'],
   ['T1071', 'Application Layer Protocol', 'Command and Control', 'Adversaries may communicate using application layer protocols to avoid detection/network filtering.', 'medium', 'https://attack.mitre.org/techniques/T1071/'],
   ['T1046', 'Network Service Discovery', 'Discovery', 'Adversaries may attempt to get a listing of services running on remote hosts and local network infrastructure devices.', 'medium', 'https://attack.mitre.org/techniques/T1046/'],
   ['T1595', 'Active Scanning', 'Reconnaissance', 'Adversaries may execute active reconnaissance scans to gather information that can be used during targeting.', 'medium', 'https://attack.mitre.org/techniques/T1595/'],
@@ -0,0 +1,168 @@
+/**
+ * Extra Entry Fields
+ * Parsers keep everything they extract beyond the normalized columns in
+ * entry.fields. It is stored as a JSON object in log_entries.fields and
+ * queried with SQLite's JSON functions; the most common keys get expression
+ * indexes so filtering on them does not scan the table. The entry's ECS
+ * document is kept alongside in log_entries.ecs, so stored entries can be
+ * run through detection again.
+ */
+
+const { INGEST_BATCH_SIZE } = require('./config');
+
+// Keys worth an index: users, hosts and event identifiers across the built-in parsers
+const INDEXED_FIELDS = ['hostname', 'Computer', 'TargetUserName', 'acct', 'principal', 'action', 'EventID'];
+
+// Query parameters of the form field.<name>=<value>
+const FIELD_PARAM_PREFIX = 'field.';
+const FIELD_NAME_REGEX = /^[\w@-][\w.@-]{0,127}$/;
+
+/**
+ * SQL expression reading one key of the fields column
+ * Index definitions and filters must produce the same text for the index to be used.
+ * @param {string} name - Key, validated by the caller
+ */
+function fieldExpression(name) {
+    return `json_extract(fields, '$."${name}"')`;
+}
+
+/**
+ * Create the expression indexes over the common keys
+ * @param {Database} db
+ */
+function createFieldIndexes(db) {
+    for (const name of INDEXED_FIELDS) {
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_log_entries_field_${name.toLowerCase()} ON log_entries(${fieldExpression(name)})`);
+    }
+}
+
+/**
+ * @param {Object} [fields] - entry.fields
+ * @returns {string|null} JSON text, or null when there is nothing to store
+ */
+function encodeFields(fields) {
+    if (!fields) return null;
+    const kept = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return kept.length > 0 ? JSON.stringify(Object.fromEntries(kept)) : null;
+}
+
+/**
+ * @param {string|null} text - Stored fields column
+ * @returns {Object}
+ */
+function decodeFields(text) {
+    if (!text) return {};
+    try {
+        return JSON.parse(text);
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * @param {Object} [ecs] - entry.ecs
+ * @returns {string|null} JSON text of the ECS document, less the message the message column holds
+ */
+function encodeEcs(ecs) {
+    if (!ecs) return null;
+    const { message, ...rest } = ecs;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Stored log_entries row → the normalized entry shape the parser and analyzer use
+ * Rows stored before the ecs column existed get their ECS document rebuilt when it is first read.
+ */
+function rowToEntry(row) {
+    return {
+        id: row.id,
+        timestamp: row.timestamp,
+        sourceIP: row.source_ip,
+        method: row.method,
+        path: row.path,
+        statusCode: row.status_code,
+        userAgent: row.user_agent,
+        bytes: row.bytes,
+        responseTime: row.response_time,
+        message: row.message,
+        rawLine: row.raw_line,
+        severity: row.severity,
+        source: row.source,
+        host: row.host,
+        timeGuessed: Boolean(row.time_guessed),
+        fields: decodeFields(row.fields),
+        ecs: row.ecs ? { ...decodeFields(row.ecs), message: row.message || undefined } : undefined,
+    };
+}
+
+/**
+ * Read a session's stored entries in id order, a page at a time
+ * Waits for the event loop between pages so other requests are served while a
+ * large session is read.
+ * @param {Database} db
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.source] - Only the entries of this source file
+ * @param {number} [options.batchSize] - Rows per page
+ * @param {number} [options.limit] - Stop after this many entries
+ * @param {AbortSignal} [options.signal] - Checked before each page
+ * @returns {AsyncGenerator<Object[]>} Pages of entries, see rowToEntry
+ */
+async function* sessionEntryBatches(db, sessionId, { source = null, batchSize = INGEST_BATCH_SIZE, limit = Infinity, signal } = {}) {
+    const page = source
+        ? db.prepare('SELECT * FROM log_entries WHERE session_id = ? AND source = ? AND id > ? ORDER BY id LIMIT ?')
+        : db.prepare('SELECT * FROM log_entries WHERE session_id = ? AND id > ? ORDER BY id LIMIT ?');
+    const scope = source ? [sessionId, source] : [sessionId];
+    let lastId = 0;
+    let read = 0;
+
+    while (read < limit) {
+        if (signal) signal.throwIfAborted();
+        const rows = page.all(...scope, lastId, Math.min(batchSize, limit - read));
+        if (rows.length === 0) return;
+        lastId = rows[rows.length - 1].id;
+        read += rows.length;
+        yield rows.map(rowToEntry);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+/**
+ * Read field filters from request query parameters
+ * `field.TargetUserName=admin` matches entries whose fields.TargetUserName is
+ * "admin"; numbers match whether the parser stored them as numbers or strings.
+ * @param {Object} query - req.query
+ * @returns {{ clause: string, params: Array }} SQL to AND onto a WHERE clause
+ * @throws {Error} When a field name contains characters other than letters, digits, '_', '.', '@' or '-'
+ */
+function fieldFilters(query) {
+    let clause = '';
+    const params = [];
+
+    for (const [key, value] of Object.entries(query)) {
+        if (!key.startsWith(FIELD_PARAM_PREFIX)) continue;
+        const name = key.slice(FIELD_PARAM_PREFIX.length);
+        if (!FIELD_NAME_REGEX.test(name)) throw new Error(`Invalid field name: ${name}`);
+
+        for (const wanted of [].concat(value)) {
+            const text = String(wanted);
+            const number = Number(text);
+            clause += ` AND ${fieldExpression(name)} IN (?, ?)`;
+            params.push(text, text.trim() !== '' && !isNaN(number) ? number : text);
+        }
+    }
+
+    return { clause, params };
+}
+
+module.exports = {
+    INDEXED_FIELDS,
+    fieldExpression,
+    createFieldIndexes,
+    encodeFields,
+    decodeFields,
+    encodeEcs,
+    rowToEntry,
+    sessionEntryBatches,
+    fieldFilters,
+};
@@ -15,6 +15,27 @@ const path = require('path');
 
 // Initialize database (auto-creates tables + seeds MITRE data)
 const db = require('./db');
+const { MAX_FILE_SIZE, MAX_UPLOAD_FILES, UPLOAD_DIR, PARSER_CONFIG_DIR, RULES_CONFIG_DIR, TRUSTED_PROXIES, formatBytes } = require('./config');
+
+// Register user-defined log formats alongside the built-in parsers
+const { loadCustomFormats } = require('../parser/customFormats');
+const customFormats = loadCustomFormats(PARSER_CONFIG_DIR);
+if (customFormats.length > 0) {
+    console.log(`🧩 Loaded custom log formats: ${customFormats.join(', ')}`);
+}
+
+// Detection rules run after the built-in detectors on every upload; rules saved
+// through the API, and everyone's enabled flag and thresholds, come from the rules table
+const { loadRules } = require('../parser/ruleEngine');
+const { syncRules } = require('./ruleStore');
+const detectionRules = [...loadRules(RULES_CONFIG_DIR), ...syncRules(db)];
+if (detectionRules.length > 0) {
+    console.log(`🛡️  Loaded detection rules: ${detectionRules.join(', ')}`);
+}
+
+// Forwarding headers in access logs are only believed from these proxies
+const { setTrustedProxies } = require('../parser/ipAddress');
+if (TRUSTED_PROXIES) setTrustedProxies(TRUSTED_PROXIES);
 
 // Initialize Express
 const app = express();
@@ -25,6 +46,16 @@ const wss = new WebSocketServer({ server, path: '/ws' });
 const StreamManager = require('../websocket/streamManager');
 const streamManager = new StreamManager(wss);
 
+// Background analysis jobs report progress through the stream manager
+const JobManager = require('./jobManager');
+const jobManager = new JobManager(streamManager);
+
+// Analyses cut short by the last shutdown can never finish; fail them and drop their files
+const interrupted = JobManager.recoverInterrupted(db, UPLOAD_DIR);
+if (interrupted.sessions > 0 || interrupted.files > 0) {
+    console.log(`♻️  Marked ${interrupted.sessions} interrupted analysis session(s) failed, removed ${interrupted.files} leftover upload file(s)`);
+}
+
 // Middleware
 app.use(cors({
     origin: process.env.CLIENT_URL || 'http://localhost:5173',
@@ -43,9 +74,15 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // API Routes
-const logRoutes = require('./routes/logs')(db, streamManager);
+const logRoutes = require('./routes/logs')(db, streamManager, jobManager);
 app.use('/api/logs', logRoutes);
 
+const parserRoutes = require('./routes/parsers')(PARSER_CONFIG_DIR);
+app.use('/api/parsers', parserRoutes);
+
+const ruleRoutes = require('./routes/rules')(db);
+app.use('/api/rules', ruleRoutes);
+
 // Stream control endpoints
 app.post('/api/stream/start', (req, res) => {
     streamManager.startSimulation();
@@ -73,7 +110,10 @@ app.get('/api/health', (req, res) => {
 app.use((err, req, res, next) => {
     console.error('Server error:', err);
     if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(413).json({ error: 'File too large. Maximum size is 10MB.' });
+        return res.status(413).json({ error: `File too large. Maximum size is ${formatBytes(MAX_FILE_SIZE)}.` });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ error: `Unexpected file field "${err.field}", or more than ${MAX_UPLOAD_FILES} files.` });
     }
     res.status(500).json({ error: err.message || 'Internal server error' });
 });
@@ -0,0 +1,372 @@
+/**
+ * Streaming Ingest Pipeline
+ * Parses, stores, and analyzes an uploaded log file in a single pass.
+ * Lines are read from disk as a stream and written in chunked transactions,
+ * while detection and analysis consume each entry incrementally, so memory
+ * use does not grow with the size of the file.
+ *
+ * Compressed and archived uploads are decompressed on the fly; every file
+ * inside them is parsed with its own format detection into the same session,
+ * as are the files of a multi-file upload.
+ */
+
+const fs = require('fs');
+const { parseLogStream, entryHost } = require('../parser/logParser');
+const { createParseReport } = require('../parser/parseReport');
+const { openUpload } = require('./archive');
+const { encodeFields, encodeEcs } = require('./entryFields');
+const { createDetectionStream } = require('../parser/detectionEngine');
+const { createSessionAnalyzer } = require('../parser/aiAnalyzer');
+const { INGEST_BATCH_SIZE } = require('./config');
+
+/**
+ * Ingest one or more uploaded log files into an existing analysis session
+ * Entries are tagged with the file they came from and merged across files in
+ * timestamp order, so detections and analysis can span sources.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} options
+ * @param {string} options.sessionId - Session the entries belong to
+ * @param {Array<{ filePath: string, filename: string, modified?: Date }>} options.files - Uploaded files on disk,
+ *   their original names and, when the client sent it, their original modification time
+ * @param {string|Object} [options.format] - Pinned log format name or ad-hoc format; auto-detected when omitted
+ * @param {string|Object} [options.multiline] - Multiline rule for line-based files (see resolveMultilineRule)
+ * @param {string} [options.timezone] - Source timezone for log times written without an offset
+ * @param {AbortSignal} [options.signal] - Aborts the ingest between batches
+ * @param {Function} [options.onProgress] - Receives { phase, linesParsed, entriesStored, currentFile, currentDetector, percent }
+ * @returns {Promise<Object>} { totalEntries, threats, analysis, parseReport, files, skipped }; files lists each source
+ *   and its entry count when there was more than one, or the upload was an archive. parseReport
+ *   (see createParseReport) is also stored with the session.
+ */
+async function ingestLogFiles(db, { sessionId, files, format, multiline, timezone, signal, onProgress = () => { } }) {
+    const insertEntry = db.prepare(`
+    INSERT INTO log_entries (session_id, timestamp, source_ip, method, path, status_code, user_agent, bytes, response_time, message, raw_line, severity, source, host, time_guessed, fields, ecs)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+    const insertBatch = db.transaction((items) => {
+        for (const entry of items) {
+            const info = insertEntry.run(
+                sessionId,
+                entry.timestamp,
+                entry.sourceIP,
+                entry.method,
+                entry.path,
+                entry.statusCode,
+                entry.userAgent,
+                entry.bytes === undefined ? null : entry.bytes,
+                entry.responseTime === undefined ? null : entry.responseTime,
+                entry.message,
+                entry.rawLine,
+                entry.severity,
+                entry.source,
+                entry.host,
+                entry.timeGuessed ? 1 : 0,
+                encodeFields(entry.fields),
+                encodeEcs(entry.ecs)
+            );
+            entry.id = Number(info.lastInsertRowid);
+        }
+    });
+
+    db.prepare("UPDATE analysis_sessions SET status = 'processing' WHERE id = ?").run(sessionId);
+
+    const totalBytes = files.reduce((sum, file) => sum + fs.statSync(file.filePath).size, 0);
+    // Threats can stand for most of the file; their entry links wait on disk until the threats are stored
+    const evidence = createEvidenceSpill(db);
+    const detection = createDetectionStream(null, { evidenceStore: evidence });
+    const analyzer = createSessionAnalyzer();
+    const parseReport = createParseReport();
+    let batch = [];
+    let totalEntries = 0;
+    let linesParsed = 0;
+    let currentFile = null;
+
+    const uploads = files.map(file => openUpload(file.filePath, file.filename, file.modified));
+    const sources = [];
+
+    // Source names must stay unique: two hosts' access.log become "access.log" and "access.log (2)"
+    const nameCounts = new Map();
+    const sourceName = (name) => {
+        const count = (nameCounts.get(name) || 0) + 1;
+        nameCounts.set(name, count);
+        return count === 1 ? name : `${name} (${count})`;
+    };
+
+    // Parse every file inside one upload, in order, tagging entries with their source
+    // Each file's modification time anchors the year of syslog-style timestamps
+    async function* uploadEntries(upload) {
+        for await (const { name, input, modified } of upload.files) {
+            const source = { name: sourceName(name), entries: 0 };
+            sources.push(source);
+            if (upload.container || uploads.length > 1) currentFile = source.name;
+
+            const options = {
+                format,
+                multiline,
+                timezone,
+                referenceDate: modified,
+                onLine: () => { linesParsed++; },
+                onUnparsed: (text, reason, detail) => parseReport.unparsed(text, reason, detail, source.name),
+            };
+
+            try {
+                for await (const entry of parseLogStream(input, name, options)) {
+                    entry.source = source.name;
+                    entry.host = entryHost(entry);
+                    source.entries++;
+                    parseReport.add(entry);
+                    yield entry;
+                }
+            } finally {
+                input.destroy();
+            }
+        }
+    }
+
+    const flush = () => {
+        if (signal) signal.throwIfAborted();
+
+        insertBatch(batch);
+        for (const entry of batch) {
+            detection.push(entry);
+            analyzer.push(entry);
+        }
+        totalEntries += batch.length;
+        batch = [];
+
+        const bytesRead = uploads.reduce((sum, upload) => sum + upload.bytesRead, 0);
+        onProgress({
+            phase: 'parsing',
+            linesParsed,
+            entriesStored: totalEntries,
+            currentFile,
+            // Parsing accounts for the bulk of the work; detection and analysis finish the rest
+            percent: totalBytes > 0 ? Math.min(95, Math.floor((bytesRead / totalBytes) * 95)) : 0,
+        });
+    };
+
+    try {
+        const entries = mergeByTime(uploads.map(uploadEntries));
+        try {
+            for await (const entry of entries) {
+                batch.push(entry);
+                if (batch.length >= INGEST_BATCH_SIZE) flush();
+            }
+            if (batch.length > 0) flush();
+        } finally {
+            await entries.return();
+        }
+
+        // A single plain file is its own only source; anything else is worth listing
+        const contents = uploads.length > 1 || uploads[0].container
+            ? { files: sources, skipped: uploads.flatMap(upload => upload.skipped) }
+            : {};
+
+        const report = parseReport.toJSON();
+        if (totalEntries === 0) {
+            return { totalEntries, threats: [], analysis: null, parseReport: report, ...contents };
+        }
+
+        const threats = detection.finish((name) => {
+            if (signal) signal.throwIfAborted();
+            onProgress({ phase: 'detecting', linesParsed, currentDetector: name });
+        });
+        insertThreats(db, sessionId, threats, evidence);
+
+        onProgress({ phase: 'analyzing', currentDetector: null, percent: 98 });
+        const analysis = analyzer.finish(threats);
+
+        db.prepare(`
+      UPDATE analysis_sessions SET total_lines = ?, threat_count = ?, risk_score = ?, ai_summary = ?, status = 'completed'
+      WHERE id = ?
+    `).run(totalEntries, threats.length, analysis.riskScore, analysis.summary, sessionId);
+        db.prepare('INSERT OR REPLACE INTO parse_reports (session_id, report) VALUES (?, ?)').run(sessionId, JSON.stringify(report));
+
+        return { totalEntries, threats, analysis, parseReport: report, ...contents };
+    } finally {
+        evidence.close();
+    }
+}
+
+/**
+ * Merge entry streams that are each in time order into one time-ordered stream
+ * Only the next entry of each stream is held in memory. Entries without a
+ * usable timestamp sort last; ties keep the order the streams were given in.
+ */
+async function* mergeByTime(streams) {
+    const heads = [];
+    const advance = async (head) => {
+        const next = await head.iterator.next();
+        head.entry = next.done ? null : next.value;
+        head.time = next.done ? null : sortTime(next.value);
+        return !next.done;
+    };
+
+    try {
+        for (const stream of streams) {
+            const head = { iterator: stream[Symbol.asyncIterator]() };
+            if (await advance(head)) heads.push(head);
+        }
+
+        while (heads.length > 0) {
+            let earliest = 0;
+            for (let i = 1; i < heads.length; i++) {
+                if (heads[i].time < heads[earliest].time) earliest = i;
+            }
+
+            const head = heads[earliest];
+            yield head.entry;
+            if (!(await advance(head))) heads.splice(earliest, 1);
+        }
+    } finally {
+        for (const head of heads) {
+            if (head.iterator.return) await head.iterator.return();
+        }
+    }
+}
+
+function sortTime(entry) {
+    const time = Date.parse(entry.timestamp);
+    return Number.isNaN(time) ? Infinity : time;
+}
+
+/**
+ * Store a session's findings, with the version of the detector or rule that raised each
+ * and links to the log entries behind them
+ * @param {Database} db
+ * @param {string} sessionId
+ * @param {Array} threats - Findings from createDetectionStream
+ * @param {Object} [spill] - Evidence spill the detection run was given
+ */
+function insertThreats(db, sessionId, threats, spill = null) {
+    const insertThreat = db.prepare(`
+    INSERT INTO threats (session_id, type, severity, description, source_ip, count, mitre_id, mitre_name, mitre_tactic, raw_evidence, rule_id, rule_version, first_seen, last_seen)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+    const threatRow = createThreatRow(db);
+    const linkEvidence = createEvidenceLinker(db, spill);
+
+    const threatTransaction = db.transaction((items) => {
+        for (const threat of items) {
+            const info = insertThreat.run(sessionId, ...threatRow(threat));
+            linkEvidence(Number(info.lastInsertRowid), threat);
+        }
+    });
+
+    threatTransaction(threats);
+}
+
+/**
+ * Column values of a finding: type, severity, description, source_ip, count, mitre_id,
+ * mitre_name, mitre_tactic, raw_evidence, rule_id, rule_version, first_seen and last_seen
+ * @param {Database} db
+ * @returns {Function} threat => values
+ */
+function createThreatRow(db) {
+    // Detection rules often tag only a technique id; take its name and tactic from the ATT&CK table
+    const findTechnique = db.prepare('SELECT name, tactic FROM mitre_techniques WHERE id = ?');
+    const findVersion = db.prepare('SELECT version FROM rules WHERE id = ?');
+
+    return (threat) => {
+        const technique = threat.mitreId && (!threat.mitreName || !threat.mitreTactic) ? findTechnique.get(threat.mitreId) : null;
+        const rule = threat.ruleId ? findVersion.get(threat.ruleId) : null;
+        return [
+            threat.type,
+            threat.severity,
+            threat.description,
+            threat.sourceIP,
+            threat.count,
+            threat.mitreId,
+            threat.mitreName || (technique && technique.name) || null,
+            threat.mitreTactic || (technique && technique.tactic) || null,
+            threat.rawEvidence,
+            threat.ruleId || null,
+            rule ? rule.version : null,
+            threat.firstSeen || null,
+            threat.lastSeen || null,
+        ];
+    };
+}
+
+/**
+ * Replace the log entries linked to a stored threat with those of a finding
+ * @param {Database} db
+ * @param {Object} [spill] - Evidence spill holding the links of findings with an evidenceKey
+ * @returns {Function} (threatId, threat) => void
+ */
+function createEvidenceLinker(db, spill = null) {
+    const unlink = db.prepare('DELETE FROM threat_evidence WHERE threat_id = ?');
+
+    return (threatId, threat) => {
+        unlink.run(threatId);
+        if (spill && threat.evidenceKey) spill.link(threatId, threat.evidenceKey);
+    };
+}
+
+// Spills of the runs in progress share one temporary table; each has its own id
+let spillCount = 0;
+
+/**
+ * Evidence store (see parser/evidence.js) that writes the entry links of a detection run
+ * over stored entries to a temporary table, so they need no memory until the run's threats
+ * are stored. Links are buffered and written INGEST_BATCH_SIZE at a time; never call add()
+ * while a statement iterates rows.
+ * @param {Database} db
+ * @returns {{ open: Function, add: Function, link: Function, close: Function }} link(threatId, key) copies
+ *   the links added under key into threat_evidence; close() drops the spilled links
+ */
+function createEvidenceSpill(db) {
+    db.exec(`
+    CREATE TEMP TABLE IF NOT EXISTS evidence_spill (
+      spill_id INTEGER NOT NULL,
+      evidence_key INTEGER NOT NULL,
+      entry_id INTEGER NOT NULL,
+      matched TEXT
+    );
+    CREATE INDEX IF NOT EXISTS temp.idx_evidence_spill ON evidence_spill(spill_id, evidence_key);
+  `);
+
+    const spillId = ++spillCount;
+    const insert = db.prepare('INSERT INTO evidence_spill (spill_id, evidence_key, entry_id, matched) VALUES (?, ?, ?, ?)');
+    const copy = db.prepare(`
+    INSERT OR IGNORE INTO threat_evidence (threat_id, entry_id, matched)
+    SELECT ?, entry_id, matched FROM evidence_spill WHERE spill_id = ? AND evidence_key = ? ORDER BY rowid
+  `);
+    const write = db.transaction((links) => {
+        for (const [key, entryId, matched] of links) insert.run(spillId, key, entryId, matched);
+    });
+
+    let keys = 0;
+    let pending = [];
+    const flush = () => {
+        if (pending.length === 0) return;
+        write(pending);
+        pending = [];
+    };
+
+    return {
+        open() {
+            return ++keys;
+        },
+        add(key, entryId, matched) {
+            pending.push([key, entryId, matched]);
+            if (pending.length >= INGEST_BATCH_SIZE) flush();
+        },
+        link(threatId, key) {
+            flush();
+            copy.run(threatId, spillId, key);
+        },
+        close() {
+            pending = [];
+            db.prepare('DELETE FROM evidence_spill WHERE spill_id = ?').run(spillId);
+        },
+    };
+}
+
+module.exports = {
+    ingestLogFiles,
+    insertThreats,
+    createThreatRow,
+    createEvidenceLinker,
+    createEvidenceSpill,
+};
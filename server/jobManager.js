@@ -0,0 +1,157 @@
+/**
+ * Analysis Job Manager
+ * Runs upload analysis and retro-hunts in the background and publishes
+ * progress over WebSocket
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Minimum interval between progress broadcasts for a single job
+const PROGRESS_INTERVAL_MS = 500;
+
+// How long a finished job's final progress stays readable when the job asks to be kept
+const FINISHED_JOB_TTL_MS = 10 * 60 * 1000;
+
+class JobManager {
+    constructor(streamManager) {
+        this.streamManager = streamManager;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Start a background job
+     * Upload jobs use their session id as job id, and are forgotten once they finish
+     * since the session row records the outcome. Jobs with nowhere else to keep their
+     * result (retro-hunts) pass `keep` so it can still be fetched for a while.
+     * @param {string} jobId - Session the job analyzes, or another unique id
+     * @param {Function} task - async ({ signal, report }) => result; report(update) merges progress fields
+     * @param {Object} [options]
+     * @param {Object} [options.progress] - Extra initial progress fields
+     * @param {boolean} [options.keep] - Keep the final progress for FINISHED_JOB_TTL_MS
+     * @returns {Object} Initial progress snapshot
+     */
+    start(jobId, task, { progress = {}, keep = false } = {}) {
+        const controller = new AbortController();
+        const job = {
+            controller,
+            startedAt: Date.now(),
+            lastBroadcast: 0,
+            progress: {
+                jobId,
+                sessionId: jobId,
+                status: 'processing',
+                phase: 'queued',
+                linesParsed: 0,
+                entriesStored: 0,
+                currentDetector: null,
+                percent: 0,
+                etaSeconds: null,
+                ...progress,
+            },
+        };
+        this.jobs.set(jobId, job);
+
+        const report = (update, force = false) => this.report(job, update, force);
+
+        Promise.resolve()
+            .then(() => task({ signal: controller.signal, report }))
+            .then((result) => {
+                report({ ...result, status: 'completed', phase: 'completed', percent: 100, etaSeconds: 0 }, true);
+            })
+            .catch((error) => {
+                if (controller.signal.aborted) {
+                    report({ status: 'cancelled', phase: 'cancelled', etaSeconds: null }, true);
+                } else {
+                    console.error(`Job ${jobId} failed:`, error);
+                    report({ status: 'failed', phase: 'failed', etaSeconds: null, error: error.message || 'Job failed' }, true);
+                }
+            })
+            .finally(() => {
+                if (keep) {
+                    setTimeout(() => this.jobs.delete(jobId), FINISHED_JOB_TTL_MS).unref();
+                } else {
+                    this.jobs.delete(jobId);
+                }
+            });
+
+        return { ...job.progress };
+    }
+
+    /**
+     * Get the progress of a job, or null if none is active or kept
+     */
+    get(jobId) {
+        const job = this.jobs.get(jobId);
+        return job ? { ...job.progress } : null;
+    }
+
+    /**
+     * Request cancellation of a running job
+     * @returns {boolean} Whether a running job was found
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.progress.status !== 'processing') return false;
+        job.controller.abort();
+        return true;
+    }
+
+    /**
+     * Progress of the running jobs of one kind (progress.kind)
+     * @returns {Object[]}
+     */
+    running(kind) {
+        return [...this.jobs.values()]
+            .filter(job => job.progress.kind === kind && job.progress.status === 'processing')
+            .map(job => ({ ...job.progress }));
+    }
+
+    /**
+     * Clean up after jobs a previous server process did not finish: jobs only
+     * live in memory, so their sessions would stay pending or processing forever.
+     * Call once on startup, before any upload is accepted.
+     * @param {Database} db
+     * @param {string} uploadDir - Upload directory; every file left in it belonged to an interrupted job
+     * @returns {{ sessions: number, files: number }} Sessions marked failed and upload files removed
+     */
+    static recoverInterrupted(db, uploadDir) {
+        const sessions = db.prepare(`
+      UPDATE analysis_sessions SET status = 'failed' WHERE status IN ('pending', 'processing')
+    `).run().changes;
+
+        let files = 0;
+        if (fs.existsSync(uploadDir)) {
+            for (const name of fs.readdirSync(uploadDir)) {
+                const filePath = path.join(uploadDir, name);
+                if (!fs.statSync(filePath).isFile()) continue;
+                fs.unlinkSync(filePath);
+                files++;
+            }
+        }
+        return { sessions, files };
+    }
+
+    /**
+     * Merge a progress update, recompute the ETA, and broadcast (throttled)
+     */
+    report(job, update, force) {
+        Object.assign(job.progress, update);
+
+        const { percent } = job.progress;
+        if (job.progress.status === 'processing' && percent > 0 && percent < 100) {
+            const elapsed = (Date.now() - job.startedAt) / 1000;
+            job.progress.etaSeconds = Math.round(elapsed * (100 - percent) / percent);
+        }
+
+        const now = Date.now();
+        if (!force && now - job.lastBroadcast < PROGRESS_INTERVAL_MS) return;
+        job.lastBroadcast = now;
+
+        if (this.streamManager) {
+            this.streamManager.broadcast({ type: 'job_progress', ...job.progress });
+        }
+    }
+}
+
+module.exports = JobManager;
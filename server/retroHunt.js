@@ -0,0 +1,222 @@
+/**
+ * Retro-hunting
+ * Re-runs the current detection set over a session already stored in
+ * log_entries, so new and retuned rules also cover earlier uploads. The
+ * findings are diffed against the session's threats rows: a finding of the
+ * same type, source IP and technique as a stored row is the same finding,
+ * anything else is new, and rows no rule raises any more are removed.
+ * Hunts run as background jobs (see JobManager): entries are read a page at
+ * a time, and each session is applied in its own transaction once read.
+ */
+
+const { createDetectionStream } = require('../parser/detectionEngine');
+const { createSessionAnalyzer } = require('../parser/aiAnalyzer');
+const { sessionEntryBatches } = require('./entryFields');
+const { insertThreats, createThreatRow, createEvidenceLinker, createEvidenceSpill } = require('./ingest');
+
+/**
+ * Re-run detection over stored sessions, one after another
+ * @param {Database} db
+ * @param {Object} scope - { sessionIds: [...] } or { all: true }
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report the differences
+ * @param {AbortSignal} [options.signal] - Stops between pages; sessions already applied stay applied
+ * @param {Function} [options.report] - Receives progress updates (see JobManager)
+ * @returns {Promise<Object>} { dryRun, sessions, skipped, durationMs }; sessions holds huntSession results
+ */
+async function huntSessions(db, { sessionIds, all = false }, { dryRun = false, signal, report = () => {} } = {}) {
+    const started = Date.now();
+    const sessions = all
+        ? db.prepare('SELECT * FROM analysis_sessions ORDER BY created_at').all()
+        : sessionIds.map(id => db.prepare('SELECT * FROM analysis_sessions WHERE id = ?').get(id) || { id, missing: true });
+
+    const results = [];
+    const skipped = [];
+    const hunted = [];
+    for (const session of sessions) {
+        if (session.missing) {
+            skipped.push({ sessionId: session.id, reason: 'Session not found' });
+        } else if (session.status !== 'completed') {
+            skipped.push({ sessionId: session.id, filename: session.filename, reason: `Session is ${session.status}` });
+        } else {
+            hunted.push(session);
+        }
+    }
+
+    const totalEntries = hunted.reduce((sum, session) => sum + session.total_lines, 0);
+    let entriesScanned = 0;
+    let sessionsDone = 0;
+    report({ phase: 'hunting', sessionsTotal: hunted.length, sessionsDone: 0, totalEntries }, true);
+
+    for (const session of hunted) {
+        report({ currentSession: session.filename }, true);
+        const result = await huntSession(db, session, {
+            dryRun,
+            signal,
+            onProgress: (scanned) => {
+                const done = entriesScanned + scanned;
+                report({ entriesScanned: done, percent: totalEntries ? Math.min(99, Math.floor(done * 100 / totalEntries)) : 0 });
+            },
+        });
+        if (result) {
+            results.push(result);
+            entriesScanned += result.entriesScanned;
+        } else {
+            skipped.push({ sessionId: session.id, filename: session.filename, reason: 'Session was deleted' });
+        }
+        sessionsDone++;
+        report({ sessionsDone, entriesScanned });
+    }
+
+    return { dryRun, sessions: results, skipped, durationMs: Date.now() - started };
+}
+
+/**
+ * Re-run detection over one stored session and apply the difference
+ * Matched rows are updated in place, so they keep their id and creation time,
+ * and take the rule version, times and linked entries of this run.
+ * @param {Database} db
+ * @param {Object} session - analysis_sessions row
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report the difference; leave threats and the session untouched
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with the entries scanned so far after each page
+ * @returns {Promise<Object|null>} { sessionId, filename, entriesScanned, added, changed, removed, unchanged, threatCount, riskScore },
+ *   or null when the session was deleted while it was read; added, changed and removed list findings,
+ *   unchanged counts them
+ */
+async function huntSession(db, session, options = {}) {
+    // Links of the findings wait on disk until they are applied; a dry run has no use for them
+    const evidence = options.dryRun ? null : createEvidenceSpill(db);
+    try {
+        return await diffSession(db, session, evidence, options);
+    } finally {
+        if (evidence) evidence.close();
+    }
+}
+
+async function diffSession(db, session, evidence, { dryRun = false, signal, onProgress = () => {} }) {
+    const detection = createDetectionStream(null, { evidenceStore: evidence });
+    const analyzer = createSessionAnalyzer();
+    let entriesScanned = 0;
+    for await (const entries of sessionEntryBatches(db, session.id, { signal })) {
+        for (const entry of entries) {
+            detection.push(entry);
+            analyzer.push(entry);
+        }
+        entriesScanned += entries.length;
+        onProgress(entriesScanned);
+    }
+    const findings = detection.finish();
+
+    // Nothing below yields, so the session cannot go away between this check and the update
+    if (!db.prepare('SELECT id FROM analysis_sessions WHERE id = ?').get(session.id)) return null;
+
+    // Stored rows by identity; duplicates pair off in order
+    const stored = new Map();
+    for (const row of db.prepare('SELECT * FROM threats WHERE session_id = ? ORDER BY id').all(session.id)) {
+        const key = findingKey(row.type, row.source_ip, row.mitre_id);
+        if (!stored.has(key)) stored.set(key, []);
+        stored.get(key).push(row);
+    }
+
+    const added = [];
+    const changed = [];
+    const matched = [];
+    for (const threat of findings) {
+        const rows = stored.get(findingKey(threat.type, threat.sourceIP, threat.mitreId));
+        const row = rows && rows.shift();
+        if (!row) {
+            added.push(threat);
+        } else if (row.severity !== threat.severity || row.count !== threat.count || row.description !== threat.description) {
+            changed.push({ row, threat });
+        } else {
+            matched.push({ row, threat });
+        }
+    }
+    const removed = [...stored.values()].flat();
+
+    const analysis = analyzer.finish(findings);
+    if (!dryRun) {
+        const threatRow = createThreatRow(db);
+        const linkEvidence = createEvidenceLinker(db, evidence);
+        const updateThreat = db.prepare(`
+      UPDATE threats SET type = ?, severity = ?, description = ?, source_ip = ?, count = ?, mitre_id = ?, mitre_name = ?,
+        mitre_tactic = ?, raw_evidence = ?, rule_id = ?, rule_version = ?, first_seen = ?, last_seen = ?
+      WHERE id = ?
+    `);
+        const unlinkEvidence = db.prepare('DELETE FROM threat_evidence WHERE threat_id = ?');
+        const deleteThreat = db.prepare('DELETE FROM threats WHERE id = ?');
+
+        const apply = db.transaction(() => {
+            for (const { row, threat } of [...changed, ...matched]) {
+                updateThreat.run(...threatRow(threat), row.id);
+                linkEvidence(row.id, threat);
+            }
+            for (const row of removed) {
+                unlinkEvidence.run(row.id);
+                deleteThreat.run(row.id);
+            }
+            insertThreats(db, session.id, added, evidence);
+            db.prepare(`
+        UPDATE analysis_sessions SET threat_count = ?, risk_score = ?, ai_summary = ?, hunted_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(findings.length, analysis.riskScore, analysis.summary, session.id);
+        });
+        apply();
+    }
+
+    const findVersion = db.prepare('SELECT version FROM rules WHERE id = ?');
+    const describe = (threat) => {
+        const rule = threat.ruleId ? findVersion.get(threat.ruleId) : null;
+        return {
+            type: threat.type,
+            severity: threat.severity,
+            description: threat.description,
+            sourceIP: threat.sourceIP,
+            count: threat.count,
+            mitreId: threat.mitreId,
+            firstSeen: threat.firstSeen || null,
+            lastSeen: threat.lastSeen || null,
+            ruleId: threat.ruleId,
+            ruleVersion: rule ? rule.version : null,
+        };
+    };
+
+    return {
+        sessionId: session.id,
+        filename: session.filename,
+        entriesScanned,
+        added: added.map(describe),
+        changed: changed.map(({ row, threat }) => ({
+            ...describe(threat),
+            id: row.id,
+            previous: { severity: row.severity, count: row.count, description: row.description, ruleId: row.rule_id, ruleVersion: row.rule_version },
+        })),
+        removed: removed.map(row => ({
+            id: row.id,
+            type: row.type,
+            severity: row.severity,
+            description: row.description,
+            sourceIP: row.source_ip,
+            count: row.count,
+            mitreId: row.mitre_id,
+            firstSeen: row.first_seen,
+            lastSeen: row.last_seen,
+            ruleId: row.rule_id,
+            ruleVersion: row.rule_version,
+        })),
+        unchanged: matched.length,
+        threatCount: findings.length,
+        riskScore: analysis.riskScore,
+    };
+}
+
+function findingKey(type, sourceIP, mitreId) {
+    return JSON.stringify([type, sourceIP || null, mitreId || null]);
+}
+
+module.exports = {
+    huntSessions,
+    huntSession,
+};
@@ -5,149 +5,261 @@
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { parseLogs } = require('../../parser/logParser');
-const { runDetection } = require('../../parser/detectionEngine');
-const { analyzeSession } = require('../../parser/aiAnalyzer');
+const { createSessionAnalyzer } = require('../../parser/aiAnalyzer');
+const { hasFormat } = require('../../parser/parserRegistry');
+const { buildPatternFormat } = require('../../parser/customFormats');
+const { isTimezone } = require('../../parser/timestamps');
+const { resolveMultilineRule } = require('../../parser/multiline');
+const { ingestLogFiles } = require('../ingest');
+const { huntSessions } = require('../retroHunt');
+const { decodeFields, sessionEntryBatches, fieldFilters } = require('../entryFields');
+const { MAX_FILE_SIZE, MAX_UPLOAD_FILES, UPLOAD_DIR } = require('../config');
 
 const router = express.Router();
 
 // Configure multer for file uploads
-const uploadDir = path.join(__dirname, '..', '..', 'uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
+if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 }
 
 const storage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, uploadDir),
-    filename: (req, file, cb) => cb(null, `${Date.now()}-${file.originalname}`),
+    destination: (req, file, cb) => cb(null, UPLOAD_DIR),
+    // Random part keeps same-named files of one multi-file upload apart
+    filename: (req, file, cb) => cb(null, `${Date.now()}-${uuidv4()}-${file.originalname}`),
 });
 
 const upload = multer({
     storage,
-    limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 },
+    limits: { fileSize: MAX_FILE_SIZE },
 });
 
-module.exports = function (db, streamManager) {
+// Upload fields that carry a one-off format expression, in order of precedence
+const UPLOAD_EXPRESSIONS = [
+    { field: 'grok', label: 'grok expression' },
+    { field: 'nginx', label: 'nginx log_format' },
+    { field: 'apache', label: 'Apache LogFormat' },
+];
+
+// Raw log lines per page of the log viewer
+const MAX_RAW_LINES = 500;
+
+module.exports = function (db, streamManager, jobManager) {
+    const deleteSession = db.transaction((sessionId) => {
+        db.prepare('DELETE FROM threat_evidence WHERE threat_id IN (SELECT id FROM threats WHERE session_id = ?)').run(sessionId);
+        db.prepare('DELETE FROM threats WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM parse_reports WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM log_entries WHERE session_id = ?').run(sessionId);
+        db.prepare('DELETE FROM analysis_sessions WHERE id = ?').run(sessionId);
+    });
+
+    /**
+     * GET /api/logs/limits
+     * Upload limits enforced by the server
+     */
+    router.get('/limits', (req, res) => {
+        res.json({ maxFileSize: MAX_FILE_SIZE, maxFiles: MAX_UPLOAD_FILES });
+    });
+
     /**
      * POST /api/logs/upload
-     * Upload and analyze a log file
+     * Upload one or more log files (repeated `logfile` fields) and start a background analysis job
+     * All files go into one session; gzip, bzip2, zip and tar uploads are unpacked and every file inside is analysed
+     * Optional fields: `timezone` for times logged without an offset, and one `lastModified`
+     * (epoch milliseconds) per file, used to infer the year of syslog-style timestamps.
+     * CSV / TSV uploads may send `columns` (JSON, entry field → column name) and `delimiter`.
+     * `multiline` picks how lines group into events: a preset name or a JSON { start | continuation } rule.
      */
-    router.post('/upload', upload.single('logfile'), async (req, res) => {
+    router.post('/upload', upload.array('logfile', MAX_UPLOAD_FILES), (req, res) => {
+        const uploaded = req.files || [];
+        const removeUploads = () => uploaded.forEach(file => fs.unlink(file.path, () => { }));
+
         try {
-            if (!req.file) {
+            if (uploaded.length === 0) {
                 return res.status(400).json({ error: 'No file uploaded' });
             }
 
             const sessionId = uuidv4();
-            const content = fs.readFileSync(req.file.path, 'utf-8');
-            const entries = parseLogs(content, req.file.originalname);
-
-            if (entries.length === 0) {
-                return res.status(400).json({ error: 'No valid log entries found in file' });
+            const lastModified = [].concat(req.body.lastModified || []);
+            const files = uploaded.map((file, i) => ({
+                filePath: file.path,
+                filename: file.originalname,
+                modified: parseInt(lastModified[i], 10) > 0 ? new Date(parseInt(lastModified[i], 10)) : null,
+            }));
+            const filename = files.map(file => file.filename).join(', ');
+            const size = uploaded.reduce((sum, file) => sum + file.size, 0);
+
+            // Optional pinned format, or a one-off column mapping or grok / log_format / LogFormat expression; auto-detected per line when omitted
+            let format = req.body.format || null;
+            if (format && !hasFormat(format)) {
+                removeUploads();
+                return res.status(400).json({ error: `Unknown log format: ${format}` });
             }
-
-            // Create analysis session
-            db.prepare(`
-        INSERT INTO analysis_sessions (id, filename, file_size, total_lines, status)
-        VALUES (?, ?, ?, ?, 'processing')
-      `).run(sessionId, req.file.originalname, req.file.size, entries.length);
-
-            // Insert log entries in transaction
-            const insertEntry = db.prepare(`
-        INSERT INTO log_entries (session_id, timestamp, source_ip, method, path, status_code, user_agent, message, raw_line, severity)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-            const insertTransaction = db.transaction((items) => {
-                for (const entry of items) {
-                    insertEntry.run(
-                        sessionId,
-                        entry.timestamp,
-                        entry.sourceIP,
-                        entry.method,
-                        entry.path,
-                        entry.statusCode,
-                        entry.userAgent,
-                        entry.message,
-                        entry.rawLine,
-                        entry.severity
-                    );
+            const syntax = UPLOAD_EXPRESSIONS.find(expression => req.body[expression.field]);
+            if (req.body.columns) {
+                try {
+                    format = buildPatternFormat({
+                        name: 'upload-columns',
+                        label: 'Custom column mapping',
+                        columns: JSON.parse(req.body.columns),
+                        delimiter: req.body.delimiter || undefined,
+                    });
+                } catch (error) {
+                    removeUploads();
+                    return res.status(400).json({ error: `Invalid column mapping: ${error.message}` });
                 }
-            });
+            } else if (syntax) {
+                try {
+                    format = buildPatternFormat({
+                        name: `upload-${syntax.field}`,
+                        label: `Custom ${syntax.label}`,
+                        [syntax.field]: req.body[syntax.field],
+                        patterns: req.body.grokPatterns ? JSON.parse(req.body.grokPatterns) : undefined,
+                    });
+                } catch (error) {
+                    removeUploads();
+                    return res.status(400).json({ error: `Invalid ${syntax.label}: ${error.message}` });
+                }
+            }
 
-            insertTransaction(entries);
+            // Stack traces are grouped unless the upload (or a pinned format) says otherwise
+            let multiline;
+            if (req.body.multiline) {
+                try {
+                    multiline = req.body.multiline.trim().startsWith('{') ? JSON.parse(req.body.multiline) : req.body.multiline;
+                    resolveMultilineRule(multiline);
+                } catch (error) {
+                    removeUploads();
+                    return res.status(400).json({ error: `Invalid multiline rule: ${error.message}` });
+                }
+            }
 
-            // Run detection engine
-            const threats = runDetection(entries);
+            const timezone = req.body.timezone || 'UTC';
+            if (!isTimezone(timezone)) {
+                removeUploads();
+                return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+            }
 
-            // Insert threats
-            const insertThreat = db.prepare(`
-        INSERT INTO threats (session_id, type, severity, description, source_ip, count, mitre_id, mitre_name, mitre_tactic, raw_evidence)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
+            // Create analysis session up front so entries can be streamed into it
+            db.prepare(`
+        INSERT INTO analysis_sessions (id, filename, file_size, total_lines, status)
+        VALUES (?, ?, ?, 0, 'pending')
+      `).run(sessionId, filename, size);
 
-            const threatTransaction = db.transaction((items) => {
-                for (const threat of items) {
-                    insertThreat.run(
+            const progress = jobManager.start(sessionId, async ({ signal, report }) => {
+                try {
+                    const { totalEntries, threats, analysis, parseReport, files: sources, skipped } = await ingestLogFiles(db, {
                         sessionId,
-                        threat.type,
-                        threat.severity,
-                        threat.description,
-                        threat.sourceIP,
-                        threat.count,
-                        threat.mitreId,
-                        threat.mitreName,
-                        threat.mitreTactic,
-                        threat.rawEvidence
-                    );
+                        files,
+                        format,
+                        multiline,
+                        timezone,
+                        signal,
+                        onProgress: report,
+                    });
+
+                    if (totalEntries === 0) {
+                        deleteSession(sessionId);
+                        const reason = parseReport.reasons[0];
+                        const detail = reason ? `. ${parseReport.unparsed} line(s) could not be parsed, most often: ${reason.reason}` : '';
+                        throw new Error(`${sources ? 'No valid log entries found in the uploaded files' : 'No valid log entries found in file'}${detail}`);
+                    }
+
+                    // Broadcast to WebSocket clients
+                    if (streamManager) {
+                        streamManager.broadcast({
+                            type: 'analysis_complete',
+                            sessionId,
+                            threatCount: threats.length,
+                            riskScore: analysis.riskScore,
+                        });
+                    }
+
+                    return {
+                        filename,
+                        totalEntries,
+                        threatCount: threats.length,
+                        riskScore: analysis.riskScore,
+                        dominantFormat: parseReport.dominantFormat,
+                        files: sources,
+                        skipped,
+                    };
+                } catch (error) {
+                    if (signal.aborted) {
+                        deleteSession(sessionId);
+                    } else {
+                        db.prepare("UPDATE analysis_sessions SET status = 'failed' WHERE id = ?").run(sessionId);
+                    }
+                    throw error;
+                } finally {
+                    // Clean up uploaded files
+                    removeUploads();
                 }
             });
 
-            threatTransaction(threats);
+            res.status(202).json({ ...progress, filename, status: 'pending' });
+        } catch (error) {
+            removeUploads();
+            console.error('Upload error:', error);
+            res.status(500).json({ error: error.message || 'Upload failed' });
+        }
+    });
 
-            // Run AI analysis
-            const analysis = analyzeSession(entries, threats);
+    /**
+     * GET /api/logs/jobs/:jobId
+     * Progress of a background job: an upload's analysis (the job id is its session id)
+     * or a retro-hunt, whose final progress carries its results for a while
+     */
+    router.get('/jobs/:jobId', (req, res) => {
+        try {
+            const { jobId: sessionId } = req.params;
 
-            // Update session
-            db.prepare(`
-        UPDATE analysis_sessions SET threat_count = ?, risk_score = ?, ai_summary = ?, status = 'completed'
-        WHERE id = ?
-      `).run(threats.length, analysis.riskScore, analysis.summary, sessionId);
-
-            // Broadcast to WebSocket clients
-            if (streamManager) {
-                streamManager.broadcast({
-                    type: 'analysis_complete',
-                    sessionId,
-                    threatCount: threats.length,
-                    riskScore: analysis.riskScore,
-                });
-            }
+            const progress = jobManager.get(sessionId);
+            if (progress) return res.json(progress);
 
-            // Clean up uploaded file
-            fs.unlinkSync(req.file.path);
+            // Upload job no longer running — report the stored session outcome
+            const session = db.prepare('SELECT * FROM analysis_sessions WHERE id = ?').get(sessionId);
+            if (!session) return res.status(404).json({ error: 'Job not found' });
 
             res.json({
                 sessionId,
-                filename: req.file.originalname,
-                totalEntries: entries.length,
-                threatCount: threats.length,
-                riskScore: analysis.riskScore,
-                status: 'completed',
+                status: session.status,
+                phase: session.status,
+                filename: session.filename,
+                totalEntries: session.total_lines,
+                entriesStored: session.total_lines,
+                threatCount: session.threat_count,
+                riskScore: session.risk_score,
+                percent: session.status === 'completed' ? 100 : 0,
             });
+        } catch (error) {
+            console.error('Job fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch job' });
+        }
+    });
 
+    /**
+     * POST /api/logs/jobs/:jobId/cancel
+     * Cancel a running job: an upload's partial results are discarded, a retro-hunt
+     * stops before its next page and keeps the sessions it already applied
+     */
+    router.post('/jobs/:jobId/cancel', (req, res) => {
+        try {
+            if (!jobManager.cancel(req.params.jobId)) {
+                return res.status(404).json({ error: 'No running job with this id' });
+            }
+            res.json({ success: true });
         } catch (error) {
-            console.error('Upload error:', error);
-            res.status(500).json({ error: error.message || 'Upload failed' });
+            console.error('Job cancel error:', error);
+            res.status(500).json({ error: 'Failed to cancel job' });
         }
     });
 
     /**
      * GET /api/logs
-     * Retrieve paginated log entries
+     * Retrieve paginated log entries, optionally filtered by session, severity, source file, host
+     * or extra fields (field.<name>=<value>, repeatable)
      */
     router.get('/', (req, res) => {
         try {
@@ -176,12 +288,33 @@ module.exports = function (db, streamManager) {
                 countParams.push(severity);
             }
 
+            for (const column of ['source', 'host']) {
+                if (req.query[column]) {
+                    query += ` AND ${column} = ?`;
+                    countQuery += ` AND ${column} = ?`;
+                    params.push(req.query[column]);
+                    countParams.push(req.query[column]);
+                }
+            }
+
+            // Extra fields: field.<name>=<value>
+            let filters;
+            try {
+                filters = fieldFilters(req.query);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            query += filters.clause;
+            countQuery += filters.clause;
+            params.push(...filters.params);
+            countParams.push(...filters.params);
+
             const total = db.prepare(countQuery).get(...countParams).total;
 
             query += ' ORDER BY id DESC LIMIT ? OFFSET ?';
             params.push(limit, offset);
 
-            const entries = db.prepare(query).all(...params);
+            const entries = db.prepare(query).all(...params).map(row => ({ ...row, fields: decodeFields(row.fields), ecs: decodeFields(row.ecs) }));
 
             res.json({
                 entries,
@@ -198,6 +331,31 @@ module.exports = function (db, streamManager) {
         }
     });
 
+    /**
+     * GET /api/logs/fields
+     * Extra field names found in a session's entries, most common first
+     */
+    router.get('/fields', (req, res) => {
+        try {
+            const { sessionId } = req.query;
+            if (!sessionId) return res.status(400).json({ error: 'sessionId is required' });
+
+            const fields = db.prepare(`
+        SELECT f.key AS name, COUNT(*) AS count
+        FROM log_entries e, json_each(e.fields) f
+        WHERE e.session_id = ? AND e.fields IS NOT NULL
+        GROUP BY f.key
+        ORDER BY count DESC, name
+        LIMIT 200
+      `).all(sessionId);
+
+            res.json({ fields });
+        } catch (error) {
+            console.error('Fields fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch fields' });
+        }
+    });
+
     /**
      * GET /api/logs/stats
      * Aggregate statistics for the dashboard
@@ -286,36 +444,188 @@ module.exports = function (db, streamManager) {
         }
     });
 
+    /**
+     * GET /api/logs/threats/:id/evidence
+     * Paginated log entries behind a threat, in log order, each with the text that matched
+     */
+    router.get('/threats/:id/evidence', (req, res) => {
+        try {
+            const page = Math.max(1, parseInt(req.query.page) || 1);
+            const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+            const offset = (page - 1) * limit;
+
+            const threat = db.prepare('SELECT * FROM threats WHERE id = ?').get(req.params.id);
+            if (!threat) return res.status(404).json({ error: 'Threat not found' });
+
+            const total = db.prepare('SELECT COUNT(*) as total FROM threat_evidence WHERE threat_id = ?').get(threat.id).total;
+            const entries = db.prepare(`
+        SELECT log_entries.*, threat_evidence.matched FROM threat_evidence
+        JOIN log_entries ON log_entries.id = threat_evidence.entry_id
+        WHERE threat_evidence.threat_id = ?
+        ORDER BY threat_evidence.entry_id LIMIT ? OFFSET ?
+      `).all(threat.id, limit, offset).map(row => ({ ...row, fields: decodeFields(row.fields), ecs: decodeFields(row.ecs) }));
+
+            res.json({
+                threat,
+                entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                },
+            });
+        } catch (error) {
+            console.error('Threat evidence fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch threat evidence' });
+        }
+    });
+
+    /**
+     * GET /api/logs/raw/:sessionId
+     * A page of the session's raw log lines in file order, optionally of one source file
+     */
+    router.get('/raw/:sessionId', (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const page = Math.max(1, parseInt(req.query.page) || 1);
+            const limit = Math.min(MAX_RAW_LINES, Math.max(1, parseInt(req.query.limit) || MAX_RAW_LINES));
+            const offset = (page - 1) * limit;
+
+            let where = 'session_id = ?';
+            const params = [sessionId];
+            if (req.query.source) {
+                where += ' AND source = ?';
+                params.push(req.query.source);
+            }
+
+            const total = db.prepare(`SELECT COUNT(*) as total FROM log_entries WHERE ${where}`).get(...params).total;
+            const lines = db.prepare(`SELECT raw_line FROM log_entries WHERE ${where} ORDER BY id LIMIT ? OFFSET ?`)
+                .all(...params, limit, offset)
+                .map(row => row.raw_line);
+
+            res.json({
+                lines,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                },
+            });
+        } catch (error) {
+            console.error('Raw log fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch raw log' });
+        }
+    });
+
     /**
      * GET /api/logs/analysis/:sessionId
      * Get full AI analysis for a session
+     * ?source= limits the entries analysed and returned to one source file; threats stay session-wide
      */
-    router.get('/analysis/:sessionId', (req, res) => {
+    router.get('/analysis/:sessionId', async (req, res) => {
+        // Stop reading once the client has gone
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
         try {
             const { sessionId } = req.params;
+            const source = req.query.source || null;
 
             const session = db.prepare('SELECT * FROM analysis_sessions WHERE id = ?').get(sessionId);
             if (!session) return res.status(404).json({ error: 'Session not found' });
 
-            const entries = db.prepare('SELECT * FROM log_entries WHERE session_id = ?').all(sessionId);
             const threats = db.prepare('SELECT * FROM threats WHERE session_id = ?').all(sessionId);
-            const rawLines = db.prepare('SELECT raw_line FROM log_entries WHERE session_id = ? ORDER BY id').all(sessionId).map(r => r.raw_line);
-
-            const analysis = analyzeSession(entries, threats);
+            const sources = db.prepare(`
+        SELECT source, GROUP_CONCAT(DISTINCT host) as hosts, COUNT(*) as count FROM log_entries
+        WHERE session_id = ? AND source IS NOT NULL
+        GROUP BY source ORDER BY MIN(id)
+      `).all(sessionId).map(row => ({ ...row, hosts: row.hosts ? row.hosts.split(',') : [] }));
+
+            // Entries were stored in merged time order across sources, so id order is time order.
+            // They are read a page at a time and folded into the analysis, so a large session is
+            // never loaded whole and other requests are served while it is read.
+            const analyzer = createSessionAnalyzer();
+            let entryCount = 0;
+            let guessedTimes = 0;
+            for await (const entries of sessionEntryBatches(db, sessionId, { source, signal: controller.signal })) {
+                for (const entry of entries) {
+                    analyzer.push(entry);
+                    if (entry.timeGuessed) guessedTimes++;
+                }
+                entryCount += entries.length;
+            }
 
             res.json({
                 session,
-                analysis,
+                analysis: analyzer.finish(threats),
                 threats,
-                rawLogContent: rawLines.join('\n'),
-                entryCount: entries.length,
+                sources,
+                source,
+                entryCount,
+                // Entries whose line had no readable time; they are left out of time-based checks
+                guessedTimes,
             });
         } catch (error) {
+            if (controller.signal.aborted) return;
             console.error('Analysis fetch error:', error);
             res.status(500).json({ error: 'Failed to fetch analysis' });
         }
     });
 
+    /**
+     * POST /api/logs/retro-hunt
+     * Start re-running the current detectors and rules over stored sessions, as a background
+     * job tracked like uploads (GET /api/logs/jobs/:jobId, job_progress over WebSocket)
+     * Body: { sessionIds: [...] } or { all: true }; dryRun: true only reports what would change.
+     * Sessions still being analysed, or that failed, are skipped. One hunt runs at a time.
+     */
+    router.post('/retro-hunt', (req, res) => {
+        const { sessionIds, all = false, dryRun = false } = req.body || {};
+        if (!all && (!Array.isArray(sessionIds) || sessionIds.length === 0)) {
+            return res.status(400).json({ error: 'Pick sessions with sessionIds, or hunt all of them with all: true' });
+        }
+
+        try {
+            const [running] = jobManager.running('retro-hunt');
+            if (running) return res.status(409).json({ error: 'A retro-hunt is already running', jobId: running.jobId });
+
+            const scope = all ? { all: true } : { sessionIds };
+            const progress = jobManager.start(
+                `hunt-${uuidv4()}`,
+                ({ signal, report }) => huntSessions(db, scope, { dryRun: Boolean(dryRun), signal, report }),
+                { progress: { kind: 'retro-hunt', sessionId: null, dryRun: Boolean(dryRun) }, keep: true }
+            );
+
+            res.status(202).json(progress);
+        } catch (error) {
+            console.error('Retro-hunt error:', error);
+            res.status(500).json({ error: 'Retro-hunt failed' });
+        }
+    });
+
+    /**
+     * GET /api/logs/parse-report/:sessionId
+     * Parse diagnostics of a session's upload: entries per detected format, field coverage,
+     * and sample lines that were skipped or kept only as plain text
+     */
+    router.get('/parse-report/:sessionId', (req, res) => {
+        try {
+            const { sessionId } = req.params;
+
+            const session = db.prepare('SELECT id FROM analysis_sessions WHERE id = ?').get(sessionId);
+            if (!session) return res.status(404).json({ error: 'Session not found' });
+
+            // Sessions analysed before parse reports were kept have none
+            const row = db.prepare('SELECT report FROM parse_reports WHERE session_id = ?').get(sessionId);
+            res.json({ sessionId, report: row ? JSON.parse(row.report) : null });
+        } catch (error) {
+            console.error('Parse report fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch parse report' });
+        }
+    });
+
     /**
      * GET /api/logs/sessions
      * List all analysis sessions
@@ -366,13 +676,8 @@ module.exports = function (db, streamManager) {
             const session = db.prepare('SELECT * FROM analysis_sessions WHERE id = ?').get(sessionId);
             if (!session) return res.status(404).json({ error: 'Session not found' });
 
-            const deleteAll = db.transaction(() => {
-                db.prepare('DELETE FROM threats WHERE session_id = ?').run(sessionId);
-                db.prepare('DELETE FROM log_entries WHERE session_id = ?').run(sessionId);
-                db.prepare('DELETE FROM analysis_sessions WHERE id = ?').run(sessionId);
-            });
-
-            deleteAll();
+            jobManager.cancel(sessionId);
+            deleteSession(sessionId);
 
             res.json({ success: true, deleted: session.filename });
         } catch (error) {
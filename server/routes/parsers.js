@@ -0,0 +1,130 @@
+/**
+ * Parser API Routes
+ * Lists the log formats available for auto-detection or pinning on upload,
+ * and manages saved regex/grok formats and CSV column mappings
+ */
+
+const express = require('express');
+const { listFormats } = require('../../parser/parserRegistry');
+const { buildPatternFormat, saveCustomFormat, deleteCustomFormat } = require('../../parser/customFormats');
+const { BASE_PATTERNS } = require('../../parser/grok');
+const { previewDelimited, DELIMITERS } = require('../../parser/delimited');
+const { defaultColumnMapping, FIELD_ALIASES } = require('../../parser/logParser');
+
+const router = express.Router();
+
+// Sample lines accepted by the test endpoint
+const MAX_TEST_LINES = 50;
+// Start of a CSV / TSV file read by the column preview
+const MAX_PREVIEW_BYTES = 64 * 1024;
+
+module.exports = function (parserConfigDir) {
+    /**
+     * GET /api/parsers
+     * List registered log formats in auto-detection order
+     */
+    router.get('/', (req, res) => {
+        try {
+            res.json({ formats: listFormats() });
+        } catch (error) {
+            console.error('Parsers fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch parsers' });
+        }
+    });
+
+    /**
+     * GET /api/parsers/grok-patterns
+     * Named patterns available to grok expressions
+     */
+    router.get('/grok-patterns', (req, res) => {
+        res.json({ patterns: BASE_PATTERNS });
+    });
+
+    /**
+     * POST /api/parsers/test
+     * Try a regex or grok definition against sample lines without saving it
+     */
+    router.post('/test', (req, res) => {
+        const { lines = [], ...def } = req.body || {};
+        if (!Array.isArray(lines) || lines.some(line => typeof line !== 'string')) {
+            return res.status(400).json({ error: 'lines must be an array of strings' });
+        }
+
+        let format;
+        try {
+            format = buildPatternFormat({ ...def, name: def.name || 'test' });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        try {
+            const results = lines.slice(0, MAX_TEST_LINES).map(line => ({
+                line,
+                entry: line.trim() ? format.parse(line.trim()) : null,
+            }));
+            res.json({ fields: format.fields, results });
+        } catch (error) {
+            console.error('Parser test error:', error);
+            res.status(500).json({ error: 'Failed to test format' });
+        }
+    });
+
+    /**
+     * POST /api/parsers/columns/preview
+     * Header, delimiter and first rows of a CSV / TSV sample, with the column
+     * mapping used when none is chosen
+     */
+    router.post('/columns/preview', (req, res) => {
+        const { sample, filename = '', delimiter } = req.body || {};
+        if (typeof sample !== 'string' || sample.trim() === '') {
+            return res.status(400).json({ error: 'A sample of the file is required' });
+        }
+        if (delimiter && !DELIMITERS.includes(delimiter)) {
+            return res.status(400).json({ error: 'Delimiter must be a comma, semicolon, tab or pipe' });
+        }
+
+        try {
+            const preview = previewDelimited(sample.slice(0, MAX_PREVIEW_BYTES), {
+                delimiter,
+                preferred: filename.toLowerCase().endsWith('.tsv') ? '\t' : ',',
+            });
+            res.json({
+                ...preview,
+                columns: defaultColumnMapping(preview.headers),
+                fields: Object.keys(FIELD_ALIASES),
+            });
+        } catch (error) {
+            console.error('Column preview error:', error);
+            res.status(500).json({ error: 'Failed to preview columns' });
+        }
+    });
+
+    /**
+     * POST /api/parsers
+     * Save a regex, grok or column-mapping format so it can be pinned on later uploads
+     */
+    router.post('/', (req, res) => {
+        try {
+            const format = saveCustomFormat(parserConfigDir, req.body || {});
+            const saved = listFormats().find(f => f.name === format.name);
+            res.status(201).json({ format: saved });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/parsers/:name
+     * Remove a format saved through the API
+     */
+    router.delete('/:name', (req, res) => {
+        try {
+            deleteCustomFormat(parserConfigDir, req.params.name);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,135 @@
+/**
+ * Detection Rule API Routes
+ * Lists the built-in detectors and detection rules, saves and edits rules,
+ * enables, disables and tunes any of them, and dry-runs one against a
+ * stored session
+ */
+
+const express = require('express');
+const { createDetectionStream, resolveDetector } = require('../../parser/detectionEngine');
+const { sessionEntryBatches } = require('../entryFields');
+const { MAX_RULE_TEST_ENTRIES } = require('../config');
+const { listRules, getRuleRecord, createRule, updateRule, deleteRule, readDefinition } = require('../ruleStore');
+
+const router = express.Router();
+
+module.exports = function (db) {
+    /**
+     * GET /api/rules
+     * Built-in detectors and rules in the order they run, with their settings and versions
+     */
+    router.get('/', (req, res) => {
+        try {
+            res.json({ rules: listRules(db) });
+        } catch (error) {
+            console.error('Rules fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch rules' });
+        }
+    });
+
+    /**
+     * POST /api/rules/test
+     * Dry-run a detector or rule against a stored session without saving anything
+     * Body: { sessionId, id } for an existing rule, or { sessionId, text | definition } for an
+     * unsaved one; `thresholds` tries other thresholds. Reads at most MAX_RULE_TEST_ENTRIES
+     * entries, a page at a time, and reports `truncated` when the session has more.
+     */
+    router.post('/test', async (req, res) => {
+        const { sessionId, id, text, definition, thresholds = null } = req.body || {};
+        if (!sessionId) return res.status(400).json({ error: 'A session is required' });
+
+        const session = db.prepare('SELECT id FROM analysis_sessions WHERE id = ?').get(sessionId);
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+
+        let detector;
+        try {
+            const spec = text || definition ? { definition: readDefinition(text, definition), thresholds } : { id, thresholds };
+            detector = resolveDetector(spec);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Stop reading once the client has gone
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
+        try {
+            const started = Date.now();
+            const { total } = db.prepare('SELECT COUNT(*) AS total FROM log_entries WHERE session_id = ?').get(sessionId);
+            const detection = createDetectionStream([detector]);
+            let entriesScanned = 0;
+            const batches = sessionEntryBatches(db, sessionId, { limit: MAX_RULE_TEST_ENTRIES, signal: controller.signal });
+            for await (const entries of batches) {
+                for (const entry of entries) detection.push(entry);
+                entriesScanned += entries.length;
+            }
+            res.json({
+                threats: detection.finish(),
+                entriesScanned,
+                totalEntries: total,
+                truncated: entriesScanned < total,
+                durationMs: Date.now() - started,
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error('Rule test error:', error);
+            res.status(500).json({ error: 'Failed to test rule' });
+        }
+    });
+
+    /**
+     * GET /api/rules/:id
+     * One rule with its version history
+     */
+    router.get('/:id', (req, res) => {
+        try {
+            const rule = getRuleRecord(db, req.params.id);
+            if (!rule) return res.status(404).json({ error: 'Rule not found' });
+            res.json({ rule });
+        } catch (error) {
+            console.error('Rule fetch error:', error);
+            res.status(500).json({ error: 'Failed to fetch rule' });
+        }
+    });
+
+    /**
+     * POST /api/rules
+     * Save a rule written in YAML, JSON or Sigma ({ text }), or as an object ({ definition })
+     */
+    router.post('/', (req, res) => {
+        try {
+            res.status(201).json({ rule: createRule(db, req.body || {}) });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * PUT /api/rules/:id
+     * Change any of { text | definition, thresholds, enabled }; thresholds: null restores the defaults
+     */
+    router.put('/:id', (req, res) => {
+        try {
+            const rule = updateRule(db, req.params.id, req.body || {});
+            if (!rule) return res.status(404).json({ error: 'Rule not found' });
+            res.json({ rule });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/rules/:id
+     * Remove a rule saved through the API
+     */
+    router.delete('/:id', (req, res) => {
+        try {
+            if (!deleteRule(db, req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    return router;
+};
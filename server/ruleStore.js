@@ -0,0 +1,294 @@
+/**
+ * Detection Rule Store
+ * The rules table has one row per built-in detector, rule file and rule
+ * saved through the API, with its enabled flag, threshold overrides and
+ * version. syncRules() brings the table and the detection engine in step on
+ * startup; the other functions change both together. A rule's version goes
+ * up whenever its definition or thresholds change, and every version is kept
+ * in rule_versions.
+ */
+
+const {
+    registerRule,
+    unregisterRule,
+    getRule,
+    getRules,
+    readRuleDefinitions,
+    ruleThresholds,
+} = require('../parser/ruleEngine');
+const { listDetectors, configureDetector, resetDetector } = require('../parser/detectionEngine');
+
+/**
+ * Register saved rules and apply every row's settings to the detection engine
+ * Call after the rule files were loaded. Built-in detectors and rule files
+ * without a row get one at version 1; a rule file whose definition changed
+ * since the last start gets a new version.
+ * @param {Database} db
+ * @returns {Array} Ids of the saved rules that were registered
+ */
+function syncRules(db) {
+    const rows = new Map(db.prepare('SELECT * FROM rules').all().map(row => [row.id, row]));
+    const present = new Set();
+
+    const sync = db.transaction(() => {
+        for (const detector of listDetectors()) {
+            present.add(detector.id);
+            if (!rows.has(detector.id)) insertRule(db, { id: detector.id, kind: 'builtin', title: detector.name });
+        }
+
+        for (const rule of getRules()) {
+            present.add(rule.id);
+            const row = rows.get(rule.id);
+            const definition = JSON.stringify(rule.definition);
+            if (!row || row.kind !== 'file') {
+                if (row) console.warn(`⚠️  Rule file ${rule.source} replaces the saved rule "${rule.id}"`);
+                db.prepare('DELETE FROM rules WHERE id = ?').run(rule.id);
+                insertRule(db, { id: rule.id, kind: 'file', title: rule.title, definition, source: rule.source });
+            } else if (row.definition !== definition) {
+                recordVersion(db, row, { definition, title: rule.title, source: rule.source });
+            }
+        }
+
+        // Detectors and rule files that are gone; their versions stay for the findings that cite them
+        for (const row of rows.values()) {
+            if (row.kind !== 'custom' && !present.has(row.id)) db.prepare('DELETE FROM rules WHERE id = ?').run(row.id);
+        }
+    });
+    sync();
+
+    const loaded = [];
+    for (const row of db.prepare("SELECT * FROM rules WHERE kind = 'custom'").all()) {
+        try {
+            registerRule(JSON.parse(row.definition));
+            loaded.push(row.id);
+        } catch (error) {
+            console.warn(`⚠️  Skipping saved rule "${row.id}": ${error.message}`);
+        }
+    }
+
+    for (const row of db.prepare('SELECT * FROM rules').all()) {
+        if (!present.has(row.id) && !loaded.includes(row.id)) continue;
+        try {
+            configureDetector(row.id, { enabled: Boolean(row.enabled), thresholds: parseJSON(row.thresholds) });
+        } catch (error) {
+            console.warn(`⚠️  Ignoring thresholds of rule "${row.id}": ${error.message}`);
+            configureDetector(row.id, { enabled: Boolean(row.enabled) });
+        }
+    }
+    return loaded;
+}
+
+/**
+ * Every built-in detector and rule, in the order they run
+ * @param {Database} db
+ */
+function listRules(db) {
+    const rows = new Map(db.prepare('SELECT * FROM rules').all().map(row => [row.id, row]));
+    const detectors = listDetectors().map(detector => describe(rows.get(detector.id), detector));
+    const rules = getRules().map(rule => describe(rows.get(rule.id), null, rule));
+    return [...detectors, ...rules].filter(Boolean);
+}
+
+/**
+ * One rule with its version history, or null when there is no such rule
+ * @param {Database} db
+ * @param {string} id
+ */
+function getRuleRecord(db, id) {
+    const row = db.prepare('SELECT * FROM rules WHERE id = ?').get(id);
+    if (!row) return null;
+    const detector = listDetectors().find(d => d.id === id) || null;
+    const record = describe(row, detector, detector ? null : getRule(id));
+    if (!record) return null;
+
+    record.versions = db.prepare('SELECT * FROM rule_versions WHERE rule_id = ? ORDER BY version DESC').all(id).map(version => ({
+        version: version.version,
+        definition: parseJSON(version.definition),
+        thresholds: parseJSON(version.thresholds),
+        createdAt: version.created_at,
+    }));
+    return record;
+}
+
+/**
+ * Save a new rule
+ * @param {Database} db
+ * @param {Object} input - { text } (YAML, JSON or Sigma) or { definition }, with optional thresholds and enabled
+ * @returns {Object} The saved rule
+ * @throws {Error} When the rule is invalid or its id is taken
+ */
+function createRule(db, { text, definition, thresholds = null, enabled = true }) {
+    const def = readDefinition(text, definition);
+    if (getRule(def.id) || listDetectors().some(d => d.id === def.id)) {
+        throw new Error(`A rule with id "${def.id}" already exists`);
+    }
+
+    const rule = registerRule(def);
+    try {
+        configureDetector(rule.id, { enabled, thresholds });
+    } catch (error) {
+        unregisterRule(rule.id);
+        throw error;
+    }
+
+    insertRule(db, {
+        id: rule.id,
+        kind: 'custom',
+        title: rule.title,
+        enabled,
+        definition: JSON.stringify(def),
+        thresholds: encodeThresholds(thresholds),
+        text: typeof text === 'string' ? text : null,
+    });
+    return getRuleRecord(db, rule.id);
+}
+
+/**
+ * Change a rule's definition (saved rules only), thresholds or enabled flag
+ * @param {Database} db
+ * @param {string} id
+ * @param {Object} changes - Any of { text | definition, thresholds, enabled }; thresholds null restores the defaults
+ * @returns {Object|null} The updated rule, or null when there is no such rule
+ * @throws {Error} When the change is invalid
+ */
+function updateRule(db, id, changes) {
+    const row = db.prepare('SELECT * FROM rules WHERE id = ?').get(id);
+    if (!row) return null;
+
+    const editsDefinition = changes.text !== undefined || changes.definition !== undefined;
+    if (editsDefinition && row.kind === 'builtin') throw new Error('Built-in detectors cannot be edited; change their thresholds instead');
+    if (editsDefinition && row.kind === 'file') throw new Error(`This rule is read from ${row.source}; edit the file to change it`);
+
+    const def = editsDefinition ? readDefinition(changes.text, changes.definition) : null;
+    if (def && def.id !== id) throw new Error(`The rule id cannot be changed (expected "${id}")`);
+
+    const thresholds = changes.thresholds !== undefined ? changes.thresholds : parseJSON(row.thresholds);
+    const enabled = changes.enabled !== undefined ? Boolean(changes.enabled) : Boolean(row.enabled);
+
+    // Swap in the new definition only once it and the thresholds are known to be valid
+    const previous = getRule(id);
+    if (def) registerRule(def);
+    try {
+        configureDetector(id, { enabled, thresholds });
+    } catch (error) {
+        if (def) registerRule(previous.definition);
+        throw error;
+    }
+
+    const update = db.transaction(() => {
+        recordVersion(db, row, {
+            definition: def ? JSON.stringify(def) : row.definition,
+            thresholds: encodeThresholds(thresholds),
+            title: def ? def.title : row.title,
+        });
+        db.prepare('UPDATE rules SET enabled = ?, text = COALESCE(?, text), updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(enabled ? 1 : 0, def && typeof changes.text === 'string' ? changes.text : null, id);
+    });
+    update();
+    return getRuleRecord(db, id);
+}
+
+/**
+ * Delete a saved rule; its versions are kept for the findings that cite them
+ * @returns {boolean} Whether there was such a rule
+ * @throws {Error} For built-in detectors and rule files, which can only be disabled
+ */
+function deleteRule(db, id) {
+    const row = db.prepare('SELECT * FROM rules WHERE id = ?').get(id);
+    if (!row) return false;
+    if (row.kind !== 'custom') throw new Error(`${row.kind === 'builtin' ? 'Built-in detectors' : 'Rules from files'} cannot be deleted; disable them instead`);
+
+    unregisterRule(id);
+    resetDetector(id);
+    db.prepare('DELETE FROM rules WHERE id = ?').run(id);
+    return true;
+}
+
+/**
+ * The one rule in a YAML / JSON / Sigma text, or a definition object
+ * @throws {Error} When there is no rule, more than one, or it does not compile
+ */
+function readDefinition(text, definition) {
+    let defs;
+    if (typeof text === 'string' && text.trim() !== '') {
+        defs = readRuleDefinitions(text);
+    } else if (definition && typeof definition === 'object') {
+        defs = [definition];
+    } else {
+        throw new Error('A rule definition is required');
+    }
+    if (defs.length !== 1) throw new Error(`Expected one rule, found ${defs.length}`);
+    return defs[0];
+}
+
+function insertRule(db, { id, kind, title, enabled = true, definition = null, thresholds = null, source = null, text = null }) {
+    // A deleted saved rule may come back under the same id; carry on from its last version
+    const last = db.prepare('SELECT MAX(version) as version FROM rule_versions WHERE rule_id = ?').get(id).version || 0;
+    const version = last + 1;
+
+    db.prepare(`
+    INSERT INTO rules (id, kind, title, enabled, version, definition, thresholds, source, text)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, kind, title, enabled ? 1 : 0, version, definition, thresholds, source, text);
+    db.prepare('INSERT INTO rule_versions (rule_id, version, definition, thresholds) VALUES (?, ?, ?, ?)')
+        .run(id, version, definition, thresholds);
+}
+
+// New version when the definition or thresholds differ from the row's
+function recordVersion(db, row, { definition = row.definition, thresholds = row.thresholds, title = row.title, source = row.source }) {
+    if (definition === row.definition && thresholds === row.thresholds) return;
+
+    const version = row.version + 1;
+    db.prepare(`
+    UPDATE rules SET version = ?, definition = ?, thresholds = ?, title = ?, source = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(version, definition, thresholds, title, source, row.id);
+    db.prepare('INSERT INTO rule_versions (rule_id, version, definition, thresholds) VALUES (?, ?, ?, ?)')
+        .run(row.id, version, definition, thresholds);
+}
+
+/**
+ * API shape of a rule: its row, plus what the engine knows about it
+ */
+function describe(row, detector, rule = null) {
+    if (!row || (!detector && !rule)) return null;
+    const overrides = parseJSON(row.thresholds);
+    const defaults = detector ? detector.defaults : ruleThresholds(rule);
+
+    return {
+        id: row.id,
+        kind: row.kind,
+        title: row.title,
+        enabled: Boolean(row.enabled),
+        version: row.version,
+        source: row.source,
+        severity: rule ? rule.severity : null,
+        description: rule ? rule.description : null,
+        tags: rule ? rule.tags : [],
+        mitre: rule ? rule.mitre : null,
+        definition: rule ? rule.definition : null,
+        text: row.text,
+        defaults,
+        overrides,
+        thresholds: { ...defaults, ...overrides },
+        updatedAt: row.updated_at,
+    };
+}
+
+function encodeThresholds(thresholds) {
+    return thresholds && Object.keys(thresholds).length > 0 ? JSON.stringify(thresholds) : null;
+}
+
+function parseJSON(text) {
+    return text ? JSON.parse(text) : null;
+}
+
+module.exports = {
+    syncRules,
+    listRules,
+    getRuleRecord,
+    createRule,
+    updateRule,
+    deleteRule,
+    readDefinition,
+};